@@ -84,7 +84,7 @@ export const FEATURE_FLAGS = {
     basicSearch: true,
     
     // Exports
-    exportFormats: ['json', 'gpx', 'pdf', 'html', 'csv', 'kml'],
+    exportFormats: ['json', 'gpx', 'pdf', 'html', 'csv', 'kml', 'kmz', 'geojson'],
     pdfExports: true,
     
     // Premium Features
@@ -114,7 +114,7 @@ export const FEATURE_FLAGS = {
     basicSearch: true,
     
     // Exports
-    exportFormats: ['json', 'gpx', 'pdf', 'html', 'csv', 'kml'],
+    exportFormats: ['json', 'gpx', 'pdf', 'html', 'csv', 'kml', 'kmz', 'geojson'],
     pdfExports: true,
     
     // Premium Features
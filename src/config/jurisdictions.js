@@ -0,0 +1,170 @@
+/**
+ * Jurisdictions Configuration
+ * The authorities barrier reports are sent to, as a GeoJSON FeatureCollection
+ *
+ * Access Nature - AccessReport Enhancement
+ * Created: October 2026
+ */
+
+/**
+ * Starting dataset. Admins edit the live copy in admin.html (Settings →
+ * Jurisdictions); this one is used until they save, and when the live copy
+ * can't be loaded.
+ *
+ * Boundaries are simplified outlines - good enough to pick the authority for
+ * a report, not for drawing. Import official boundary files in admin.html
+ * for accuracy. Contact emails and Open311 endpoints are filled in by admins
+ * once a city has confirmed them.
+ *
+ * Each feature is a Polygon or MultiPolygon with properties:
+ * - id: unique key, also used as the Open311 endpoint id
+ * - name: display name
+ * - type: 'municipality' | 'park_authority' | 'regional' | 'other'
+ * - email: contact address for emailed reports, or null
+ * - portalUrl: the authority's own report-a-problem page, or null
+ * - open311: { endpoint, jurisdictionId } for GeoReport v2, or null; an API
+ *   key is saved separately (see jurisdictionRegistry.js), never here
+ * - serviceCodes: { issueType: code } where the authority's codes differ from SERVICE_CODES
+ * - language: ISO 639-1 code the authority works in
+ *
+ * Where outlines overlap (a national park inside a city), the smallest one
+ * containing the report wins.
+ */
+export const DEFAULT_JURISDICTIONS = {
+  type: 'FeatureCollection',
+  features: [
+    {
+      type: 'Feature',
+      properties: {
+        id: 'cape-town',
+        name: 'City of Cape Town',
+        type: 'municipality',
+        email: null,
+        portalUrl: 'https://www.capetown.gov.za/Collaborate/Report-a-problem',
+        open311: null,
+        serviceCodes: {},
+        language: 'en'
+      },
+      geometry: {
+        type: 'Polygon',
+        coordinates: [[
+          [18.3070, -33.8950], [18.4030, -33.4700], [18.6500, -33.4700], [18.9900, -33.8200],
+          [18.9900, -34.0900], [18.8200, -34.1100], [18.4700, -34.1050], [18.4800, -34.3600],
+          [18.3750, -34.3600], [18.3100, -34.0500], [18.3070, -33.8950]
+        ]]
+      }
+    },
+    {
+      type: 'Feature',
+      properties: {
+        id: 'table-mountain-np',
+        name: 'Table Mountain National Park (SANParks)',
+        type: 'park_authority',
+        email: null,
+        portalUrl: 'https://www.sanparks.org/parks/table-mountain',
+        open311: null,
+        serviceCodes: {},
+        language: 'en'
+      },
+      geometry: {
+        type: 'Polygon',
+        coordinates: [[
+          [18.3850, -33.9450], [18.4300, -33.9400], [18.4450, -33.9750], [18.4300, -34.0500],
+          [18.4500, -34.1300], [18.4850, -34.2500], [18.4800, -34.3600], [18.4100, -34.3600],
+          [18.3700, -34.2000], [18.3550, -34.0500], [18.3850, -33.9450]
+        ]]
+      }
+    },
+    {
+      type: 'Feature',
+      properties: {
+        id: 'tel-aviv-yafo',
+        name: 'Tel Aviv-Yafo Municipality',
+        type: 'municipality',
+        email: null,
+        portalUrl: null,
+        open311: null,
+        serviceCodes: {},
+        language: 'he'
+      },
+      geometry: {
+        type: 'Polygon',
+        coordinates: [[
+          [34.7400, 32.0300], [34.7900, 32.0300], [34.8100, 32.0450], [34.8500, 32.0900],
+          [34.8450, 32.1450], [34.7900, 32.1450], [34.7650, 32.0900], [34.7400, 32.0300]
+        ]]
+      }
+    },
+    {
+      type: 'Feature',
+      properties: {
+        id: 'new-york-city',
+        name: 'New York City',
+        type: 'municipality',
+        email: null,
+        portalUrl: 'https://portal.311.nyc.gov/',
+        open311: null,
+        serviceCodes: {},
+        language: 'en'
+      },
+      geometry: {
+        type: 'Polygon',
+        coordinates: [[
+          [-74.2600, 40.4950], [-74.0500, 40.5700], [-73.7400, 40.5900], [-73.7000, 40.7400],
+          [-73.7700, 40.8900], [-73.9100, 40.9150], [-74.0200, 40.7600], [-74.2600, 40.6400],
+          [-74.2600, 40.4950]
+        ]]
+      }
+    },
+    {
+      type: 'Feature',
+      properties: {
+        id: 'san-francisco',
+        name: 'City and County of San Francisco',
+        type: 'municipality',
+        email: null,
+        portalUrl: 'https://sf311.org/',
+        open311: null,
+        serviceCodes: {},
+        language: 'en'
+      },
+      geometry: {
+        type: 'Polygon',
+        coordinates: [[
+          [-122.5150, 37.7080], [-122.3570, 37.7080], [-122.3550, 37.7300], [-122.3850, 37.8100],
+          [-122.4800, 37.8110], [-122.5150, 37.7800], [-122.5150, 37.7080]
+        ]]
+      }
+    },
+    {
+      type: 'Feature',
+      properties: {
+        id: 'los-angeles',
+        name: 'City of Los Angeles',
+        type: 'municipality',
+        email: null,
+        portalUrl: 'https://311.la.gov/',
+        open311: null,
+        serviceCodes: {},
+        language: 'en'
+      },
+      geometry: {
+        type: 'Polygon',
+        coordinates: [[
+          [-118.6700, 34.1600], [-118.5000, 34.0300], [-118.4000, 33.9400], [-118.2900, 33.7050],
+          [-118.2300, 33.7300], [-118.2400, 33.9400], [-118.1550, 34.0700], [-118.2000, 34.2000],
+          [-118.3500, 34.3350], [-118.6700, 34.3350], [-118.6700, 34.1600]
+        ]]
+      }
+    }
+  ]
+};
+
+export const JURISDICTION_TYPES = {
+  municipality: { label: 'Municipality', icon: '🏛️' },
+  park_authority: { label: 'Park Authority', icon: '🌲' },
+  regional: { label: 'Regional Authority', icon: '🗺️' },
+  other: { label: 'Other', icon: '📋' }
+};
+
+export default DEFAULT_JURISDICTIONS;
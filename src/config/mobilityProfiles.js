@@ -257,8 +257,9 @@ export function getRecommendedTrails(profileId, trails) {
       score += 30;
     }
 
-    // Score based on slope
-    const avgSlope = trail.accessibility?.average_slope || 0;
+    // Score based on slope (measured from tracked elevation when available)
+    const measuredSlope = trail.slopeStats?.reliable ? trail.slopeStats.averageGrade : undefined;
+    const avgSlope = measuredSlope ?? trail.accessibility?.average_slope ?? 0;
     if (avgSlope <= profile.preferredSlopePercent) {
       score += 25;
     } else if (avgSlope <= profile.maxSlopePercent) {
@@ -319,7 +320,7 @@ export function getFormSuggestions(profileId) {
 
 /**
  * Check if a trail meets minimum requirements for a profile
- * @param {object} trail 
+ * @param {object} trail - May include slopeStats measured from tracked elevation
  * @param {string} profileId 
  * @returns {object} { suitable: boolean, issues: string[] }
  */
@@ -330,10 +331,21 @@ export function checkTrailSuitability(trail, profileId) {
   const issues = [];
   const accessibility = trail.accessibility || {};
 
-  // Check slope
-  const maxSlope = accessibility.max_slope || accessibility.average_slope || 0;
-  if (maxSlope > profile.maxSlopePercent) {
-    issues.push(`Slope (${maxSlope}%) exceeds recommended maximum (${profile.maxSlopePercent}%)`);
+  // Check slope - prefer measured grades over surveyor-entered values, when
+  // the altitude readings were good enough to trust
+  const measured = trail.slopeStats?.reliable ? trail.slopeStats : null;
+  if (typeof measured?.maxGrade === 'number') {
+    if (measured.maxGrade > profile.maxSlopePercent) {
+      issues.push(`Measured slope (${measured.maxGrade}%) exceeds recommended maximum (${profile.maxSlopePercent}%)`);
+    }
+    if (measured.averageGrade > profile.preferredSlopePercent) {
+      issues.push(`Average slope (${measured.averageGrade}%) is above preferred (${profile.preferredSlopePercent}%)`);
+    }
+  } else {
+    const maxSlope = accessibility.max_slope || accessibility.average_slope || 0;
+    if (maxSlope > profile.maxSlopePercent) {
+      issues.push(`Slope (${maxSlope}%) exceeds recommended maximum (${profile.maxSlopePercent}%)`);
+    }
   }
 
   // Check surface for wheelchair users
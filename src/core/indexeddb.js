@@ -2,7 +2,7 @@
 export class RouteDB {
   constructor() {
     this.dbName = 'AccessNatureDB';
-    this.version = 1;
+    this.version = 3;
     this.db = null;
   }
 
@@ -55,6 +55,20 @@ export class RouteDB {
           console.log('🌐 Trail guides store created');
         }
         
+        // Photos store (v2) - photo Blobs, referenced from route points by id
+        if (!db.objectStoreNames.contains('photos')) {
+          const photoStore = db.createObjectStore('photos', { keyPath: 'id' });
+          photoStore.createIndex('createdAt', 'createdAt');
+          console.log('📷 Photos store created');
+        }
+        
+        // Voice clips store (v3) - voice note recordings, referenced from route points by id
+        if (!db.objectStoreNames.contains('voice_clips')) {
+          const clipStore = db.createObjectStore('voice_clips', { keyPath: 'id' });
+          clipStore.createIndex('createdAt', 'createdAt');
+          console.log('🎙️ Voice clips store created');
+        }
+        
         console.log('✅ IndexedDB schema creation complete');
       };
     });
@@ -246,6 +260,156 @@ export class RouteDB {
     });
   }
 
+  // Save photo { id, blob, mimeType, size, createdAt, thumbnail }
+  async savePhoto(photo) {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['photos'], 'readwrite');
+    const store = transaction.objectStore('photos');
+    
+    return new Promise((resolve, reject) => {
+      const request = store.put(photo);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.error('❌ Failed to save photo:', request.error);
+        reject(request.error);
+      };
+    });
+  }
+
+  // Get photo record by ID
+  async getPhoto(id) {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['photos'], 'readonly');
+    const store = transaction.objectStore('photos');
+    
+    return new Promise((resolve, reject) => {
+      const request = store.get(id);
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // IDs of every stored photo
+  async getPhotoIds() {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['photos'], 'readonly');
+    const store = transaction.objectStore('photos');
+    
+    return new Promise((resolve, reject) => {
+      const request = store.getAllKeys();
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Stored size of every photo, without reading the images themselves
+  async getPhotoSizes() {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['photos'], 'readonly');
+    const store = transaction.objectStore('photos');
+    const sizes = new Map();
+    
+    return new Promise((resolve, reject) => {
+      const request = store.openCursor();
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) {
+          const { id, size, thumbnail, reduced } = cursor.value;
+          sizes.set(id, { size: size || 0, thumbnailSize: thumbnail?.size || 0, reduced: !!reduced });
+          cursor.continue();
+        } else {
+          resolve(sizes);
+        }
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Delete photos by ID
+  async deletePhotos(ids) {
+    if (!this.db) throw new Error('Database not initialized');
+    if (!ids || ids.length === 0) return;
+    
+    const transaction = this.db.transaction(['photos'], 'readwrite');
+    const store = transaction.objectStore('photos');
+    ids.forEach(id => store.delete(id));
+    
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => {
+        console.log(`🗑️ ${ids.length} photos deleted from IndexedDB`);
+        resolve();
+      };
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  // Save voice clip { id, blob, mimeType, size, createdAt, url, path }
+  async saveVoiceClip(clip) {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['voice_clips'], 'readwrite');
+    const store = transaction.objectStore('voice_clips');
+    
+    return new Promise((resolve, reject) => {
+      const request = store.put(clip);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.error('❌ Failed to save voice clip:', request.error);
+        reject(request.error);
+      };
+    });
+  }
+
+  // Get voice clip record by ID
+  async getVoiceClip(id) {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['voice_clips'], 'readonly');
+    const store = transaction.objectStore('voice_clips');
+    
+    return new Promise((resolve, reject) => {
+      const request = store.get(id);
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // IDs of every stored voice clip
+  async getVoiceClipIds() {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['voice_clips'], 'readonly');
+    const store = transaction.objectStore('voice_clips');
+    
+    return new Promise((resolve, reject) => {
+      const request = store.getAllKeys();
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Delete voice clips by ID
+  async deleteVoiceClips(ids) {
+    if (!this.db) throw new Error('Database not initialized');
+    if (!ids || ids.length === 0) return;
+    
+    const transaction = this.db.transaction(['voice_clips'], 'readwrite');
+    const store = transaction.objectStore('voice_clips');
+    ids.forEach(id => store.delete(id));
+    
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => {
+        console.log(`🗑️ ${ids.length} voice clips deleted from IndexedDB`);
+        resolve();
+      };
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
   // Get storage usage estimate
   async getStorageEstimate() {
     try {
@@ -268,7 +432,7 @@ export class RouteDB {
   async clearAllData() {
     if (!this.db) throw new Error('Database not initialized');
     
-    const stores = ['routes', 'backups', 'settings', 'trail_guides'];
+    const stores = ['routes', 'backups', 'settings', 'trail_guides', 'photos', 'voice_clips'];
     const transaction = this.db.transaction(stores, 'readwrite');
     
     const promises = stores.map(storeName => {
@@ -1,5 +1,11 @@
 // FIXED: Map controller with proper route restoration and visualization
 import { toast } from '../utils/toast.js';
+import { detectSteepSegments } from '../utils/elevation.js';
+import { ACCESSIBILITY_RATINGS, SURFACE_TYPES, TRAIL_FEATURES, accessibilityRating } from '../features/accessibilityRating.js';
+import { buildRouteSegments, describeSegmentAttributes } from '../utils/routeSegments.js';
+import { photoStore } from './photoStore.js';
+import { voiceClipStore } from './voiceClipStore.js';
+import { VOICE_POINT_TYPE, hasTranscript, getVoiceNoteText, getVoiceNoteAudio, formatVoiceDuration } from '../utils/voiceNotes.js';
 
 export class MapController {
   constructor() {
@@ -7,6 +13,8 @@ export class MapController {
     this.marker = null;
     this.routePolylines = [];
     this.routeMarkers = []; // Add this to track all route markers
+    this.followLayers = []; // Trail being followed (kept apart from the recording)
+    this.followPositionMarker = null;
   }
 
   async initialize() {
@@ -117,6 +125,11 @@ export class MapController {
   bounds.extend(polyline.getBounds());
 }
 
+    // Colour surveyed segments by their own rating, then highlight
+    // stretches over the ADA grade limits on top
+    this.showRouteSegments(routeData);
+    this.showSteepSegments(routeData);
+
     // Add markers for all data points
     routeData.forEach((entry, index) => {
       if (!entry.coords || !entry.coords.lat || !entry.coords.lng) return;
@@ -134,10 +147,21 @@ export class MapController {
           .addTo(this.map)
           .bindPopup(`
             <div style="text-align: center;">
-              <img src="${entry.content}" style="width:200px; max-height:150px; object-fit:cover; border-radius:8px;">
+              <img src="${entry.content || ''}" alt="${(entry.caption || entry.altText || 'Trail photo').replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;')}" style="width:200px; max-height:150px; object-fit:cover; border-radius:8px;">
+              ${entry.caption ? `<br>${entry.caption.replace(/&/g, '&amp;').replace(/</g, '&lt;')}` : ''}
               <br><small>${new Date(entry.timestamp).toLocaleString()}</small>
             </div>
           `);
+
+        // Stored photos are loaded as a thumbnail only when the popup opens
+        if (!entry.content && entry.photoId) {
+          photoMarker.on('popupopen', async (e) => {
+            const img = e.popup.getElement()?.querySelector('img');
+            if (!img || img.getAttribute('src')) return;
+            const url = await photoStore.getThumbnailURL(entry).catch(() => null);
+            if (url) img.src = url;
+          });
+        }
         
         this.routeMarkers.push(photoMarker);
         
@@ -160,6 +184,81 @@ export class MapController {
         
         this.routeMarkers.push(noteMarker);
         
+      } else if (entry.type === VOICE_POINT_TYPE) {
+        const icon = L.divIcon({
+          html: '🎙️',
+          iconSize: [30, 30],
+          className: 'custom-div-icon voice-marker'
+        });
+
+        const transcript = getVoiceNoteText(entry).replace(/&/g, '&amp;').replace(/</g, '&lt;');
+        const voiceMarker = L.marker([entry.coords.lat, entry.coords.lng], { icon, title: 'Voice note' })
+          .addTo(this.map)
+          .bindPopup(`
+            <div style="max-width: 240px;">
+              <strong>Voice note</strong> ${formatVoiceDuration(entry.duration)}<br>
+              ${getVoiceNoteAudio(entry) ? `<audio controls preload="none" src="${getVoiceNoteAudio(entry)}" style="width: 220px;"></audio><br>` : ''}
+              ${!getVoiceNoteAudio(entry) && entry.audioId ? '<audio controls preload="none" style="width: 220px;"></audio><br>' : ''}
+              ${hasTranscript(entry) ? transcript : `<em>${transcript}</em>`}<br>
+              <button type="button" onclick="transcribeVoiceNote(${entry.timestamp})">${hasTranscript(entry) ? 'Edit transcript' : 'Transcribe'}</button><br>
+              <small>${new Date(entry.timestamp).toLocaleString()}</small>
+            </div>
+          `);
+
+        // Stored recordings are loaded only when the popup opens
+        if (!getVoiceNoteAudio(entry) && entry.audioId) {
+          voiceMarker.on('popupopen', async (e) => {
+            const audio = e.popup.getElement()?.querySelector('audio');
+            if (!audio || audio.getAttribute('src')) return;
+            const url = await voiceClipStore.getClipURL(entry).catch(() => null);
+            if (url) audio.src = url;
+          });
+        }
+        
+        this.routeMarkers.push(voiceMarker);
+        
+      } else if (entry.type === 'rest') {
+        const icon = L.divIcon({
+          html: '🪑',
+          iconSize: [30, 30],
+          className: 'custom-div-icon rest-marker'
+        });
+
+        const minutes = Math.max(1, Math.round((entry.duration || 0) / 60000));
+        const restMarker = L.marker([entry.coords.lat, entry.coords.lng], { icon })
+          .addTo(this.map)
+          .bindPopup(`
+            <div>
+              <strong>Rest stop</strong><br>
+              Stopped for ${minutes} min<br>
+              <small>${new Date(entry.timestamp).toLocaleString()}</small>
+            </div>
+          `);
+        
+        this.routeMarkers.push(restMarker);
+        
+      } else if (entry.type === 'surface' || entry.type === 'feature') {
+        // One-tap tags from the quick-tag toolbar
+        const info = entry.type === 'surface' ? SURFACE_TYPES[entry.surface] : TRAIL_FEATURES[entry.feature];
+        if (!info) return;
+
+        const icon = L.divIcon({
+          html: info.icon,
+          iconSize: [24, 24],
+          className: `custom-div-icon ${entry.type}-tag-marker`
+        });
+
+        const tagMarker = L.marker([entry.coords.lat, entry.coords.lng], { icon, title: info.label })
+          .addTo(this.map)
+          .bindPopup(`
+            <div>
+              <strong>${entry.type === 'surface' ? `Surface: ${info.label}` : info.description}</strong><br>
+              <small>${new Date(entry.timestamp).toLocaleString()}</small>
+            </div>
+          `);
+        
+        this.routeMarkers.push(tagMarker);
+        
       } else if (entry.type === 'location' && (index === 0 || index === locationPoints.length - 1)) {
         // Add start/end markers
         const isStart = index === 0;
@@ -192,11 +291,120 @@ export class MapController {
 
     // Show summary info
     const photos = routeData.filter(p => p.type === 'photo').length;
-    const notes = routeData.filter(p => p.type === 'text').length;
+    const notes = routeData.filter(p => p.type === 'text' || p.type === VOICE_POINT_TYPE).length;
     
     console.log(`✅ Route displayed: ${locationPoints.length} GPS points, ${photos} photos, ${notes} notes`);
   }
 
+  // NEW: Colour each surveyed segment by its accessibility rating
+  showRouteSegments(routeData) {
+    const segments = buildRouteSegments(routeData);
+    if (segments.length === 0) return [];
+
+    segments.forEach(segment => {
+      if (segment.path.length < 2) return;
+
+      const ratingInfo = segment.rating?.ratingInfo;
+      const color = ratingInfo ? ratingInfo.color : '#9ca3af';
+      const popup = `
+          <div>
+            <strong>Segment ${segment.number}${ratingInfo ? ` - ${ratingInfo.icon} ${ratingInfo.label}` : ''}</strong><br>
+            ${describeSegmentAttributes(segment.attributes).replace(/&/g, '&amp;').replace(/</g, '&lt;')}<br>
+            <small>${Math.round(segment.startDistance)} m - ${Math.round(segment.startDistance + segment.length)} m along the route</small>
+          </div>
+        `;
+
+      const polyline = L.polyline(segment.path, {
+        color,
+        weight: 6,
+        opacity: 0.85
+      }).addTo(this.map).bindPopup(popup);
+      this.routePolylines.push(polyline);
+
+      if (segment.marked && segment.startCoords) {
+        this.showSegmentBoundary(segment.startCoords, segment.attributes, segment.number, popup);
+      }
+    });
+
+    console.log(`🧱 Coloured ${segments.length} route segments`);
+    return segments;
+  }
+
+  // NEW: Mark where a segment starts (also used live while surveying)
+  showSegmentBoundary(coords, attributes, number, popup = null) {
+    if (!this.map || !coords) return null;
+
+    const rating = accessibilityRating.calculateRating(attributes || {});
+    const icon = L.divIcon({
+      html: `<div style="background:${rating.ratingInfo.color};color:white;border-radius:50%;width:22px;height:22px;display:flex;align-items:center;justify-content:center;font-size:11px;font-weight:700;border:2px solid white;box-shadow:0 1px 4px rgba(0,0,0,0.3);">${number}</div>`,
+      iconSize: [22, 22],
+      iconAnchor: [11, 11],
+      className: 'custom-div-icon segment-marker'
+    });
+
+    const marker = L.marker([coords.lat, coords.lng], { icon, title: `Segment ${number}` })
+      .addTo(this.map)
+      .bindPopup(popup || `
+          <div>
+            <strong>Segment ${number} starts here</strong><br>
+            ${describeSegmentAttributes(attributes).replace(/&/g, '&amp;').replace(/</g, '&lt;')}
+          </div>
+        `);
+
+    this.routeMarkers.push(marker);
+    return marker;
+  }
+
+  // NEW: Colour steep stretches and mark their length and peak grade
+  showSteepSegments(routeData) {
+    const stretches = detectSteepSegments(routeData);
+    if (stretches.length === 0) return [];
+
+    stretches.forEach(stretch => {
+      const isSteep = stretch.severity === 'steep';
+      const color = isSteep ? ACCESSIBILITY_RATINGS.not.color : ACCESSIBILITY_RATINGS.partial.color;
+
+      const stretchLine = routeData
+        .slice(stretch.startIndex, stretch.endIndex + 1)
+        .filter(entry => entry.type === 'location' && entry.coords)
+        .map(entry => [entry.coords.lat, entry.coords.lng]);
+
+      if (stretchLine.length < 2) return;
+
+      const polyline = L.polyline(stretchLine, {
+        color,
+        weight: 7,
+        opacity: 0.9
+      }).addTo(this.map);
+      this.routePolylines.push(polyline);
+
+      const arrow = stretch.direction === 'uphill' ? '↗' : '↘';
+      const label = isSteep ? 'Steep section' : 'Moderate slope';
+      const icon = L.divIcon({
+        html: `<div style="background:${color};color:white;border-radius:10px;padding:2px 6px;font-size:11px;font-weight:600;white-space:nowrap;border:2px solid white;box-shadow:0 1px 4px rgba(0,0,0,0.3);">${arrow} ${stretch.peakGrade}%</div>`,
+        iconSize: [56, 22],
+        iconAnchor: [28, 11],
+        className: 'custom-div-icon slope-marker'
+      });
+
+      const slopeMarker = L.marker([stretch.startCoords.lat, stretch.startCoords.lng], { icon })
+        .addTo(this.map)
+        .bindPopup(`
+          <div>
+            <strong>${isSteep ? '⛔' : '⚠️'} ${label}</strong><br>
+            Length: ${Math.round(stretch.length)} m ${stretch.direction}<br>
+            Peak grade: ${stretch.peakGrade}% (avg ${stretch.averageGrade}%)<br>
+            <small>Starts ${Math.round(stretch.startDistance)} m into the route</small>
+          </div>
+        `);
+
+      this.routeMarkers.push(slopeMarker);
+    });
+
+    console.log(`⛰️ Highlighted ${stretches.length} steep stretches`);
+    return stretches;
+  }
+
   // FIXED: Complete route clearing including all markers
   clearRouteDisplay() {
     // Clear route lines
@@ -298,6 +506,66 @@ export class MapController {
     }
   }
 
+  // NEW: Draw a trail to follow - the planned line, its start/end and landmarks
+  showFollowTrail(track, landmarks = []) {
+    this.clearFollowTrail();
+    if (!track || track.points.length < 2) return;
+
+    const line = track.points.map(point => [point.lat, point.lng]);
+    const trailLine = L.polyline(line, {
+      color: '#2563eb',
+      weight: 6,
+      opacity: 0.6,
+      dashArray: '10, 8'
+    }).addTo(this.map);
+    this.followLayers.push(trailLine);
+
+    const ends = [
+      { point: track.points[0], html: '🚩', label: 'Trail start' },
+      { point: track.points[track.points.length - 1], html: '🏁', label: 'Trail end' }
+    ];
+    [...ends.map(end => ({ coords: end.point, icon: end.html, text: end.label })), ...landmarks].forEach(landmark => {
+      if (!landmark.coords) return;
+      const icon = L.divIcon({
+        html: landmark.icon,
+        iconSize: [30, 30],
+        className: 'custom-div-icon follow-landmark-marker'
+      });
+      const marker = L.marker([landmark.coords.lat, landmark.coords.lng], { icon, title: landmark.text })
+        .addTo(this.map)
+        .bindPopup(`<div style="max-width: 200px;">${String(landmark.text).replace(/&/g, '&amp;').replace(/</g, '&lt;')}</div>`);
+      this.followLayers.push(marker);
+    });
+
+    this.map.fitBounds(trailLine.getBounds(), { padding: [20, 20] });
+    console.log(`🧭 Following trail with ${track.points.length} points`);
+  }
+
+  // NEW: Show where the live position snaps onto the followed trail
+  updateFollowPosition(snappedCoords) {
+    if (!snappedCoords) return;
+    if (!this.followPositionMarker) {
+      this.followPositionMarker = L.circleMarker([snappedCoords.lat, snappedCoords.lng], {
+        radius: 8,
+        color: '#ffffff',
+        weight: 3,
+        fillColor: '#2563eb',
+        fillOpacity: 1
+      }).addTo(this.map);
+    } else {
+      this.followPositionMarker.setLatLng([snappedCoords.lat, snappedCoords.lng]);
+    }
+  }
+
+  clearFollowTrail() {
+    this.followLayers.forEach(layer => this.map.removeLayer(layer));
+    this.followLayers = [];
+    if (this.followPositionMarker) {
+      this.map.removeLayer(this.followPositionMarker);
+      this.followPositionMarker = null;
+    }
+  }
+
   // NEW: Get route statistics for current display
   getRouteStats() {
     return {
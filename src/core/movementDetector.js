@@ -0,0 +1,103 @@
+/**
+ * Movement Detector
+ * Decides when the user has stopped and started moving again, for auto-pause
+ *
+ * A stop is declared once every fix in the stop window stays within a small
+ * radius (and the device doesn't report meaningful speed). Movement resumes
+ * when the user gets far enough from where they stopped.
+ *
+ * Access Nature - GPS Tracking
+ * Created: October 2026
+ */
+
+import { haversineDistance } from '../utils/calculations.js';
+
+const MOVEMENT_CONFIG = {
+  // How long (ms) the user must stay put before auto-pausing
+  stopWindow: 20000,
+  // Radius (m) all fixes in the stop window must fall within
+  stopRadius: 5,
+  // Reported speed (m/s) at or above which the user is moving
+  movingSpeed: 0.5,
+  // Distance (m) from the stop point that counts as moving again
+  resumeDistance: 8
+};
+
+export class MovementDetector {
+  constructor(options = {}) {
+    this.config = { ...MOVEMENT_CONFIG, ...options };
+    this.reset();
+  }
+
+  /**
+   * Feed a filtered fix
+   * @param {object} fix - { lat, lng, speed, timestamp }
+   * @returns {object|null} { event: 'stopped', since, coords } or
+   *                        { event: 'resumed', at, coords } or null
+   */
+  update(fix) {
+    this.lastFix = fix;
+
+    if (this.isStopped) {
+      const fromStop = haversineDistance(this.stopCoords, fix) * 1000;
+      const fastEnough = typeof fix.speed === 'number' && fix.speed >= this.config.movingSpeed;
+
+      if (fromStop >= this.config.resumeDistance || (fastEnough && fromStop >= this.config.resumeDistance / 2)) {
+        this.isStopped = false;
+        this.samples = [fix];
+        return { event: 'resumed', at: fix.timestamp, coords: { lat: fix.lat, lng: fix.lng } };
+      }
+      return null;
+    }
+
+    this.samples.push(fix);
+    const windowStart = fix.timestamp - this.config.stopWindow;
+    // Keep one sample older than the window so we know it's fully covered
+    while (this.samples.length > 1 && this.samples[1].timestamp <= windowStart) {
+      this.samples.shift();
+    }
+
+    if (this.samples[0].timestamp > windowStart) return null;
+
+    const moving = typeof fix.speed === 'number' && fix.speed >= this.config.movingSpeed;
+    if (moving) return null;
+
+    const anchor = this.samples[0];
+    const allClose = this.samples.every(sample =>
+      haversineDistance(anchor, sample) * 1000 <= this.config.stopRadius
+    );
+
+    if (!allClose) return null;
+
+    return this.markStopped(anchor.timestamp, anchor);
+  }
+
+  /**
+   * Check for a stop when the GPS has gone quiet
+   * (many devices stop reporting fixes while the user stands still)
+   * @param {number} now - Current time (ms)
+   * @returns {object|null} 'stopped' event or null
+   */
+  checkIdle(now = Date.now()) {
+    if (this.isStopped || !this.lastFix) return null;
+    if (now - this.lastFix.timestamp < this.config.stopWindow) return null;
+
+    return this.markStopped(this.lastFix.timestamp, this.lastFix);
+  }
+
+  markStopped(since, fix) {
+    this.isStopped = true;
+    this.stopCoords = { lat: fix.lat, lng: fix.lng };
+    this.samples = [];
+    return { event: 'stopped', since, coords: { ...this.stopCoords } };
+  }
+
+  reset() {
+    this.samples = [];
+    this.lastFix = null;
+    this.isStopped = false;
+    this.stopCoords = null;
+  }
+}
+
+export default MovementDetector;
@@ -0,0 +1,890 @@
+/**
+ * Outbox
+ * One durable queue for everything waiting to go to the cloud - routes,
+ * trail guides, photos, surveys and reports. Jobs live in the `outbox`
+ * store of the AccessNaturePending database, so the service worker can
+ * work through them after the tab is closed (see sw.js)
+ *
+ * A job:
+ *   { id, type, payload, idempotencyKey, dependsOn: [jobId], status,
+ *     attempts, nextAttemptAt, lastError, result, label, userId, createdAt }
+ *   status: 'pending' | 'running' | 'done' | 'failed'
+ *
+ * - Each type has a handler (registerHandler) that uploads the payload and
+ *   resolves with the job's result, e.g. { cloudId } or { url }
+ * - A job only runs once the jobs it depends on are done, and its handler
+ *   gets them - a guide waits for its photos, then points at the uploaded
+ *   copies instead of carrying the images inline (replacePhotoData)
+ * - A photo from a saved route or guide isn't copied into its job: the
+ *   payload says where it is, { source: { store, localId, photoIndex } },
+ *   and the image is read from the saved copy when it's uploaded
+ * - The idempotency key is fixed when the job is queued: queuing the same
+ *   key again gives back the first job, and handlers name the cloud
+ *   document or file after it so a retry can't create a duplicate
+ * - A failed attempt backs off exponentially; after maxAttempts, or an
+ *   error with `permanent` set, the job stays 'failed' until retried by hand
+ * - A job is claimed ('running') before it runs; a claim older than
+ *   claimTimeout belongs to a run that never finished and is run again
+ *
+ * Access Nature - Sync
+ * Created: October 2026
+ */
+
+import { toast } from '../utils/toast.js';
+import { modal } from '../utils/modal.js';
+
+export const PENDING_DB_NAME = 'AccessNaturePending';
+export const PENDING_DB_VERSION = 3;
+
+// Same values as SYNC_RETRY in sw.js
+export const OUTBOX_RETRY = {
+  baseDelay: 30 * 1000,
+  maxDelay: 6 * 60 * 60 * 1000,
+  maxAttempts: 8,
+  claimTimeout: 10 * 60 * 1000
+};
+
+const STATUS_LABELS = {
+  pending: '⏳ Waiting',
+  running: '🔄 Uploading',
+  failed: '⚠️ Failed',
+  done: '☁️ Uploaded'
+};
+
+// Photos carried inline as data URLs (icons and other small images are
+// left where they are)
+const PHOTO_DATA_PATTERN = /data:image\/(?:jpeg|jpg|png|webp|gif);base64,[A-Za-z0-9+/=]{1024,}/g;
+
+/**
+ * Open the pending uploads database, creating or upgrading its stores.
+ * OfflineSync keeps its saved routes and guides here too
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openPendingDB() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(PENDING_DB_NAME, PENDING_DB_VERSION);
+
+    request.onerror = () => {
+      console.error('❌ Failed to open pending uploads database');
+      reject(request.error);
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      db.onversionchange = () => db.close();
+      resolve(db);
+    };
+
+    request.onupgradeneeded = (event) => {
+      const db = event.target.result;
+
+      // Locally saved routes and trail guides
+      ['pending_routes', 'pending_guides'].forEach(storeName => {
+        if (!db.objectStoreNames.contains(storeName)) {
+          const store = db.createObjectStore(storeName, {
+            keyPath: 'localId',
+            autoIncrement: true
+          });
+          store.createIndex('timestamp', 'timestamp');
+          store.createIndex('status', 'status');
+        }
+      });
+
+      // Email backup queue
+      if (!db.objectStoreNames.contains('email_queue')) {
+        const emailStore = db.createObjectStore('email_queue', {
+          keyPath: 'id',
+          autoIncrement: true
+        });
+        emailStore.createIndex('timestamp', 'timestamp');
+        emailStore.createIndex('sent', 'sent');
+      }
+
+      // Who the service worker uploads as (see OfflineSync.saveSyncCredentials)
+      if (!db.objectStoreNames.contains('sync_config')) {
+        db.createObjectStore('sync_config', { keyPath: 'id' });
+      }
+
+      if (!db.objectStoreNames.contains('outbox')) {
+        const outboxStore = db.createObjectStore('outbox', { keyPath: 'id' });
+        outboxStore.createIndex('status', 'status');
+        outboxStore.createIndex('idempotencyKey', 'idempotencyKey', { unique: true });
+      }
+
+      console.log('✅ Pending uploads database schema created');
+    };
+  });
+}
+
+/**
+ * Inline photos in a job's data, each once
+ * @param {*} data
+ * @returns {Array<string>} Data URLs
+ */
+export function findPhotoData(data) {
+  const text = JSON.stringify(data ?? null);
+  return [...new Set(text.match(PHOTO_DATA_PATTERN) || [])];
+}
+
+/**
+ * The photo a photo job uploads: its own copy, or the one it points at in
+ * the saved route or guide
+ * @param {object} job - Photo job
+ * @param {*} sourceData - Data of the saved copy named by job.payload.source
+ * @returns {string|null} Data URL
+ */
+export function getPhotoData(job, sourceData) {
+  if (job.payload?.dataURL) return job.payload.dataURL;
+  const index = job.payload?.source?.photoIndex;
+  return Number.isInteger(index) ? findPhotoData(sourceData)[index] || null : null;
+}
+
+/**
+ * Copy of the data with inline photos swapped for the URLs their photo
+ * jobs uploaded them to. Photos without an uploaded copy stay inline
+ * @param {*} data
+ * @param {Array} dependencies - Jobs the job depends on; photo jobs that
+ *                               point at a saved copy must point at `data`
+ * @returns {*}
+ */
+export function replacePhotoData(data, dependencies = []) {
+  const uploaded = dependencies
+    .filter(job => job.type === 'photo' && job.result?.url)
+    .map(job => ({ dataURL: getPhotoData(job, data), url: job.result.url }))
+    .filter(photo => photo.dataURL);
+  if (uploaded.length === 0) return data;
+
+  let text = JSON.stringify(data);
+  uploaded.forEach(photo => {
+    text = text.split(photo.dataURL).join(photo.url);
+  });
+  return JSON.parse(text);
+}
+
+function isClaimStale(job) {
+  return job.status === 'running' && Date.now() - (job.claimedAt || 0) > OUTBOX_RETRY.claimTimeout;
+}
+
+// Status as counted and shown - an abandoned claim is waiting again
+function currentStatus(job) {
+  return isClaimStale(job) ? 'pending' : job.status;
+}
+
+function isDue(job) {
+  return (job.status === 'pending' && (job.nextAttemptAt || 0) <= Date.now()) || isClaimStale(job);
+}
+
+// Dependencies that were discarded don't hold a job back
+function waitingOn(job, jobsById) {
+  return (job.dependsOn || []).filter(id => jobsById.has(id) && jobsById.get(id).status !== 'done');
+}
+
+function getRetryDelay(attempts) {
+  return Math.min(OUTBOX_RETRY.maxDelay, OUTBOX_RETRY.baseDelay * Math.pow(2, attempts - 1));
+}
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+export class Outbox {
+  constructor() {
+    this.db = null;
+    this.ready = null;
+    this.handlers = new Map();
+    this.processing = null;
+    this.processAgain = false;
+    this.retryTimer = null;
+    this.changeTimer = null;
+  }
+
+  /**
+   * Open the database (once) and start listening for connectivity
+   * @returns {Promise<IDBDatabase>}
+   */
+  initialize() {
+    if (!this.ready) {
+      this.ready = openPendingDB().then(db => {
+        this.db = db;
+        window.addEventListener('online', () => this.process());
+        // The service worker ran some jobs
+        navigator.serviceWorker?.addEventListener('message', (event) => {
+          if (event.data?.type === 'OUTBOX_CHANGED') this.notifyChange();
+        });
+        this.notifyChange();
+        console.log('✅ Outbox ready');
+        return db;
+      });
+    }
+    return this.ready;
+  }
+
+  /**
+   * Register what uploads one type of job
+   * @param {string} type
+   * @param {object} handler
+   * @param {function} handler.run - (job, { dependencies }) => Promise<result>
+   * @param {function} handler.canRun - Optional; resolves false while the job
+   *                                    can't be tried at all (e.g. signed out)
+   * @param {string} handler.label - e.g. 'Photo'
+   * @param {string} handler.icon
+   */
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+    this.process();
+  }
+
+  /**
+   * Add a job
+   * @param {string} type
+   * @param {object} payload - Whatever the type's handler needs
+   * @param {object} options - { idempotencyKey, dependsOn, label, userId }
+   * @returns {Promise<object>} The job - the existing one when the
+   *                            idempotency key was queued before
+   */
+  async enqueue(type, payload, options = {}) {
+    await this.initialize();
+
+    const id = `job_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`;
+    const job = {
+      id,
+      type,
+      payload,
+      idempotencyKey: options.idempotencyKey || `${type}_${id}`,
+      dependsOn: options.dependsOn || [],
+      label: options.label || null,
+      userId: options.userId || null,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: 0,
+      lastError: null,
+      result: null,
+      createdAt: Date.now()
+    };
+
+    const saved = await this.addJob(job);
+    if (saved.id === job.id) {
+      console.log(`📤 Queued ${type} upload: ${job.id}`);
+      this.notifyChange();
+      this.requestBackgroundSync();
+      if (navigator.onLine) this.process();
+    }
+    return saved;
+  }
+
+  addJob(job) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['outbox'], 'readwrite');
+      const store = transaction.objectStore('outbox');
+      let saved = job;
+
+      const request = store.index('idempotencyKey').get(job.idempotencyKey);
+      request.onsuccess = () => {
+        if (request.result) {
+          saved = request.result;
+        } else {
+          store.add(job);
+        }
+      };
+      transaction.oncomplete = () => resolve(saved);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  async getJobs() {
+    await this.initialize();
+
+    return new Promise((resolve, reject) => {
+      const request = this.db.transaction(['outbox'], 'readonly').objectStore('outbox').getAll();
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async findJob(idempotencyKey) {
+    await this.initialize();
+
+    return new Promise((resolve, reject) => {
+      const request = this.db.transaction(['outbox'], 'readonly')
+        .objectStore('outbox').index('idempotencyKey').get(idempotencyKey);
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Change one job inside a single transaction
+   * @param {function} change - Gets the job; returns false to leave it alone
+   * @returns {Promise<object|null>} The changed job, or null
+   */
+  updateJob(id, change) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['outbox'], 'readwrite');
+      const store = transaction.objectStore('outbox');
+      let result = null;
+
+      const request = store.get(id);
+      request.onsuccess = () => {
+        const job = request.result;
+        if (job && change(job) !== false) {
+          store.put(job);
+          result = job;
+        }
+      };
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  deleteJobs(ids) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['outbox'], 'readwrite');
+      const store = transaction.objectStore('outbox');
+      ids.forEach(id => store.delete(id));
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * How many jobs are in each state. `total` is everything not uploaded yet
+   * @returns {Promise<object>} { pending, running, failed, done, total, byType }
+   */
+  async getCounts() {
+    const counts = { pending: 0, running: 0, failed: 0, done: 0, total: 0, byType: {} };
+
+    try {
+      const jobs = await this.getJobs();
+      jobs.forEach(job => {
+        const status = currentStatus(job);
+        counts[status] = (counts[status] || 0) + 1;
+        if (status !== 'done') {
+          counts.total++;
+          counts.byType[job.type] = (counts.byType[job.type] || 0) + 1;
+        }
+      });
+    } catch (error) {
+      console.warn('⚠️ Could not count outbox jobs:', error);
+    }
+    return counts;
+  }
+
+  // ==================== Processing ====================
+
+  /**
+   * Run every job that is due, in the order they were queued, until none
+   * are left. Calls while a run is going on join it
+   * @returns {Promise<object>} { done, retrying, failed } for this run
+   */
+  process() {
+    if (this.processing) {
+      this.processAgain = true;
+      return this.processing;
+    }
+
+    this.processing = this.runDueJobs()
+      .catch(error => {
+        console.error('❌ Outbox run failed:', error);
+        return { done: 0, retrying: 0, failed: 0 };
+      })
+      .finally(() => {
+        this.processing = null;
+      });
+    return this.processing;
+  }
+
+  async runDueJobs() {
+    const summary = { done: 0, retrying: 0, failed: 0 };
+    await this.initialize();
+
+    do {
+      this.processAgain = false;
+      if (!navigator.onLine) break;
+
+      const readyTypes = new Set();
+      for (const [type, handler] of this.handlers) {
+        const ready = handler.canRun ? await handler.canRun().catch(() => false) : true;
+        if (ready) readyTypes.add(type);
+      }
+
+      let job;
+      while ((job = await this.claimNext(readyTypes))) {
+        summary[await this.runJob(job)]++;
+      }
+    } while (this.processAgain);
+
+    await this.scheduleRetry();
+    return summary;
+  }
+
+  /**
+   * Claim the oldest job that can run now
+   * @param {Set<string>} readyTypes - Types this page can run at the moment
+   * @returns {Promise<object|null>}
+   */
+  claimNext(readyTypes) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['outbox'], 'readwrite');
+      const store = transaction.objectStore('outbox');
+      let claimed = null;
+
+      const request = store.getAll();
+      request.onsuccess = () => {
+        const jobs = request.result || [];
+        const jobsById = new Map(jobs.map(job => [job.id, job]));
+        const next = jobs
+          .filter(job => readyTypes.has(job.type) && isDue(job) && waitingOn(job, jobsById).length === 0)
+          .sort((a, b) => a.createdAt - b.createdAt)[0];
+
+        if (next) {
+          next.status = 'running';
+          next.claimedAt = Date.now();
+          store.put(next);
+          claimed = next;
+        }
+      };
+      transaction.oncomplete = () => resolve(claimed);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Run one claimed job and record the outcome
+   * @returns {Promise<string>} 'done', 'retrying' or 'failed'
+   */
+  async runJob(job) {
+    const handler = this.handlers.get(job.type);
+    this.notifyChange();
+
+    try {
+      const jobs = await this.getJobs();
+      const dependencies = jobs.filter(entry => (job.dependsOn || []).includes(entry.id));
+      const result = await handler.run(job, { dependencies });
+
+      await this.updateJob(job.id, (entry) => {
+        entry.status = 'done';
+        entry.result = result ?? null;
+        entry.completedAt = Date.now();
+        entry.lastError = null;
+        delete entry.claimedAt;
+        delete entry.nextAttemptAt;
+      });
+      console.log(`✅ Uploaded ${job.type}: ${job.id}`);
+      return 'done';
+    } catch (error) {
+      console.error(`❌ ${job.type} upload failed:`, error);
+
+      const entry = await this.updateJob(job.id, (entry) => {
+        entry.attempts = (entry.attempts || 0) + 1;
+        entry.lastError = String(error?.message || error);
+        delete entry.claimedAt;
+        if (error?.permanent || entry.attempts >= OUTBOX_RETRY.maxAttempts) {
+          entry.status = 'failed';
+        } else {
+          entry.status = 'pending';
+          entry.nextAttemptAt = Date.now() + getRetryDelay(entry.attempts);
+        }
+      });
+      return entry?.status === 'failed' ? 'failed' : 'retrying';
+    } finally {
+      this.notifyChange();
+    }
+  }
+
+  /**
+   * Wake up for the next job coming out of backoff, and let the service
+   * worker take over if the tab is closed before then
+   */
+  async scheduleRetry() {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+
+    const jobs = await this.getJobs();
+    const wakeTimes = jobs.map(job => {
+      if (job.status === 'pending' && job.nextAttemptAt > Date.now()) return job.nextAttemptAt;
+      if (job.status === 'running') return (job.claimedAt || 0) + OUTBOX_RETRY.claimTimeout;
+      return Infinity;
+    });
+    const next = Math.min(...wakeTimes);
+    if (!isFinite(next)) return;
+
+    const delay = Math.min(OUTBOX_RETRY.maxDelay, Math.max(0, next - Date.now())) + 1000;
+    this.retryTimer = setTimeout(() => this.process(), delay);
+    this.requestBackgroundSync();
+  }
+
+  /**
+   * Ask the service worker to run the outbox when there's a connection
+   */
+  async requestBackgroundSync() {
+    try {
+      const registration = await navigator.serviceWorker?.ready;
+      if (registration?.sync) {
+        await registration.sync.register('sync-outbox');
+      }
+    } catch (error) {
+      // Not supported or not allowed - the page runs the outbox when online
+      console.warn('⚠️ Background sync not available:', error);
+    }
+  }
+
+  // ==================== Managing Jobs ====================
+
+  /**
+   * Try a failed (or backing off) job again now, with any of the jobs it
+   * depends on that failed
+   */
+  async retry(id) {
+    const jobs = await this.getJobs();
+    const job = jobs.find(entry => entry.id === id);
+    if (!job) return this.process();
+
+    const ids = [id, ...(job.dependsOn || [])];
+    for (const entry of jobs.filter(entry => ids.includes(entry.id))) {
+      if (entry.status !== 'failed' && entry.status !== 'pending') continue;
+      await this.updateJob(entry.id, (current) => {
+        current.status = 'pending';
+        current.attempts = 0;
+        current.nextAttemptAt = 0;
+      });
+    }
+    this.notifyChange();
+    return this.process();
+  }
+
+  async retryFailed() {
+    const failed = (await this.getJobs()).filter(job => job.status === 'failed');
+    for (const job of failed) {
+      await this.updateJob(job.id, (entry) => {
+        entry.status = 'pending';
+        entry.attempts = 0;
+        entry.nextAttemptAt = 0;
+      });
+    }
+    this.notifyChange();
+    return this.process();
+  }
+
+  /**
+   * Drop a job without uploading it, with the unfinished jobs only it was
+   * waiting for. Jobs that depend on it go ahead without its result (a
+   * guide keeps the photo inline)
+   */
+  async discard(id) {
+    const jobs = await this.getJobs();
+    const job = jobs.find(entry => entry.id === id);
+    if (!job) return;
+
+    const neededElsewhere = new Set(jobs
+      .filter(entry => entry.id !== id)
+      .flatMap(entry => entry.dependsOn || []));
+    const orphans = jobs.filter(entry =>
+      (job.dependsOn || []).includes(entry.id) &&
+      entry.status !== 'done' && entry.status !== 'running' &&
+      !neededElsewhere.has(entry.id));
+
+    await this.deleteJobs([id, ...orphans.map(entry => entry.id)]);
+    this.notifyChange();
+    this.process();
+  }
+
+  /**
+   * Remove finished jobs that nothing still waiting depends on
+   * @returns {Promise<Array>} The removed jobs
+   */
+  async clearDone() {
+    const jobs = await this.getJobs();
+    const stillNeeded = new Set(jobs
+      .filter(job => job.status !== 'done')
+      .flatMap(job => job.dependsOn || []));
+    const removable = jobs.filter(job => job.status === 'done' && !stillNeeded.has(job.id));
+
+    if (removable.length > 0) {
+      await this.deleteJobs(removable.map(job => job.id));
+      this.notifyChange();
+    }
+    return removable;
+  }
+
+  /**
+   * Run everything now, with feedback
+   */
+  async syncNow() {
+    if (!navigator.onLine) {
+      toast.warning('Cannot sync while offline');
+      return;
+    }
+
+    const before = await this.getCounts();
+    if (before.total === 0) {
+      toast.success('Everything is uploaded ✓');
+      return;
+    }
+
+    toast.info(`Syncing ${before.total} item${before.total !== 1 ? 's' : ''}...`);
+    await this.process();
+
+    const remaining = await this.getCounts();
+    if (remaining.total === 0) {
+      toast.success('All items synced! ✓');
+    } else if (remaining.failed > 0) {
+      toast.warning(`${remaining.failed} item${remaining.failed !== 1 ? 's' : ''} failed - open the upload queue to retry`);
+    } else {
+      toast.warning(`${remaining.total} item${remaining.total !== 1 ? 's' : ''} still pending`);
+    }
+  }
+
+  // ==================== UI ====================
+
+  /**
+   * Update the pending count badges and tell the rest of the app
+   */
+  notifyChange() {
+    clearTimeout(this.changeTimer);
+    this.changeTimer = setTimeout(async () => {
+      const counts = await this.getCounts();
+
+      document.querySelectorAll('.pending-sync-count').forEach(el => {
+        el.textContent = counts.total;
+        el.style.display = counts.total > 0 ? 'flex' : 'none';
+      });
+
+      window.dispatchEvent(new CustomEvent('outboxchange', { detail: counts }));
+
+      const panel = document.getElementById('outboxPanel');
+      if (panel) this.refreshPanel(panel);
+    }, 100);
+  }
+
+  /**
+   * Show every queued upload with its state, with retry and discard
+   */
+  async showStatus() {
+    this.injectStyles();
+
+    const closed = modal.show({
+      type: 'info',
+      icon: '📤',
+      title: 'Upload Queue',
+      html: '<div id="outboxPanel" class="outbox-panel" aria-live="polite"><p>Loading…</p></div>',
+      buttons: [
+        { label: 'Sync Now', action: 'sync', variant: 'secondary' },
+        { label: 'Close', action: 'close', variant: 'primary' }
+      ]
+    });
+
+    const panel = document.getElementById('outboxPanel');
+    if (panel) {
+      panel.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-outbox-action]');
+        if (button) this.handlePanelAction(button.dataset.outboxAction, button.dataset.jobId);
+      });
+      await this.refreshPanel(panel);
+    }
+
+    const action = await closed;
+    if (action === 'sync') await this.syncNow();
+    return action;
+  }
+
+  async handlePanelAction(action, jobId) {
+    try {
+      if (action === 'retry') {
+        await this.retry(jobId);
+      } else if (action === 'retry-failed') {
+        await this.retryFailed();
+      } else if (action === 'discard') {
+        const confirmed = await modal.confirm(
+          'Remove this item from the upload queue? It will not be uploaded.',
+          '🗑️ Discard Upload'
+        );
+        if (confirmed) await this.discard(jobId);
+      } else if (action === 'clear-done') {
+        const removed = await this.clearDone();
+        toast.info(removed.length ? `Cleared ${removed.length} uploaded item${removed.length !== 1 ? 's' : ''}` : 'Nothing to clear');
+      }
+    } catch (error) {
+      console.error('❌ Upload queue action failed:', error);
+      toast.error('Could not update the upload queue');
+    }
+  }
+
+  async refreshPanel(panel) {
+    try {
+      const jobs = await this.getJobs();
+      if (panel.isConnected) panel.innerHTML = this.renderJobs(jobs);
+    } catch (error) {
+      console.error('❌ Failed to read the upload queue:', error);
+      panel.innerHTML = '<p>Could not read the upload queue.</p>';
+    }
+  }
+
+  renderJobs(jobs) {
+    if (jobs.length === 0) {
+      return '<p class="outbox-empty">📭 Nothing waiting to upload</p>';
+    }
+
+    const jobsById = new Map(jobs.map(job => [job.id, job]));
+    const order = { failed: 0, running: 1, pending: 2, done: 3 };
+    const sorted = [...jobs].sort((a, b) =>
+      order[currentStatus(a)] - order[currentStatus(b)] || a.createdAt - b.createdAt);
+
+    const rows = sorted.map(job => {
+      const status = currentStatus(job);
+      const handler = this.handlers.get(job.type);
+      const typeLabel = `${handler?.icon || '📤'} ${handler?.label || job.type}`;
+      const waiting = waitingOn(job, jobsById);
+
+      let detail = '';
+      if (status === 'pending' && waiting.length > 0) {
+        detail = `Waits for ${waiting.length} other item${waiting.length !== 1 ? 's' : ''} to upload first`;
+      } else if (status === 'pending' && !handler) {
+        detail = 'Uploaded from another page of the app';
+      } else if (status === 'pending' && job.nextAttemptAt > Date.now()) {
+        detail = `Trying again at ${new Date(job.nextAttemptAt).toLocaleTimeString()}`;
+      } else if (status === 'done' && job.completedAt) {
+        detail = `Uploaded ${new Date(job.completedAt).toLocaleString()}`;
+      }
+
+      const actions = [
+        status === 'failed' || (status === 'pending' && job.attempts > 0)
+          ? `<button type="button" data-outbox-action="retry" data-job-id="${escapeHtml(job.id)}">🔄 Retry</button>` : '',
+        status !== 'running' && status !== 'done'
+          ? `<button type="button" data-outbox-action="discard" data-job-id="${escapeHtml(job.id)}">🗑️ Discard</button>` : ''
+      ].join('');
+
+      return `
+        <li class="outbox-job ${status}">
+          <div class="outbox-job-head">
+            <strong>${typeLabel}</strong>
+            <span class="outbox-job-status">${STATUS_LABELS[status] || status}</span>
+          </div>
+          ${job.label ? `<div class="outbox-job-label">${escapeHtml(job.label)}</div>` : ''}
+          ${detail ? `<div class="outbox-job-detail">${escapeHtml(detail)}</div>` : ''}
+          ${job.lastError && status !== 'done' ? `
+            <div class="outbox-job-error">
+              ${escapeHtml(job.lastError)}${job.attempts ? ` (attempt ${job.attempts} of ${OUTBOX_RETRY.maxAttempts})` : ''}
+            </div>` : ''}
+          ${actions ? `<div class="outbox-job-actions">${actions}</div>` : ''}
+        </li>`;
+    }).join('');
+
+    const hasFailed = jobs.some(job => job.status === 'failed');
+    const hasDone = jobs.some(job => job.status === 'done');
+
+    return `
+      <ul class="outbox-jobs">${rows}</ul>
+      <div class="outbox-panel-actions">
+        ${hasFailed ? '<button type="button" data-outbox-action="retry-failed">🔄 Retry all failed</button>' : ''}
+        ${hasDone ? '<button type="button" data-outbox-action="clear-done">🧹 Clear uploaded</button>' : ''}
+      </div>
+    `;
+  }
+
+  injectStyles() {
+    if (document.getElementById('outbox-styles')) return;
+
+    const styles = document.createElement('style');
+    styles.id = 'outbox-styles';
+    styles.textContent = `
+      .outbox-panel {
+        text-align: left;
+        font-size: 14px;
+        max-height: 60vh;
+        overflow-y: auto;
+      }
+
+      .outbox-jobs {
+        list-style: none;
+        margin: 0;
+        padding: 0;
+      }
+
+      .outbox-job {
+        padding: 10px 12px;
+        margin-bottom: 8px;
+        border-radius: 8px;
+        border-left: 4px solid #f59e0b;
+        background: #fef3c7;
+      }
+
+      .outbox-job.running {
+        border-left-color: #3b82f6;
+        background: #dbeafe;
+      }
+
+      .outbox-job.failed {
+        border-left-color: #dc2626;
+        background: #fee2e2;
+      }
+
+      .outbox-job.done {
+        border-left-color: #22c55e;
+        background: #dcfce7;
+      }
+
+      .outbox-job-head {
+        display: flex;
+        justify-content: space-between;
+        gap: 8px;
+      }
+
+      .outbox-job-status {
+        font-size: 13px;
+        color: #374151;
+        white-space: nowrap;
+      }
+
+      .outbox-job-label {
+        margin-top: 4px;
+        color: #1f2937;
+      }
+
+      .outbox-job-detail {
+        margin-top: 4px;
+        font-size: 13px;
+        color: #4b5563;
+      }
+
+      .outbox-job-error {
+        margin-top: 4px;
+        font-size: 13px;
+        color: #991b1b;
+      }
+
+      .outbox-job-actions,
+      .outbox-panel-actions {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 6px;
+        margin-top: 8px;
+      }
+
+      .outbox-panel button {
+        min-height: 36px;
+        padding: 4px 12px;
+        border: 1px solid #d1d5db;
+        border-radius: 6px;
+        background: #ffffff;
+        font-size: 13px;
+        cursor: pointer;
+      }
+
+      .outbox-empty {
+        text-align: center;
+        padding: 24px 0;
+        color: #6b7280;
+      }
+    `;
+    document.head.appendChild(styles);
+  }
+}
+
+// Create and export singleton
+export const outbox = new Outbox();
+
+export default outbox;
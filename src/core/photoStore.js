@@ -0,0 +1,304 @@
+/**
+ * Photo Store
+ * Photos kept as Blobs in the IndexedDB `photos` store; route points hold
+ * only a reference:
+ *   { type: 'photo', photoId: 'photo_...', coords, caption, ... }
+ *
+ * - Anything that leaves the device (file exports, trail guides, cloud
+ *   uploads) calls resolveRouteData() to get the photos back as data URLs
+ * - On screen, getPhotoURL()/getThumbnailURL() hand out object URLs;
+ *   thumbnails are made the first time they're asked for and then stored
+ * - Routes saved before this (data URL in `content`) are moved over once
+ *   by migrateRouteData(); until then, and when IndexedDB isn't available,
+ *   photos with `content` keep working as before
+ * - To free space, reduceToThumbnail() swaps a photo for its thumbnail; the
+ *   record is then marked `reduced`
+ *
+ * Access Nature - Storage
+ * Created: October 2026
+ */
+
+const THUMBNAIL_CONFIG = {
+  maxSize: 320,
+  quality: 0.7
+};
+
+/**
+ * Whether a route point is a stored photo reference
+ * @param {object} entry
+ * @returns {boolean}
+ */
+export function isPhotoRef(entry) {
+  return entry?.type === 'photo' && typeof entry.photoId === 'string';
+}
+
+/**
+ * IDs of the stored photos a route refers to
+ * @param {Array} routeData
+ * @returns {Array<string>}
+ */
+export function getPhotoIds(routeData) {
+  if (!Array.isArray(routeData)) return [];
+  return routeData.filter(isPhotoRef).map(entry => entry.photoId);
+}
+
+/**
+ * Convert a data URL to a Blob without a network round trip
+ * @param {string} dataURL
+ * @returns {Blob}
+ */
+export function dataURLToBlob(dataURL) {
+  const [header, data] = dataURL.split(',');
+  const mimeType = /^data:([^;,]+)/.exec(header)?.[1] || 'application/octet-stream';
+
+  if (!/;base64/.test(header)) {
+    return new Blob([decodeURIComponent(data)], { type: mimeType });
+  }
+
+  const binary = atob(data);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Blob([bytes], { type: mimeType });
+}
+
+function blobToDataURL(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error('Failed to read photo'));
+    reader.readAsDataURL(blob);
+  });
+}
+
+export class PhotoStore {
+  constructor() {
+    this.db = null;
+    this.urls = new Map();
+  }
+
+  /**
+   * Use an initialised RouteDB (AppState does this once IndexedDB is open)
+   * @param {RouteDB} routeDB
+   */
+  attach(routeDB) {
+    this.db = routeDB;
+  }
+
+  get isAvailable() {
+    return !!this.db?.db;
+  }
+
+  /**
+   * Store a photo
+   * @param {Blob} blob
+   * @returns {Promise<string>} Photo id for the route point's `photoId`
+   */
+  async savePhoto(blob) {
+    if (!this.isAvailable) throw new Error('Photo storage not available');
+
+    const id = `photo_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`;
+    await this.db.savePhoto({
+      id,
+      blob,
+      mimeType: blob.type || 'image/jpeg',
+      size: blob.size,
+      createdAt: Date.now(),
+      thumbnail: null
+    });
+    return id;
+  }
+
+  async getPhotoBlob(id) {
+    if (!this.isAvailable || !id) return null;
+    const record = await this.db.getPhoto(id);
+    return record?.blob || null;
+  }
+
+  /**
+   * Object URL for showing a photo on screen
+   * @param {object|string} entry - Photo route point, or a photo id
+   * @returns {Promise<string|null>}
+   */
+  async getPhotoURL(entry) {
+    if (typeof entry === 'object' && entry?.content) return entry.content;
+    const id = typeof entry === 'string' ? entry : entry?.photoId;
+    return this.getCachedURL(id, async () => this.getPhotoBlob(id));
+  }
+
+  /**
+   * Object URL for a small version of a photo, made on first use
+   * @param {object|string} entry - Photo route point, or a photo id
+   * @returns {Promise<string|null>}
+   */
+  async getThumbnailURL(entry) {
+    if (typeof entry === 'object' && entry?.content) return entry.content;
+    const id = typeof entry === 'string' ? entry : entry?.photoId;
+    if (!this.isAvailable || !id) return null;
+
+    return this.getCachedURL(`${id}#thumb`, async () => {
+      const record = await this.db.getPhoto(id);
+      if (!record) return null;
+      if (record.thumbnail) return record.thumbnail;
+
+      try {
+        record.thumbnail = await this.createThumbnail(record.blob);
+        await this.db.savePhoto(record);
+        return record.thumbnail;
+      } catch (error) {
+        console.warn('⚠️ Could not create thumbnail, using full photo:', error);
+        return record.blob;
+      }
+    });
+  }
+
+  async getCachedURL(key, loadBlob) {
+    if (!key) return null;
+    if (this.urls.has(key)) return this.urls.get(key);
+
+    const blob = await loadBlob();
+    if (!blob) return null;
+
+    const url = URL.createObjectURL(blob);
+    this.urls.set(key, url);
+    return url;
+  }
+
+  async createThumbnail(blob) {
+    const bitmap = await createImageBitmap(blob);
+    const scale = Math.min(1, THUMBNAIL_CONFIG.maxSize / Math.max(bitmap.width, bitmap.height));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+    canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close?.();
+
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(result => {
+        if (result) resolve(result);
+        else reject(new Error('Thumbnail encoding failed'));
+      }, 'image/jpeg', THUMBNAIL_CONFIG.quality);
+    });
+  }
+
+  /**
+   * Copy of the route with stored photos put back as data URLs in `content`,
+   * for exports, guides and uploads
+   * @param {Array} routeData
+   * @returns {Promise<Array>} Photos that can't be found are left out
+   */
+  async resolveRouteData(routeData) {
+    if (!Array.isArray(routeData) || !routeData.some(isPhotoRef)) return routeData;
+
+    const resolved = await Promise.all(routeData.map(async entry => {
+      if (!isPhotoRef(entry) || entry.content) return entry;
+
+      const blob = await this.getPhotoBlob(entry.photoId).catch(() => null);
+      if (!blob) {
+        console.warn(`⚠️ Photo ${entry.photoId} is missing from storage`);
+        return null;
+      }
+      return { ...entry, content: await blobToDataURL(blob) };
+    }));
+
+    return resolved.filter(Boolean);
+  }
+
+  /**
+   * Move a route's data URL photos into the store
+   * @param {Array} routeData
+   * @returns {Promise<object>} { data, moved } - data is a new array when moved > 0
+   */
+  async migrateRouteData(routeData) {
+    if (!this.isAvailable || !Array.isArray(routeData)) return { data: routeData, moved: 0 };
+
+    let moved = 0;
+    const data = [];
+    for (const entry of routeData) {
+      if (entry?.type === 'photo' && typeof entry.content === 'string' && entry.content.startsWith('data:')) {
+        const { content, ...rest } = entry;
+        const photoId = await this.savePhoto(dataURLToBlob(content));
+        data.push({ ...rest, photoId });
+        moved++;
+      } else {
+        data.push(entry);
+      }
+    }
+
+    return { data: moved > 0 ? data : routeData, moved };
+  }
+
+  /**
+   * Delete stored photos no route refers to any more
+   * @param {Set<string>} referenced - Every photoId still in use
+   * @returns {Promise<number>} Number deleted
+   */
+  async removeUnreferenced(referenced) {
+    if (!this.isAvailable) return 0;
+
+    const orphans = (await this.db.getPhotoIds()).filter(id => !referenced.has(id));
+    if (orphans.length > 0) {
+      await this.db.deletePhotos(orphans);
+      orphans.forEach(id => this.releaseURL(id));
+    }
+    return orphans.length;
+  }
+
+  /**
+   * Stored size of each photo
+   * @returns {Promise<Map<string, object>>} id -> { size, thumbnailSize, reduced }
+   */
+  async getPhotoSizes() {
+    if (!this.isAvailable) return new Map();
+    return this.db.getPhotoSizes();
+  }
+
+  /**
+   * Replace a stored photo with its thumbnail to free space. Only for
+   * photos that have a full-size copy elsewhere (e.g. uploaded to the cloud)
+   * @param {string} id
+   * @returns {Promise<number>} Bytes freed
+   */
+  async reduceToThumbnail(id) {
+    if (!this.isAvailable) return 0;
+
+    const record = await this.db.getPhoto(id);
+    if (!record || record.reduced) return 0;
+
+    const thumbnail = record.thumbnail || await this.createThumbnail(record.blob);
+    const freed = Math.max(0, (record.size || record.blob.size) - thumbnail.size);
+
+    await this.db.savePhoto({
+      ...record,
+      blob: thumbnail,
+      thumbnail,
+      mimeType: thumbnail.type || 'image/jpeg',
+      size: thumbnail.size,
+      reduced: true
+    });
+    this.releaseURL(id);
+    return freed;
+  }
+
+  async deletePhotos(ids) {
+    if (!this.isAvailable || ids.length === 0) return;
+    await this.db.deletePhotos(ids);
+    ids.forEach(id => this.releaseURL(id));
+  }
+
+  releaseURL(id) {
+    [id, `${id}#thumb`].forEach(key => {
+      if (this.urls.has(key)) {
+        URL.revokeObjectURL(this.urls.get(key));
+        this.urls.delete(key);
+      }
+    });
+  }
+}
+
+// Create and export singleton
+export const photoStore = new PhotoStore();
+
+export default photoStore;
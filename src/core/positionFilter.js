@@ -0,0 +1,219 @@
+/**
+ * Position Filter Pipeline
+ * Cleans raw GPS fixes between watchPosition and the route model
+ *
+ * Stages run in order; each one may adjust the fix or drop it.
+ * - OutlierRejectionStage: drops inaccurate fixes and impossible jumps
+ * - KalmanSmoothingStage: smooths lat/lng using the reported accuracy
+ * - StationaryDetectionStage: holds position while the user isn't moving
+ *
+ * Access Nature - GPS Tracking
+ * Created: October 2026
+ */
+
+import { haversineDistance } from '../utils/calculations.js';
+
+const FILTER_CONFIG = {
+  // Fixes less accurate than this (m) are never used
+  maxAccuracy: 100,
+  // Fastest plausible travel speed (m/s) - brisk walk / power wheelchair
+  maxSpeed: 4,
+  // After this many jumps in a row, trust the new position (GPS re-lock after a tunnel etc.)
+  maxConsecutiveRejects: 5,
+  // Process noise for the Kalman smoother (m/s) - how fast the true position may drift
+  processNoise: 1.5,
+  // Radius (m) inside which the user is treated as stationary
+  stationaryRadius: 3,
+  // Reported speed (m/s) below which a fix counts as not moving
+  stationarySpeed: 0.3
+};
+
+/**
+ * Rejects fixes that are too inaccurate or imply an impossible speed
+ */
+export class OutlierRejectionStage {
+  constructor(options = {}) {
+    this.name = 'outlier';
+    this.maxAccuracy = options.maxAccuracy ?? FILTER_CONFIG.maxAccuracy;
+    this.maxSpeed = options.maxSpeed ?? FILTER_CONFIG.maxSpeed;
+    this.maxConsecutiveRejects = options.maxConsecutiveRejects ?? FILTER_CONFIG.maxConsecutiveRejects;
+    this.lastAccepted = null;
+    this.consecutiveRejects = 0;
+  }
+
+  process(fix) {
+    if (fix.accuracy > this.maxAccuracy) {
+      return { fix: null, reason: `accuracy ${Math.round(fix.accuracy)}m` };
+    }
+
+    if (this.lastAccepted) {
+      const seconds = Math.max(1, (fix.timestamp - this.lastAccepted.timestamp) / 1000);
+      const meters = haversineDistance(this.lastAccepted, fix) * 1000;
+      // Allow for the uncertainty of both fixes before calling it a jump
+      const allowed = this.maxSpeed * seconds + fix.accuracy + this.lastAccepted.accuracy;
+
+      if (meters > allowed && this.consecutiveRejects < this.maxConsecutiveRejects) {
+        this.consecutiveRejects++;
+        return { fix: null, reason: `jump ${Math.round(meters)}m in ${Math.round(seconds)}s` };
+      }
+    }
+
+    this.lastAccepted = fix;
+    this.consecutiveRejects = 0;
+    return { fix };
+  }
+
+  reset() {
+    this.lastAccepted = null;
+    this.consecutiveRejects = 0;
+  }
+}
+
+/**
+ * Kalman smoother treating lat/lng as a constant-position model
+ * with variance growing over time by the process noise
+ */
+export class KalmanSmoothingStage {
+  constructor(options = {}) {
+    this.name = 'kalman';
+    this.processNoise = options.processNoise ?? FILTER_CONFIG.processNoise;
+    this.reset();
+  }
+
+  process(fix) {
+    const accuracy = Math.max(1, fix.accuracy || 1);
+
+    if (this.variance < 0) {
+      this.lat = fix.lat;
+      this.lng = fix.lng;
+      this.variance = accuracy * accuracy;
+      this.timestamp = fix.timestamp;
+      return { fix: { ...fix } };
+    }
+
+    const seconds = Math.max(0, (fix.timestamp - this.timestamp) / 1000);
+    if (seconds > 0) {
+      this.variance += seconds * this.processNoise * this.processNoise;
+      this.timestamp = fix.timestamp;
+    }
+
+    const gain = this.variance / (this.variance + accuracy * accuracy);
+    this.lat += gain * (fix.lat - this.lat);
+    this.lng += gain * (fix.lng - this.lng);
+    this.variance = (1 - gain) * this.variance;
+
+    return {
+      fix: {
+        ...fix,
+        lat: this.lat,
+        lng: this.lng,
+        accuracy: Math.sqrt(this.variance)
+      }
+    };
+  }
+
+  reset() {
+    this.lat = 0;
+    this.lng = 0;
+    this.variance = -1;
+    this.timestamp = 0;
+  }
+}
+
+/**
+ * Marks fixes as stationary when they stay within a small radius
+ * of the last recorded point, so GPS drift doesn't add distance
+ */
+export class StationaryDetectionStage {
+  constructor(options = {}) {
+    this.name = 'stationary';
+    this.radius = options.stationaryRadius ?? FILTER_CONFIG.stationaryRadius;
+    this.stationarySpeed = options.stationarySpeed ?? FILTER_CONFIG.stationarySpeed;
+    this.anchor = null;
+  }
+
+  process(fix) {
+    if (!this.anchor) {
+      this.anchor = fix;
+      return { fix };
+    }
+
+    const meters = haversineDistance(this.anchor, fix) * 1000;
+    const reportedStill = typeof fix.speed === 'number' && fix.speed < this.stationarySpeed;
+    const radius = Math.max(this.radius, reportedStill ? fix.accuracy : 0);
+
+    if (meters < radius) {
+      return { fix: { ...fix, stationary: true } };
+    }
+
+    this.anchor = fix;
+    return { fix };
+  }
+
+  reset() {
+    this.anchor = null;
+  }
+}
+
+/**
+ * Runs a fix through the configured stages
+ */
+export class PositionFilterPipeline {
+  constructor(stages = []) {
+    this.stages = stages;
+  }
+
+  /**
+   * Add a stage to the end of the pipeline
+   * @param {object} stage - { name, process(fix) => { fix, reason }, reset() }
+   * @returns {PositionFilterPipeline}
+   */
+  use(stage) {
+    this.stages.push(stage);
+    return this;
+  }
+
+  /**
+   * Filter a raw fix
+   * @param {object} rawFix - { lat, lng, accuracy, altitude, altitudeAccuracy, speed, heading, timestamp }
+   * @returns {object} { point, stationary, rejectedBy, reason } - point is null when rejected
+   */
+  process(rawFix) {
+    let fix = rawFix;
+
+    for (const stage of this.stages) {
+      const result = stage.process(fix);
+      if (!result || !result.fix) {
+        return { point: null, stationary: false, rejectedBy: stage.name, reason: result?.reason || '' };
+      }
+      fix = result.fix;
+    }
+
+    return { point: fix, stationary: !!fix.stationary, rejectedBy: null, reason: '' };
+  }
+
+  reset() {
+    this.stages.forEach(stage => stage.reset?.());
+  }
+}
+
+/**
+ * Build the default pipeline used by TrackingController
+ * @param {object} options - Overrides for FILTER_CONFIG values
+ * @returns {PositionFilterPipeline}
+ */
+export function createDefaultPositionFilter(options = {}) {
+  return new PositionFilterPipeline([
+    new OutlierRejectionStage(options),
+    new KalmanSmoothingStage(options),
+    new StationaryDetectionStage(options)
+  ]);
+}
+
+export default {
+  PositionFilterPipeline,
+  OutlierRejectionStage,
+  KalmanSmoothingStage,
+  StationaryDetectionStage,
+  createDefaultPositionFilter
+};
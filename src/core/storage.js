@@ -1,13 +1,32 @@
 // FIXED: Storage controller with proper backup/restore data structures
 // Enhanced storage with IndexedDB migration - CORRECTED VERSION
 import { RouteDB } from './indexeddb.js';
+import { photoStore, getPhotoIds } from './photoStore.js';
+import { voiceClipStore, getVoiceClipIds } from './voiceClipStore.js';
+import { createMetricsCursor, applyPointMetrics, annotateRouteMetrics, hasRouteMetrics } from '../utils/routeMetrics.js';
+
+// Raw fixes kept per route; past this every other one is dropped, so a long
+// track keeps its whole length at a lower rate (~3 h at 1 fix/s before the first drop)
+const RAW_FIX_LIMIT = 10000;
+
+// localStorage only holds a few MB - raw fixes are left out of what's saved
+// there and kept only in IndexedDB
+function withoutRawFixes(record) {
+  const { rawFixes, rawFixStride, ...rest } = record;
+  return rest;
+}
 
 export class AppState {
   constructor() {
     this.routeData = [];
     this.pathPoints = [];
+    this.rawFixes = []; // Unfiltered GPS fixes kept alongside the smoothed route
+    this.rawFixStride = 1; // Keep every nth fix once RAW_FIX_LIMIT was reached
+    this.rawFixesSinceKept = 0;
+    this.metricsCursor = createMetricsCursor(); // Running distance/moving time/elevation for new points
     this.totalDistance = 0;
     this.elapsedTime = 0;
+    this.stoppedTime = 0; // Portion of elapsedTime spent auto-paused
     this.isTracking = false;
     this.isPaused = false;
     this.startTime = null;
@@ -30,6 +49,11 @@ export class AppState {
       
       // Migrate localStorage data if exists
       await this.migrateFromLocalStorage();
+      
+      // Photos and voice recordings live in their own stores from here on
+      photoStore.attach(this.routeDB);
+      voiceClipStore.attach(this.routeDB);
+      await this.migratePhotosToBlobs();
     } catch (error) {
       console.warn('⚠️ IndexedDB failed, falling back to localStorage:', error);
       this.dbReady = false;
@@ -107,6 +131,100 @@ export class AppState {
     }
   }
 
+  // Move photos and voice recordings saved as data URLs inside routes into
+  // their stores, leaving a photoId/audioId reference on each point. Safe to
+  // run on every start: routes without data URLs are left untouched
+  async migratePhotosToBlobs() {
+    try {
+      let movedPhotos = 0;
+      let movedClips = 0;
+      const migrate = async (routeData) => {
+        const photos = await photoStore.migrateRouteData(routeData);
+        const clips = await voiceClipStore.migrateRouteData(photos.data);
+        movedPhotos += photos.moved;
+        movedClips += clips.moved;
+        return { data: clips.data, moved: photos.moved + clips.moved };
+      };
+      
+      const routes = await this.routeDB.getAllRoutes();
+      for (const route of routes) {
+        const { data, moved } = await migrate(route.data);
+        if (moved > 0) {
+          await this.routeDB.updateRoute({ ...route, data, dataSize: JSON.stringify(data).length });
+        }
+      }
+      
+      const backup = await this.routeDB.getBackup();
+      if (backup?.routeData) {
+        const { data, moved } = await migrate(backup.routeData);
+        if (moved > 0) {
+          await this.routeDB.saveBackup({ ...backup, routeData: data });
+        }
+      }
+      
+      if (movedPhotos > 0) {
+        console.log(`📷 Moved ${movedPhotos} photos out of route data into the photo store`);
+      }
+      if (movedClips > 0) {
+        console.log(`🎙️ Moved ${movedClips} voice recordings out of route data into the voice clip store`);
+      }
+    } catch (error) {
+      // Photos stay as data URLs and keep working; the move is retried next start
+      console.error('❌ Photo migration failed:', error);
+    }
+  }
+
+  // Stored route data with photos and voice recordings put back as data
+  // URLs - for exports, trail guides and cloud uploads. Cloud documents
+  // should go through uploadVoiceClips() first, so recordings aren't inline
+  async resolvePhotos(routeData) {
+    return voiceClipStore.resolveRouteData(await photoStore.resolveRouteData(routeData));
+  }
+
+  // Route data for a cloud document: voice recordings uploaded to Firebase
+  // Storage and referenced by URL
+  async uploadVoiceClips(routeData, userId) {
+    return voiceClipStore.uploadRouteData(routeData, userId);
+  }
+
+  // Every stored photo and voice recording a saved route, the backup or the
+  // current route uses
+  async getReferencedPhotoIds() {
+    const referenced = new Set();
+    const addRoute = (routeData) => {
+      getPhotoIds(routeData).forEach(id => referenced.add(id));
+      getVoiceClipIds(routeData).forEach(id => referenced.add(id));
+    };
+    addRoute(this.routeData);
+    const sessions = await this.getSessions();
+    sessions.forEach(session => addRoute(session.data));
+    const backup = await this.routeDB.getBackup();
+    addRoute(backup?.routeData);
+    return referenced;
+  }
+
+  // Delete stored photos and voice recordings that no saved route, backup
+  // or current route uses
+  async cleanupUnusedPhotos() {
+    if (!this.dbReady) return 0;
+    
+    try {
+      const referenced = await this.getReferencedPhotoIds();
+      const removed = await photoStore.removeUnreferenced(referenced);
+      const removedClips = await voiceClipStore.removeUnreferenced(referenced);
+      if (removed > 0) {
+        console.log(`🧹 Removed ${removed} unused photos`);
+      }
+      if (removedClips > 0) {
+        console.log(`🧹 Removed ${removedClips} unused voice recordings`);
+      }
+      return removed;
+    } catch (error) {
+      console.warn('⚠️ Photo cleanup failed:', error);
+      return 0;
+    }
+  }
+
   // NEW: Recover from backup data
   async recoverFromBackup() {
     try {
@@ -140,11 +258,12 @@ export class AppState {
   }
 
   // Enhanced route point addition with better backup timing
+  // Every point carries cumulative distance (m), moving time (ms) and elevation
   addRoutePoint(entry) {
-    this.routeData.push({
+    this.routeData.push(applyPointMetrics(this.metricsCursor, {
       ...entry,
       timestamp: entry.timestamp || Date.now()
-    });
+    }));
     
     // Smart backup: every 10 points or every 2 minutes
     const shouldBackup = this.routeData.length % 10 === 0 || 
@@ -159,12 +278,77 @@ export class AppState {
     return [...this.routeData];
   }
 
+  // Update a recorded point in place - e.g. a voice note transcribed after
+  // the walk - in the current route or whichever saved route holds it
+  async updateRoutePoint(type, timestamp, changes) {
+    const matches = (entry) => entry && entry.type === type && entry.timestamp === timestamp;
+
+    const current = this.routeData.find(matches);
+    if (current) {
+      Object.assign(current, changes);
+      if (this.isTracking) this.autoSave();
+      return true;
+    }
+
+    const sessions = await this.getSessions();
+    const session = sessions.find(s => Array.isArray(s.data) && s.data.some(matches));
+    if (!session) return false;
+
+    Object.assign(session.data.find(matches), changes);
+    if (this.dbReady) {
+      await this.routeDB.updateRoute(session);
+    } else {
+      localStorage.setItem('sessions', JSON.stringify(sessions));
+    }
+    return true;
+  }
+
+  // Record that a saved route has been uploaded, so its full-size photos
+  // can later be dropped from the device
+  async markSessionSynced(sessionId, cloudId) {
+    const sessions = await this.getSessions();
+    const session = sessions.find(s => s.id === sessionId);
+    if (!session) return false;
+
+    session.cloudId = cloudId;
+    session.syncedAt = new Date().toISOString();
+    if (this.dbReady) {
+      await this.routeDB.updateRoute(session);
+    } else {
+      localStorage.setItem('sessions', JSON.stringify(sessions));
+    }
+    return true;
+  }
+
+  // Raw GPS fixes as received, before filtering
+  addRawFix(fix) {
+    if (++this.rawFixesSinceKept < this.rawFixStride) return;
+    this.rawFixesSinceKept = 0;
+    this.rawFixes.push(fix);
+
+    if (this.rawFixes.length >= RAW_FIX_LIMIT) {
+      // The newest fix is dropped (even limit), so count it as skipped
+      this.rawFixes = this.rawFixes.filter((_, index) => index % 2 === 0);
+      this.rawFixesSinceKept = this.rawFixStride;
+      this.rawFixStride *= 2;
+    }
+  }
+
+  getRawFixes() {
+    return [...this.rawFixes];
+  }
+
   // Enhanced clear with IndexedDB cleanup
   clearRouteData() {
     this.routeData = [];
     this.pathPoints = [];
+    this.rawFixes = [];
+    this.rawFixStride = 1;
+    this.rawFixesSinceKept = 0;
+    this.metricsCursor = createMetricsCursor();
     this.totalDistance = 0;
     this.elapsedTime = 0;
+    this.stoppedTime = 0;
     this.lastCoords = null;
     this.isTracking = false;
     this.isPaused = false;
@@ -207,6 +391,18 @@ export class AppState {
     return this.elapsedTime;
   }
 
+  setStoppedTime(time) {
+    this.stoppedTime = time;
+  }
+
+  getStoppedTime() {
+    return this.stoppedTime;
+  }
+
+  getMovingTime() {
+    return Math.max(0, this.elapsedTime - this.stoppedTime);
+  }
+
   setStartTime(time) {
     this.startTime = time;
   }
@@ -237,7 +433,10 @@ export class AppState {
       date: new Date().toISOString(),
       totalDistance: this.totalDistance,
       elapsedTime: this.elapsedTime,
+      movingTime: this.getMovingTime(),
+      stoppedTime: this.stoppedTime,
       data: [...this.routeData],
+      rawFixes: [...this.rawFixes],
       dataSize: JSON.stringify(this.routeData).length,
       version: '2.0' // Mark as new version
     };
@@ -250,7 +449,7 @@ export class AppState {
       } else {
         // Fallback to localStorage
         const sessions = await this.getSessions();
-        sessions.push(session);
+        sessions.push(withoutRawFixes(session));
         localStorage.setItem('sessions', JSON.stringify(sessions));
         console.log(`✅ Route "${name}" saved to localStorage (fallback)`);
       }
@@ -266,7 +465,7 @@ export class AppState {
         console.log('💾 IndexedDB quota exceeded, trying localStorage fallback...');
         try {
           const sessions = await this.getSessions();
-          sessions.push(session);
+          sessions.push(withoutRawFixes(session));
           localStorage.setItem('sessions', JSON.stringify(sessions));
           console.log('✅ Route saved to localStorage (quota fallback)');
           return session;
@@ -284,10 +483,13 @@ export class AppState {
     try {
       if (this.dbReady) {
         const routes = await this.routeDB.getAllRoutes();
+        this.backfillRouteMetrics(routes);
         return routes.sort((a, b) => new Date(b.date) - new Date(a.date));
       } else {
         // Fallback to localStorage
-        return JSON.parse(localStorage.getItem('sessions') || '[]');
+        const sessions = JSON.parse(localStorage.getItem('sessions') || '[]');
+        this.backfillRouteMetrics(sessions);
+        return sessions;
       }
     } catch (error) {
       console.error('❌ Failed to get sessions:', error);
@@ -301,9 +503,24 @@ export class AppState {
     }
   }
 
+  // Routes saved before points carried cumulative distance/moving time get them added on load
+  backfillRouteMetrics(routes) {
+    routes.forEach(route => {
+      if (!Array.isArray(route.data) || hasRouteMetrics(route.data)) return;
+
+      route.data = annotateRouteMetrics(route.data);
+      if (this.dbReady && route.id !== undefined) {
+        this.routeDB.updateRoute(route).catch(error => {
+          console.warn(`⚠️ Could not store back-filled metrics for "${route.name}":`, error);
+        });
+      }
+    });
+  }
+
   async autoSave() {
   // Get current elapsed time from timer if running
   let currentElapsed = this.elapsedTime;
+  let currentStopped = this.stoppedTime;
   
   // If tracking is active, get live elapsed time from timer
   if (this.isTracking) {
@@ -311,14 +528,18 @@ export class AppState {
     const timer = app?.getController('timer');
     if (timer && timer.isTimerRunning()) {
       currentElapsed = timer.getCurrentElapsed();
+      currentStopped = timer.getStoppedTime();
     }
   }
 
   const backup = {
     routeData: this.routeData,
     pathPoints: this.pathPoints,
+    rawFixes: this.rawFixes,
+    rawFixStride: this.rawFixStride,
     totalDistance: this.totalDistance,
     elapsedTime: currentElapsed,  // Fixed: Use live elapsed time
+    stoppedTime: currentStopped,
     startTime: this.startTime,
     isTracking: this.isTracking,
     isPaused: this.isPaused,
@@ -334,7 +555,7 @@ export class AppState {
       await this.routeDB.saveBackup(backup);
       console.log(`💾 Auto-backup to IndexedDB: ${this.routeData.length} points, ${this.totalDistance.toFixed(2)} km, ${Math.floor(currentElapsed/1000)}s elapsed`);
     } else {
-      localStorage.setItem('route_backup', JSON.stringify(backup));
+      localStorage.setItem('route_backup', JSON.stringify(withoutRawFixes(backup)));
       console.log(`💾 Auto-backup to localStorage: ${this.routeData.length} points, ${Math.floor(currentElapsed/1000)}s elapsed`);
     }
     this.lastBackupTime = Date.now();
@@ -342,7 +563,7 @@ export class AppState {
     console.warn('Auto-save failed:', error);
     // Fallback to localStorage
     try {
-      localStorage.setItem('route_backup', JSON.stringify(backup));
+      localStorage.setItem('route_backup', JSON.stringify(withoutRawFixes(backup)));
       console.log('💾 Auto-backup fallback to localStorage successful');
     } catch (fallbackError) {
       console.error('❌ Both IndexedDB and localStorage backup failed');
@@ -438,11 +659,16 @@ export class AppState {
         return false;
       }
       
-      // Handle both old and new backup formats
-      this.routeData = Array.isArray(backupData.routeData) ? backupData.routeData : [];
+      // Handle both old and new backup formats (older backups get cumulative metrics back-filled)
+      this.metricsCursor = createMetricsCursor();
+      this.routeData = annotateRouteMetrics(Array.isArray(backupData.routeData) ? backupData.routeData : [], this.metricsCursor);
       this.pathPoints = Array.isArray(backupData.pathPoints) ? backupData.pathPoints : [];
+      this.rawFixes = Array.isArray(backupData.rawFixes) ? backupData.rawFixes : [];
+      this.rawFixStride = backupData.rawFixStride || 1;
+      this.rawFixesSinceKept = 0;
       this.totalDistance = typeof backupData.totalDistance === 'number' ? backupData.totalDistance : 0;
       this.elapsedTime = typeof backupData.elapsedTime === 'number' ? backupData.elapsedTime : 0;
+      this.stoppedTime = typeof backupData.stoppedTime === 'number' ? backupData.stoppedTime : 0;
       this.startTime = backupData.startTime || null;
       
       // FIXED: Rebuild pathPoints from routeData if missing
@@ -594,6 +820,13 @@ redrawRouteOnMap() {
         info.usagePercent = estimate.usagePercent;
         info.usageFormatted = this.formatBytes(estimate.usage);
         info.quotaFormatted = this.formatBytes(estimate.quota);
+
+        // Photos are stored apart from the routes that show them
+        const photoSizes = [...(await photoStore.getPhotoSizes()).values()];
+        info.photoCount = photoSizes.length;
+        info.photoSize = photoSizes.reduce((total, photo) =>
+          total + photo.size + (photo.reduced ? 0 : photo.thumbnailSize), 0);
+        info.photoSizeFormatted = this.formatBytes(info.photoSize);
       } else {
         // Estimate localStorage usage
         let totalSize = 0;
@@ -624,6 +857,37 @@ redrawRouteOnMap() {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
   }
 
+  // Delete one saved route, and its stored photos and voice recordings
+  // unless something else uses them
+  async deleteSession(sessionId) {
+    const sessions = await this.getSessions();
+    const session = sessions.find(s => s.id === sessionId);
+    if (!session) return false;
+
+    if (this.dbReady) {
+      await this.routeDB.deleteRoute(sessionId);
+    }
+    // Routes saved before the migration, or while IndexedDB was unavailable
+    const stored = JSON.parse(localStorage.getItem('sessions') || '[]');
+    if (stored.some(s => s.id === sessionId)) {
+      localStorage.setItem('sessions', JSON.stringify(stored.filter(s => s.id !== sessionId)));
+    }
+
+    const photoIds = getPhotoIds(session.data);
+    const clipIds = getVoiceClipIds(session.data);
+    if (this.dbReady && (photoIds.length > 0 || clipIds.length > 0)) {
+      try {
+        const referenced = await this.getReferencedPhotoIds();
+        await photoStore.deletePhotos(photoIds.filter(id => !referenced.has(id)));
+        await voiceClipStore.deleteClips(clipIds.filter(id => !referenced.has(id)));
+      } catch (error) {
+        // Left for cleanupUnusedPhotos() on the next start
+        console.warn('⚠️ Could not delete the route\'s photos and recordings:', error);
+      }
+    }
+    return true;
+  }
+
   // Enhanced session management
   async clearAllSessions() {
     try {
@@ -634,6 +898,7 @@ redrawRouteOnMap() {
           await this.routeDB.deleteRoute(route.id);
         }
         console.log('🧹 All routes cleared from IndexedDB');
+        await this.cleanupUnusedPhotos();
       }
       // Also clear localStorage for compatibility
       localStorage.removeItem('sessions');
@@ -0,0 +1,790 @@
+/**
+ * Storage Manager
+ * Shows what is using space on the device - each saved route (with its
+ * photos), each offline map region and each upload queue - and frees it
+ * with cleanup policies
+ *
+ * - Asks the browser to keep our storage persistent (navigator.storage.persist)
+ *   once there is data worth keeping, so it isn't evicted under pressure
+ * - Warns once per browser session when usage passes QUOTA_THRESHOLDS
+ * - Cleanup is policy-driven: each policy in CLEANUP_POLICIES only removes
+ *   things that have a copy elsewhere or that nothing uses any more
+ *
+ * Access Nature - Storage
+ * Created: October 2026
+ */
+
+import { toast } from '../utils/toast.js';
+import { modal } from '../utils/modal.js';
+import { photoStore, getPhotoIds } from './photoStore.js';
+import { outbox } from './outbox.js';
+
+const QUOTA_THRESHOLDS = {
+  warning: 80,
+  critical: 95
+};
+
+const STORAGE_KEYS = {
+  persistRequested: 'accessNature_storagePersistRequested',
+  warnedLevel: 'accessNature_storageWarned' // sessionStorage
+};
+
+// Offline map regions older than this are offered for removal
+const OLD_REGION_DAYS = 60;
+
+export const CLEANUP_POLICIES = [
+  {
+    id: 'synced-photos',
+    icon: '☁️',
+    label: 'Shrink photos of routes saved to the cloud',
+    description: 'Keeps a small preview on this device. The full-size photos stay in the cloud.'
+  },
+  {
+    id: 'uploaded-queue',
+    icon: '📤',
+    label: 'Remove items that finished uploading',
+    description: 'Clears uploaded routes, guides, photos and surveys from the upload queues.'
+  },
+  {
+    id: 'unused-photos',
+    icon: '🧹',
+    label: 'Delete photos no route uses',
+    description: 'Photos left behind by discarded or deleted routes.'
+  },
+  {
+    id: 'old-map-regions',
+    icon: '🗺️',
+    label: `Remove offline maps older than ${OLD_REGION_DAYS} days`,
+    description: 'Map tiles still used by a newer region are kept.'
+  }
+];
+
+/**
+ * Tile URLs of an offline map region. Must match generateTileUrls() in
+ * sw.js, which downloads them
+ * @param {object} region - { bounds: { north, south, east, west }, zoom, maxZoom }
+ * @returns {Array<string>}
+ */
+export function getRegionTileUrls(region) {
+  const urls = [];
+  const tileServer = 'https://a.tile.openstreetmap.org';
+  const { bounds, zoom, maxZoom = 16 } = region;
+
+  const toTile = (lat, lng, z) => {
+    const n = Math.pow(2, z);
+    const latRad = lat * Math.PI / 180;
+    return {
+      x: Math.floor((lng + 180) / 360 * n),
+      y: Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n)
+    };
+  };
+
+  for (let z = zoom; z <= maxZoom; z++) {
+    const minTile = toTile(bounds.north, bounds.west, z);
+    const maxTile = toTile(bounds.south, bounds.east, z);
+    for (let x = minTile.x; x <= maxTile.x; x++) {
+      for (let y = minTile.y; y <= maxTile.y; y++) {
+        urls.push(`${tileServer}/${z}/${x}/${y}.png`);
+      }
+    }
+  }
+  return urls;
+}
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function jsonSize(value) {
+  try {
+    return JSON.stringify(value).length;
+  } catch (error) {
+    return 0;
+  }
+}
+
+class StorageManager {
+  constructor() {
+    this.appState = null;
+  }
+
+  /**
+   * @param {AppState} appState
+   */
+  initialize(appState) {
+    this.appState = appState;
+  }
+
+  // ==================== Quota & Persistence ====================
+
+  /**
+   * Browser storage usage for this site
+   * @returns {Promise<object>} { usage, quota, usagePercent } - zeros when unknown
+   */
+  async getEstimate() {
+    try {
+      if (navigator.storage?.estimate) {
+        const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+        return { usage, quota, usagePercent: quota ? (usage / quota) * 100 : 0 };
+      }
+    } catch (error) {
+      console.warn('Storage estimate not available:', error);
+    }
+    return { usage: 0, quota: 0, usagePercent: 0 };
+  }
+
+  async isPersisted() {
+    try {
+      return !!(await navigator.storage?.persisted?.());
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Ask the browser not to evict our data under storage pressure
+   * @param {object} options - { force } ask again even if asked before
+   * @returns {Promise<boolean>} Whether storage is persistent
+   */
+  async requestPersistence({ force = false } = {}) {
+    if (!navigator.storage?.persist) return false;
+    if (await this.isPersisted()) return true;
+
+    // Some browsers show a prompt - don't ask on every start
+    if (!force && localStorage.getItem(STORAGE_KEYS.persistRequested)) return false;
+
+    try {
+      const granted = await navigator.storage.persist();
+      localStorage.setItem(STORAGE_KEYS.persistRequested, new Date().toISOString());
+      console.log(granted ? '🔒 Persistent storage granted' : '⚠️ Persistent storage not granted');
+      return granted;
+    } catch (error) {
+      console.warn('Persistent storage request failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Warn when storage is getting full - once per level per browser session
+   * @returns {Promise<string|null>} 'warning', 'critical' or null
+   */
+  async checkQuota() {
+    const estimate = await this.getEstimate();
+    if (!estimate.quota) return null;
+
+    const level = estimate.usagePercent >= QUOTA_THRESHOLDS.critical ? 'critical'
+      : estimate.usagePercent >= QUOTA_THRESHOLDS.warning ? 'warning' : null;
+    if (!level) return null;
+
+    const warned = sessionStorage.getItem(STORAGE_KEYS.warnedLevel);
+    if (warned === level || (warned === 'critical' && level === 'warning')) return level;
+    sessionStorage.setItem(STORAGE_KEYS.warnedLevel, level);
+
+    const percent = Math.round(estimate.usagePercent);
+    if (level === 'critical') {
+      const open = await modal.confirm(
+        `Storage is ${percent}% full (${this.formatBytes(estimate.usage)} of ${this.formatBytes(estimate.quota)}). ` +
+        'New routes and photos may fail to save. Free up space now?',
+        '💾 Storage Almost Full'
+      );
+      if (open) this.showManager();
+    } else {
+      toast.warning(`Storage is ${percent}% full. Open Storage Manager to free up space.`, { duration: 8000 });
+    }
+    return level;
+  }
+
+  /**
+   * Call after saving something sizeable (a route, a photo, a map region)
+   */
+  async onDataSaved() {
+    await this.requestPersistence();
+    await this.checkQuota();
+  }
+
+  // ==================== Usage Breakdown ====================
+
+  /**
+   * Everything the manager shows
+   * @returns {Promise<object>} { estimate, persisted, routes, regions, queues, policies }
+   */
+  async getUsageReport() {
+    const [estimate, persisted, routes, regions, queues] = await Promise.all([
+      this.getEstimate(),
+      this.isPersisted(),
+      this.measureRoutes(),
+      this.measureMapRegions(),
+      this.measureQueues()
+    ]);
+
+    const report = { estimate, persisted, routes, regions, queues };
+    report.policies = await this.estimatePolicies(report);
+    return report;
+  }
+
+  /**
+   * Size of each saved route, with its photos
+   * @returns {Promise<Array>} Largest first
+   */
+  async measureRoutes() {
+    if (!this.appState) return [];
+
+    const sessions = await this.appState.getSessions();
+    const photoSizes = await photoStore.getPhotoSizes().catch(() => new Map());
+
+    return sessions.map(session => {
+      const photoIds = getPhotoIds(session.data);
+      const photos = photoIds.map(id => photoSizes.get(id)).filter(Boolean);
+      const inlinePhotos = (session.data || []).filter(entry => entry.type === 'photo' && entry.content);
+
+      const inlinePhotoBytes = inlinePhotos.reduce((sum, entry) => sum + entry.content.length, 0);
+      const storedPhotoBytes = photos.reduce((sum, photo) => sum + photo.size, 0);
+      const dataBytes = jsonSize(session) - inlinePhotoBytes;
+
+      return {
+        id: session.id,
+        name: session.name,
+        date: session.date,
+        synced: !!session.cloudId,
+        photoCount: photoIds.length + inlinePhotos.length,
+        reducedPhotos: photos.filter(photo => photo.reduced).length,
+        dataBytes,
+        photoBytes: storedPhotoBytes + inlinePhotoBytes,
+        totalBytes: dataBytes + storedPhotoBytes + inlinePhotoBytes
+      };
+    }).sort((a, b) => b.totalBytes - a.totalBytes);
+  }
+
+  async getMapCache() {
+    if (!window.caches) return null;
+    const names = await caches.keys();
+    const name = names.find(cacheName => cacheName.startsWith('access-nature-maps-'));
+    return name ? caches.open(name) : null;
+  }
+
+  /**
+   * Size of each offline map region (tiles shared by regions count for each)
+   * @returns {Promise<Array>}
+   */
+  async measureMapRegions() {
+    const regions = window.offlineMapsUI?.cachedRegions || [];
+    if (regions.length === 0) return [];
+
+    const cache = await this.getMapCache().catch(() => null);
+
+    const measured = [];
+    for (const [index, region] of regions.entries()) {
+      let bytes = 0;
+      let cachedTiles = 0;
+      if (cache) {
+        for (const url of getRegionTileUrls(region)) {
+          const response = await cache.match(url);
+          if (!response) continue;
+          cachedTiles++;
+          const length = Number(response.headers.get('content-length'));
+          bytes += length > 0 ? length : (await response.blob()).size;
+        }
+      }
+      measured.push({
+        index,
+        name: region.name,
+        downloadedAt: region.downloadedAt,
+        tileCount: region.tileCount,
+        cachedTiles,
+        bytes
+      });
+    }
+    return measured;
+  }
+
+  /**
+   * Size of each upload queue, split into waiting and finished items
+   * @returns {Promise<Array>}
+   */
+  async measureQueues() {
+    const summarize = (id, label, items, isDone) => {
+      const done = items.filter(isDone);
+      return {
+        id,
+        label,
+        count: items.length,
+        pendingCount: items.length - done.length,
+        doneCount: done.length,
+        bytes: jsonSize(items),
+        doneBytes: done.length ? jsonSize(done) : 0
+      };
+    };
+
+    const queues = [];
+    const offlineSync = window.offlineSync;
+    if (offlineSync?.db) {
+      const [routes, guides] = await Promise.all([
+        offlineSync.getPendingRoutes().catch(() => []),
+        offlineSync.getPendingGuides().catch(() => [])
+      ]);
+      queues.push(summarize('routes', '🥾 Route uploads', routes, item => item.status === 'uploaded'));
+      queues.push(summarize('guides', '🌐 Trail guide uploads', guides, item => item.status === 'uploaded'));
+    }
+
+    try {
+      // Finished jobs another job still needs aren't counted as clearable
+      const jobs = await outbox.getJobs();
+      const stillNeeded = new Set(jobs.filter(job => job.status !== 'done').flatMap(job => job.dependsOn || []));
+      queues.push(summarize('outbox', '📤 Upload queue', jobs,
+        job => job.status === 'done' && !stillNeeded.has(job.id)));
+    } catch (error) {
+      // Unreadable queue - nothing to show
+    }
+
+    return queues.filter(queue => queue.count > 0);
+  }
+
+  /**
+   * What each cleanup policy could free, from a usage report
+   * @param {object} report
+   * @returns {Promise<Array>} CLEANUP_POLICIES with { bytes, count } added
+   */
+  async estimatePolicies(report) {
+    const photoSizes = await photoStore.getPhotoSizes().catch(() => new Map());
+    const sessions = this.appState ? await this.appState.getSessions() : [];
+
+    const syncedPhotos = sessions
+      .filter(session => session.cloudId)
+      .flatMap(session => getPhotoIds(session.data))
+      .map(id => photoSizes.get(id))
+      .filter(photo => photo && !photo.reduced);
+
+    // Same rule as AppState.cleanupUnusedPhotos
+    const referenced = new Set(sessions.flatMap(session => getPhotoIds(session.data)));
+    getPhotoIds(this.appState?.getRouteData()).forEach(id => referenced.add(id));
+    if (this.appState?.dbReady) {
+      const backup = await this.appState.routeDB.getBackup().catch(() => null);
+      getPhotoIds(backup?.routeData).forEach(id => referenced.add(id));
+    }
+    const unused = [...photoSizes.entries()].filter(([id]) => !referenced.has(id));
+
+    const oldRegions = report.regions.filter(region => this.isOldRegion(region));
+
+    const estimates = {
+      'synced-photos': {
+        count: syncedPhotos.length,
+        // A thumbnail is roughly a tenth of the photo when it hasn't been made yet
+        bytes: syncedPhotos.reduce((sum, photo) =>
+          sum + photo.size - (photo.thumbnailSize || Math.round(photo.size / 10)), 0)
+      },
+      'uploaded-queue': {
+        count: report.queues.reduce((sum, queue) => sum + queue.doneCount, 0),
+        bytes: report.queues.reduce((sum, queue) => sum + queue.doneBytes, 0)
+      },
+      'unused-photos': {
+        count: unused.length,
+        bytes: unused.reduce((sum, [, photo]) => sum + photo.size, 0)
+      },
+      'old-map-regions': {
+        count: oldRegions.length,
+        bytes: oldRegions.reduce((sum, region) => sum + region.bytes, 0)
+      }
+    };
+
+    return CLEANUP_POLICIES.map(policy => ({ ...policy, ...estimates[policy.id] }));
+  }
+
+  isOldRegion(region) {
+    const downloaded = new Date(region.downloadedAt).getTime();
+    return !isNaN(downloaded) && Date.now() - downloaded > OLD_REGION_DAYS * 24 * 60 * 60 * 1000;
+  }
+
+  // ==================== Cleanup ====================
+
+  /**
+   * Run a cleanup policy
+   * @param {string} policyId - One of CLEANUP_POLICIES
+   * @returns {Promise<object>} { count, bytes } removed (bytes is approximate)
+   */
+  async applyPolicy(policyId) {
+    switch (policyId) {
+      case 'synced-photos':
+        return this.shrinkSyncedPhotos();
+      case 'uploaded-queue':
+        return this.clearUploadedQueueItems();
+      case 'unused-photos': {
+        const sizes = await photoStore.getPhotoSizes();
+        const before = [...sizes.values()].reduce((sum, photo) => sum + photo.size, 0);
+        const count = await this.appState.cleanupUnusedPhotos();
+        const after = [...(await photoStore.getPhotoSizes()).values()].reduce((sum, photo) => sum + photo.size, 0);
+        return { count, bytes: before - after };
+      }
+      case 'old-map-regions':
+        return this.removeOldMapRegions();
+      default:
+        throw new Error(`Unknown cleanup policy: ${policyId}`);
+    }
+  }
+
+  async shrinkSyncedPhotos() {
+    const sessions = await this.appState.getSessions();
+    const ids = sessions.filter(session => session.cloudId).flatMap(session => getPhotoIds(session.data));
+
+    let count = 0;
+    let bytes = 0;
+    for (const id of ids) {
+      try {
+        const freed = await photoStore.reduceToThumbnail(id);
+        if (freed > 0) {
+          count++;
+          bytes += freed;
+        }
+      } catch (error) {
+        console.warn(`⚠️ Could not shrink photo ${id}:`, error);
+      }
+    }
+    return { count, bytes };
+  }
+
+  async clearUploadedQueueItems() {
+    let count = 0;
+    let bytes = 0;
+
+    const offlineSync = window.offlineSync;
+    if (offlineSync?.db) {
+      const routes = (await offlineSync.getPendingRoutes()).filter(item => item.status === 'uploaded');
+      const guides = (await offlineSync.getPendingGuides()).filter(item => item.status === 'uploaded');
+      for (const route of routes) await offlineSync.deleteLocalRoute(route.localId);
+      for (const guide of guides) await offlineSync.deleteLocalGuide(guide.localId);
+      count += routes.length + guides.length;
+      bytes += jsonSize(routes) + jsonSize(guides);
+    }
+
+    const removed = await outbox.clearDone();
+    count += removed.length;
+    bytes += removed.length ? jsonSize(removed) : 0;
+
+    return { count, bytes };
+  }
+
+  async removeOldMapRegions() {
+    const mapsUI = window.offlineMapsUI;
+    if (!mapsUI) return { count: 0, bytes: 0 };
+
+    const old = mapsUI.cachedRegions.filter(region => this.isOldRegion(region));
+    if (old.length === 0) return { count: 0, bytes: 0 };
+
+    const kept = mapsUI.cachedRegions.filter(region => !old.includes(region));
+    const bytes = await this.removeRegionTiles(old, kept);
+
+    mapsUI.cachedRegions = kept;
+    mapsUI.saveCachedRegions();
+    return { count: old.length, bytes };
+  }
+
+  /**
+   * Delete the cached tiles of map regions, keeping tiles other regions use
+   * @param {Array} regions - Regions being removed
+   * @param {Array} keptRegions - Regions staying
+   * @returns {Promise<number>} Bytes freed
+   */
+  async removeRegionTiles(regions, keptRegions = []) {
+    const cache = await this.getMapCache().catch(() => null);
+    if (!cache) return 0;
+
+    const kept = new Set(keptRegions.flatMap(region => getRegionTileUrls(region)));
+    const urls = new Set(regions.flatMap(region => getRegionTileUrls(region)));
+
+    let bytes = 0;
+    for (const url of urls) {
+      if (kept.has(url)) continue;
+      const response = await cache.match(url);
+      if (!response) continue;
+      bytes += (await response.blob()).size;
+      await cache.delete(url);
+    }
+    return bytes;
+  }
+
+  // ==================== UI ====================
+
+  /**
+   * Open the storage manager dialog
+   */
+  async showManager() {
+    this.injectStyles();
+
+    const closed = modal.show({
+      type: 'info',
+      icon: '💾',
+      title: 'Storage Manager',
+      html: '<div id="storageManagerPanel" class="storage-manager" aria-live="polite"><p>Measuring storage…</p></div>',
+      buttons: [{ label: 'Close', action: 'close', variant: 'primary' }]
+    });
+
+    const panel = document.getElementById('storageManagerPanel');
+    if (!panel) return closed;
+
+    panel.addEventListener('click', (e) => {
+      const policyButton = e.target.closest('[data-policy]');
+      if (policyButton) {
+        this.runPolicyFromPanel(policyButton.dataset.policy, panel);
+        return;
+      }
+      if (e.target.closest('[data-storage-action="persist"]')) {
+        this.requestPersistence({ force: true }).then(granted => {
+          if (granted) toast.success('Your saved data is now protected from automatic cleanup');
+          else toast.info('The browser decided not to make storage persistent. Installing the app usually helps.');
+          this.refreshPanel(panel);
+        });
+      }
+    });
+
+    await this.refreshPanel(panel);
+    return closed;
+  }
+
+  async refreshPanel(panel) {
+    try {
+      const report = await this.getUsageReport();
+      if (panel.isConnected) panel.innerHTML = this.renderReport(report);
+    } catch (error) {
+      console.error('❌ Failed to measure storage:', error);
+      panel.innerHTML = '<p>Could not measure storage on this device.</p>';
+    }
+  }
+
+  async runPolicyFromPanel(policyId, panel) {
+    const policy = CLEANUP_POLICIES.find(p => p.id === policyId);
+    if (!policy) return;
+
+    const confirmed = await modal.confirm(`${policy.label}?\n\n${policy.description}`, `${policy.icon} Free Up Space`);
+    if (!confirmed) return;
+
+    try {
+      const result = await this.applyPolicy(policyId);
+      if (result.count > 0) {
+        toast.success(`Freed about ${this.formatBytes(result.bytes)} (${result.count} item${result.count === 1 ? '' : 's'})`);
+      } else {
+        toast.info('Nothing to clean up');
+      }
+    } catch (error) {
+      console.error('❌ Cleanup failed:', error);
+      toast.error('Cleanup failed: ' + error.message);
+    }
+
+    sessionStorage.removeItem(STORAGE_KEYS.warnedLevel);
+    await this.refreshPanel(panel);
+  }
+
+  renderReport({ estimate, persisted, routes, regions, queues, policies }) {
+    const percent = Math.min(100, estimate.usagePercent);
+    const level = percent >= QUOTA_THRESHOLDS.critical ? 'critical'
+      : percent >= QUOTA_THRESHOLDS.warning ? 'warning' : 'ok';
+
+    const usage = estimate.quota ? `
+      <div class="storage-usage">
+        <div class="storage-usage-text">
+          ${this.formatBytes(estimate.usage)} of ${this.formatBytes(estimate.quota)} used (${percent.toFixed(1)}%)
+        </div>
+        <div class="storage-bar" role="progressbar" aria-label="Storage used"
+             aria-valuemin="0" aria-valuemax="100" aria-valuenow="${Math.round(percent)}">
+          <div class="storage-bar-fill ${level}" style="width: ${percent}%"></div>
+        </div>
+      </div>` : '<p>This browser does not report how much storage is available.</p>';
+
+    const persistence = persisted
+      ? '<p class="storage-persist ok">🔒 Protected - the browser won\'t clear this data to save space</p>'
+      : `<p class="storage-persist">⚠️ Not protected - the browser may clear data when the device is low on space
+           <button type="button" class="storage-link-btn" data-storage-action="persist">Protect my data</button></p>`;
+
+    const routeRows = routes.map(route => `
+      <tr>
+        <th scope="row">${escapeHtml(route.name)}${route.synced ? ' <span class="storage-badge" title="Saved to the cloud">☁️</span>' : ''}</th>
+        <td>${route.photoCount}${route.reducedPhotos ? ` <small>(${route.reducedPhotos} shrunk)</small>` : ''}</td>
+        <td>${this.formatBytes(route.totalBytes)}</td>
+      </tr>`).join('');
+
+    const regionRows = regions.map(region => `
+      <tr>
+        <th scope="row">${escapeHtml(region.name)}</th>
+        <td>${region.cachedTiles} / ${region.tileCount}</td>
+        <td>${this.formatBytes(region.bytes)}</td>
+      </tr>`).join('');
+
+    const queueRows = queues.map(queue => `
+      <tr>
+        <th scope="row">${queue.label}</th>
+        <td>${queue.pendingCount} waiting${queue.doneCount ? `, ${queue.doneCount} done` : ''}</td>
+        <td>${this.formatBytes(queue.bytes)}</td>
+      </tr>`).join('');
+
+    const table = (caption, columns, rows, empty) => rows ? `
+      <table class="storage-table">
+        <caption>${caption}</caption>
+        <thead><tr>${columns.map(column => `<th scope="col">${column}</th>`).join('')}</tr></thead>
+        <tbody>${rows}</tbody>
+      </table>` : `<h4 class="storage-heading">${caption}</h4><p class="storage-empty">${empty}</p>`;
+
+    const policyButtons = policies.map(policy => `
+      <button type="button" class="storage-policy-btn" data-policy="${policy.id}" ${policy.count > 0 ? '' : 'disabled'}>
+        <span class="storage-policy-label">${policy.icon} ${policy.label}</span>
+        <span class="storage-policy-detail">
+          ${policy.count > 0 ? `${policy.count} item${policy.count === 1 ? '' : 's'} · about ${this.formatBytes(policy.bytes)}` : 'Nothing to clean up'}
+        </span>
+      </button>`).join('');
+
+    return `
+      ${usage}
+      ${persistence}
+      ${table('Saved routes', ['Route', 'Photos', 'Size'], routeRows, 'No saved routes')}
+      ${table('Offline map regions', ['Region', 'Tiles', 'Size'], regionRows, 'No offline maps downloaded')}
+      ${table('Upload queues', ['Queue', 'Items', 'Size'], queueRows, 'Nothing waiting to upload')}
+      <h4 class="storage-heading">Free up space</h4>
+      <div class="storage-policies">${policyButtons}</div>
+    `;
+  }
+
+  formatBytes(bytes) {
+    if (!bytes || bytes < 1024) return `${Math.max(0, Math.round(bytes || 0))} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+  }
+
+  injectStyles() {
+    if (document.getElementById('storage-manager-styles')) return;
+
+    const styles = document.createElement('style');
+    styles.id = 'storage-manager-styles';
+    styles.textContent = `
+      .storage-manager {
+        text-align: left;
+        font-size: 14px;
+        max-height: 60vh;
+        overflow-y: auto;
+      }
+
+      .storage-usage-text {
+        margin-bottom: 6px;
+        font-weight: 600;
+      }
+
+      .storage-bar {
+        height: 10px;
+        border-radius: 5px;
+        background: #e5e7eb;
+        overflow: hidden;
+      }
+
+      .storage-bar-fill {
+        height: 100%;
+        background: #2e7d32;
+      }
+
+      .storage-bar-fill.warning {
+        background: #d97706;
+      }
+
+      .storage-bar-fill.critical {
+        background: #dc2626;
+      }
+
+      .storage-persist {
+        margin: 10px 0;
+        color: #92400e;
+      }
+
+      .storage-persist.ok {
+        color: #166534;
+      }
+
+      .storage-link-btn {
+        margin-left: 4px;
+        padding: 0;
+        border: none;
+        background: none;
+        color: #1d4ed8;
+        text-decoration: underline;
+        font-size: inherit;
+        cursor: pointer;
+      }
+
+      .storage-table {
+        width: 100%;
+        margin: 12px 0;
+        border-collapse: collapse;
+      }
+
+      .storage-table caption,
+      .storage-heading {
+        margin: 12px 0 6px;
+        text-align: left;
+        font-weight: 700;
+        font-size: 15px;
+      }
+
+      .storage-table th,
+      .storage-table td {
+        padding: 6px 4px;
+        border-bottom: 1px solid #e5e7eb;
+        text-align: left;
+        font-weight: normal;
+      }
+
+      .storage-table thead th {
+        font-size: 12px;
+        color: #6b7280;
+      }
+
+      .storage-table td:last-child {
+        text-align: right;
+        white-space: nowrap;
+      }
+
+      .storage-empty {
+        margin: 0;
+        color: #6b7280;
+      }
+
+      .storage-policies {
+        display: flex;
+        flex-direction: column;
+        gap: 8px;
+      }
+
+      .storage-policy-btn {
+        display: flex;
+        flex-direction: column;
+        gap: 2px;
+        min-height: 48px;
+        padding: 10px 12px;
+        border: 1px solid #d1d5db;
+        border-radius: 10px;
+        background: #ffffff;
+        text-align: left;
+        cursor: pointer;
+      }
+
+      .storage-policy-btn:disabled {
+        opacity: 0.6;
+        cursor: default;
+      }
+
+      .storage-policy-label {
+        font-weight: 600;
+        font-size: 14px;
+      }
+
+      .storage-policy-detail {
+        font-size: 12px;
+        color: #4b5563;
+      }
+    `;
+    document.head.appendChild(styles);
+  }
+}
+
+// Create and export singleton
+export const storageManager = new StorageManager();
+
+export default storageManager;
@@ -6,6 +6,8 @@ export class TimerController {
     this.isRunning = false;
     this.intervalId = null;
     this.pausedTime = 0;
+    this.stoppedTime = 0;     // Time spent auto-paused (not moving) within elapsed time
+    this.stopStartedAt = null;
   }
 
   initialize() {
@@ -15,13 +17,15 @@ export class TimerController {
   }
 
   // FIXED: Start with optional elapsed time for restoration
-  start(resumeFromElapsed = 0) {
+  start(resumeFromElapsed = 0, resumeStoppedTime = 0) {
   if (this.isRunning) return;
 
   console.log(`⏱️ Timer starting${resumeFromElapsed > 0 ? ` (resuming from ${this.formatTime(resumeFromElapsed)})` : ''}`);
   
   // Set the elapsed time first
   this.elapsedTime = resumeFromElapsed;
+  this.stoppedTime = resumeStoppedTime;
+  this.stopStartedAt = null;
   
   // Set start time accounting for already elapsed time
   this.startTime = Date.now() - resumeFromElapsed;
@@ -74,7 +78,7 @@ export class TimerController {
     console.log(`▶️ Timer resuming from: ${this.formatTime(this.elapsedTime)}`);
     
     // Restart timer from current elapsed time
-    this.start(this.elapsedTime);
+    this.start(this.elapsedTime, this.stoppedTime);
   }
 
   // NEW: Get current elapsed time
@@ -85,6 +89,40 @@ export class TimerController {
     return this.elapsedTime;
   }
 
+  // NEW: Mark the user as stopped (auto-pause) - the clock keeps running
+  markStopped(since = Date.now()) {
+    if (this.stopStartedAt !== null) return;
+    this.stopStartedAt = since;
+    this.updateDisplay();
+  }
+
+  // NEW: Mark the user as moving again, returns the length of the stop (ms)
+  markMoving(at = Date.now()) {
+    if (this.stopStartedAt === null) return 0;
+    const duration = Math.max(0, at - this.stopStartedAt);
+    this.stoppedTime += duration;
+    this.stopStartedAt = null;
+    this.updateDisplay();
+    return duration;
+  }
+
+  // NEW: Time spent stopped, including a stop in progress
+  getStoppedTime() {
+    if (this.stopStartedAt !== null) {
+      return this.stoppedTime + Math.max(0, Date.now() - this.stopStartedAt);
+    }
+    return this.stoppedTime;
+  }
+
+  // NEW: Elapsed time minus stops
+  getMovingTime() {
+    return Math.max(0, this.getCurrentElapsed() - this.getStoppedTime());
+  }
+
+  isStopped() {
+    return this.stopStartedAt !== null;
+  }
+
   // NEW: Set elapsed time (for restoration)
   setElapsedTime(elapsed) {
     this.elapsedTime = elapsed;
@@ -103,6 +141,12 @@ export class TimerController {
     if (!this.element) return;
 
     this.element.textContent = this.formatTime(this.elapsedTime);
+
+    // Optional moving-time readout
+    const movingElement = document.getElementById('movingTime');
+    if (movingElement) {
+      movingElement.textContent = this.formatTime(Math.max(0, this.elapsedTime - this.getStoppedTime()));
+    }
   }
 
   formatTime(milliseconds) {
@@ -119,6 +163,8 @@ export class TimerController {
     this.stop();
     this.elapsedTime = 0;
     this.startTime = null;
+    this.stoppedTime = 0;
+    this.stopStartedAt = null;
     this.updateDisplay();
     console.log('🔄 Timer reset');
   }
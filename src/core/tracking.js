@@ -1,9 +1,13 @@
 // GPS tracking with proper save prompt
 import { haversineDistance } from '../utils/calculations.js';
+import { smoothAltitude, getSlopeStats } from '../utils/elevation.js';
+import { createDefaultPositionFilter } from './positionFilter.js';
+import { MovementDetector } from './movementDetector.js';
 import { toast } from '../utils/toast.js';
 import { modal } from '../utils/modal.js';
 import { userService } from '../services/userService.js';
 import { trailGuideGeneratorV2 } from '../features/trailGuideGeneratorV2.js';
+import { storageManager } from './storageManager.js';
 
 export class TrackingController {
   constructor(appState) {
@@ -11,11 +15,25 @@ export class TrackingController {
     this.watchId = null;
     this.isTracking = false;
     this.isPaused = false;
+    this.lastElevation = null;
+    this.positionFilter = createDefaultPositionFilter();
+    this.movementDetector = new MovementDetector();
+    this.autoPauseEnabled = localStorage.getItem('autoPauseEnabled') === 'true';
+    this.isAutoPaused = false;
+    this.currentStop = null;
+    this.idleCheckId = null;
     this.dependencies = {};
   }
 
   setDependencies(deps) {
     this.dependencies = deps;
+    this.updateAutoPauseButton();
+  }
+
+  // NEW: Swap the GPS filter stage (e.g. a PositionFilterPipeline with custom stages)
+  setPositionFilter(filter) {
+    this.positionFilter = filter;
+    this.positionFilter.reset?.();
   }
 
 async start() {
@@ -50,6 +68,11 @@ async start() {
 
   this.isTracking = true;
   this.isPaused = false;
+  this.lastElevation = null;
+  this.positionFilter.reset();
+  this.movementDetector.reset();
+  this.isAutoPaused = false;
+  this.currentStop = null;
   this.appState.setTrackingState(true);
   
   // Add body class to disable pull-to-refresh
@@ -72,12 +95,15 @@ async start() {
     // FIXED: Get the actual elapsed time from app state
     const restoredElapsed = this.appState.getElapsedTime();
     console.log(`⏱️ Starting timer with restored elapsed: ${restoredElapsed}ms`);
-    this.dependencies.timer.start(restoredElapsed);
+    this.dependencies.timer.start(restoredElapsed, this.appState.getStoppedTime());
   } else {
     this.dependencies.timer.start();
   }
 }
 
+  // Watch for stops even when the GPS goes quiet
+  this.startIdleCheck();
+
   this.updateTrackingButtons();
   
   if (isResuming) {
@@ -125,11 +151,18 @@ async stop() {
     this.watchId = null;
   }
 
+  // Close any stop in progress so it's recorded as a rest point
+  if (this.isAutoPaused) {
+    this.exitAutoPause(Date.now());
+  }
+  this.stopIdleCheck();
+
   // Stop timer and get final elapsed time
   let finalElapsed = 0;
   if (this.dependencies.timer) {
     finalElapsed = this.dependencies.timer.stop();
     this.appState.setElapsedTime(finalElapsed);
+    this.appState.setStoppedTime(this.dependencies.timer.getStoppedTime());
   }
 
   this.isTracking = false;
@@ -191,6 +224,13 @@ async stop() {
     } else {
       // Pause
       console.log('⏸️ Pausing tracking...');
+
+      // A manual pause ends any automatic stop
+      if (this.isAutoPaused) {
+        this.exitAutoPause(Date.now());
+      }
+      this.movementDetector.reset();
+
       this.isPaused = true;
       
       if (this.dependencies.timer) {
@@ -212,23 +252,66 @@ async stop() {
   handlePositionUpdate(position) {
     if (!this.isTracking || this.isPaused) return;
 
-    const { latitude, longitude, accuracy } = position.coords;
-    
-    // Filter out inaccurate readings
-    if (accuracy > 100) {
-      console.warn(`GPS accuracy too low: ${accuracy}m`);
+    const { latitude, longitude, accuracy, altitude, altitudeAccuracy, speed, heading } = position.coords;
+
+    const rawFix = {
+      lat: latitude,
+      lng: longitude,
+      accuracy,
+      altitude: typeof altitude === 'number' ? altitude : null,
+      altitudeAccuracy: typeof altitudeAccuracy === 'number' ? altitudeAccuracy : null,
+      speed: typeof speed === 'number' ? speed : null,
+      heading: typeof heading === 'number' ? heading : null,
+      timestamp: position.timestamp || Date.now()
+    };
+
+    // Run the fix through the filter pipeline (outliers, smoothing, stationary)
+    const result = this.positionFilter.process(rawFix);
+
+    // Keep every raw fix alongside the smoothed route
+    this.appState.addRawFix({
+      ...rawFix,
+      status: result.point ? (result.stationary ? 'stationary' : 'accepted') : 'rejected',
+      reason: result.reason || undefined
+    });
+
+    if (!result.point) {
+      console.warn(`GPS fix rejected by ${result.rejectedBy} filter: ${result.reason}`);
       return;
     }
 
-    const currentCoords = { lat: latitude, lng: longitude };
+    const filtered = result.point;
+    const currentCoords = { lat: filtered.lat, lng: filtered.lng };
+
+    // Smooth altitude so grade calculations aren't thrown off by GPS jitter;
+    // a missing or poor reading leaves this point without an elevation
+    const elevation = smoothAltitude(this.lastElevation, altitude, altitudeAccuracy);
+    if (elevation !== null) this.lastElevation = elevation;
+
+    // Update map marker
+    if (this.dependencies.map) {
+      this.dependencies.map.updateMarkerPosition(currentCoords);
+    }
+
+    // Dispatch position update event for trail alerts and other modules
+    window.dispatchEvent(new CustomEvent('positionUpdate', {
+      detail: { lat: filtered.lat, lng: filtered.lng, accuracy: filtered.accuracy, rawAccuracy: accuracy, stationary: result.stationary }
+    }));
+
+    // Auto-pause: detect stops and restarts from recent movement
+    if (this.autoPauseEnabled) {
+      this.handleMovement(filtered);
+      if (this.isAutoPaused) return;
+    }
+
+    // Standing still - don't add drift to the route
+    if (result.stationary) return;
+
     const lastCoords = this.appState.getLastCoords();
 
     // Calculate distance if we have a previous point
     if (lastCoords) {
       const distance = haversineDistance(lastCoords, currentCoords);
-      
-      // Ignore micro-movements (less than 3 meters)
-      if (distance < 0.003) return;
 
       // Update total distance
       const newTotal = this.appState.getTotalDistance() + distance;
@@ -245,23 +328,113 @@ async stop() {
     this.appState.addRoutePoint({
       type: 'location',
       coords: currentCoords,
-      timestamp: Date.now(),
-      accuracy: accuracy
+      timestamp: rawFix.timestamp,
+      accuracy: filtered.accuracy,
+      rawAccuracy: accuracy,
+      altitude: rawFix.altitude,
+      altitudeAccuracy: rawFix.altitudeAccuracy,
+      elevation
     });
 
     this.appState.addPathPoint(currentCoords);
 
-    // Update map marker
-    if (this.dependencies.map) {
-      this.dependencies.map.updateMarkerPosition(currentCoords);
+    console.log(`📍 GPS: ${filtered.lat.toFixed(6)}, ${filtered.lng.toFixed(6)} (±${filtered.accuracy.toFixed(1)}m, raw ±${accuracy.toFixed(1)}m)`);
+  }
+
+  // ========== Auto-pause ==========
+
+  setAutoPause(enabled) {
+    this.autoPauseEnabled = !!enabled;
+    localStorage.setItem('autoPauseEnabled', this.autoPauseEnabled ? 'true' : 'false');
+
+    if (!this.autoPauseEnabled && this.isAutoPaused) {
+      this.exitAutoPause(Date.now());
     }
+    this.movementDetector.reset();
+    this.updateAutoPauseButton();
 
-    // Dispatch position update event for trail alerts and other modules
-    window.dispatchEvent(new CustomEvent('positionUpdate', {
-      detail: { lat: latitude, lng: longitude, accuracy }
-    }));
+    console.log(`⏯️ Auto-pause ${this.autoPauseEnabled ? 'enabled' : 'disabled'}`);
+    return this.autoPauseEnabled;
+  }
+
+  toggleAutoPause() {
+    const enabled = this.setAutoPause(!this.autoPauseEnabled);
+    toast.info(enabled ? '⏯️ Auto-pause on - tracking pauses when you stop' : '⏯️ Auto-pause off');
+    return enabled;
+  }
+
+  handleMovement(fix) {
+    const movement = this.movementDetector.update(fix);
+    if (!movement) return;
+
+    if (movement.event === 'stopped') {
+      this.enterAutoPause(movement);
+    } else if (movement.event === 'resumed') {
+      this.exitAutoPause(movement.at);
+    }
+  }
+
+  startIdleCheck() {
+    this.stopIdleCheck();
+    this.idleCheckId = setInterval(() => {
+      if (!this.autoPauseEnabled || this.isPaused || this.isAutoPaused) return;
+      const movement = this.movementDetector.checkIdle(Date.now());
+      if (movement) {
+        this.enterAutoPause(movement);
+      }
+    }, 5000);
+  }
+
+  stopIdleCheck() {
+    if (this.idleCheckId) {
+      clearInterval(this.idleCheckId);
+      this.idleCheckId = null;
+    }
+  }
+
+  enterAutoPause({ since, coords }) {
+    if (this.isAutoPaused) return;
+
+    this.isAutoPaused = true;
+    this.currentStop = { since, coords };
+
+    if (this.dependencies.timer) {
+      this.dependencies.timer.markStopped(since);
+    }
+
+    this.updateTrackingButtons();
+    toast.info('⏸️ Auto-paused - you seem to have stopped');
+    console.log(`⏸️ Auto-paused at ${coords.lat.toFixed(6)}, ${coords.lng.toFixed(6)}`);
 
-    console.log(`📍 GPS: ${latitude.toFixed(6)}, ${longitude.toFixed(6)} (±${accuracy.toFixed(1)}m)`);
+    window.dispatchEvent(new CustomEvent('autoPauseChanged', { detail: { paused: true, since } }));
+  }
+
+  exitAutoPause(at) {
+    if (!this.isAutoPaused) return;
+
+    let duration = at - this.currentStop.since;
+    if (this.dependencies.timer) {
+      duration = this.dependencies.timer.markMoving(at);
+    }
+
+    // Record the stop so guides can show real rest spots
+    this.appState.addRoutePoint({
+      type: 'rest',
+      coords: this.currentStop.coords,
+      timestamp: this.currentStop.since,
+      endTimestamp: at,
+      duration
+    });
+
+    this.isAutoPaused = false;
+    this.currentStop = null;
+    this.movementDetector.reset();
+
+    this.updateTrackingButtons();
+    toast.info(`▶️ Moving again - rest of ${this.formatTime(duration)} recorded`);
+    console.log(`▶️ Auto-resumed after ${this.formatTime(duration)}`);
+
+    window.dispatchEvent(new CustomEvent('autoPauseChanged', { detail: { paused: false, duration } }));
   }
 
   handlePositionError(error) {
@@ -308,6 +481,9 @@ async stop() {
       if (this.isPaused) {
         pauseBtn.innerHTML = '▶'; // Resume icon
         pauseBtn.title = 'Resume Tracking';
+      } else if (this.isAutoPaused) {
+        pauseBtn.innerHTML = '⏸'; // Still a manual pause button
+        pauseBtn.title = 'Auto-paused (not moving)';
       } else {
         pauseBtn.innerHTML = '⏸'; // Pause icon
         pauseBtn.title = 'Pause Tracking';
@@ -320,6 +496,14 @@ async stop() {
     }
   }
 
+  updateAutoPauseButton() {
+    const autoPauseBtn = document.getElementById('autoPauseBtn');
+    if (!autoPauseBtn) return;
+
+    autoPauseBtn.setAttribute('aria-pressed', this.autoPauseEnabled ? 'true' : 'false');
+    autoPauseBtn.textContent = `⏯️ Auto-Pause: ${this.autoPauseEnabled ? 'On' : 'Off'}`;
+  }
+
   updateDistanceDisplay(distance) {
     const distanceElement = document.getElementById('distance');
     if (distanceElement) {
@@ -346,13 +530,19 @@ async stop() {
     const locationPoints = routeData.filter(point => point.type === 'location').length;
     const photos = routeData.filter(point => point.type === 'photo').length;
     const notes = routeData.filter(point => point.type === 'text').length;
+    const voiceNotes = routeData.filter(point => point.type === 'voice').length;
+    const rests = routeData.filter(point => point.type === 'rest').length;
+    const stoppedTime = this.appState.getStoppedTime();
 
     // Create a detailed save dialog
     const routeStats = `📍 GPS Points: ${locationPoints}
 📏 Distance: ${totalDistance.toFixed(2)} km
-⏱️ Duration: ${this.formatTime(elapsedTime)}
+⏱️ Duration: ${this.formatTime(elapsedTime)}${stoppedTime > 0 ? `
+🚶 Moving: ${this.formatTime(Math.max(0, elapsedTime - stoppedTime))}
+🪑 Rest stops: ${rests}` : ''}
 📷 Photos: ${photos}
-📝 Notes: ${notes}`;
+📝 Notes: ${notes}${voiceNotes > 0 ? `
+🎙️ Voice notes: ${voiceNotes}` : ''}`;
 
     const wantsToSave = await modal.confirm(routeStats, 'Save Route?');
     
@@ -399,6 +589,7 @@ async saveRoute() {
     
     // Show success message for local save
     toast.success(`"${routeName}" saved locally!`);
+    storageManager.onDataSaved().catch(error => console.warn('⚠️ Storage check failed:', error));
     
     // Check if user is logged in and offer cloud save
     const app = window.AccessNatureApp;
@@ -410,12 +601,16 @@ async saveRoute() {
       
       if (cloudChoice && cloudChoice !== 'skip') {
         try {
-          // Get the current route data before clearing it
-          const routeData = this.appState.getRouteData();
+          // Get the current route data before clearing it, with voice
+          // recordings uploaded to Storage and stored photos read back in
+          const user = authController.getCurrentUser();
+          const routeData = await this.appState.resolvePhotos(
+            await this.appState.uploadVoiceClips(this.appState.getRouteData(), user.uid));
           const routeInfo = {
             name: routeName,
             totalDistance: this.appState.getTotalDistance(),
             elapsedTime: this.appState.getElapsedTime(),
+            movingTime: this.appState.getMovingTime(),
             date: new Date().toISOString(),
             makePublic: cloudChoice === 'public' // Add this flag
           };
@@ -430,7 +625,11 @@ async saveRoute() {
           }
           
           // Save to cloud directly
-          await this.saveRouteToCloud(routeData, routeInfo, accessibilityData, authController);
+          const cloudId = await this.saveRouteToCloud(routeData, routeInfo, accessibilityData, authController);
+          if (savedSession && cloudId) {
+            await this.appState.markSessionSynced(savedSession.id, cloudId)
+              .catch(error => console.warn('⚠️ Could not mark route as synced:', error));
+          }
           
         } catch (cloudError) {
           console.error('❌ Cloud save failed:', cloudError);
@@ -507,9 +706,13 @@ async generateTrailGuide(routeId, routeData, routeInfo, accessibilityData, authC
         originalDate: routeInfo.date,
         locationCount: routeData.filter(p => p.type === 'location').length,
         photoCount: routeData.filter(p => p.type === 'photo').length,
-        noteCount: routeData.filter(p => p.type === 'text').length
+        noteCount: routeData.filter(p => p.type === 'text').length,
+        voiceNoteCount: routeData.filter(p => p.type === 'voice').length
       },
       
+      // Measured slope from tracked elevation (null when no altitude was recorded)
+      slopeStats: getSlopeStats(routeData),
+      
       // Accessibility features for search
       accessibility: accessibilityData ? {
         wheelchairAccess: accessibilityData.wheelchairAccess || 'Unknown',
@@ -575,6 +778,7 @@ async saveRouteToCloud(routeData, routeInfo, accessibilityData, authController)
       // Route statistics
       totalDistance: routeInfo.totalDistance || 0,
       elapsedTime: routeInfo.elapsedTime || 0,
+      movingTime: routeInfo.movingTime || routeInfo.elapsedTime || 0,
       originalDate: routeInfo.date,
       
       // Route data
@@ -585,9 +789,13 @@ async saveRouteToCloud(routeData, routeInfo, accessibilityData, authController)
         locationPoints: routeData.filter(p => p.type === 'location').length,
         photos: routeData.filter(p => p.type === 'photo').length,
         notes: routeData.filter(p => p.type === 'text').length,
+        voiceNotes: routeData.filter(p => p.type === 'voice').length,
         totalDataPoints: routeData.length
       },
       
+      // Measured slope from tracked elevation
+      slopeStats: getSlopeStats(routeData),
+      
       // Accessibility information
       accessibilityData: accessibilityData,
       
@@ -607,6 +815,7 @@ async saveRouteToCloud(routeData, routeInfo, accessibilityData, authController)
     await this.generateTrailGuide(docRef.id, routeData, routeInfo, accessibilityData, authController);
     
     this.showSuccessMessage(`✅ "${routeInfo.name}" saved to cloud with trail guide! ☁️`);
+    return docRef.id;
     
   } catch (error) {
     console.error('❌ Cloud save failed:', error);
@@ -696,6 +905,8 @@ async saveRouteToCloud(routeData, routeInfo, accessibilityData, authController)
     return {
       isTracking: this.isTracking,
       isPaused: this.isPaused,
+      isAutoPaused: this.isAutoPaused,
+      movingTime: this.dependencies.timer ? this.dependencies.timer.getMovingTime() : this.appState.getMovingTime(),
       totalDistance: this.appState.getTotalDistance(),
       elapsedTime: this.appState.getElapsedTime(),
       pointCount: this.appState.getRouteData().length
@@ -703,6 +914,8 @@ async saveRouteToCloud(routeData, routeInfo, accessibilityData, authController)
   }
 
   cleanup() {
+    this.stopIdleCheck();
+
     if (this.watchId) {
       navigator.geolocation.clearWatch(this.watchId);
       this.watchId = null;
@@ -0,0 +1,264 @@
+/**
+ * Voice Clip Store
+ * Voice note recordings kept as Blobs in the IndexedDB `voice_clips` store;
+ * route points hold only a reference:
+ *   { type: 'voice', audioId: 'voice_...', mimeType, duration, transcript, ... }
+ *
+ * - On screen, getClipURL() hands out object URLs
+ * - File exports call resolveRouteData() to get the recordings back as data
+ *   URLs in `audio`, so the file plays offline
+ * - Cloud saves call uploadRouteData(): each recording is uploaded to
+ *   Firebase Storage once and the point keeps only its `audioURL`, so route
+ *   documents stay under Firestore's 1 MiB limit
+ * - Notes recorded before this (data URL in `audio`) are moved over once by
+ *   migrateRouteData(); until then, and when IndexedDB isn't available,
+ *   notes with `audio` keep working as before
+ *
+ * Access Nature - Voice Notes
+ * Created: October 2026
+ */
+
+import { dataURLToBlob } from './photoStore.js';
+import { VOICE_POINT_TYPE } from '../utils/voiceNotes.js';
+
+const STORAGE_FOLDER = 'voiceNotes';
+
+/**
+ * Whether a route point is a stored voice clip reference
+ * @param {object} entry
+ * @returns {boolean}
+ */
+export function isVoiceClipRef(entry) {
+  return entry?.type === VOICE_POINT_TYPE && typeof entry.audioId === 'string';
+}
+
+/**
+ * IDs of the stored voice clips a route refers to
+ * @param {Array} routeData
+ * @returns {Array<string>}
+ */
+export function getVoiceClipIds(routeData) {
+  if (!Array.isArray(routeData)) return [];
+  return routeData.filter(isVoiceClipRef).map(entry => entry.audioId);
+}
+
+/**
+ * Read a recording as a data URL, for when it has to travel inline
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+export function blobToDataURL(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error('Failed to read recording'));
+    reader.readAsDataURL(blob);
+  });
+}
+
+function createClipId() {
+  return `voice_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`;
+}
+
+export class VoiceClipStore {
+  constructor() {
+    this.db = null;
+    this.urls = new Map();
+  }
+
+  /**
+   * Use an initialised RouteDB (AppState does this once IndexedDB is open)
+   * @param {RouteDB} routeDB
+   */
+  attach(routeDB) {
+    this.db = routeDB;
+  }
+
+  get isAvailable() {
+    return !!this.db?.db;
+  }
+
+  /**
+   * Store a recording
+   * @param {Blob} blob
+   * @returns {Promise<string>} Clip id for the route point's `audioId`
+   */
+  async saveClip(blob) {
+    if (!this.isAvailable) throw new Error('Voice clip storage not available');
+
+    const id = createClipId();
+    await this.db.saveVoiceClip({
+      id,
+      blob,
+      mimeType: blob.type || 'audio/webm',
+      size: blob.size,
+      createdAt: Date.now()
+    });
+    return id;
+  }
+
+  async getClipBlob(id) {
+    if (!this.isAvailable || !id) return null;
+    const record = await this.db.getVoiceClip(id);
+    return record?.blob || null;
+  }
+
+  /**
+   * URL to play a voice note on screen: the stored recording, else the
+   * uploaded copy
+   * @param {object} entry - Voice route point
+   * @returns {Promise<string|null>}
+   */
+  async getClipURL(entry) {
+    if (entry?.audio) return entry.audio;
+
+    const id = entry?.audioId;
+    if (id && this.urls.has(id)) return this.urls.get(id);
+
+    const blob = await this.getClipBlob(id).catch(() => null);
+    if (!blob) return entry?.audioURL || null;
+
+    const url = URL.createObjectURL(blob);
+    this.urls.set(id, url);
+    return url;
+  }
+
+  /**
+   * Copy of the route with stored recordings put back as data URLs in
+   * `audio`, for file exports
+   * @param {Array} routeData
+   * @returns {Promise<Array>} Notes whose recording is missing keep their transcript
+   */
+  async resolveRouteData(routeData) {
+    if (!Array.isArray(routeData) || !routeData.some(isVoiceClipRef)) return routeData;
+
+    return Promise.all(routeData.map(async entry => {
+      if (!isVoiceClipRef(entry) || entry.audio) return entry;
+
+      const blob = await this.getClipBlob(entry.audioId).catch(() => null);
+      if (!blob) {
+        if (!entry.audioURL) console.warn(`⚠️ Voice clip ${entry.audioId} is missing from storage`);
+        return entry;
+      }
+      return { ...entry, audio: await blobToDataURL(blob) };
+    }));
+  }
+
+  /**
+   * Copy of the route for a cloud document: each recording is uploaded to
+   * Firebase Storage (once - the URL is remembered) and the point keeps
+   * `audioURL` and `audioPath` instead of the audio itself
+   * @param {Array} routeData
+   * @param {string} userId - Owner; recordings go under their folder
+   * @returns {Promise<Array>}
+   */
+  async uploadRouteData(routeData, userId) {
+    if (!Array.isArray(routeData) || !routeData.some(entry => entry?.type === VOICE_POINT_TYPE)) {
+      return routeData;
+    }
+
+    const uploaded = [];
+    for (const entry of routeData) {
+      if (entry?.type !== VOICE_POINT_TYPE) {
+        uploaded.push(entry);
+        continue;
+      }
+
+      const { audio, ...rest } = entry;
+      if (rest.audioURL) {
+        uploaded.push(rest);
+        continue;
+      }
+
+      const upload = await this.uploadClip(entry, userId);
+      uploaded.push(upload ? { ...rest, ...upload } : rest);
+    }
+    return uploaded;
+  }
+
+  /**
+   * Upload one recording to Firebase Storage
+   * @param {object} entry - Voice route point
+   * @param {string} userId
+   * @returns {Promise<object|null>} { audioURL, audioPath }, null when there is no recording
+   */
+  async uploadClip(entry, userId) {
+    const record = this.isAvailable && entry.audioId ? await this.db.getVoiceClip(entry.audioId) : null;
+    if (record?.url) return { audioURL: record.url, audioPath: record.path };
+
+    const blob = record?.blob || (entry.audio ? dataURLToBlob(entry.audio) : null);
+    if (!blob) {
+      console.warn(`⚠️ Voice note at ${entry.timestamp} has no recording to upload`);
+      return null;
+    }
+
+    const { storage } = await import('../../firebase-setup.js');
+    const { ref, uploadBytes, getDownloadURL } =
+      await import('https://www.gstatic.com/firebasejs/10.5.0/firebase-storage.js');
+
+    const storageRef = ref(storage, `${STORAGE_FOLDER}/${userId}/${entry.audioId || createClipId()}`);
+    const snapshot = await uploadBytes(storageRef, blob, { contentType: blob.type || entry.mimeType || 'audio/webm' });
+    const url = await getDownloadURL(snapshot.ref);
+
+    if (record) {
+      await this.db.saveVoiceClip({ ...record, url, path: storageRef.fullPath })
+        .catch(error => console.warn('⚠️ Could not remember uploaded voice clip:', error));
+    }
+    return { audioURL: url, audioPath: storageRef.fullPath };
+  }
+
+  /**
+   * Move a route's data URL recordings into the store
+   * @param {Array} routeData
+   * @returns {Promise<object>} { data, moved } - data is a new array when moved > 0
+   */
+  async migrateRouteData(routeData) {
+    if (!this.isAvailable || !Array.isArray(routeData)) return { data: routeData, moved: 0 };
+
+    let moved = 0;
+    const data = [];
+    for (const entry of routeData) {
+      if (entry?.type === VOICE_POINT_TYPE && typeof entry.audio === 'string' && entry.audio.startsWith('data:')) {
+        const { audio, ...rest } = entry;
+        const audioId = await this.saveClip(dataURLToBlob(audio));
+        data.push({ ...rest, audioId });
+        moved++;
+      } else {
+        data.push(entry);
+      }
+    }
+
+    return { data: moved > 0 ? data : routeData, moved };
+  }
+
+  /**
+   * Delete stored recordings no route refers to any more
+   * @param {Set<string>} referenced - Every audioId still in use
+   * @returns {Promise<number>} Number deleted
+   */
+  async removeUnreferenced(referenced) {
+    if (!this.isAvailable) return 0;
+
+    const orphans = (await this.db.getVoiceClipIds()).filter(id => !referenced.has(id));
+    await this.deleteClips(orphans);
+    return orphans.length;
+  }
+
+  async deleteClips(ids) {
+    if (!this.isAvailable || ids.length === 0) return;
+    await this.db.deleteVoiceClips(ids);
+    ids.forEach(id => this.releaseURL(id));
+  }
+
+  releaseURL(id) {
+    if (this.urls.has(id)) {
+      URL.revokeObjectURL(this.urls.get(id));
+      this.urls.delete(id);
+    }
+  }
+}
+
+// Create and export singleton
+export const voiceClipStore = new VoiceClipStore();
+
+export default voiceClipStore;
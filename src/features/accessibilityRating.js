@@ -84,6 +84,16 @@ export const SURFACE_TYPES = {
   mixed: { label: 'Mixed Surfaces', icon: '🔀', accessibilityScore: 1 }
 };
 
+// Trail features tagged with one tap while tracking, and what each one
+// tells the rating engine (see applyRouteTags)
+export const TRAIL_FEATURES = {
+  bench: { label: 'Bench', icon: '🪑', description: 'Bench to rest on', facility: 'benches' },
+  step: { label: 'Step', icon: '🪜', description: 'Step or stairs', rating: { hasSteps: true } },
+  narrow: { label: 'Narrow', icon: '↔️', description: 'Narrow section (under 36 in / 90 cm)', rating: { minWidth: 32 } },
+  gate: { label: 'Gate', icon: '🚧', description: 'Gate across the path', rating: { hasObstacles: true } },
+  steep: { label: 'Steep', icon: '⛰️', description: 'Steep section (over 8%)', rating: { maxGrade: 9 } }
+};
+
 // Facility types
 export const FACILITY_TYPES = {
   parking: { label: 'Accessible Parking', icon: '🅿️' },
@@ -390,12 +400,23 @@ class AccessibilityRatingSystem {
   /**
    * Calculate accessibility rating from survey data
    * @param {object} surveyData - Survey responses
+   * @param {object} slopeStats - Optional measured slope from getSlopeStats(); overrides the surveyed grade
+   *                              when it's `reliable` (see getSlopeStats)
    * @returns {object} Rating result
    */
-  calculateRating(surveyData) {
+  calculateRating(surveyData, slopeStats = null) {
     let score = 100; // Start with perfect score
     const factors = [];
     
+    // Prefer the grade measured from tracked elevation over a hand-entered
+    // value, unless the altitude readings were too poor to trust. A spot
+    // tagged steep is still steep, whatever the measurement says.
+    const hasMeasuredGrade = typeof slopeStats?.maxGrade === 'number' && slopeStats.reliable === true;
+    const taggedGrade = surveyData.taggedMaxGrade;
+    const taggedWins = hasMeasuredGrade && taggedGrade > slopeStats.maxGrade;
+    const maxGrade = !hasMeasuredGrade ? surveyData.maxGrade : taggedWins ? taggedGrade : slopeStats.maxGrade;
+    const gradeSource = taggedWins ? ' (tagged)' : hasMeasuredGrade ? ' (measured)' : '';
+    
     // Surface type impact (major factor)
     if (surveyData.surface) {
       const surfaceType = SURFACE_TYPES[surveyData.surface];
@@ -416,19 +437,25 @@ class AccessibilityRatingSystem {
     }
     
     // Grade/slope impact
-    if (surveyData.maxGrade !== undefined) {
-      const grade = surveyData.maxGrade;
+    if (maxGrade !== undefined) {
+      const grade = maxGrade;
       if (grade > 8) {
         score -= 30;
-        factors.push({ factor: 'Grade', impact: 'negative', note: `${grade}% - steep, exceeds ADA guidelines` });
+        factors.push({ factor: 'Grade', impact: 'negative', note: `${grade}%${gradeSource} - steep, exceeds ADA guidelines` });
       } else if (grade > 5) {
         score -= 15;
-        factors.push({ factor: 'Grade', impact: 'neutral', note: `${grade}% - moderate slope` });
+        factors.push({ factor: 'Grade', impact: 'neutral', note: `${grade}%${gradeSource} - moderate slope` });
       } else {
-        factors.push({ factor: 'Grade', impact: 'positive', note: `${grade}% - ADA compliant` });
+        factors.push({ factor: 'Grade', impact: 'positive', note: `${grade}%${gradeSource} - ADA compliant` });
       }
     }
     
+    // Sustained average grade (only known when measured)
+    if (hasMeasuredGrade && typeof slopeStats.averageGrade === 'number' && slopeStats.averageGrade > 5) {
+      score -= 10;
+      factors.push({ factor: 'Average Grade', impact: 'neutral', note: `${slopeStats.averageGrade}% average - sustained climbing` });
+    }
+    
     // Steps/stairs impact
     if (surveyData.hasSteps) {
       score -= 35;
@@ -473,12 +500,60 @@ class AccessibilityRatingSystem {
       score,
       factors,
       surface: surveyData.surface,
-      maxGrade: surveyData.maxGrade,
+      maxGrade,
+      averageGrade: hasMeasuredGrade ? slopeStats.averageGrade : undefined,
+      gradeMeasured: hasMeasuredGrade && !taggedWins,
       hasSteps: surveyData.hasSteps,
       facilities: surveyData.facilities || {}
     };
   }
 
+  /**
+   * Fold one-tap surface and feature tags recorded along a route into survey data
+   * @param {object} surveyData - Data for calculateRating() (not modified)
+   * @param {Array} routeData - Route entries; `surface` and `feature` points are used
+   * @returns {object} Survey data with the tagged surface, steps, width, obstacles,
+   *                   grade and benches applied; the steepest tagged grade is also
+   *                   kept as `taggedMaxGrade`, so it can't be lost to a measured one
+   */
+  applyRouteTags(surveyData, routeData) {
+    const result = { ...surveyData, facilities: { ...(surveyData?.facilities || {}) } };
+    if (!Array.isArray(routeData)) return result;
+
+    // A route is only as accessible as its roughest tagged surface
+    let roughest = null;
+    routeData.forEach(entry => {
+      if (entry?.type !== 'surface' || !SURFACE_TYPES[entry.surface]) return;
+      if (!roughest || SURFACE_TYPES[entry.surface].accessibilityScore < SURFACE_TYPES[roughest].accessibilityScore) {
+        roughest = entry.surface;
+      }
+    });
+    if (roughest) {
+      result.surface = roughest;
+    }
+
+    routeData.forEach(entry => {
+      const feature = entry?.type === 'feature' ? TRAIL_FEATURES[entry.feature] : null;
+      if (!feature) return;
+
+      if (feature.facility) {
+        result.facilities[feature.facility] = true;
+      }
+      const rating = feature.rating || {};
+      if (rating.hasSteps) result.hasSteps = true;
+      if (rating.hasObstacles) result.hasObstacles = true;
+      if (rating.minWidth !== undefined) {
+        result.minWidth = Math.min(result.minWidth ?? rating.minWidth, rating.minWidth);
+      }
+      if (rating.maxGrade !== undefined) {
+        result.maxGrade = Math.max(result.maxGrade || 0, rating.maxGrade);
+        result.taggedMaxGrade = Math.max(result.taggedMaxGrade || 0, rating.maxGrade);
+      }
+    });
+
+    return result;
+  }
+
   /**
    * Get rating from pre-calculated rating ID
    * @param {string} ratingId - Rating ID (fully, partial, not)
@@ -529,13 +604,47 @@ class AccessibilityRatingSystem {
     return compact;
   }
 
+  /**
+   * Get the contents of a rating card, independent of how it is rendered
+   * (shared by the HTML card and the PDF trail guide)
+   * @param {object} ratingData - Rating data from calculateRating()
+   * @returns {object} { title, rating, description, factors: [{ impact, icon, note }],
+   *                    facilities: [{ id, icon, label, available }] }
+   */
+  getRatingCardContent(ratingData) {
+    const rating = this.getRating(ratingData.rating);
+    
+    const factors = (ratingData.factors || []).map(factor => ({
+      impact: factor.impact,
+      icon: factor.impact === 'positive' ? '✅' : factor.impact === 'negative' ? '❌' : '⚠️',
+      note: factor.note
+    }));
+    
+    const facilities = Object.entries(ratingData.facilities || {})
+      .filter(([facilityId]) => FACILITY_TYPES[facilityId])
+      .map(([facilityId, available]) => ({
+        id: facilityId,
+        icon: FACILITY_TYPES[facilityId].icon,
+        label: FACILITY_TYPES[facilityId].label,
+        available: !!available
+      }));
+    
+    return {
+      title: 'Accessibility Rating',
+      rating,
+      description: rating.description,
+      factors,
+      facilities
+    };
+  }
+
   /**
    * Create a full rating card with details
    * @param {object} ratingData - Rating data from calculateRating()
    * @returns {HTMLElement}
    */
   createRatingCard(ratingData) {
-    const rating = this.getRating(ratingData.rating);
+    const content = this.getRatingCardContent(ratingData);
     
     const card = document.createElement('div');
     card.className = 'accessibility-rating-card';
@@ -543,20 +652,19 @@ class AccessibilityRatingSystem {
     // Header with badge
     let html = `
       <div class="rating-card-header">
-        <span class="rating-card-title">Accessibility Rating</span>
+        <span class="rating-card-title">${content.title}</span>
         ${this.createBadge(ratingData.rating).outerHTML}
       </div>
-      <p style="color: #666; font-size: 13px; margin: 0 0 12px 0;">${rating.description}</p>
+      <p style="color: #666; font-size: 13px; margin: 0 0 12px 0;">${content.description}</p>
     `;
     
     // Details grid
-    if (ratingData.factors && ratingData.factors.length > 0) {
+    if (content.factors.length > 0) {
       html += '<div class="rating-details">';
-      for (const factor of ratingData.factors) {
-        const icon = factor.impact === 'positive' ? '✅' : factor.impact === 'negative' ? '❌' : '⚠️';
+      for (const factor of content.factors) {
         html += `
           <div class="rating-detail-item ${factor.impact}">
-            <span class="detail-icon">${icon}</span>
+            <span class="detail-icon">${factor.icon}</span>
             <span>${factor.note}</span>
           </div>
         `;
@@ -565,21 +673,18 @@ class AccessibilityRatingSystem {
     }
     
     // Facilities
-    if (ratingData.facilities && Object.keys(ratingData.facilities).length > 0) {
+    if (content.facilities.length > 0) {
       html += `
         <div style="margin-top: 16px;">
           <strong style="font-size: 13px; color: #666;">Facilities:</strong>
           <div class="facilities-grid">
       `;
-      for (const [facilityId, available] of Object.entries(ratingData.facilities)) {
-        const facility = FACILITY_TYPES[facilityId];
-        if (facility) {
-          html += `
-            <span class="facility-tag ${available ? 'available' : 'unavailable'}">
+      for (const facility of content.facilities) {
+        html += `
+            <span class="facility-tag ${facility.available ? 'available' : 'unavailable'}">
               ${facility.icon} ${facility.label}
             </span>
           `;
-        }
       }
       html += '</div></div>';
     }
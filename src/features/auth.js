@@ -645,7 +645,7 @@ async saveCurrentRouteToCloud() {
     
     if (!routeDataToSave || routeDataToSave.length === 0) {
       // No current route data, let user choose from saved routes
-      const savedSessions = state?.getSessions();
+      const savedSessions = await state?.getSessions();
       
       if (!savedSessions || savedSessions.length === 0) {
         toast.info('No route data available. Record a route first, then save to cloud.');
@@ -688,6 +688,11 @@ async saveCurrentRouteToCloud() {
       return;
     }
 
+    // Voice recordings go to Storage; photos kept on the device as blobs
+    // are uploaded inline
+    routeDataToSave = await state.uploadVoiceClips(routeDataToSave, this.currentUser.uid);
+    routeDataToSave = await state.resolvePhotos(routeDataToSave);
+
     // Show saving indicator
     this.showCloudSyncIndicator('Saving route to cloud...');
     console.log('☁️ Starting cloud save process for:', routeInfo.name);
@@ -722,6 +727,7 @@ async saveCurrentRouteToCloud() {
         locationPoints: routeDataToSave.filter(p => p.type === 'location').length,
         photos: routeDataToSave.filter(p => p.type === 'photo').length,
         notes: routeDataToSave.filter(p => p.type === 'text').length,
+        voiceNotes: routeDataToSave.filter(p => p.type === 'voice').length,
         totalDataPoints: routeDataToSave.length
       },
       
@@ -744,6 +750,11 @@ async saveCurrentRouteToCloud() {
     const docRef = await addDoc(collection(db, 'routes'), routeDoc);
     
     console.log('✅ Route saved to cloud successfully with ID:', docRef.id);
+    if (routeInfo.id) {
+      // A saved route was uploaded - remember it for storage cleanup
+      await state.markSessionSynced(routeInfo.id, docRef.id)
+        .catch(error => console.warn('⚠️ Could not mark route as synced:', error));
+    }
     this.showSuccessMessage(`✅ "${routeInfo.name}" saved to cloud successfully! ☁️`);
     
     // Update user stats (optional)
@@ -1226,7 +1237,8 @@ async generateAndStoreTrailGuide(routeId, routeData, routeInfo, accessibilityDat
         originalDate: routeInfo.date,
         locationCount: routeData.filter(p => p.type === 'location').length,
         photoCount: routeData.filter(p => p.type === 'photo').length,
-        noteCount: routeData.filter(p => p.type === 'text').length
+        noteCount: routeData.filter(p => p.type === 'text').length,
+        voiceNoteCount: routeData.filter(p => p.type === 'voice').length
       },
       
       // Accessibility features for search
@@ -1550,7 +1562,8 @@ async updateTrailGuide(originalGuideId, routeData, routeInfo, accessibilityData)
         originalDate: routeInfo.date,
         locationCount: routeData.filter(p => p.type === 'location').length,
         photoCount: routeData.filter(p => p.type === 'photo').length,
-        noteCount: routeData.filter(p => p.type === 'text').length
+        noteCount: routeData.filter(p => p.type === 'text').length,
+        voiceNoteCount: routeData.filter(p => p.type === 'voice').length
       },
       
       accessibility: accessibilityData ? {
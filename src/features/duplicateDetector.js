@@ -0,0 +1,387 @@
+/**
+ * Duplicate Report Detector
+ * Finds existing barrier reports that a new one probably repeats, and merges
+ * duplicates into a single report
+ *
+ * - Candidates are open reports of the same issue type close to the new one
+ * - Photos are compared by perceptual hash (dHash), so two people's photos
+ *   of the same barrier still match after resizing and recompression; a
+ *   matching photo allows a little more GPS drift between the two reports
+ * - Merging keeps one report and folds the others' upvotes, verifications,
+ *   photos and status history into it; the others are marked `duplicate`
+ *
+ * Access Nature - AccessReport Enhancement
+ * Created: October 2026
+ */
+
+const DUPLICATE_CONFIG = {
+  radiusMeters: 30,
+  photoMatchRadiusMeters: 75,
+  // Differing bits (of 64) below which two photos show the same thing
+  photoMatchDistance: 10,
+  maxMatches: 3,
+  // Photos are stored inline, and a Firestore document can't exceed 1 MiB
+  maxDocumentSize: 900 * 1024
+};
+
+// A barrier that was fixed or rejected can come back; that's a new report
+const CLOSED_STATUSES = ['resolved', 'closed', 'wont_fix', 'duplicate'];
+
+const METERS_PER_DEGREE_LAT = 111320;
+
+function distanceMeters(lat1, lng1, lat2, lng2) {
+  const R = 6371000;
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLng = (lng2 - lng1) * Math.PI / 180;
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * Math.sin(dLng / 2) ** 2;
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// Photos have been stored as strings, { content } and { url } over time
+function getPhotoSource(photo) {
+  if (typeof photo === 'string') return photo;
+  return photo?.content || (typeof photo?.data === 'string' ? photo.data : null) || photo?.url || null;
+}
+
+function toMillis(timestamp) {
+  if (!timestamp) return 0;
+  if (typeof timestamp.toMillis === 'function') return timestamp.toMillis();
+  if (timestamp.seconds) return timestamp.seconds * 1000;
+  return new Date(timestamp).getTime() || 0;
+}
+
+function isOpen(report) {
+  return !CLOSED_STATUSES.includes(report.status || 'new');
+}
+
+/**
+ * Perceptual hash of a photo: 64-bit difference hash as 16 hex digits
+ * @param {string} src - Data URL or image URL
+ * @returns {Promise<string|null>} null when the image can't be read
+ *   (e.g. a cross-origin URL without CORS headers)
+ */
+export function computePhotoHash(src) {
+  return new Promise(resolve => {
+    if (!src) return resolve(null);
+
+    const img = new Image();
+    if (!src.startsWith('data:')) img.crossOrigin = 'anonymous';
+    img.onload = () => {
+      try {
+        // 9x8 greyscale; each bit says whether a pixel is brighter than its right neighbour
+        const canvas = document.createElement('canvas');
+        canvas.width = 9;
+        canvas.height = 8;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(img, 0, 0, 9, 8);
+        const { data } = ctx.getImageData(0, 0, 9, 8);
+
+        const grey = (x, y) => {
+          const i = (y * 9 + x) * 4;
+          return data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+        };
+
+        let hash = '';
+        for (let y = 0; y < 8; y++) {
+          let byte = 0;
+          for (let x = 0; x < 8; x++) {
+            byte = (byte << 1) | (grey(x, y) > grey(x + 1, y) ? 1 : 0);
+          }
+          hash += byte.toString(16).padStart(2, '0');
+        }
+        resolve(hash);
+      } catch (error) {
+        console.warn('⚠️ Could not hash photo:', error.message);
+        resolve(null);
+      }
+    };
+    img.onerror = () => resolve(null);
+    img.src = src;
+  });
+}
+
+/**
+ * Hash every photo of a report
+ * @param {Array} photos - Report photos in any stored shape
+ * @returns {Promise<string[]>} Hashes of the photos that could be read
+ */
+export async function hashPhotos(photos = []) {
+  const hashes = await Promise.all(photos.map(photo => computePhotoHash(getPhotoSource(photo))));
+  return hashes.filter(Boolean);
+}
+
+/**
+ * Number of differing bits between two photo hashes
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function hashDistance(a, b) {
+  let bits = 0;
+  for (let i = 0; i < a.length; i++) {
+    let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (diff) {
+      bits += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return bits;
+}
+
+/**
+ * Closest pair of photos between two reports
+ * @param {string[]} hashesA
+ * @param {string[]} hashesB
+ * @returns {number|null} Differing bits, or null when either has no photos
+ */
+export function photoDistance(hashesA = [], hashesB = []) {
+  let best = null;
+  hashesA.forEach(a => hashesB.forEach(b => {
+    const distance = hashDistance(a, b);
+    if (best === null || distance < best) best = distance;
+  }));
+  return best;
+}
+
+/**
+ * Whether two reports look like the same barrier
+ * @param {object} a - Report with latitude, longitude, issueType, photoHashes
+ * @param {object} b
+ * @returns {object|null} { distance, photoDistance, photoMatch } or null
+ */
+export function compareReports(a, b) {
+  if (a.issueType !== b.issueType) return null;
+
+  const distance = distanceMeters(a.latitude, a.longitude, b.latitude, b.longitude);
+  if (!(distance <= DUPLICATE_CONFIG.photoMatchRadiusMeters)) return null;
+
+  const photos = photoDistance(a.photoHashes, b.photoHashes);
+  const photoMatch = photos !== null && photos <= DUPLICATE_CONFIG.photoMatchDistance;
+  if (distance > DUPLICATE_CONFIG.radiusMeters && !photoMatch) return null;
+
+  return { distance, photoDistance: photos, photoMatch };
+}
+
+export class DuplicateDetector {
+  /**
+   * Open reports that the given one probably repeats, best match first
+   * @param {object} report - New report: latitude, longitude, issueType, photoHashes
+   * @returns {Promise<Array>} [{ report, distance, photoDistance, photoMatch }]
+   */
+  async findDuplicates(report) {
+    const { collection, query, where, getDocs } = await import('https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js');
+    const { db } = await import('../../firebase-setup.js');
+
+    // A latitude band is enough to narrow things down, and unlike a
+    // combined issueType + latitude query it needs no composite index
+    const band = DUPLICATE_CONFIG.photoMatchRadiusMeters / METERS_PER_DEGREE_LAT;
+    const snapshot = await getDocs(query(
+      collection(db, 'accessibilityReports'),
+      where('latitude', '>=', report.latitude - band),
+      where('latitude', '<=', report.latitude + band)
+    ));
+
+    const candidates = snapshot.docs
+      .map(snap => ({ id: snap.id, ...snap.data() }))
+      .filter(candidate => candidate.issueType === report.issueType && isOpen(candidate));
+
+    const matches = [];
+    for (const candidate of candidates) {
+      // Reports from before photo hashing get hashed here
+      if (!candidate.photoHashes && report.photoHashes?.length > 0 && candidate.photos?.length > 0) {
+        candidate.photoHashes = await hashPhotos(candidate.photos);
+      }
+      const match = compareReports(report, candidate);
+      if (match) matches.push({ report: candidate, ...match });
+    }
+
+    return matches
+      .sort((a, b) => (b.photoMatch - a.photoMatch) || (a.distance - b.distance))
+      .slice(0, DUPLICATE_CONFIG.maxMatches);
+  }
+
+  /**
+   * Add a reporter's confirmation to an existing report instead of filing
+   * a new one; their photos are added too, as far as the document has room
+   * @param {object} report - The existing report (with id)
+   * @param {object} user - Firebase user confirming it
+   * @param {object} details - { photos, photoHashes, note }
+   * @returns {Promise<{photosAdded: number, photosSkipped: number}>}
+   */
+  async addConfirmation(report, user, { photos = [], photoHashes = [], note = null } = {}) {
+    const { doc, updateDoc, arrayUnion, increment, serverTimestamp } = await import('https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js');
+    const { db } = await import('../../firebase-setup.js');
+
+    const added = this.fitPhotos(report, photos);
+    const confirmation = {
+      userId: user.uid,
+      userName: user.displayName || user.email?.split('@')[0] || 'User',
+      timestamp: new Date().toISOString(),
+      note: note || null,
+      photoCount: added.length
+    };
+
+    const update = {
+      confirmations: arrayUnion(confirmation),
+      updatedAt: serverTimestamp()
+    };
+    // Same fields as verifyReport() in reports.html; you can't verify your own report
+    if (report.userId !== user.uid && !(report.verifiedBy || []).includes(user.uid)) {
+      Object.assign(update, {
+        verificationCount: increment(1),
+        verifiedBy: arrayUnion(user.uid),
+        lastVerifiedAt: serverTimestamp()
+      });
+    }
+    if (added.length > 0) {
+      update.photos = arrayUnion(...added);
+      if (photoHashes.length > 0) update.photoHashes = arrayUnion(...photoHashes);
+    }
+
+    await updateDoc(doc(db, 'accessibilityReports', report.id), update);
+    return { photosAdded: added.length, photosSkipped: photos.length - added.length };
+  }
+
+  /**
+   * Group reports that look like the same barrier, using stored photo hashes
+   * @param {Array} reports - Reports with id
+   * @returns {Array<Array>} Groups of two or more open reports, oldest first
+   */
+  findDuplicateGroups(reports) {
+    const open = reports.filter(report =>
+      isOpen(report) && Number.isFinite(report.latitude) && Number.isFinite(report.longitude));
+
+    // Union-find over matching pairs, so chains of near reports end up together
+    const parent = open.map((_, i) => i);
+    const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+    // Sorted by latitude, only reports within the match radius need comparing
+    const band = DUPLICATE_CONFIG.photoMatchRadiusMeters / METERS_PER_DEGREE_LAT;
+    const order = open.map((_, i) => i).sort((a, b) => open[a].latitude - open[b].latitude);
+    order.forEach((i, position) => {
+      for (let next = position + 1; next < order.length; next++) {
+        const j = order[next];
+        if (open[j].latitude - open[i].latitude > band) break;
+        if (compareReports(open[i], open[j])) parent[find(i)] = find(j);
+      }
+    });
+
+    const groups = new Map();
+    open.forEach((report, i) => {
+      const root = find(i);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(report);
+    });
+
+    return [...groups.values()]
+      .filter(group => group.length > 1)
+      .map(group => group.sort((a, b) => toMillis(a.createdAt) - toMillis(b.createdAt)));
+  }
+
+  /**
+   * Merge duplicates into one report. The kept report gets everyone's
+   * upvotes, verifications, photos and status history; the others are
+   * marked `duplicate` and point at it.
+   * @param {object} primary - Report to keep (with id)
+   * @param {Array} duplicates - Reports to fold into it
+   * @param {object} user - Admin doing the merge
+   * @returns {Promise<object>} { upvotes, photosAdded, photosSkipped }
+   */
+  async mergeReports(primary, duplicates, user) {
+    const { doc, writeBatch, arrayUnion, serverTimestamp } = await import('https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js');
+    const { db } = await import('../../firebase-setup.js');
+
+    const all = [primary, ...duplicates];
+    const union = (field) => [...new Set(all.flatMap(report => report[field] || []))];
+    const userName = user?.displayName || user?.email?.split('@')[0] || 'Admin';
+    const timestamp = new Date().toISOString();
+
+    // Add the duplicates' photos that the kept report doesn't already have
+    const knownPhotos = new Set((primary.photos || []).map(getPhotoSource));
+    const extraPhotos = duplicates.flatMap(report => report.photos || []).filter(photo => {
+      const src = getPhotoSource(photo);
+      if (!src || knownPhotos.has(src)) return false;
+      knownPhotos.add(src);
+      return true;
+    });
+    const addedPhotos = this.fitPhotos(primary, extraPhotos);
+
+    // One history, in order; entries that came from a duplicate say so
+    const statusHistory = [
+      ...(primary.statusHistory || []),
+      ...duplicates.flatMap(report => (report.statusHistory || []).map(entry => ({ ...entry, mergedFrom: report.id })))
+    ].sort((a, b) => toMillis(a.timestamp) - toMillis(b.timestamp));
+    statusHistory.push({
+      status: primary.status || 'new',
+      previousStatus: primary.status || 'new',
+      timestamp,
+      userId: user?.uid || null,
+      userName,
+      note: `Merged ${duplicates.length} duplicate report${duplicates.length === 1 ? '' : 's'}`,
+      mergedReports: duplicates.map(report => report.id)
+    });
+
+    const upvotedBy = union('upvotedBy');
+    const verifiedBy = union('verifiedBy');
+    const batch = writeBatch(db);
+
+    batch.update(doc(db, 'accessibilityReports', primary.id), {
+      upvotedBy,
+      upvotes: upvotedBy.length,
+      verifiedBy,
+      verificationCount: verifiedBy.length,
+      confirmations: all.flatMap(report => report.confirmations || []),
+      photos: [...(primary.photos || []), ...addedPhotos],
+      photoHashes: union('photoHashes'),
+      statusHistory,
+      mergedFrom: [...(primary.mergedFrom || []), ...duplicates.map(report => report.id)],
+      updatedAt: serverTimestamp()
+    });
+
+    duplicates.forEach(report => {
+      batch.update(doc(db, 'accessibilityReports', report.id), {
+        status: 'duplicate',
+        duplicateOf: primary.id,
+        statusHistory: arrayUnion({
+          status: 'duplicate',
+          previousStatus: report.status || 'new',
+          timestamp,
+          userId: user?.uid || null,
+          userName,
+          note: `Merged into "${primary.title || primary.id}"`,
+          duplicateOf: primary.id
+        }),
+        updatedAt: serverTimestamp()
+      });
+    });
+
+    await batch.commit();
+    return {
+      upvotes: upvotedBy.length,
+      photosAdded: addedPhotos.length,
+      photosSkipped: extraPhotos.length - addedPhotos.length
+    };
+  }
+
+  /**
+   * The photos that still fit in a report's document
+   * @param {object} report
+   * @param {Array} photos - Photos to add
+   * @returns {Array} The ones that fit, in order
+   */
+  fitPhotos(report, photos) {
+    let size = JSON.stringify(report).length;
+    return photos.filter(photo => {
+      const photoSize = JSON.stringify(photo).length;
+      if (size + photoSize > DUPLICATE_CONFIG.maxDocumentSize) return false;
+      size += photoSize;
+      return true;
+    });
+  }
+}
+
+// Create and export singleton
+export const duplicateDetector = new DuplicateDetector();
+
+export default duplicateDetector;
@@ -3,6 +3,15 @@ import { toast } from '../utils/toast.js';
 import { modal } from '../utils/modal.js';
 import { userService } from '../services/userService.js';
 import { trailGuideGeneratorV2 } from './trailGuideGeneratorV2.js';
+import { trailGuidePDF } from './trailGuidePDF.js';
+import { buildGPX, parseGPX } from '../utils/gpx.js';
+import { buildGeoJSON, parseGeoJSON } from '../utils/geojson.js';
+import { buildKML, buildKMZ, parseKML, parseKMZ } from '../utils/kml.js';
+import { haversineDistance } from '../utils/calculations.js';
+import { VOICE_POINT_TYPE, getVoiceNoteText, getVoiceNoteAudio } from '../utils/voiceNotes.js';
+
+// Hazards this close (m) to a route are included in GIS exports
+const HAZARD_EXPORT_RADIUS = 50;
 
 export class ExportController {
   constructor(appState) {
@@ -23,7 +32,8 @@ export class ExportController {
     const buttons = [
       { id: 'prepareAndExportBtn', handler: () => this.showExportOptions() }, // Changed this
       { id: 'exportGPXBtn', handler: () => this.exportGPX() },
-      { id: 'exportPDFBtn', handler: () => this.exportPDF() }
+      { id: 'exportPDFBtn', handler: () => this.exportPDF() },
+      { id: 'exportGISBtn', handler: () => this.exportGIS() }
     ];
 
     buttons.forEach(({ id, handler }) => {
@@ -46,7 +56,7 @@ export class ExportController {
   // NEW: Show export options - current route or saved routes
   async showExportOptions() {
     const currentRouteData = this.appState.getRouteData();
-    const savedSessions = this.appState.getSessions();
+    const savedSessions = await this.appState.getSessions();
     
     let message = '📦 Export Options:\n\n';
     let options = [];
@@ -55,7 +65,7 @@ export class ExportController {
     if (currentRouteData && currentRouteData.length > 0) {
       const locationPoints = currentRouteData.filter(p => p.type === 'location').length;
       const photos = currentRouteData.filter(p => p.type === 'photo').length;
-      const notes = currentRouteData.filter(p => p.type === 'text').length;
+      const notes = currentRouteData.filter(p => p.type === 'text' || p.type === VOICE_POINT_TYPE).length;
       
       message += `1. Current Route (${locationPoints} GPS points, ${photos} photos, ${notes} notes)\n`;
       options.push('current');
@@ -95,7 +105,7 @@ export class ExportController {
   }
 
   // Export current active route
-  exportCurrentRoute() {
+  async exportCurrentRoute() {
     const routeData = this.appState.getRouteData();
     if (!routeData || routeData.length === 0) {
       toast.warning('No current route data to export');
@@ -107,7 +117,7 @@ export class ExportController {
       exportDate: new Date().toISOString(),
       totalDistance: this.appState.getTotalDistance(),
       elapsedTime: this.appState.getElapsedTime(),
-      route: routeData
+      route: await this.appState.resolvePhotos(routeData)
     };
 
     this.downloadJSON(exportData, `current-route-${Date.now()}.json`);
@@ -116,7 +126,7 @@ export class ExportController {
 
   // Show list of saved routes for export selection
   async showSavedRoutesForExport() {
-    const sessions = this.appState.getSessions();
+    const sessions = await this.appState.getSessions();
     if (!sessions || sessions.length === 0) {
       toast.info('No saved routes available');
       return;
@@ -143,7 +153,7 @@ export class ExportController {
   }
 
   // Export a specific saved route
-  exportSavedRoute(session) {
+  async exportSavedRoute(session) {
     const exportData = {
       exportType: 'saved_route',
       exportDate: new Date().toISOString(),
@@ -154,7 +164,7 @@ export class ExportController {
         totalDistance: session.totalDistance,
         elapsedTime: session.elapsedTime
       },
-      route: session.data || []
+      route: await this.appState.resolvePhotos(session.data || [])
     };
 
     const filename = `${session.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}-${session.id}.json`;
@@ -163,8 +173,8 @@ export class ExportController {
   }
 
   // Export all saved routes
-  exportAllRoutes() {
-    const sessions = this.appState.getSessions();
+  async exportAllRoutes() {
+    const sessions = await this.appState.getSessions();
     if (!sessions || sessions.length === 0) {
       toast.info('No saved routes to export');
       return;
@@ -174,62 +184,67 @@ export class ExportController {
       exportType: 'all_routes',
       exportDate: new Date().toISOString(),
       totalRoutes: sessions.length,
-      routes: sessions.map(session => ({
+      routes: await Promise.all(sessions.map(async session => ({
         id: session.id,
         name: session.name,
         date: session.date,
         totalDistance: session.totalDistance,
         elapsedTime: session.elapsedTime,
         dataPoints: session.data ? session.data.length : 0,
-        route: session.data || []
-      }))
+        route: await this.appState.resolvePhotos(session.data || [])
+      })))
     };
 
     this.downloadJSON(exportData, `all-routes-export-${Date.now()}.json`);
     this.showSuccessMessage(`✅ All ${sessions.length} routes exported successfully!`);
   }
 
-  // Updated GPX export to handle both current and saved routes
-  async exportGPX() {
+  // Pick the current route or a saved one for a file export
+  async chooseRouteForFileExport(formatLabel) {
     const currentRouteData = this.appState.getRouteData();
-    const savedSessions = this.appState.getSessions();
-    
-    let routeDataToExport = null;
-    let filename = `route-${Date.now()}.gpx`;
+    const savedSessions = await this.appState.getSessions();
+    // Photos go into the file itself, so stored ones are read back in
+    const fromSession = async (session) => ({
+      routeData: await this.appState.resolvePhotos(session.data),
+      routeInfo: this.getSessionRouteInfo(session),
+      accessibilityData: session.accessibilityData || null,
+      baseName: session.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()
+    });
     
-    // Determine what data to export
     if (currentRouteData && currentRouteData.length > 0) {
-      const choice = await modal.choice('Which route would you like to export to GPX?', '📤 Export GPX', [
+      const choice = await modal.choice(`Which route would you like to export to ${formatLabel}?`, `📤 Export ${formatLabel}`, [
         { label: '📍 Current Route', value: 'current' },
         { label: '📂 Choose from Saved Routes', value: 'saved' },
         { label: '❌ Cancel', value: 'cancel' }
       ]);
       
       if (choice === 'current') {
-        routeDataToExport = currentRouteData;
-        filename = `current-route-${Date.now()}.gpx`;
+        return {
+          routeData: await this.appState.resolvePhotos(currentRouteData),
+          routeInfo: this.getCurrentRouteInfo(),
+          accessibilityData: null,
+          baseName: `current-route-${Date.now()}`
+        };
       } else if (choice === 'saved' && savedSessions && savedSessions.length > 0) {
         const selectedRoute = await this.selectRouteForExport(savedSessions);
-        if (selectedRoute) {
-          routeDataToExport = selectedRoute.data;
-          filename = `${selectedRoute.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}.gpx`;
-        }
-      } else if (choice === 'cancel' || choice === null) {
-        return;
+        return selectedRoute ? fromSession(selectedRoute) : null;
       }
+      return null;
     } else if (savedSessions && savedSessions.length > 0) {
       const selectedRoute = await this.selectRouteForExport(savedSessions);
-      if (selectedRoute) {
-        routeDataToExport = selectedRoute.data;
-        filename = `${selectedRoute.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}.gpx`;
-      }
-    } else {
-      toast.warning('No GPS data available. Record a route with GPS points first.');
-      return;
+      return selectedRoute ? fromSession(selectedRoute) : null;
     }
+
+    toast.warning('No GPS data available. Record a route with GPS points first.');
+    return null;
+  }
+
+  // Updated GPX export to handle both current and saved routes
+  async exportGPX() {
+    const selection = await this.chooseRouteForFileExport('GPX');
+    if (!selection || !selection.routeData) return;
     
-    if (!routeDataToExport) return;
-    
+    const { routeData: routeDataToExport, routeInfo, accessibilityData, baseName } = selection;
     const locationPoints = routeDataToExport.filter(point => point.type === 'location' && point.coords);
     
     if (locationPoints.length === 0) {
@@ -238,68 +253,99 @@ export class ExportController {
     }
 
     try {
-      const gpxContent = this.generateGPX(locationPoints);
-      this.downloadFile(gpxContent, filename, 'application/gpx+xml');
-      toast.success(`GPX file exported with ${locationPoints.length} GPS points!`);
+      const gpxContent = this.generateGPX(routeDataToExport, {
+        routeInfo,
+        accessibilityData: accessibilityData || this.getStoredAccessibilityData()
+      });
+      const waypoints = routeDataToExport.filter(point => point.type !== 'location').length;
+      this.downloadFile(gpxContent, `${baseName}.gpx`, 'application/gpx+xml');
+      toast.success(`GPX file exported with ${locationPoints.length} GPS points and ${waypoints} waypoints!`);
     } catch (error) {
       console.error('GPX export failed:', error);
       toast.error('GPX export failed: ' + error.message);
     }
   }
 
-  // Updated PDF export with route selection
-  async exportPDF() {
-    if (!window.jsPDF) {
-      toast.error('PDF export not available. jsPDF library required.');
+  // GIS export - GeoJSON, KML or KMZ (photos embedded)
+  async exportGIS(format = null) {
+    if (!format) {
+      format = await modal.choice('Select a GIS format:', '🗺️ Export for GIS', [
+        { label: '🌍 GeoJSON', value: 'geojson' },
+        { label: '🌐 KML (Google Earth)', value: 'kml' },
+        { label: '📦 KMZ (KML with photos)', value: 'kmz' },
+        { label: '❌ Cancel', value: 'cancel' }
+      ]);
+      if (!format || format === 'cancel') return;
+    }
+
+    const formatLabel = format === 'geojson' ? 'GeoJSON' : format.toUpperCase();
+    const selection = await this.chooseRouteForFileExport(formatLabel);
+    if (!selection || !selection.routeData) return;
+
+    const { routeData, routeInfo, accessibilityData, baseName } = selection;
+    if (!routeData.some(point => point.type === 'location' && point.coords)) {
+      toast.warning('No GPS location points found in selected route');
       return;
     }
 
-    const currentRouteData = this.appState.getRouteData();
-    const savedSessions = this.appState.getSessions();
-    
-    let routeDataToExport = null;
-    let routeInfo = null;
-    
-    // Determine what data to export
-    if (currentRouteData && currentRouteData.length > 0) {
-      const choice = await modal.choice('Which route would you like to export to PDF?', '📤 Export PDF', [
-        { label: '📍 Current Route', value: 'current' },
-        { label: '📂 Choose from Saved Routes', value: 'saved' },
-        { label: '❌ Cancel', value: 'cancel' }
-      ]);
-      
-      if (choice === 'current') {
-        routeDataToExport = currentRouteData;
-        routeInfo = {
-          name: 'Current Route',
-          totalDistance: this.appState.getTotalDistance(),
-          elapsedTime: this.appState.getElapsedTime(),
-          date: new Date().toISOString()
-        };
-      } else if (choice === 'saved' && savedSessions && savedSessions.length > 0) {
-        const selectedRoute = await this.selectRouteForExport(savedSessions);
-        if (selectedRoute) {
-          routeDataToExport = selectedRoute.data;
-          routeInfo = selectedRoute;
-        }
-      } else if (choice === 'cancel' || choice === null) {
-        return;
-      }
-    } else if (savedSessions && savedSessions.length > 0) {
-      const selectedRoute = await this.selectRouteForExport(savedSessions);
-      if (selectedRoute) {
-        routeDataToExport = selectedRoute.data;
-        routeInfo = selectedRoute;
+    const options = {
+      routeInfo,
+      accessibilityData: accessibilityData || this.getStoredAccessibilityData(),
+      hazards: await this.getHazardsNearRoute(routeData)
+    };
+
+    try {
+      if (format === 'geojson') {
+        const geojson = buildGeoJSON(routeData, options);
+        this.downloadFile(JSON.stringify(geojson, null, 2), `${baseName}.geojson`, 'application/geo+json');
+        toast.success(`GeoJSON exported with ${geojson.features.length} features!`);
+      } else if (format === 'kml') {
+        this.downloadFile(buildKML(routeData, options), `${baseName}.kml`, 'application/vnd.google-earth.kml+xml');
+        toast.success('KML file exported!');
+      } else if (format === 'kmz') {
+        this.downloadFile(buildKMZ(routeData, options), `${baseName}.kmz`, 'application/vnd.google-earth.kmz');
+        toast.success('KMZ file exported with photos!');
       }
-    } else {
-      toast.warning('No route data available to export to PDF');
-      return;
+    } catch (error) {
+      console.error(`${formatLabel} export failed:`, error);
+      toast.error(`${formatLabel} export failed: ` + error.message);
     }
-    
-    if (!routeDataToExport || !routeInfo) return;
+  }
+
+  // Known hazards within HAZARD_EXPORT_RADIUS metres of the route
+  async getHazardsNearRoute(routeData) {
+    const alerts = window.trailAlerts;
+    if (!alerts) return [];
+
+    const locations = routeData.filter(point => point.type === 'location' && point.coords);
+    await alerts.loadHazardsAlongRoute(locations.map(point => point.coords));
+    const hazards = alerts.hazards;
+    if (hazards.length === 0) return [];
+
+    return hazards.filter(hazard => {
+      const lat = hazard.lat ?? hazard.latitude ?? hazard.location?.lat;
+      const lng = hazard.lng ?? hazard.longitude ?? hazard.location?.lng;
+      if (typeof lat !== 'number' || typeof lng !== 'number') return false;
+
+      return locations.some(point =>
+        haversineDistance(point.coords, { lat, lng }) * 1000 <= HAZARD_EXPORT_RADIUS
+      );
+    });
+  }
+
+  // Updated PDF export with route selection - built on the device, works offline
+  async exportPDF() {
+    const selection = await this.chooseRouteForFileExport('PDF');
+    if (!selection || !selection.routeData) return;
+
+    const routeInfo = {
+      ...selection.routeInfo,
+      name: selection.routeInfo?.name || 'Route'
+    };
 
     try {
-      this.generatePDFReport(routeDataToExport, routeInfo);
+      await this.generatePDFReport(selection.routeData, routeInfo,
+        selection.accessibilityData || this.getStoredAccessibilityData());
     } catch (error) {
       console.error('PDF export failed:', error);
       toast.error('PDF export failed: ' + error.message);
@@ -330,100 +376,48 @@ export class ExportController {
     return null;
   }
 
-  // Generate PDF report
-  generatePDFReport(routeData, routeInfo) {
-    const { jsPDF } = window.jsPDF;
-    const doc = new jsPDF();
-
-    // Header
-    doc.setFontSize(20);
-    doc.text('🌲 Access Nature - Route Report', 20, 30);
-
-    // Route info
-    doc.setFontSize(14);
-    doc.text(`Route: ${routeInfo.name}`, 20, 50);
-    
-    doc.setFontSize(12);
-    const date = new Date(routeInfo.date).toLocaleDateString();
-    const time = new Date(routeInfo.date).toLocaleTimeString();
-    doc.text(`Date: ${date} ${time}`, 20, 65);
-    doc.text(`Export Date: ${new Date().toLocaleDateString()}`, 20, 75);
-
-    // Statistics
-    let yPos = 95;
-    doc.setFontSize(14);
-    doc.text('📊 Route Statistics:', 20, yPos);
-    yPos += 15;
-    
-    doc.setFontSize(12);
-    const stats = [
-      `📏 Total Distance: ${routeInfo.totalDistance?.toFixed(2) || 0} km`,
-      `⏱️ Duration: ${this.formatDuration(routeInfo.elapsedTime || 0)}`,
-      `📍 GPS Points: ${routeData.filter(p => p.type === 'location').length}`,
-      `📷 Photos: ${routeData.filter(p => p.type === 'photo').length}`,
-      `📝 Notes: ${routeData.filter(p => p.type === 'text').length}`
-    ];
-
-    stats.forEach(stat => {
-      doc.text(stat, 20, yPos);
-      yPos += 10;
-    });
-
-    // Notes section
-    const notes = routeData.filter(p => p.type === 'text');
-    if (notes.length > 0) {
-      yPos += 10;
-      doc.setFontSize(14);
-      doc.text('📝 Route Notes:', 20, yPos);
-      yPos += 15;
-      
-      doc.setFontSize(10);
-      notes.forEach((note, index) => {
-        const noteTime = new Date(note.timestamp).toLocaleTimeString();
-        doc.text(`${index + 1}. [${noteTime}] ${note.content}`, 20, yPos);
-        yPos += 8;
-        
-        // Add new page if needed
-        if (yPos > 270) {
-          doc.addPage();
-          yPos = 20;
-        }
-      });
-    }
+  // Generate PDF report - tagged PDF with map, elevation chart, photos and rating card
+  async generatePDFReport(routeData, routeInfo, accessibilityData = null) {
+    toast.info('Generating PDF...');
+    const pdfBytes = await trailGuidePDF.generate(routeData, routeInfo, accessibilityData);
 
     const filename = `${routeInfo.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_report.pdf`;
-    doc.save(filename);
+    this.downloadFile(pdfBytes, filename, 'application/pdf');
     
     this.showSuccessMessage('✅ PDF report generated successfully!');
   }
 
   // Keep all the existing methods (generateGPX, handleFileImport, etc.)
-  generateGPX(locationPoints) {
-    let gpx = `<?xml version="1.0" encoding="UTF-8"?>
-<gpx version="1.1" creator="Access Nature" xmlns="http://www.topografix.com/GPX/1/1">
-  <metadata>
-    <name>Access Nature Route</name>
-    <desc>Generated by Access Nature App</desc>
-    <time>${new Date().toISOString()}</time>
-  </metadata>
-  <trk>
-    <name>Route Track</name>
-    <trkseg>`;
-
-    locationPoints.forEach(point => {
-      const timestamp = new Date(point.timestamp).toISOString();
-      gpx += `
-      <trkpt lat="${point.coords.lat}" lon="${point.coords.lng}">
-        <time>${timestamp}</time>
-      </trkpt>`;
-    });
+  // Full GPX 1.1 - waypoints for photos/notes, <ele>, pause segments and accessnature: extensions
+  generateGPX(routeData, options = {}) {
+    return buildGPX(routeData, options);
+  }
 
-    gpx += `
-    </trkseg>
-  </trk>
-</gpx>`;
+  // Route summary for the current (unsaved) route, stored in the GPX metadata extension
+  getCurrentRouteInfo() {
+    return {
+      name: 'Current Route',
+      date: new Date().toISOString(),
+      totalDistance: this.appState.getTotalDistance(),
+      elapsedTime: this.appState.getElapsedTime(),
+      movingTime: this.appState.getMovingTime(),
+      stoppedTime: this.appState.getStoppedTime()
+    };
+  }
+
+  getSessionRouteInfo(session) {
+    const { data, rawFixes, accessibilityData, ...info } = session;
+    return info;
+  }
 
-    return gpx;
+  getStoredAccessibilityData() {
+    try {
+      const stored = localStorage.getItem('accessibilityData');
+      return stored ? JSON.parse(stored) : null;
+    } catch (error) {
+      console.warn('Could not load accessibility data:', error);
+      return null;
+    }
   }
 
   formatDuration(milliseconds) {
@@ -473,10 +467,16 @@ export class ExportController {
       
       if (fileType === 'json') {
         await this.importJSON(file);
+      } else if (fileType === 'geojson') {
+        await this.importGeoJSON(await this.readFileAsText(file));
       } else if (fileType === 'gpx') {
         await this.importGPX(file);
+      } else if (fileType === 'kml') {
+        await this.importKML(file);
+      } else if (fileType === 'kmz') {
+        await this.importKMZ(file);
       } else {
-        throw new Error('Unsupported file type. Please use .json or .gpx files.');
+        throw new Error('Unsupported file type. Please use .json, .geojson, .gpx, .kml or .kmz files.');
       }
       
     } catch (error) {
@@ -491,6 +491,12 @@ export class ExportController {
     const text = await this.readFileAsText(file);
     const data = JSON.parse(text);
 
+    // GeoJSON saved with a plain .json extension
+    if (data.type === 'FeatureCollection' || data.type === 'Feature') {
+      await this.importGeoJSON(data);
+      return;
+    }
+
     let routeData = null;
     
     // Handle different export formats
@@ -532,43 +538,62 @@ export class ExportController {
 
   async importGPX(file) {
     const text = await this.readFileAsText(file);
-    const parser = new DOMParser();
-    const gpxDoc = parser.parseFromString(text, 'text/xml');
+    await this.applyImportedRoute(parseGPX(text), 'GPX');
+  }
+
+  async importGeoJSON(data) {
+    await this.applyImportedRoute(parseGeoJSON(data), 'GeoJSON');
+  }
+
+  async importKML(file) {
+    const text = await this.readFileAsText(file);
+    await this.applyImportedRoute(parseKML(text), 'KML');
+  }
 
-    const trackPoints = gpxDoc.querySelectorAll('trkpt');
-    if (trackPoints.length === 0) {
-      throw new Error('No track points found in GPX file');
+  async importKMZ(file) {
+    const buffer = await file.arrayBuffer();
+    await this.applyImportedRoute(await parseKMZ(buffer), 'KMZ');
+  }
+
+  // Load a parsed GPX/GeoJSON/KML route into the app state
+  async applyImportedRoute(imported, formatLabel) {
+    const locationPoints = imported.routeData.filter(point => point.type === 'location');
+    if (locationPoints.length === 0) {
+      throw new Error(`No track or route points found in ${formatLabel} file`);
     }
 
     let shouldClear = true;
     if (this.appState.getRouteData().length > 0) {
-      shouldClear = await modal.confirm('Clear current route data before importing?', '📥 Import GPX');
+      shouldClear = await modal.confirm('Clear current route data before importing?', `📥 Import ${formatLabel}`);
     }
 
     if (shouldClear) {
       this.appState.clearRouteData();
     }
 
-    let importedPoints = 0;
-    trackPoints.forEach(trkpt => {
-      const lat = parseFloat(trkpt.getAttribute('lat'));
-      const lon = parseFloat(trkpt.getAttribute('lon'));
-      
-      if (isNaN(lat) || isNaN(lon)) return;
-
-      const timeElement = trkpt.querySelector('time');
-      
-      const point = {
-        type: 'location',
-        coords: { lat, lng: lon },
-        timestamp: timeElement ? new Date(timeElement.textContent).getTime() : Date.now() + importedPoints * 1000
-      };
-
+    imported.routeData.forEach(point => {
       this.appState.addRoutePoint(point);
-      importedPoints++;
     });
 
-    this.showSuccessMessage(`✅ Successfully imported ${importedPoints} GPS points from GPX!`);
+    // Route totals and survey data carried in the file's metadata
+    if (shouldClear && imported.routeInfo) {
+      if (typeof imported.routeInfo.totalDistance === 'number') {
+        this.appState.updateDistance(imported.routeInfo.totalDistance);
+      }
+      if (typeof imported.routeInfo.elapsedTime === 'number') {
+        this.appState.setElapsedTime(imported.routeInfo.elapsedTime);
+      }
+      if (typeof imported.routeInfo.stoppedTime === 'number') {
+        this.appState.setStoppedTime(imported.routeInfo.stoppedTime);
+      }
+    }
+
+    if (imported.accessibilityData) {
+      localStorage.setItem('accessibilityData', JSON.stringify(imported.accessibilityData));
+    }
+
+    const waypoints = imported.routeData.length - locationPoints.length;
+    this.showSuccessMessage(`✅ Successfully imported ${locationPoints.length} GPS points and ${waypoints} waypoints from ${formatLabel}!`);
   }
 
   readFileAsText(file) {
@@ -621,6 +646,7 @@ setupExportButtons() {
     { id: 'prepareAndExportBtn', handler: () => this.showExportOptions() },
     { id: 'exportGPXBtn', handler: () => this.exportGPX() },
     { id: 'exportPDFBtn', handler: () => this.exportPDF() },
+    { id: 'exportGISBtn', handler: () => this.exportGIS() },
     { id: 'exportSummaryBtn', handler: () => this.exportRouteSummary() } // Make sure this line is here
   ];
 
@@ -650,7 +676,7 @@ setupExportButtons() {
 // NEW: Export Route Summary - Beautiful HTML page for sharing
 async exportRouteSummary() {
   const currentRouteData = this.appState.getRouteData();
-  const savedSessions = this.appState.getSessions();
+  const savedSessions = await this.appState.getSessions();
   
   let routeDataToExport = null;
   let routeInfo = null;
@@ -702,6 +728,22 @@ async exportRouteSummary() {
 
   if (!routeDataToExport || !routeInfo) return;
 
+  routeDataToExport = await this.appState.resolvePhotos(routeDataToExport);
+
+  const mode = await modal.choice('Which kind of trail guide would you like?', '📋 Export Summary', [
+    { label: '🖼️ Visual guide (map, chart and photos)', value: 'visual' },
+    { label: '🦯 Accessible text guide (HTML, screen reader / DAISY friendly)', value: 'accessible' },
+    { label: '📄 Plain text directions (.txt)', value: 'text' },
+    { label: '❌ Cancel', value: 'cancel' }
+  ]);
+
+  if (!mode || mode === 'cancel') return;
+
+  if (mode === 'accessible' || mode === 'text') {
+    await this.exportAccessibleGuide(routeDataToExport, routeInfo, accessibilityData, mode);
+    return;
+  }
+
   try {
     // Use the new trail guide generator V2
     const htmlContent = trailGuideGeneratorV2.generateHTML(routeDataToExport, routeInfo, accessibilityData);
@@ -710,6 +752,17 @@ async exportRouteSummary() {
     this.downloadFile(htmlContent, filename, 'text/html');
     toast.success('Trail guide created successfully!');
     
+    // The tagged PDF is its own file, so a PDF failure can't cost the HTML guide
+    const wantsPDF = await modal.confirm('Also download the accessible (tagged) PDF version of this guide?', '📄 PDF Guide');
+    if (wantsPDF) {
+      try {
+        await this.generatePDFReport(routeDataToExport, routeInfo, accessibilityData);
+      } catch (error) {
+        console.error('Trail guide PDF failed:', error);
+        toast.error('PDF guide failed: ' + error.message);
+      }
+    }
+    
     // Ask if they want to preview it
     const preview = await modal.confirm('Trail guide created! Would you like to preview it in a new tab?', '👁️ Preview Guide');
     if (preview) {
@@ -722,11 +775,35 @@ async exportRouteSummary() {
   }
 }
 
+// Linear turn-by-turn guide for screen readers and text-only use
+async exportAccessibleGuide(routeData, routeInfo, accessibilityData, mode) {
+  try {
+    const options = { hazards: await this.getHazardsNearRoute(routeData) };
+    const baseName = `${routeInfo.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_trail_guide`;
+
+    if (mode === 'text') {
+      const text = trailGuideGeneratorV2.generateTextGuide(routeData, routeInfo, accessibilityData, options);
+      this.downloadFile(text, `${baseName}.txt`, 'text/plain');
+    } else {
+      const html = trailGuideGeneratorV2.generateAccessibleHTML(routeData, routeInfo, accessibilityData, options);
+      this.downloadFile(html, `${baseName}_accessible.html`, 'text/html');
+    }
+
+    toast.success('Accessible trail guide created successfully!');
+  } catch (error) {
+    console.error('Accessible guide export failed:', error);
+    toast.error('Accessible guide export failed: ' + error.message);
+  }
+}
+
 // Generate beautiful HTML summary page
 generateRouteSummaryHTML(routeData, routeInfo, accessibilityData) {
   const locationPoints = routeData.filter(p => p.type === 'location' && p.coords);
   const photos = routeData.filter(p => p.type === 'photo');
-  const notes = routeData.filter(p => p.type === 'text');
+  const notes = routeData.filter(p => p.type === 'text' || p.type === VOICE_POINT_TYPE);
+  // Captions go into alt attributes, some of them inside single-quoted script strings
+  const escapeAttr = (text) => String(text)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
   
   const date = new Date(routeInfo.date);
   const formattedDate = date.toLocaleDateString('en-US', { 
@@ -1134,8 +1211,9 @@ generateRouteSummaryHTML(routeData, routeInfo, accessibilityData) {
                 <div class="photos-grid">
                     ${photos.map(photo => `
                         <div class="photo-item">
-                            <img src="${photo.content}" alt="Trail photo" onclick="this.style.position='fixed'; this.style.top='0'; this.style.left='0'; this.style.width='100vw'; this.style.height='100vh'; this.style.objectFit='contain'; this.style.zIndex='9999'; this.style.background='rgba(0,0,0,0.9)'; this.onclick=function(){this.style.position=''; this.style.top=''; this.style.left=''; this.style.width=''; this.style.height=''; this.style.objectFit=''; this.style.zIndex=''; this.style.background=''; this.onclick=null;}">
+                            <img src="${photo.content}" alt="${escapeAttr(photo.caption || photo.altText || 'Trail photo')}" onclick="this.style.position='fixed'; this.style.top='0'; this.style.left='0'; this.style.width='100vw'; this.style.height='100vh'; this.style.objectFit='contain'; this.style.zIndex='9999'; this.style.background='rgba(0,0,0,0.9)'; this.onclick=function(){this.style.position=''; this.style.top=''; this.style.left=''; this.style.width=''; this.style.height=''; this.style.objectFit=''; this.style.zIndex=''; this.style.background=''; this.onclick=null;}">
                             <div class="photo-caption">
+                                ${photo.caption ? `<div aria-hidden="true">${escapeAttr(photo.caption)}</div>` : ''}
                                 <div class="photo-time">${new Date(photo.timestamp).toLocaleString()}</div>
                             </div>
                         </div>
@@ -1152,7 +1230,10 @@ generateRouteSummaryHTML(routeData, routeInfo, accessibilityData) {
                     ${notes.map(note => `
                         <div class="note-item">
                             <div class="note-time">${new Date(note.timestamp).toLocaleString()}</div>
-                            <div class="note-content">${note.content}</div>
+                            <div class="note-content">${note.type === VOICE_POINT_TYPE ? `
+                                🎙️ ${getVoiceNoteText(note).replace(/&/g, '&amp;').replace(/</g, '&lt;')}
+                                ${getVoiceNoteAudio(note) ? `<audio controls preload="none" src="${getVoiceNoteAudio(note)}"></audio>` : ''}
+                            ` : note.content}</div>
                         </div>
                     `).join('')}
                 </div>
@@ -1208,7 +1289,7 @@ generateRouteSummaryHTML(routeData, routeInfo, accessibilityData) {
                 iconSize: [30, 30],
                 className: 'photo-marker'
             })
-        }).addTo(map).bindPopup('<img src="${photo.content}" style="width:200px; border-radius:10px;">');
+        }).addTo(map).bindPopup('<img src="${photo.content}" alt="${escapeAttr(photo.caption || photo.altText || 'Trail photo')}" style="width:200px; border-radius:10px;">');
         ` : '').join('')}
 
         // Fit map to route bounds
@@ -0,0 +1,282 @@
+/**
+ * Hazard Index
+ * Spatial index of trail hazards for Trail Alerts
+ *
+ * - Hazards are fetched from `trail_conditions` by geohash tile, only for
+ *   the area around where the user is tracking; tiles are added as the
+ *   route moves on, one tile at a time
+ * - A tile is first fetched with only its unexpired conditions; once stale
+ *   it's refreshed with just the conditions changed since (`updatedAt`),
+ *   and fetched whole again now and then to drop deleted ones
+ * - Lookups go through a finer geohash grid, so checking a position only
+ *   measures the distance to hazards in the few cells around it, however
+ *   many reports there are
+ * - Hazards set directly (e.g. accessibility reports) use the same grid
+ *
+ * Condition reports carry `geohash`, `geohashTile` and a server `updatedAt`
+ * (see conditionLocationFields and TrailConditions); older ones get them
+ * from admin.html (Conditions → Index Locations). The queries need two
+ * composite indexes on trail_conditions: geohashTile + expiresAt and
+ * geohashTile + updatedAt.
+ *
+ * Access Nature - Safety & Navigation Features
+ * Created: October 2026
+ */
+
+import { encodeGeohash, geohashesForRadius } from '../utils/geohash.js';
+
+const INDEX_CONFIG = {
+  // ~4.9 × 4.9 km tiles fetched from Firestore
+  tilePrecision: 5,
+  // ~1.2 × 0.6 km cells for proximity lookups
+  gridPrecision: 6,
+  // Keep hazards loaded this far around the route (m)
+  fetchRadius: 3000,
+  // Fetch changes to a tile near the user after this long (ms)
+  refreshInterval: 5 * 60 * 1000,
+  // Fetch the whole tile again after this long, for deleted conditions (ms)
+  fullRefreshInterval: 30 * 60 * 1000,
+  // After a failed fetch (e.g. offline), try the tile again after this long (ms)
+  retryDelay: 30 * 1000
+};
+
+/**
+ * Location fields a trail_conditions document needs to be found by tile
+ * @param {number} lat
+ * @param {number} lng
+ * @returns {object} { geohash, geohashTile }
+ */
+export function conditionLocationFields(lat, lng) {
+  const geohash = encodeGeohash(lat, lng);
+  return { geohash, geohashTile: geohash.slice(0, INDEX_CONFIG.tilePrecision) };
+}
+
+function toMillis(value) {
+  if (!value) return NaN;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  return new Date(value).getTime();
+}
+
+/**
+ * Location of a hazard; reports and condition reports store it differently
+ * @param {object} hazard
+ * @returns {{ lat: number, lng: number }|null}
+ */
+function hazardPosition(hazard) {
+  const lat = hazard.lat ?? hazard.latitude ?? hazard.location?.lat ?? hazard.location?.latitude;
+  const lng = hazard.lng ?? hazard.longitude ?? hazard.location?.lng ?? hazard.location?.longitude;
+  return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+}
+
+function distanceMeters(lat1, lng1, lat2, lng2) {
+  const R = 6371e3;
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLng = (lng2 - lng1) * Math.PI / 180;
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * Math.sin(dLng / 2) ** 2;
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+export class HazardIndex {
+  constructor() {
+    this.hazards = new Map(); // id -> hazard
+    this.grid = new Map(); // grid cell -> Set of ids
+    this.tiles = new Map(); // tile -> { fetchedAt, fullAt, cursor, ids }
+    this.loading = new Map(); // tile -> in-flight fetch
+    this.directIds = new Set(); // ids from setHazards()
+  }
+
+  get size() {
+    return this.hazards.size;
+  }
+
+  /**
+   * Add or replace a hazard
+   * @param {object} hazard - Needs an id and a location
+   * @returns {boolean} Whether it was indexed
+   */
+  add(hazard) {
+    const position = hazardPosition(hazard);
+    if (!hazard?.id || !position) return false;
+
+    this.remove(hazard.id);
+    const cell = encodeGeohash(position.lat, position.lng, INDEX_CONFIG.gridPrecision);
+    this.hazards.set(hazard.id, { ...hazard, lat: position.lat, lng: position.lng, cell });
+    if (!this.grid.has(cell)) this.grid.set(cell, new Set());
+    this.grid.get(cell).add(hazard.id);
+    return true;
+  }
+
+  remove(id) {
+    const hazard = this.hazards.get(id);
+    if (!hazard) return;
+    this.hazards.delete(id);
+    const ids = this.grid.get(hazard.cell);
+    ids?.delete(id);
+    if (ids?.size === 0) this.grid.delete(hazard.cell);
+  }
+
+  /**
+   * Replace the hazards that were set directly; fetched tiles are kept
+   * @param {Array} hazards
+   * @returns {number} How many had a usable location
+   */
+  setHazards(hazards) {
+    this.directIds.forEach(id => this.remove(id));
+    this.directIds = new Set(hazards.filter(hazard => this.add(hazard)).map(hazard => hazard.id));
+    return this.directIds.size;
+  }
+
+  /**
+   * Hazards within a distance, closest first
+   * @param {number} lat
+   * @param {number} lng
+   * @param {number} radius - Metres
+   * @returns {Array<{hazard: object, distance: number}>}
+   */
+  findNearby(lat, lng, radius) {
+    const now = Date.now();
+    const nearby = [];
+
+    geohashesForRadius(lat, lng, radius, INDEX_CONFIG.gridPrecision).forEach(cell => {
+      this.grid.get(cell)?.forEach(id => {
+        const hazard = this.hazards.get(id);
+        if (toMillis(hazard.expiresAt) <= now) return;
+        const distance = distanceMeters(lat, lng, hazard.lat, hazard.lng);
+        if (distance <= radius) nearby.push({ hazard, distance });
+      });
+    });
+
+    return nearby.sort((a, b) => a.distance - b.distance);
+  }
+
+  /**
+   * Make sure the tiles around a position are loaded
+   * @param {number} lat
+   * @param {number} lng
+   * @returns {Promise<number>} Number of tiles fetched
+   */
+  async loadAround(lat, lng) {
+    const missing = this.tilesAround(lat, lng).filter(tile => !this.tiles.has(tile));
+    await Promise.all(missing.map(tile => this.fetchTile(tile)));
+    return missing.length;
+  }
+
+  /**
+   * Fetch what changed in the stale tiles around a position
+   * @param {number} lat
+   * @param {number} lng
+   * @returns {Promise<number>} Number of tiles fetched
+   */
+  async refreshAround(lat, lng) {
+    const now = Date.now();
+    const stale = this.tilesAround(lat, lng).filter(tile => {
+      const loaded = this.tiles.get(tile);
+      return loaded && now - loaded.fetchedAt >= INDEX_CONFIG.refreshInterval;
+    });
+    for (const tile of stale) {
+      await this.fetchTile(tile);
+    }
+    return stale.length;
+  }
+
+  tilesAround(lat, lng) {
+    return geohashesForRadius(lat, lng, INDEX_CONFIG.fetchRadius, INDEX_CONFIG.tilePrecision);
+  }
+
+  /**
+   * Fetch one tile: its unexpired conditions the first time (and every
+   * fullRefreshInterval, dropping hazards that are gone), otherwise only
+   * the conditions updated since the last fetch
+   * @param {string} tile - Geohash prefix
+   * @returns {Promise<void>}
+   */
+  fetchTile(tile) {
+    if (this.loading.has(tile)) return this.loading.get(tile);
+
+    const loaded = this.tiles.get(tile);
+    const fetching = (async () => {
+      const { db } = await import('../../firebase-setup.js');
+      const { collection, getDocs, query, where } = await import(
+        'https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js'
+      );
+
+      const now = new Date().toISOString();
+      const incremental = !!loaded?.cursor && Date.now() - loaded.fullAt < INDEX_CONFIG.fullRefreshInterval;
+      const snapshot = await getDocs(query(
+        collection(db, 'trail_conditions'),
+        where('geohashTile', '==', tile),
+        incremental ? where('updatedAt', '>', loaded.cursor) : where('expiresAt', '>', now)
+      ));
+
+      const ids = incremental ? new Set(loaded.ids) : new Set();
+      // Server time of the newest change seen, so clock drift on this
+      // device can't skip one
+      let cursor = incremental ? loaded.cursor : null;
+      snapshot.forEach(doc => {
+        const data = doc.data();
+        if (data.updatedAt && !(toMillis(data.updatedAt) <= toMillis(cursor))) cursor = data.updatedAt;
+        if (!data.expiresAt || data.expiresAt <= now || !this.add(this.toHazard(doc.id, data))) {
+          ids.delete(doc.id);
+          this.remove(doc.id);
+          return;
+        }
+        ids.add(doc.id);
+      });
+
+      loaded?.ids.forEach(id => {
+        if (!ids.has(id)) this.remove(id);
+      });
+      this.tiles.set(tile, {
+        fetchedAt: Date.now(),
+        fullAt: incremental ? loaded.fullAt : Date.now(),
+        cursor,
+        ids
+      });
+    })().catch(error => {
+      // Keep what we had and let refreshAround() try again in a while,
+      // rather than retrying on every position update
+      this.tiles.set(tile, {
+        ...loaded,
+        fetchedAt: Date.now() - INDEX_CONFIG.refreshInterval + INDEX_CONFIG.retryDelay,
+        ids: loaded?.ids || new Set()
+      });
+      throw error;
+    }).finally(() => {
+      this.loading.delete(tile);
+    });
+
+    this.loading.set(tile, fetching);
+    return fetching;
+  }
+
+  /**
+   * Convert a trail condition report to hazard format
+   * @param {string} id
+   * @param {object} data - trail_conditions document
+   * @returns {object}
+   */
+  toHazard(id, data) {
+    return {
+      id,
+      lat: data.location?.lat,
+      lng: data.location?.lng,
+      title: data.trailName || 'Trail Condition',
+      issueType: data.conditions?.[0]?.value || 'trail_obstacle',
+      severity: data.maxSeverity || 3,
+      description: data.notes || data.conditions?.map(c => c.label).join(', ') || '',
+      timestamp: data.timestamp,
+      ...data
+    };
+  }
+
+  /**
+   * Forget fetched tiles (hazards set directly stay)
+   */
+  clearTiles() {
+    this.tiles.forEach(({ ids }) => ids.forEach(id => this.remove(id)));
+    this.tiles.clear();
+  }
+}
+
+export default HazardIndex;
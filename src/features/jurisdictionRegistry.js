@@ -0,0 +1,463 @@
+/**
+ * Jurisdiction Registry
+ * Works out which authority a barrier report belongs to
+ *
+ * - The dataset is a GeoJSON FeatureCollection of authority outlines (see
+ *   src/config/jurisdictions.js for the properties). Admins edit it in
+ *   admin.html; the live copy is kept in Firestore at settings/jurisdictions
+ *   as a JSON string, since Firestore can't store nested arrays
+ * - Until the live copy has loaded, the last one seen on this device is used,
+ *   then the shipped defaults
+ * - A report's location is matched by point-in-polygon; where outlines
+ *   overlap, the smallest containing one wins (a park inside a city)
+ * - Jurisdictions with an Open311 endpoint are handed to the Open311 client,
+ *   keyed by jurisdiction id
+ * - Open311 API keys are not part of the public dataset: they're kept in
+ *   settings_private/open311Keys, which only signed-in users can read, and
+ *   filled in once the user has signed in (loadOpen311Keys)
+ *
+ * Access Nature - AccessReport Enhancement
+ * Created: October 2026
+ */
+
+import { DEFAULT_JURISDICTIONS, JURISDICTION_TYPES } from '../config/jurisdictions.js';
+import { open311 } from './open311Integration.js';
+
+const REGISTRY_CONFIG = {
+  cacheKey: 'accessNature_jurisdictions',
+  collection: 'settings',
+  docId: 'jurisdictions',
+  // { keys: { jurisdictionId: apiKey } } - signed-in read, admin write
+  // (Firestore rules)
+  keysCollection: 'settings_private',
+  keysDocId: 'open311Keys'
+};
+
+// ==================== GEOMETRY ====================
+
+/**
+ * Ray casting test against one ring of [lng, lat] positions
+ */
+function pointInRing(lng, lat, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Whether a point falls inside a polygon (outer ring minus holes)
+ * @param {number} lng
+ * @param {number} lat
+ * @param {Array} rings - GeoJSON Polygon coordinates
+ * @returns {boolean}
+ */
+function pointInPolygon(lng, lat, rings) {
+  if (!pointInRing(lng, lat, rings[0])) return false;
+  return !rings.slice(1).some(hole => pointInRing(lng, lat, hole));
+}
+
+/**
+ * Whether a Polygon or MultiPolygon geometry contains a point
+ * @param {object} geometry
+ * @param {number} lat
+ * @param {number} lng
+ * @returns {boolean}
+ */
+export function geometryContains(geometry, lat, lng) {
+  if (geometry?.type === 'Polygon') return pointInPolygon(lng, lat, geometry.coordinates);
+  if (geometry?.type === 'MultiPolygon') {
+    return geometry.coordinates.some(polygon => pointInPolygon(lng, lat, polygon));
+  }
+  return false;
+}
+
+function geometryPolygons(geometry) {
+  return geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+}
+
+/**
+ * Rough area in square degrees, corrected for latitude - only used to rank
+ * overlapping outlines
+ */
+function geometryArea(geometry) {
+  const ringArea = (ring) => {
+    let sum = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      sum += (ring[j][0] - ring[i][0]) * (ring[j][1] + ring[i][1]);
+    }
+    const midLat = ring.reduce((total, position) => total + position[1], 0) / ring.length;
+    return Math.abs(sum / 2) * Math.cos(midLat * Math.PI / 180);
+  };
+
+  return geometryPolygons(geometry).reduce((total, rings) =>
+    total + ringArea(rings[0]) - rings.slice(1).reduce((holes, hole) => holes + ringArea(hole), 0), 0);
+}
+
+function geometryBounds(geometry) {
+  const bounds = { west: Infinity, south: Infinity, east: -Infinity, north: -Infinity };
+  geometryPolygons(geometry).forEach(rings => rings[0].forEach(([lng, lat]) => {
+    bounds.west = Math.min(bounds.west, lng);
+    bounds.east = Math.max(bounds.east, lng);
+    bounds.south = Math.min(bounds.south, lat);
+    bounds.north = Math.max(bounds.north, lat);
+  }));
+  return bounds;
+}
+
+// ==================== VALIDATION ====================
+
+function isPosition(position) {
+  return Array.isArray(position) && position.length >= 2 &&
+    Number.isFinite(position[0]) && Number.isFinite(position[1]) &&
+    Math.abs(position[0]) <= 180 && Math.abs(position[1]) <= 90;
+}
+
+function isPolygon(rings) {
+  return Array.isArray(rings) && rings.length > 0 &&
+    rings.every(ring => Array.isArray(ring) && ring.length >= 4 && ring.every(isPosition));
+}
+
+/**
+ * Check a dataset before it's used or saved
+ * @param {object} geojson
+ * @returns {Array<string>} Problems found; empty when the dataset is usable
+ */
+export function validateJurisdictions(geojson) {
+  if (geojson?.type !== 'FeatureCollection' || !Array.isArray(geojson.features)) {
+    return ['Dataset must be a GeoJSON FeatureCollection'];
+  }
+
+  const errors = [];
+  const ids = new Set();
+  geojson.features.forEach((feature, index) => {
+    const props = feature?.properties || {};
+    const label = props.name || props.id || `Feature ${index + 1}`;
+
+    if (!props.id) errors.push(`${label}: missing id`);
+    else if (ids.has(props.id)) errors.push(`${label}: id "${props.id}" is used twice`);
+    ids.add(props.id);
+
+    if (!props.name) errors.push(`${label}: missing name`);
+    if (props.type && !JURISDICTION_TYPES[props.type]) errors.push(`${label}: unknown type "${props.type}"`);
+    if (props.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(props.email)) errors.push(`${label}: invalid email`);
+    if (props.language && !/^[a-z]{2}(-[A-Z]{2})?$/.test(props.language)) {
+      errors.push(`${label}: language must be a code like "en" or "he"`);
+    }
+    if (props.open311 && !/^https?:\/\//.test(props.open311.endpoint || '')) {
+      errors.push(`${label}: Open311 endpoint must be an http(s) URL`);
+    }
+
+    const geometry = feature?.geometry;
+    const validGeometry =
+      (geometry?.type === 'Polygon' && isPolygon(geometry.coordinates)) ||
+      (geometry?.type === 'MultiPolygon' && Array.isArray(geometry.coordinates) &&
+        geometry.coordinates.length > 0 && geometry.coordinates.every(isPolygon));
+    if (!validGeometry) errors.push(`${label}: geometry must be a Polygon or MultiPolygon`);
+  });
+
+  return errors;
+}
+
+/**
+ * Take the Open311 API keys out of a dataset
+ * @param {object} geojson
+ * @returns {object} { geojson, keys } - a copy without keys, and { jurisdictionId: apiKey }
+ */
+function splitOpen311Keys(geojson) {
+  const keys = {};
+  const features = geojson.features.map(feature => {
+    const open311 = feature.properties?.open311;
+    if (!open311 || !('apiKey' in open311)) return feature;
+
+    const { apiKey, ...rest } = open311;
+    if (apiKey) keys[feature.properties.id] = apiKey;
+    return { ...feature, properties: { ...feature.properties, open311: rest } };
+  });
+  return { geojson: { ...geojson, features }, keys };
+}
+
+// ==================== REGISTRY ====================
+
+export class JurisdictionRegistry {
+  constructor() {
+    this.geojson = null;
+    this.index = [];
+    this.source = null; // 'default' | 'cache' | 'remote'
+    this.updatedAt = null;
+    this.updatedBy = null;
+    this.loading = null;
+    this.open311Keys = {};
+    this.open311KeysLoaded = false;
+  }
+
+  /**
+   * Make lookups available straight away, then fetch the live dataset
+   * @returns {Promise<JurisdictionRegistry>} Resolves once the live copy is in
+   */
+  initialize() {
+    if (!this.geojson) this.useLocalDataset();
+    if (!this.loading) {
+      this.loading = this.refresh().then(() => this);
+    }
+    return this.loading;
+  }
+
+  useLocalDataset() {
+    try {
+      const cached = JSON.parse(localStorage.getItem(REGISTRY_CONFIG.cacheKey) || 'null');
+      if (cached?.geojson && validateJurisdictions(cached.geojson).length === 0) {
+        this.setDataset(cached.geojson, 'cache', cached);
+        return;
+      }
+    } catch (error) {
+      console.warn('⚠️ Failed to read cached jurisdictions:', error);
+    }
+    this.setDataset(DEFAULT_JURISDICTIONS, 'default');
+  }
+
+  /**
+   * Load the admin-edited dataset from Firestore
+   * @returns {Promise<boolean>} Whether a live copy was found
+   */
+  async refresh() {
+    try {
+      const { doc, getDoc } = await import('https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js');
+      const { db } = await import('../../firebase-setup.js');
+
+      const snapshot = await getDoc(doc(db, REGISTRY_CONFIG.collection, REGISTRY_CONFIG.docId));
+      await this.loadOpen311Keys();
+      if (!snapshot.exists()) return false;
+
+      const data = snapshot.data();
+      // Sets saved before keys moved out may still carry them; they're used
+      // until the next save moves them, but never cached on the device
+      const geojson = JSON.parse(data.geojson);
+      const errors = validateJurisdictions(geojson);
+      if (errors.length > 0) {
+        console.warn('⚠️ Saved jurisdictions are invalid, keeping current set:', errors);
+        return false;
+      }
+
+      const meta = {
+        updatedAt: data.updatedAt?.toDate?.().toISOString() || null,
+        updatedBy: data.updatedBy || null
+      };
+      this.setDataset(geojson, 'remote', meta);
+      this.cacheDataset(geojson, meta);
+      return true;
+    } catch (error) {
+      console.warn('⚠️ Could not load jurisdictions, using local copy:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Fetch the Open311 API keys for the signed-in user, or forget them when
+   * nobody is signed in. Call on every sign-in change.
+   * @returns {Promise<boolean>} Whether keys were loaded
+   */
+  async loadOpen311Keys() {
+    let keys = {};
+    let loaded = false;
+    try {
+      const { doc, getDoc } = await import('https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js');
+      const { db, auth } = await import('../../firebase-setup.js');
+
+      if (auth.currentUser) {
+        const snapshot = await getDoc(doc(db, REGISTRY_CONFIG.keysCollection, REGISTRY_CONFIG.keysDocId));
+        keys = snapshot.exists() ? snapshot.data().keys || {} : {};
+        loaded = true;
+      }
+    } catch (error) {
+      console.warn('⚠️ Could not load Open311 API keys:', error.message);
+      this.open311KeysLoaded = false;
+      return false;
+    }
+
+    this.open311Keys = keys;
+    this.open311KeysLoaded = loaded;
+    if (this.geojson) this.syncOpen311();
+    return loaded;
+  }
+
+  cacheDataset(geojson, meta) {
+    const { geojson: publicGeojson } = splitOpen311Keys(geojson);
+    localStorage.setItem(REGISTRY_CONFIG.cacheKey, JSON.stringify({ geojson: publicGeojson, ...meta }));
+  }
+
+  /**
+   * Use a dataset for lookups
+   * @param {object} geojson - Valid FeatureCollection
+   * @param {string} source
+   * @param {object} meta - { updatedAt, updatedBy }
+   */
+  setDataset(geojson, source, meta = {}) {
+    this.geojson = geojson;
+    this.source = source;
+    this.updatedAt = meta.updatedAt || null;
+    this.updatedBy = meta.updatedBy || null;
+    this.index = this.buildIndex(geojson);
+    this.syncOpen311();
+  }
+
+  buildIndex(geojson) {
+    return geojson.features.map(feature => ({
+      jurisdiction: this.toJurisdiction(feature.properties),
+      geometry: feature.geometry,
+      bounds: geometryBounds(feature.geometry),
+      area: geometryArea(feature.geometry)
+    }));
+  }
+
+  toJurisdiction(props) {
+    return {
+      id: props.id,
+      name: props.name,
+      type: props.type || 'other',
+      email: props.email || null,
+      portalUrl: props.portalUrl || null,
+      open311: props.open311 || null,
+      serviceCodes: props.serviceCodes || {},
+      language: props.language || 'en'
+    };
+  }
+
+  /**
+   * Give the Open311 client an endpoint for each jurisdiction that has one
+   */
+  syncOpen311() {
+    open311.syncEndpoints(this.index
+      .filter(({ jurisdiction }) => jurisdiction.open311?.endpoint)
+      .map(({ jurisdiction }) => ({
+        id: jurisdiction.id,
+        name: jurisdiction.name,
+        endpoint: jurisdiction.open311.endpoint,
+        apiKey: this.open311Keys[jurisdiction.id] || jurisdiction.open311.apiKey || null,
+        jurisdictionId: jurisdiction.open311.jurisdictionId,
+        serviceCodes: jurisdiction.serviceCodes,
+        language: jurisdiction.language
+      })));
+  }
+
+  getAll() {
+    return this.index.map(entry => entry.jurisdiction);
+  }
+
+  getJurisdiction(id) {
+    return this.index.find(entry => entry.jurisdiction.id === id)?.jurisdiction || null;
+  }
+
+  /**
+   * Every jurisdiction whose outline contains a point, most specific first
+   * @param {number} lat
+   * @param {number} lng
+   * @param {object} geojson - Optional dataset to search instead of the
+   *                           current one (e.g. unsaved edits in admin.html)
+   * @returns {Array<object>}
+   */
+  findAllForPoint(lat, lng, geojson = null) {
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) return [];
+
+    return (geojson ? this.buildIndex(geojson) : this.index)
+      .filter(({ bounds, geometry }) =>
+        lng >= bounds.west && lng <= bounds.east && lat >= bounds.south && lat <= bounds.north &&
+        geometryContains(geometry, lat, lng))
+      .sort((a, b) => a.area - b.area)
+      .map(entry => entry.jurisdiction);
+  }
+
+  /**
+   * The authority responsible for a point
+   * @param {number} lat
+   * @param {number} lng
+   * @returns {object|null} { id, name, type, email, portalUrl, open311, serviceCodes, language }
+   */
+  findForPoint(lat, lng) {
+    return this.findAllForPoint(lat, lng)[0] || null;
+  }
+
+  /**
+   * The authority for a report - the one it was filed under if that still
+   * exists, otherwise by its location
+   * @param {object} report
+   * @returns {object|null}
+   */
+  resolveReport(report) {
+    return (report.jurisdictionId && this.getJurisdiction(report.jurisdictionId)) ||
+      this.findForPoint(report.latitude ?? report.location?.latitude, report.longitude ?? report.location?.longitude);
+  }
+
+  /**
+   * Save an edited dataset as the live copy (admins only - enforced by
+   * Firestore rules). Open311 API keys go to the private keys document,
+   * not the public dataset.
+   * @param {object} geojson - May include open311.apiKey, as from getDataset()
+   * @param {object} user - Firebase user making the change
+   */
+  async save(geojson, user) {
+    const errors = validateJurisdictions(geojson);
+    if (errors.length > 0) {
+      const error = new Error(`Jurisdictions not saved: ${errors[0]}${errors.length > 1 ? ` (+${errors.length - 1} more)` : ''}`);
+      error.errors = errors;
+      throw error;
+    }
+    // Saving without them would wipe the keys other admins set
+    if (!this.open311KeysLoaded) {
+      const error = new Error('Jurisdictions not saved: Open311 API keys could not be loaded - reload and try again');
+      error.keysNotLoaded = true;
+      throw error;
+    }
+
+    const { doc, writeBatch, serverTimestamp } = await import('https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js');
+    const { db } = await import('../../firebase-setup.js');
+
+    const { geojson: publicGeojson, keys } = splitOpen311Keys(geojson);
+
+    // Both or neither, so a key is never left out of the public set without
+    // being saved privately
+    const batch = writeBatch(db);
+    batch.set(doc(db, REGISTRY_CONFIG.collection, REGISTRY_CONFIG.docId), {
+      geojson: JSON.stringify(publicGeojson),
+      featureCount: publicGeojson.features.length,
+      updatedAt: serverTimestamp(),
+      updatedBy: user?.email || null
+    });
+    batch.set(doc(db, REGISTRY_CONFIG.keysCollection, REGISTRY_CONFIG.keysDocId), {
+      keys,
+      updatedAt: serverTimestamp(),
+      updatedBy: user?.email || null
+    });
+    await batch.commit();
+
+    const meta = { updatedAt: new Date().toISOString(), updatedBy: user?.email || null };
+    this.open311Keys = keys;
+    this.setDataset(publicGeojson, 'remote', meta);
+    this.cacheDataset(publicGeojson, meta);
+  }
+
+  /**
+   * Copy of the current dataset to edit, with the Open311 API keys the user
+   * can read filled in
+   * @returns {object}
+   */
+  getDataset() {
+    const geojson = JSON.parse(JSON.stringify(this.geojson || DEFAULT_JURISDICTIONS));
+    geojson.features.forEach(feature => {
+      const open311 = feature.properties?.open311;
+      const apiKey = this.open311Keys[feature.properties.id];
+      if (open311 && apiKey) open311.apiKey = apiKey;
+    });
+    return geojson;
+  }
+}
+
+// Create and export singleton
+export const jurisdictionRegistry = new JurisdictionRegistry();
+
+export default jurisdictionRegistry;
@@ -3,6 +3,14 @@ import { getCurrentPosition } from '../utils/geolocation.js';
 import { toast } from '../utils/toast.js';
 import { modal } from '../utils/modal.js';
 import { userService } from '../services/userService.js';
+import { SURFACE_TYPES, TRAIL_FEATURES } from './accessibilityRating.js';
+import { VoiceRecorder } from './voiceRecorder.js';
+import { PhotoAnnotator } from './photoAnnotator.js';
+import { readExifFromFile } from '../utils/exif.js';
+import { photoStore } from '../core/photoStore.js';
+import { voiceClipStore, blobToDataURL } from '../core/voiceClipStore.js';
+import { storageManager } from '../core/storageManager.js';
+import { VOICE_POINT_TYPE, formatVoiceDuration } from '../utils/voiceNotes.js';
 
 export class MediaController {
   constructor(appState) {
@@ -21,6 +29,14 @@ export class MediaController {
         this.handlePhotoCapture(e);
       });
     }
+
+    // The camera input opens the camera directly; this one opens the gallery
+    const galleryInput = document.getElementById('galleryInput');
+    if (galleryInput) {
+      galleryInput.addEventListener('change', (e) => {
+        this.handlePhotoCapture(e, 'gallery');
+      });
+    }
   }
 
   setupMediaButtons() {
@@ -30,6 +46,228 @@ export class MediaController {
         this.capturePhoto();
       });
     }
+
+    const galleryPhotoBtn = document.getElementById('galleryPhotoBtn');
+    if (galleryPhotoBtn) {
+      galleryPhotoBtn.addEventListener('click', () => {
+        this.choosePhotoFromGallery();
+      });
+    }
+
+    this.setupQuickTagToolbar();
+  }
+
+  // Quick tags: one tap drops a typed route point - no dialogs, so the
+  // surveyor can keep walking
+  setupQuickTagToolbar() {
+    const mediaPanel = document.getElementById('mediaPanel');
+    if (!mediaPanel || document.getElementById('quickTagToolbar')) return;
+
+    this.injectQuickTagStyles();
+
+    const toggle = document.createElement('button');
+    toggle.id = 'quickTagToggle';
+    toggle.className = 'round-button';
+    toggle.title = 'Quick Tags';
+    toggle.textContent = '🏷️';
+    toggle.setAttribute('aria-label', 'Show quick surface and feature tags');
+    toggle.setAttribute('aria-controls', 'quickTagToolbar');
+    toggle.setAttribute('aria-expanded', 'false');
+    mediaPanel.appendChild(toggle);
+
+    const surfaceButtons = Object.entries(SURFACE_TYPES).map(([key, surface]) => `
+      <button type="button" class="quick-tag-btn" data-tag-type="surface" data-value="${key}" aria-pressed="false">
+        <span class="quick-tag-icon" aria-hidden="true">${surface.icon}</span>
+        <span class="quick-tag-label">${surface.label}</span>
+      </button>`).join('');
+
+    const featureButtons = Object.entries(TRAIL_FEATURES).map(([key, feature]) => `
+      <button type="button" class="quick-tag-btn feature" data-tag-type="feature" data-value="${key}">
+        <span class="quick-tag-icon" aria-hidden="true">${feature.icon}</span>
+        <span class="quick-tag-label">${feature.label}</span>
+      </button>`).join('');
+
+    const toolbar = document.createElement('div');
+    toolbar.id = 'quickTagToolbar';
+    toolbar.className = 'quick-tag-toolbar';
+    toolbar.hidden = true;
+    toolbar.setAttribute('role', 'toolbar');
+    toolbar.setAttribute('aria-label', 'Quick tags');
+    toolbar.innerHTML = `
+      <div class="quick-tag-group" role="group" aria-label="Surface from here on">${surfaceButtons}</div>
+      <div class="quick-tag-group" role="group" aria-label="Features at this spot">${featureButtons}</div>
+      <div class="quick-tag-status" aria-live="polite"></div>
+    `;
+    document.body.appendChild(toolbar);
+
+    toggle.addEventListener('click', () => this.toggleQuickTags());
+    toolbar.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-tag-type]');
+      if (button) {
+        this.addQuickTag(button.dataset.tagType, button.dataset.value, button);
+      }
+    });
+
+    window.addEventListener('trackingStarted', () => {
+      this.setCurrentSurface(null);
+      this.toggleQuickTags(true);
+    });
+    window.addEventListener('trackingStopped', () => this.toggleQuickTags(false));
+  }
+
+  toggleQuickTags(show) {
+    const toolbar = document.getElementById('quickTagToolbar');
+    const toggle = document.getElementById('quickTagToggle');
+    if (!toolbar) return;
+
+    const visible = typeof show === 'boolean' ? show : toolbar.hidden;
+    toolbar.hidden = !visible;
+    toggle?.setAttribute('aria-expanded', String(visible));
+  }
+
+  /**
+   * Drop a surface or feature point at the current position
+   * @param {string} kind - 'surface' (key of SURFACE_TYPES) or 'feature' (key of TRAIL_FEATURES)
+   * @param {string} value - Surface or feature key
+   * @param {HTMLElement} button - Tapped button, for feedback
+   */
+  addQuickTag(kind, value, button = null) {
+    const info = kind === 'surface' ? SURFACE_TYPES[value] : TRAIL_FEATURES[value];
+    if (!info) return;
+
+    if (!this.appState.getTrackingState().isTracking) {
+      toast.warning('Start tracking first to tag the trail');
+      return;
+    }
+
+    // Last tracked fix - waiting for a fresh one would defeat one-tap tagging
+    const coords = this.appState.getLastCoords();
+    if (!coords) {
+      toast.warning('Waiting for GPS - try again in a moment');
+      return;
+    }
+
+    this.appState.addRoutePoint({
+      type: kind,
+      [kind]: value,
+      coords: { lat: coords.lat, lng: coords.lng },
+      timestamp: Date.now()
+    });
+
+    if (kind === 'surface') {
+      this.setCurrentSurface(value);
+    }
+
+    if (button) {
+      button.classList.remove('tagged');
+      void button.offsetWidth; // restart the flash animation
+      button.classList.add('tagged');
+    }
+    if (navigator.vibrate) navigator.vibrate(30);
+
+    const status = document.querySelector('#quickTagToolbar .quick-tag-status');
+    const message = kind === 'surface' ? `Surface: ${info.label}` : `${info.label} tagged`;
+    if (status) status.textContent = `${info.icon} ${message}`;
+  }
+
+  setCurrentSurface(surface) {
+    document.querySelectorAll('#quickTagToolbar [data-tag-type="surface"]').forEach(button => {
+      button.setAttribute('aria-pressed', String(button.dataset.value === surface));
+    });
+  }
+
+  injectQuickTagStyles() {
+    if (document.getElementById('quick-tag-styles')) return;
+
+    const styles = document.createElement('style');
+    styles.id = 'quick-tag-styles';
+    styles.textContent = `
+      .quick-tag-toolbar {
+        position: fixed;
+        left: 8px;
+        right: 8px;
+        bottom: 72px;
+        z-index: 850;
+        background: rgba(255, 255, 255, 0.96);
+        border-radius: 14px;
+        box-shadow: 0 4px 16px rgba(0, 0, 0, 0.2);
+        padding: 8px;
+      }
+
+      .quick-tag-toolbar[hidden] {
+        display: none;
+      }
+
+      .quick-tag-group {
+        display: flex;
+        gap: 6px;
+        overflow-x: auto;
+        padding-bottom: 6px;
+        -webkit-overflow-scrolling: touch;
+      }
+
+      .quick-tag-btn {
+        flex: 0 0 auto;
+        min-width: 64px;
+        min-height: 64px;
+        display: flex;
+        flex-direction: column;
+        align-items: center;
+        justify-content: center;
+        gap: 2px;
+        padding: 6px 8px;
+        border: 2px solid #d1d5db;
+        border-radius: 12px;
+        background: white;
+        font-size: 11px;
+        font-weight: 600;
+        color: #374151;
+        cursor: pointer;
+      }
+
+      .quick-tag-btn.feature {
+        border-color: #fcd34d;
+        background: #fffbeb;
+      }
+
+      .quick-tag-btn[aria-pressed="true"] {
+        border-color: #2e7d32;
+        background: #e8f5e9;
+      }
+
+      .quick-tag-btn:focus-visible {
+        outline: 3px solid #2563eb;
+        outline-offset: 2px;
+      }
+
+      .quick-tag-btn.tagged {
+        animation: quick-tag-flash 0.6s ease;
+      }
+
+      @keyframes quick-tag-flash {
+        0% { transform: scale(0.92); background: #bbf7d0; }
+        100% { transform: scale(1); }
+      }
+
+      .quick-tag-icon {
+        font-size: 24px;
+        line-height: 1;
+      }
+
+      .quick-tag-label {
+        max-width: 72px;
+        text-align: center;
+        line-height: 1.2;
+      }
+
+      .quick-tag-status {
+        font-size: 13px;
+        color: #2e7d32;
+        text-align: center;
+        min-height: 1.2em;
+      }
+    `;
+    document.head.appendChild(styles);
   }
 
   async capturePhoto() {
@@ -44,28 +282,58 @@ export class MediaController {
     }
   }
 
-  async handlePhotoCapture(event) {
+  async choosePhotoFromGallery() {
+    if (!this.appState.getTrackingState().isTracking) {
+      toast.warning('Start tracking first to add photos');
+      return;
+    }
+
+    document.getElementById('galleryInput')?.click();
+  }
+
+  /**
+   * Place, annotate, caption and store a photo
+   * @param {Event} event - Change event of the camera or gallery input
+   * @param {string} source - 'camera' or 'gallery'
+   */
+  async handlePhotoCapture(event, source = 'camera') {
     const file = event.target.files[0];
     if (!file) return;
 
     try {
-      const position = await getCurrentPosition();
-      const coords = {
-        lat: position.coords.latitude,
-        lng: position.coords.longitude
-      };
-
-      const compressedImage = await this.compressImage(file, 0.7);
+      // EXIF has to be read from the original file - the canvas copy has none
+      const exif = await readExifFromFile(file);
+      const placement = await this.placePhoto(exif);
+      const photo = await this.loadPhoto(file, exif.orientation);
+
+      const details = await new PhotoAnnotator(photo).open();
+      if (!details) {
+        toast.info('Photo discarded');
+        return;
+      }
 
-      this.appState.addRoutePoint({
+      const point = {
         type: 'photo',
-        coords: coords,
-        content: compressedImage,
+        coords: placement.coords,
+        ...await this.storePhoto(details.canvas),
         timestamp: Date.now(),
+        takenAt: exif.takenAt,
+        locationSource: placement.source,
+        caption: details.caption,
+        source,
         originalSize: file.size
-      });
+      };
+      if (details.annotations.length > 0) point.annotations = details.annotations;
+      if (placement.source === 'exif' && typeof exif.altitude === 'number') point.altitude = exif.altitude;
+
+      this.appState.addRoutePoint(point);
+      storageManager.checkQuota().catch(error => console.warn('⚠️ Storage check failed:', error));
 
-      toast.success('Photo captured and saved!');
+      if (source === 'gallery' && placement.source === 'device') {
+        toast.warning('This photo has no location - it was placed at your current position');
+      } else {
+        toast.success('Photo captured and saved!');
+      }
       
       // Track photo upload for engagement
       if (userService.isInitialized) {
@@ -76,9 +344,84 @@ export class MediaController {
     } catch (error) {
       console.error('Failed to capture photo:', error);
       toast.error('Failed to capture photo: ' + error.message);
+    } finally {
+      event.target.value = '';
+    }
+  }
+
+  /**
+   * Keep the photo as a Blob in the photo store, so the route only carries
+   * a reference; falls back to a data URL when IndexedDB isn't available
+   * @param {HTMLCanvasElement} canvas
+   * @returns {Promise<object>} { photoId } or { content }
+   */
+  async storePhoto(canvas) {
+    if (photoStore.isAvailable) {
+      try {
+        const blob = await new Promise((resolve, reject) => {
+          canvas.toBlob(result => result ? resolve(result) : reject(new Error('Image compression failed')),
+            'image/jpeg', 0.7);
+        });
+        return { photoId: await photoStore.savePhoto(blob) };
+      } catch (error) {
+        console.warn('⚠️ Could not store photo separately, keeping it in the route:', error);
+      }
+    }
+    return { content: canvas.toDataURL('image/jpeg', 0.7) };
+  }
+
+  /**
+   * Where a photo was taken: its own GPS tag, else where the track was at
+   * the capture time, else where the device is now
+   * @param {object} exif - From readExifFromFile
+   * @returns {Promise<object>} { coords, source: 'exif'|'track'|'device' }
+   */
+  async placePhoto(exif) {
+    if (exif.coords) {
+      return { coords: exif.coords, source: 'exif' };
+    }
+
+    const onTrack = this.findTrackPositionAt(exif.takenAt);
+    if (onTrack) {
+      return { coords: onTrack, source: 'track' };
+    }
+
+    const position = await getCurrentPosition();
+    return {
+      coords: { lat: position.coords.latitude, lng: position.coords.longitude },
+      source: 'device'
+    };
+  }
+
+  /**
+   * Position along the current track at a given time
+   * @param {number} time - Epoch ms
+   * @returns {object|null} { lat, lng }, or null when the time is outside the track
+   */
+  findTrackPositionAt(time) {
+    if (typeof time !== 'number') return null;
+
+    const fixes = this.appState.getRouteData().filter(entry =>
+      entry.type === 'location' && entry.coords && typeof entry.timestamp === 'number');
+    if (fixes.length === 0) return null;
+
+    // Allow a minute either side for clock differences between camera and GPS
+    const slack = 60000;
+    if (time < fixes[0].timestamp - slack || time > fixes[fixes.length - 1].timestamp + slack) return null;
+
+    const after = fixes.findIndex(fix => fix.timestamp >= time);
+    if (after <= 0) {
+      const fix = after === 0 ? fixes[0] : fixes[fixes.length - 1];
+      return { lat: fix.coords.lat, lng: fix.coords.lng };
     }
 
-    event.target.value = '';
+    const a = fixes[after - 1];
+    const b = fixes[after];
+    const t = (time - a.timestamp) / Math.max(1, b.timestamp - a.timestamp);
+    return {
+      lat: a.coords.lat + (b.coords.lat - a.coords.lat) * t,
+      lng: a.coords.lng + (b.coords.lng - a.coords.lng) * t
+    };
   }
 
   async addTextNote() {
@@ -111,48 +454,351 @@ export class MediaController {
     }
   }
 
-  async compressImage(file, quality = 0.7) {
-    return new Promise((resolve, reject) => {
-      const img = new Image();
-      const reader = new FileReader();
+  // Voice notes: speak instead of typing. The clip is always kept; the
+  // transcript comes from the browser's speech recognition when it has one
+  async addVoiceNote() {
+    if (!this.appState.getTrackingState().isTracking) {
+      toast.warning('Start tracking first to add notes');
+      return;
+    }
 
-      reader.onload = (e) => {
-        img.src = e.target.result;
-      };
+    if (!VoiceRecorder.isSupported()) {
+      toast.warning('Voice notes are not supported in this browser');
+      return this.addTextNote();
+    }
+
+    // The note belongs where it was started, not where recording ended
+    let coords = this.appState.getLastCoords();
+    const timestamp = Date.now();
+    if (!coords) {
+      try {
+        const position = await getCurrentPosition();
+        coords = { lat: position.coords.latitude, lng: position.coords.longitude };
+      } catch (error) {
+        console.error('Failed to get position for voice note:', error);
+        toast.error('Could not get your location: ' + error.message);
+        return;
+      }
+    }
+
+    this.injectVoiceNoteStyles();
+
+    let transcriptEdited = false;
+    const recorder = new VoiceRecorder({
+      onTranscript: (text) => {
+        const field = document.getElementById('voiceNoteTranscript');
+        if (field && !transcriptEdited) field.value = text;
+      },
+      onLimit: () => {
+        document.querySelector('#voiceNotePanel')?.closest('.modal-dialog')
+          ?.querySelector('[data-action="save"]')?.click();
+      }
+    });
+
+    try {
+      await recorder.start();
+    } catch (error) {
+      console.error('Failed to start voice recording:', error);
+      toast.error('Could not use the microphone: ' + error.message);
+      return;
+    }
+
+    const pending = modal.show({
+      type: 'info',
+      icon: '🎙️',
+      title: 'Voice Note',
+      html: this.renderVoiceNotePanel(VoiceRecorder.canTranscribe()),
+      buttons: [
+        { label: 'Cancel', action: 'cancel', variant: 'secondary' },
+        { label: 'Type Instead', action: 'type', variant: 'secondary' },
+        { label: 'Save', action: 'save', variant: 'primary' }
+      ]
+    });
+
+    const transcriptField = document.getElementById('voiceNoteTranscript');
+    transcriptField?.addEventListener('input', () => {
+      transcriptEdited = true;
+    });
+
+    const timerEl = document.getElementById('voiceNoteTimer');
+    const timer = setInterval(() => {
+      if (timerEl) timerEl.textContent = formatVoiceDuration(recorder.getElapsed()) || '0:00';
+    }, 500);
+
+    const action = await pending;
+    clearInterval(timer);
+
+    if (action !== 'save') {
+      recorder.cancel();
+      if (action === 'type') return this.addTextNote();
+      return;
+    }
+
+    try {
+      const clip = await recorder.stop();
+      const typed = transcriptEdited ? transcriptField.value.trim() : '';
+      const transcript = typed || clip.transcript;
+
+      this.appState.addRoutePoint({
+        type: VOICE_POINT_TYPE,
+        coords: { lat: coords.lat, lng: coords.lng },
+        timestamp,
+        ...(await this.storeVoiceClip(clip.blob)),
+        mimeType: clip.mimeType,
+        duration: clip.duration,
+        transcript: transcript || null,
+        transcriptSource: transcript ? (typed ? 'manual' : 'speech') : null
+      });
+
+      if (transcript) {
+        toast.success('Voice note saved!');
+      } else {
+        toast.success('Voice note saved - you can transcribe it later from the map');
+      }
+    } catch (error) {
+      console.error('Failed to save voice note:', error);
+      toast.error('Failed to save voice note: ' + error.message);
+    }
+  }
+
+  /**
+   * Keep the recording as a Blob in the voice clip store, so the route only
+   * carries a reference; falls back to a data URL when IndexedDB isn't available
+   * @param {Blob} blob
+   * @returns {Promise<object>} { audioId } or { audio }
+   */
+  async storeVoiceClip(blob) {
+    if (voiceClipStore.isAvailable) {
+      try {
+        return { audioId: await voiceClipStore.saveClip(blob) };
+      } catch (error) {
+        console.warn('⚠️ Could not store recording separately, keeping it in the route:', error);
+      }
+    }
+    return { audio: await blobToDataURL(blob) };
+  }
+
+  renderVoiceNotePanel(canTranscribe) {
+    const hint = canTranscribe
+      ? 'Speak your note. The words appear below - correct them if needed.'
+      : 'Speak your note. This browser can\'t transcribe, so the recording is kept to transcribe later.';
+
+    return `
+      <div id="voiceNotePanel" class="voice-note-panel">
+        <div class="voice-note-status" role="status">
+          <span class="voice-note-dot" aria-hidden="true"></span>
+          Recording <span id="voiceNoteTimer">0:00</span>
+        </div>
+        <p class="voice-note-hint">${hint}</p>
+        <label for="voiceNoteTranscript">Transcript</label>
+        <textarea id="voiceNoteTranscript" rows="4" placeholder="${canTranscribe ? 'Listening...' : 'Optional - type what you said'}"></textarea>
+      </div>
+    `;
+  }
+
+  /**
+   * Play back a voice note and type or correct its transcript
+   * @param {number} timestamp - Timestamp of the voice point
+   */
+  async transcribeVoiceNote(timestamp) {
+    const entry = await this.findVoiceNote(timestamp);
+    if (!entry) {
+      toast.error('Voice note not found');
+      return;
+    }
+
+    this.injectVoiceNoteStyles();
+    const audioURL = await voiceClipStore.getClipURL(entry);
+
+    const pending = modal.show({
+      type: 'info',
+      icon: '🎙️',
+      title: 'Transcribe Voice Note',
+      message: 'Play the recording and type what was said.',
+      html: `
+        <div class="voice-note-panel">
+          ${audioURL ? `<audio controls preload="metadata" src="${audioURL}"></audio>` : '<p>The recording is no longer available.</p>'}
+          <label for="voiceNoteTranscript">Transcript</label>
+          <textarea id="voiceNoteTranscript" rows="4"></textarea>
+        </div>
+      `,
+      buttons: [
+        { label: 'Cancel', action: 'cancel', variant: 'secondary' },
+        { label: 'Save Transcript', action: 'save', variant: 'primary' }
+      ]
+    });
+
+    const field = document.getElementById('voiceNoteTranscript');
+    if (field) field.value = entry.transcript || '';
+
+    const action = await pending;
+    if (action !== 'save' || !field) return;
+
+    const transcript = field.value.trim();
+    try {
+      await this.appState.updateRoutePoint(VOICE_POINT_TYPE, timestamp, {
+        transcript: transcript || null,
+        transcriptSource: transcript ? 'manual' : null
+      });
+      toast.success(transcript ? 'Transcript saved' : 'Transcript cleared');
+    } catch (error) {
+      console.error('Failed to save transcript:', error);
+      toast.error('Failed to save transcript: ' + error.message);
+    }
+  }
+
+  async findVoiceNote(timestamp) {
+    const matches = (entry) => entry?.type === VOICE_POINT_TYPE && entry.timestamp === timestamp;
+
+    const current = this.appState.getRouteData().find(matches);
+    if (current) return current;
+
+    const sessions = await this.appState.getSessions();
+    for (const session of sessions) {
+      const entry = session.data?.find(matches);
+      if (entry) return entry;
+    }
+    return null;
+  }
+
+  injectVoiceNoteStyles() {
+    if (document.getElementById('voice-note-styles')) return;
+
+    const styles = document.createElement('style');
+    styles.id = 'voice-note-styles';
+    styles.textContent = `
+      .voice-note-panel {
+        display: flex;
+        flex-direction: column;
+        gap: 8px;
+        text-align: left;
+      }
+
+      .voice-note-status {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        font-weight: 600;
+        color: #b91c1c;
+      }
+
+      .voice-note-dot {
+        width: 12px;
+        height: 12px;
+        border-radius: 50%;
+        background: #dc2626;
+        animation: voice-note-pulse 1.2s ease-in-out infinite;
+      }
+
+      .voice-note-hint {
+        margin: 0;
+        font-size: 14px;
+        color: #4b5563;
+      }
+
+      .voice-note-panel label {
+        font-weight: 600;
+        font-size: 14px;
+        color: #374151;
+      }
+
+      .voice-note-panel textarea {
+        width: 100%;
+        padding: 10px;
+        border: 1px solid #d1d5db;
+        border-radius: 8px;
+        font-size: 15px;
+        font-family: inherit;
+        resize: vertical;
+      }
+
+      .voice-note-panel audio {
+        width: 100%;
+      }
+
+      @keyframes voice-note-pulse {
+        0%, 100% { opacity: 1; }
+        50% { opacity: 0.3; }
+      }
 
-      img.onload = () => {
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-
-        const maxWidth = 1200;
-        const scale = Math.min(1, maxWidth / img.width);
-        canvas.width = img.width * scale;
-        canvas.height = img.height * scale;
-
-        ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
-        
-        try {
-          const compressedBase64 = canvas.toDataURL('image/jpeg', quality);
-          resolve(compressedBase64);
-        } catch (error) {
-          reject(new Error('Image compression failed'));
+      @media (prefers-reduced-motion: reduce) {
+        .voice-note-dot {
+          animation: none;
         }
-      };
+      }
+    `;
+    document.head.appendChild(styles);
+  }
 
-      img.onerror = () => {
-        reject(new Error('Failed to load image'));
-      };
+  async compressImage(file, quality = 0.7) {
+    const { orientation } = await readExifFromFile(file);
+    const canvas = await this.loadPhoto(file, orientation);
+    try {
+      return canvas.toDataURL('image/jpeg', quality);
+    } catch (error) {
+      throw new Error('Image compression failed');
+    }
+  }
 
-      reader.onerror = () => {
-        reject(new Error('Failed to read file'));
+  /**
+   * Draw a photo upright onto a canvas, scaled down for storage
+   * @param {File} file
+   * @param {number} orientation - EXIF orientation (1-8)
+   * @param {number} maxWidth - Largest width to keep
+   * @returns {Promise<HTMLCanvasElement>}
+   */
+  async loadPhoto(file, orientation = 1, maxWidth = 1200) {
+    const img = await new Promise((resolve, reject) => {
+      const image = new Image();
+      const url = URL.createObjectURL(file);
+      image.onload = () => {
+        URL.revokeObjectURL(url);
+        resolve(image);
       };
-
-      reader.readAsDataURL(file);
+      image.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error('Failed to load image'));
+      };
+      image.src = url;
     });
+
+    // Browsers that honour image-orientation already hand over the photo
+    // upright; older ones need the EXIF rotation applied here
+    const applied = window.CSS?.supports?.('image-orientation', 'from-image');
+    const turn = !applied && orientation > 1 && orientation <= 8 ? orientation : 1;
+    const sideways = turn >= 5;
+
+    const uprightWidth = sideways ? img.naturalHeight : img.naturalWidth;
+    const uprightHeight = sideways ? img.naturalWidth : img.naturalHeight;
+    const scale = Math.min(1, maxWidth / uprightWidth);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(uprightWidth * scale);
+    canvas.height = Math.round(uprightHeight * scale);
+    const w = canvas.width;
+    const h = canvas.height;
+
+    const transforms = {
+      1: [1, 0, 0, 1, 0, 0],
+      2: [-1, 0, 0, 1, w, 0],
+      3: [-1, 0, 0, -1, w, h],
+      4: [1, 0, 0, -1, 0, h],
+      5: [0, 1, 1, 0, 0, 0],
+      6: [0, 1, -1, 0, w, 0],
+      7: [0, -1, -1, 0, w, h],
+      8: [0, -1, 1, 0, 0, h]
+    };
+
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(...transforms[turn]);
+    ctx.drawImage(img, 0, 0, sideways ? h : w, sideways ? w : h);
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+
+    return canvas;
   }
 
   async showPhotoCleanupDialog() {
-    const photos = this.getStoredPhotos();
+    const photos = await this.getStoredPhotos();
 
     if (photos.length === 0) {
       toast.info('No stored photos found.');
@@ -161,46 +807,45 @@ export class MediaController {
 
     const shouldDelete = await modal.confirm(`Found ${photos.length} photos. Delete all to free up space?`, '🗑️ Delete Photos?');
     if (shouldDelete) {
-      this.deleteAllPhotos();
+      await this.deleteAllPhotos();
       toast.success('All photos deleted.');
     }
   }
 
-  getStoredPhotos() {
-    const photos = [];
-    
-    this.appState.getRouteData().forEach(entry => {
-      if (entry.type === 'photo' && entry.content) {
-        photos.push(entry);
-      }
-    });
+  async getStoredPhotos() {
+    const isStoredPhoto = (entry) => entry.type === 'photo' && (entry.content || entry.photoId);
+    const photos = this.appState.getRouteData().filter(isStoredPhoto);
 
-    this.appState.getSessions().forEach(session => {
-      if (session.data) {
-        session.data.forEach(entry => {
-          if (entry.type === 'photo' && entry.content) {
-            photos.push(entry);
-          }
-        });
+    const sessions = await this.appState.getSessions();
+    sessions.forEach(session => {
+      if (Array.isArray(session.data)) {
+        photos.push(...session.data.filter(isStoredPhoto));
       }
     });
 
     return photos;
   }
 
-  deleteAllPhotos() {
+  async deleteAllPhotos() {
     // Clear from current route data
     const routeData = this.appState.getRouteData();
     const filtered = routeData.filter(entry => entry.type !== 'photo');
     this.appState.routeData = filtered;
 
     // Clear from all sessions
-    const sessions = this.appState.getSessions();
-    sessions.forEach(session => {
-      if (session.data) {
-        session.data = session.data.filter(entry => entry.type !== 'photo');
+    const sessions = await this.appState.getSessions();
+    for (const session of sessions) {
+      if (!Array.isArray(session.data) || !session.data.some(entry => entry.type === 'photo')) continue;
+      session.data = session.data.filter(entry => entry.type !== 'photo');
+      if (this.appState.dbReady) {
+        await this.appState.routeDB.updateRoute(session);
       }
-    });
-    localStorage.setItem('sessions', JSON.stringify(sessions));
+    }
+    if (!this.appState.dbReady) {
+      localStorage.setItem('sessions', JSON.stringify(sessions));
+    }
+
+    // Photo blobs nothing points at any more
+    await this.appState.cleanupUnusedPhotos();
   }
 }
\ No newline at end of file
@@ -4,7 +4,7 @@
  * 
  * Features:
  * - IndexedDB storage for routes and trail guides
- * - Pending uploads queue with retry logic
+ * - Uploads through the outbox (src/core/outbox.js), with retry logic
  * - Email backup of saved data
  * - UI for managing local storage
  * - Cloud upload when connection restored
@@ -12,10 +12,32 @@
 
 import { toast } from '../utils/toast.js';
 import { modal } from '../utils/modal.js';
+import { outbox, findPhotoData, getPhotoData, replacePhotoData } from '../core/outbox.js';
 
 // Settings storage key (shared with admin.html)
 const SETTINGS_KEY = 'accessNature_adminSettings';
 
+// Saved copies that are uploaded as outbox jobs
+const UPLOAD_TYPES = {
+  route: { store: 'pending_routes' },
+  guide: { store: 'pending_guides' }
+};
+
+// Queues kept in localStorage before the outbox, moved over on start
+const LEGACY_QUEUE_KEYS = {
+  photos: 'accessNature_pendingPhotos',
+  surveys: 'accessNature_pendingSurveys'
+};
+
+function readLegacyQueue(key) {
+  try {
+    const value = JSON.parse(localStorage.getItem(key) || '[]');
+    return Array.isArray(value) ? value : [];
+  } catch (error) {
+    return [];
+  }
+}
+
 // Get settings from localStorage
 function getSettings() {
   try {
@@ -40,10 +62,7 @@ function getSettings() {
 class OfflineSync {
   constructor() {
     this.db = null;
-    this.dbName = 'AccessNaturePending';
-    this.dbVersion = 1;
     this.isOnline = navigator.onLine;
-    this.syncInProgress = false;
     this.emailJsLoaded = false;
   }
 
@@ -68,7 +87,10 @@ class OfflineSync {
    */
   async initialize() {
     await this.openDatabase();
+    this.registerOutboxHandlers();
+    await this.moveQueuesToOutbox();
     this.setupConnectivityListeners();
+    this.watchAuthForBackgroundSync();
     await this.loadEmailJS();
     
     // Check for pending uploads on init
@@ -85,59 +107,16 @@ class OfflineSync {
   }
 
   /**
-   * Open IndexedDB for pending uploads
+   * Open IndexedDB for pending uploads (the outbox owns the schema)
    */
   async openDatabase() {
-    return new Promise((resolve, reject) => {
-      const request = indexedDB.open(this.dbName, this.dbVersion);
-
-      request.onerror = () => {
-        console.error('❌ Failed to open pending uploads database');
-        reject(request.error);
-      };
-
-      request.onsuccess = () => {
-        this.db = request.result;
-        console.log('✅ Pending uploads database opened');
-        resolve();
-      };
-
-      request.onupgradeneeded = (event) => {
-        const db = event.target.result;
-
-        // Store for pending route uploads
-        if (!db.objectStoreNames.contains('pending_routes')) {
-          const routeStore = db.createObjectStore('pending_routes', { 
-            keyPath: 'localId', 
-            autoIncrement: true 
-          });
-          routeStore.createIndex('timestamp', 'timestamp');
-          routeStore.createIndex('status', 'status');
-        }
-
-        // Store for pending trail guide uploads
-        if (!db.objectStoreNames.contains('pending_guides')) {
-          const guideStore = db.createObjectStore('pending_guides', { 
-            keyPath: 'localId', 
-            autoIncrement: true 
-          });
-          guideStore.createIndex('timestamp', 'timestamp');
-          guideStore.createIndex('status', 'status');
-        }
-
-        // Store for email backup queue
-        if (!db.objectStoreNames.contains('email_queue')) {
-          const emailStore = db.createObjectStore('email_queue', { 
-            keyPath: 'id', 
-            autoIncrement: true 
-          });
-          emailStore.createIndex('timestamp', 'timestamp');
-          emailStore.createIndex('sent', 'sent');
-        }
-
-        console.log('✅ Pending uploads database schema created');
-      };
-    });
+    try {
+      this.db = await outbox.initialize();
+      console.log('✅ Pending uploads database opened');
+    } catch (error) {
+      console.error('❌ Failed to open pending uploads database');
+      throw error;
+    }
   }
 
   /**
@@ -233,14 +212,28 @@ class OfflineSync {
   // ==================== Save Methods ====================
 
   /**
-   * Save route locally (always saves locally first, then tries cloud)
+   * Save route locally, then queue its upload
    * @param {object} routeData - The route data to save
    * @param {object} user - Current user (optional)
-   * @returns {object} - { localId, cloudId (if uploaded) }
+   * @returns {object} - { localId, jobId }
    */
   async saveRoute(routeData, user = null) {
-    const pendingRoute = {
-      data: routeData,
+    return this.saveForUpload('route', routeData, user);
+  }
+
+  /**
+   * Save trail guide locally, then queue its upload
+   * @param {object} guideData - The guide data
+   * @param {object} user - Current user
+   * @returns {object} - { localId, jobId }
+   */
+  async saveTrailGuide(guideData, user = null) {
+    return this.saveForUpload('guide', guideData, user);
+  }
+
+  async saveForUpload(type, data, user) {
+    const pendingItem = {
+      data,
       userId: user?.uid || 'anonymous',
       userEmail: user?.email || null,
       userName: user?.displayName || 'Anonymous',
@@ -249,82 +242,68 @@ class OfflineSync {
       retryCount: 0,
       cloudId: null
     };
+    const noun = type === 'route' ? 'Route' : 'Trail guide';
 
     // Save to local IndexedDB first
-    const localId = await this.savePendingRoute(pendingRoute);
-    console.log(`💾 Route saved locally with ID: ${localId}`);
+    const localId = type === 'route'
+      ? await this.savePendingRoute(pendingItem)
+      : await this.savePendingGuide(pendingItem);
+    console.log(`💾 ${noun} saved locally with ID: ${localId}`);
 
     // Queue email backup
-    await this.queueEmailBackup('route', { ...pendingRoute, localId });
+    await this.queueEmailBackup(type, { ...pendingItem, localId });
 
-    // Try to upload to cloud if online
+    const job = await this.queueUpload(type, localId, pendingItem);
     if (this.isOnline && user) {
-      try {
-        const cloudId = await this.uploadRouteToCloud(routeData, user);
-        if (cloudId) {
-          await this.markRouteUploaded(localId, cloudId);
-          toast.success('Route saved to cloud! ☁️');
-          return { localId, cloudId };
-        }
-      } catch (error) {
-        console.warn('⚠️ Cloud upload failed, saved locally:', error);
-        toast.warning('Saved locally - will sync when online');
-      }
+      toast.success(`${noun} saved - uploading to cloud ☁️`);
     } else {
-      toast.success('Route saved locally 💾');
+      toast.success(`${noun} saved locally 💾 - will sync when online`);
     }
 
     // Try to send email backup
     this.processEmailQueue();
 
-    return { localId, cloudId: null };
+    return { localId, jobId: job.id };
   }
 
   /**
-   * Save trail guide locally
-   * @param {object} guideData - The guide data
-   * @param {object} user - Current user
+   * Queue the upload of a saved route or guide. Photos inside it are queued
+   * as their own jobs - pointing at the saved copy, so the image isn't
+   * stored twice - and the upload waits for them so the document links to
+   * the uploaded photos instead of carrying them
+   * @returns {Promise<object>} The outbox job - the existing one if it was
+   *                            queued before
    */
-  async saveTrailGuide(guideData, user = null) {
-    const pendingGuide = {
-      data: guideData,
-      userId: user?.uid || 'anonymous',
-      userEmail: user?.email || null,
-      userName: user?.displayName || 'Anonymous',
-      timestamp: new Date().toISOString(),
-      status: 'pending',
-      retryCount: 0,
-      cloudId: null
-    };
-
-    // Save locally first
-    const localId = await this.savePendingGuide(pendingGuide);
-    console.log(`💾 Trail guide saved locally with ID: ${localId}`);
-
-    // Queue email backup
-    await this.queueEmailBackup('guide', { ...pendingGuide, localId });
-
-    // Try cloud upload if online
-    if (this.isOnline && user) {
-      try {
-        const cloudId = await this.uploadGuideToCloud(guideData, user);
-        if (cloudId) {
-          await this.markGuideUploaded(localId, cloudId);
-          toast.success('Trail guide saved to cloud! ☁️');
-          return { localId, cloudId };
-        }
-      } catch (error) {
-        console.warn('⚠️ Cloud upload failed, saved locally:', error);
-        toast.warning('Guide saved locally - will sync when online');
-      }
-    } else {
-      toast.success('Trail guide saved locally 💾');
+  async queueUpload(type, localId, record) {
+    const { store } = UPLOAD_TYPES[type];
+    const key = `offline_${record.userId || 'anonymous'}_${type}_${localId}_${Date.parse(record.timestamp) || 0}`;
+    const name = type === 'route'
+      ? record.data?.name || 'Untitled route'
+      : record.data?.title || record.data?.routeName || record.data?.name || 'Untitled guide';
+
+    const photos = findPhotoData(record.data);
+    const photoJobs = [];
+    for (let index = 0; index < photos.length; index++) {
+      photoJobs.push(await outbox.enqueue('photo', { source: { store, localId, photoIndex: index } }, {
+        idempotencyKey: `${key}_photo_${index + 1}`,
+        label: `Photo ${index + 1} of ${photos.length} - ${name}`,
+        userId: record.userId
+      }));
     }
 
-    // Try to send email
-    this.processEmailQueue();
+    const job = await outbox.enqueue(type, { localId }, {
+      idempotencyKey: key,
+      dependsOn: photoJobs.map(photoJob => photoJob.id),
+      label: name,
+      userId: record.userId
+    });
 
-    return { localId, cloudId: null };
+    await this.updatePendingItem(store, localId, (item) => {
+      item.jobId = job.id;
+      if (item.status !== 'uploaded') item.status = 'pending';
+      delete item.claimedAt;
+    });
+    return job;
   }
 
   // ==================== IndexedDB Operations ====================
@@ -414,15 +393,35 @@ class OfflineSync {
   }
 
   async getPendingCount() {
-    try {
-      const routes = await this.getPendingRoutes();
-      const guides = await this.getPendingGuides();
-      const pendingRoutes = routes.filter(r => r.status === 'pending').length;
-      const pendingGuides = guides.filter(g => g.status === 'pending').length;
-      return pendingRoutes + pendingGuides;
-    } catch (error) {
-      return 0;
-    }
+    const counts = await outbox.getCounts();
+    return counts.total;
+  }
+
+  async getPendingItem(storeName, localId) {
+    return new Promise((resolve, reject) => {
+      const request = this.db.transaction([storeName], 'readonly').objectStore(storeName).get(localId);
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Change one saved route or guide inside a single transaction
+   * @param {function} change - Gets the item; returns false to leave it alone
+   */
+  async updatePendingItem(storeName, localId, change) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([storeName], 'readwrite');
+      const store = transaction.objectStore(storeName);
+      const request = store.get(localId);
+
+      request.onsuccess = () => {
+        const item = request.result;
+        if (item && change(item) !== false) store.put(item);
+      };
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
   }
 
   async deleteLocalRoute(localId) {
@@ -447,54 +446,247 @@ class OfflineSync {
     });
   }
 
-  // ==================== Cloud Upload ====================
+  // ==================== Background Sync ====================
 
-  async uploadRouteToCloud(routeData, user) {
+  /**
+   * Keep the service worker's copy of the signed-in user current, so it can
+   * upload queued items after the tab is closed
+   */
+  async watchAuthForBackgroundSync() {
     try {
-      const { db } = await import('../../firebase-setup.js');
-      const { collection, addDoc, serverTimestamp } = await import(
-        'https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js'
-      );
+      const { auth } = await import('../../firebase-setup.js');
+      const { onIdTokenChanged } = await import('https://www.gstatic.com/firebasejs/10.5.0/firebase-auth.js');
+
+      onIdTokenChanged(auth, (user) => {
+        const update = user ? this.saveSyncCredentials(user) : this.clearSyncCredentials();
+        update.catch(error => console.warn('⚠️ Could not update background sync sign-in:', error));
+        // Uploads wait for a signed-in user
+        if (user) outbox.process();
+      });
+    } catch (error) {
+      console.warn('⚠️ Background sync unavailable - auth not loaded:', error);
+    }
+  }
+
+  /**
+   * Store what sw.js needs to upload as this user: the project, the ID token
+   * and the refresh token it uses once the ID token expires
+   * @param {object} user - Firebase user
+   */
+  async saveSyncCredentials(user) {
+    if (!this.db || !user?.refreshToken) return;
+
+    const { apiKey, projectId, storageBucket } = user.auth?.app?.options || {};
+    const tokenResult = await user.getIdTokenResult();
+
+    await this.putSyncConfig({
+      id: 'firestore',
+      uploader: 'firestore',
+      projectId,
+      apiKey,
+      storageBucket,
+      uid: user.uid,
+      displayName: user.displayName || 'Anonymous',
+      idToken: tokenResult.token,
+      expiresAt: Date.parse(tokenResult.expirationTime),
+      refreshToken: user.refreshToken,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  async clearSyncCredentials() {
+    if (!this.db) return;
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['sync_config'], 'readwrite');
+      transaction.objectStore('sync_config').delete('firestore');
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  async putSyncConfig(config) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['sync_config'], 'readwrite');
+      transaction.objectStore('sync_config').put(config);
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  // ==================== Cloud Upload ====================
 
-      const docData = {
+  /**
+   * @param {string} documentId - Optional; makes the upload idempotent
+   */
+  async uploadRouteToCloud(routeData, user, documentId = null) {
+    try {
+      const cloudId = await this.createCloudDocument('routes', {
         ...routeData,
         userId: user.uid,
-        userDisplayName: user.displayName || 'Anonymous',
-        createdAt: serverTimestamp()
-      };
-
-      const docRef = await addDoc(collection(db, 'routes'), docData);
-      console.log('☁️ Route uploaded to cloud:', docRef.id);
-      return docRef.id;
+        userDisplayName: user.displayName || 'Anonymous'
+      }, documentId);
+      console.log('☁️ Route uploaded to cloud:', cloudId);
+      return cloudId;
     } catch (error) {
       console.error('❌ Cloud upload failed:', error);
       throw error;
     }
   }
 
-  async uploadGuideToCloud(guideData, user) {
+  /**
+   * @param {string} documentId - Optional; makes the upload idempotent
+   */
+  async uploadGuideToCloud(guideData, user, documentId = null) {
     try {
-      const { db } = await import('../../firebase-setup.js');
-      const { collection, addDoc, serverTimestamp } = await import(
-        'https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js'
-      );
-
-      const docData = {
+      const cloudId = await this.createCloudDocument('trail_guides', {
         ...guideData,
         userId: user.uid,
-        userDisplayName: user.displayName || 'Anonymous',
-        createdAt: serverTimestamp()
-      };
-
-      const docRef = await addDoc(collection(db, 'trail_guides'), docData);
-      console.log('☁️ Trail guide uploaded to cloud:', docRef.id);
-      return docRef.id;
+        userDisplayName: user.displayName || 'Anonymous'
+      }, documentId);
+      console.log('☁️ Trail guide uploaded to cloud:', cloudId);
+      return cloudId;
     } catch (error) {
       console.error('❌ Guide cloud upload failed:', error);
       throw error;
     }
   }
 
+  /**
+   * Create a Firestore document. With a document id the write is
+   * idempotent: if an earlier attempt already created it, that one is kept
+   * @returns {Promise<string>} Document id
+   */
+  async createCloudDocument(collectionName, docData, documentId = null) {
+    const { db } = await import('../../firebase-setup.js');
+    const { collection, addDoc, doc, getDoc, setDoc, serverTimestamp } = await import(
+      'https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js'
+    );
+
+    const data = { ...docData, createdAt: serverTimestamp() };
+    if (!documentId) {
+      const docRef = await addDoc(collection(db, collectionName), data);
+      return docRef.id;
+    }
+
+    const docRef = doc(db, collectionName, documentId);
+    // Rules may not allow reading a document that doesn't exist yet
+    const existing = await getDoc(docRef).catch(() => null);
+    if (!existing?.exists()) {
+      await setDoc(docRef, data);
+    }
+    return docRef.id;
+  }
+
+  // ==================== Outbox Handlers ====================
+
+  registerOutboxHandlers() {
+    const canRun = async () => !!(await this.getCurrentUser());
+
+    outbox.registerHandler('route', {
+      icon: '🥾',
+      label: 'Route',
+      canRun,
+      run: (job, context) => this.runUploadJob('route', job, context)
+    });
+    outbox.registerHandler('guide', {
+      icon: '🌐',
+      label: 'Trail guide',
+      canRun,
+      run: (job, context) => this.runUploadJob('guide', job, context)
+    });
+    outbox.registerHandler('photo', {
+      icon: '📸',
+      label: 'Photo',
+      canRun,
+      run: (job) => this.uploadPhotoJob(job)
+    });
+    outbox.registerHandler('report', {
+      icon: '🚧',
+      label: 'Barrier report',
+      canRun,
+      run: (job) => this.uploadReportJob(job)
+    });
+    outbox.registerHandler('survey', {
+      icon: '♿',
+      label: 'Accessibility survey',
+      canRun,
+      run: (job) => this.submitSurveyJob(job)
+    });
+  }
+
+  async getCurrentUser() {
+    try {
+      const { auth } = await import('../../firebase-setup.js');
+      return auth.currentUser;
+    } catch (e) {
+      console.warn('Could not get auth:', e);
+      return null;
+    }
+  }
+
+  /**
+   * Upload a saved route or guide. Its photos were uploaded by the jobs it
+   * depends on, so the document links to them
+   */
+  async runUploadJob(type, job, { dependencies }) {
+    const user = await this.getCurrentUser();
+    if (!user) throw new Error('Sign in to upload');
+
+    const { store } = UPLOAD_TYPES[type];
+    const { localId, data } = job.payload;
+    const record = data === undefined ? await this.getPendingItem(store, localId) : null;
+    if (data === undefined && !record) {
+      const error = new Error('The saved copy was deleted');
+      error.permanent = true;
+      throw error;
+    }
+    // Uploaded by the service worker before this job was marked done
+    if (record?.status === 'uploaded' && record.cloudId) {
+      return { cloudId: record.cloudId };
+    }
+
+    const document = replacePhotoData(record ? record.data : data, dependencies);
+    const cloudId = type === 'route'
+      ? await this.uploadRouteToCloud(document, user, job.idempotencyKey)
+      : await this.uploadGuideToCloud(document, user, job.idempotencyKey);
+
+    if (record) {
+      if (type === 'route') await this.markRouteUploaded(localId, cloudId);
+      else await this.markGuideUploaded(localId, cloudId);
+    }
+    return { cloudId };
+  }
+
+  /**
+   * Move uploads queued before the outbox into it: saved routes and guides
+   * not uploaded yet, and the photo and survey queues in localStorage
+   */
+  async moveQueuesToOutbox() {
+    try {
+      for (const type of Object.keys(UPLOAD_TYPES)) {
+        const items = type === 'route' ? await this.getPendingRoutes() : await this.getPendingGuides();
+        for (const item of items) {
+          if (item.status !== 'uploaded' && !item.jobId) {
+            await this.queueUpload(type, item.localId, item);
+          }
+        }
+      }
+
+      const photos = readLegacyQueue(LEGACY_QUEUE_KEYS.photos);
+      for (const photo of photos.filter(p => p.status !== 'uploaded')) {
+        await this.enqueuePhoto(photo);
+      }
+      const surveys = readLegacyQueue(LEGACY_QUEUE_KEYS.surveys);
+      for (const survey of surveys.filter(s => s.status !== 'submitted')) {
+        await this.enqueueSurvey(survey);
+      }
+      Object.values(LEGACY_QUEUE_KEYS).forEach(key => localStorage.removeItem(key));
+    } catch (error) {
+      console.warn('⚠️ Could not move queued uploads to the outbox:', error);
+    }
+  }
+
   // ==================== Email Backup ====================
 
   async queueEmailBackup(type, data) {
@@ -564,7 +756,10 @@ class OfflineSync {
       ? `Access Nature Route Backup - ${new Date(data.timestamp).toLocaleString()}`
       : `Access Nature Trail Guide Backup - ${new Date(data.timestamp).toLocaleString()}`;
 
-    const content = JSON.stringify(data, null, 2);
+    // Photo and voice note data URLs would fill the whole backup - keep the
+    // transcripts and other text, drop the media
+    const content = JSON.stringify(data, (key, value) =>
+      typeof value === 'string' && value.startsWith('data:') ? '[media omitted]' : value, 2);
 
     // Send via EmailJS
     await emailjs.send(
@@ -657,7 +852,7 @@ class OfflineSync {
 
     document.getElementById('view-pending-btn')?.addEventListener('click', () => {
       banner.remove();
-      this.showPendingUploadsModal();
+      outbox.showStatus();
     });
 
     document.getElementById('sync-pending-btn')?.addEventListener('click', async () => {
@@ -836,194 +1031,84 @@ class OfflineSync {
   // ==================== Sync Operations ====================
 
   async syncAllPending() {
-    if (this.syncInProgress) {
-      console.log('⚠️ Sync already in progress...');
-      return;
-    }
-
     if (!this.isOnline) {
       toast.error('No internet connection');
       return;
     }
 
-    this.syncInProgress = true;
-
-    try {
-      // Get current user
-      let user = null;
-      try {
-        const { auth } = await import('../../firebase-setup.js');
-        user = auth.currentUser;
-      } catch (e) {
-        console.warn('Could not get auth:', e);
-      }
-
-      if (!user) {
-        console.log('⚠️ No user signed in - skipping auto-sync');
-        this.syncInProgress = false;
-        return;
-      }
+    if (!(await this.getCurrentUser())) {
+      console.log('⚠️ No user signed in - skipping auto-sync');
+      return;
+    }
 
-      const routes = await this.getPendingRoutes();
-      const guides = await this.getPendingGuides();
-      const pendingRoutes = routes.filter(r => r.status === 'pending');
-      const pendingGuides = guides.filter(g => g.status === 'pending');
-      
-      const totalPending = pendingRoutes.length + pendingGuides.length;
-      
-      if (totalPending === 0) {
-        console.log('✅ No pending items to sync');
-        this.syncInProgress = false;
-        return;
-      }
-      
-      console.log(`🔄 Syncing ${totalPending} pending items...`);
-      toast.info(`Syncing ${totalPending} item${totalPending !== 1 ? 's' : ''}...`);
-      
-      let successCount = 0;
-      let failCount = 0;
-
-      // Upload pending routes
-      for (const route of pendingRoutes) {
-        try {
-          const cloudId = await this.uploadRouteToCloud(route.data, user);
-          await this.markRouteUploaded(route.localId, cloudId);
-          successCount++;
-          console.log(`☁️ Route synced: ${route.localId} -> ${cloudId}`);
-        } catch (error) {
-          console.error('Failed to upload route:', error);
-          failCount++;
-          // Increment retry count
-          await this.incrementRetryCount('pending_routes', route.localId);
-        }
-      }
+    await outbox.syncNow();
 
-      // Upload pending guides
-      for (const guide of pendingGuides) {
-        try {
-          const cloudId = await this.uploadGuideToCloud(guide.data, user);
-          await this.markGuideUploaded(guide.localId, cloudId);
-          successCount++;
-          console.log(`☁️ Guide synced: ${guide.localId} -> ${cloudId}`);
-        } catch (error) {
-          console.error('Failed to upload guide:', error);
-          failCount++;
-          // Increment retry count
-          await this.incrementRetryCount('pending_guides', guide.localId);
-        }
-      }
+    // Process email queue after sync
+    await this.processEmailQueue();
+  }
 
-      // Show results
-      if (successCount > 0) {
-        toast.success(`☁️ Uploaded ${successCount} item${successCount !== 1 ? 's' : ''}`);
-      }
-      if (failCount > 0) {
-        toast.warning(`${failCount} item${failCount !== 1 ? 's' : ''} failed - will retry later`);
-      }
-      
-      // Process email queue after sync
-      await this.processEmailQueue();
+  async uploadSingleRoute(localId) {
+    return this.uploadSingle('route', localId);
+  }
 
-    } catch (error) {
-      console.error('Sync error:', error);
-      toast.error('Sync failed');
-    } finally {
-      this.syncInProgress = false;
-    }
+  async uploadSingleGuide(localId) {
+    return this.uploadSingle('guide', localId);
   }
-  
+
   /**
-   * Increment retry count for failed uploads
+   * Upload one saved route or guide now, retrying its job (and any of its
+   * photos that failed)
    */
-  async incrementRetryCount(storeName, localId) {
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([storeName], 'readwrite');
-      const store = transaction.objectStore(storeName);
-      const request = store.get(localId);
-      
-      request.onsuccess = () => {
-        const item = request.result;
-        if (item) {
-          item.retryCount = (item.retryCount || 0) + 1;
-          item.lastRetryAt = new Date().toISOString();
-          store.put(item);
-        }
-        resolve();
-      };
-      request.onerror = () => reject(request.error);
-    });
-  }
-
-  async uploadSingleRoute(localId) {
+  async uploadSingle(type, localId) {
+    const noun = type === 'route' ? 'Route' : 'Trail guide';
     try {
-      const { auth } = await import('../../firebase-setup.js');
-      const user = auth.currentUser;
-      
-      if (!user) {
+      if (!(await this.getCurrentUser())) {
         toast.error('Please sign in to upload');
         return;
       }
 
-      const routes = await this.getPendingRoutes();
-      const route = routes.find(r => r.localId === localId);
-      
-      if (!route) {
-        toast.error('Route not found');
+      const item = await this.getPendingItem(UPLOAD_TYPES[type].store, localId);
+      if (!item) {
+        toast.error(`${noun} not found`);
         return;
       }
 
       toast.info('Uploading...');
-      const cloudId = await this.uploadRouteToCloud(route.data, user);
-      await this.markRouteUploaded(localId, cloudId);
-      toast.success('Route uploaded! ☁️');
-      
-      // Refresh modal
-      document.getElementById('pending-uploads-modal')?.remove();
-      this.showPendingUploadsModal();
-      
-    } catch (error) {
-      console.error('Upload failed:', error);
-      toast.error('Upload failed');
-    }
-  }
-
-  async uploadSingleGuide(localId) {
-    try {
-      const { auth } = await import('../../firebase-setup.js');
-      const user = auth.currentUser;
-      
-      if (!user) {
-        toast.error('Please sign in to upload');
-        return;
-      }
+      const job = await this.queueUpload(type, localId, item);
+      await outbox.retry(job.id);
 
-      const guides = await this.getPendingGuides();
-      const guide = guides.find(g => g.localId === localId);
-      
-      if (!guide) {
-        toast.error('Guide not found');
-        return;
+      const result = await outbox.findJob(job.idempotencyKey);
+      if (result?.status === 'done') {
+        toast.success(`${noun} uploaded! ☁️`);
+      } else {
+        toast.error('Upload failed - it will be retried');
       }
 
-      toast.info('Uploading...');
-      const cloudId = await this.uploadGuideToCloud(guide.data, user);
-      await this.markGuideUploaded(localId, cloudId);
-      toast.success('Trail guide uploaded! ☁️');
-      
       // Refresh modal
       document.getElementById('pending-uploads-modal')?.remove();
       this.showPendingUploadsModal();
-      
+
     } catch (error) {
       console.error('Upload failed:', error);
       toast.error('Upload failed');
     }
   }
 
+  /**
+   * Drop the upload of a saved route or guide that is being deleted
+   */
+  async discardUpload(storeName, localId) {
+    const item = await this.getPendingItem(storeName, localId);
+    if (item?.jobId && item.status !== 'uploaded') {
+      await outbox.discard(item.jobId);
+    }
+  }
+
   async deleteRoute(localId) {
     if (!confirm('Delete this route from local storage?')) return;
     
     try {
+      await this.discardUpload('pending_routes', localId);
       await this.deleteLocalRoute(localId);
       toast.success('Route deleted');
       document.getElementById('pending-uploads-modal')?.remove();
@@ -1037,6 +1122,7 @@ class OfflineSync {
     if (!confirm('Delete this trail guide from local storage?')) return;
     
     try {
+      await this.discardUpload('pending_guides', localId);
       await this.deleteLocalGuide(localId);
       toast.success('Guide deleted');
       document.getElementById('pending-uploads-modal')?.remove();
@@ -1059,6 +1145,7 @@ class OfflineSync {
       for (const guide of guides.filter(g => g.status === 'uploaded')) {
         await this.deleteLocalGuide(guide.localId);
       }
+      await outbox.clearDone();
       
       toast.success('Cleared uploaded items');
     } catch (error) {
@@ -1109,42 +1196,29 @@ class OfflineSync {
   // ==================== Photo Queue ====================
 
   /**
-   * Queue a photo for upload when offline
+   * Queue a photo for upload
    * @param {object} photoData - Photo data including base64 content
    * @param {object} context - Context (routeId, location, etc.)
+   * @returns {Promise<string|null>} Outbox job id
    */
   async queuePhoto(photoData, context = {}) {
-    const queuedPhoto = {
-      id: `photo_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      data: photoData.content, // base64 or blob
-      fileName: photoData.fileName || `photo_${Date.now()}.jpg`,
-      mimeType: photoData.mimeType || 'image/jpeg',
-      location: photoData.location || context.location || null,
-      routeId: context.routeId || null,
-      reportId: context.reportId || null,
-      timestamp: new Date().toISOString(),
-      status: 'pending',
-      retryCount: 0
-    };
-
     try {
-      // Store in localStorage for photos (smaller than IndexedDB key/value limits)
-      const pendingPhotos = JSON.parse(localStorage.getItem('accessNature_pendingPhotos') || '[]');
-      pendingPhotos.push(queuedPhoto);
-      localStorage.setItem('accessNature_pendingPhotos', JSON.stringify(pendingPhotos));
-      
-      console.log(`📸 Photo queued for upload: ${queuedPhoto.id}`);
-      toast.info('Photo saved offline - will upload when connected');
-      
-      // Update pending indicator
-      this.updatePendingIndicator();
-      
-      // Try to upload if online
-      if (this.isOnline) {
-        this.processPhotoQueue();
+      const job = await this.enqueuePhoto({
+        id: `photo_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        data: photoData.content,
+        fileName: photoData.fileName || `photo_${Date.now()}.jpg`,
+        mimeType: photoData.mimeType || 'image/jpeg',
+        location: photoData.location || context.location || null,
+        routeId: context.routeId || null,
+        reportId: context.reportId || null,
+        timestamp: new Date().toISOString()
+      });
+
+      console.log(`📸 Photo queued for upload: ${job.id}`);
+      if (!this.isOnline) {
+        toast.info('Photo saved offline - will upload when connected');
       }
-      
-      return queuedPhoto.id;
+      return job.id;
     } catch (error) {
       console.error('Failed to queue photo:', error);
       toast.error('Failed to save photo offline');
@@ -1152,92 +1226,69 @@ class OfflineSync {
     }
   }
 
+  enqueuePhoto(photo) {
+    return outbox.enqueue('photo', {
+      dataURL: photo.data,
+      fileName: photo.fileName,
+      mimeType: photo.mimeType,
+      location: photo.location || null,
+      routeId: photo.routeId || null,
+      reportId: photo.reportId || null,
+      queuedAt: photo.timestamp
+    }, {
+      // Also the file name, so a retry overwrites instead of duplicating
+      idempotencyKey: photo.id,
+      label: photo.fileName
+    });
+  }
+
   /**
-   * Process pending photo uploads
+   * Upload a photo to Firebase Storage (outbox handler)
+   * @returns {Promise<object>} { url, path }
    */
-  async processPhotoQueue() {
-    const pendingPhotos = JSON.parse(localStorage.getItem('accessNature_pendingPhotos') || '[]');
-    
-    if (pendingPhotos.length === 0) return;
-    
-    console.log(`📸 Processing ${pendingPhotos.length} pending photos...`);
-    
-    for (const photo of pendingPhotos) {
-      if (photo.status === 'uploaded') continue;
-      
-      try {
-        // Import Firebase storage
-        const { storage } = await import('../../firebase-setup.js');
-        const { ref, uploadString, getDownloadURL } = 
-          await import('https://www.gstatic.com/firebasejs/10.5.0/firebase-storage.js');
-        
-        const storageRef = ref(storage, `photos/${photo.id}`);
-        
-        // Upload base64 data
-        const snapshot = await uploadString(storageRef, photo.data, 'data_url');
-        const downloadUrl = await getDownloadURL(snapshot.ref);
-        
-        // Mark as uploaded
-        photo.status = 'uploaded';
-        photo.downloadUrl = downloadUrl;
-        photo.uploadedAt = new Date().toISOString();
-        
-        console.log(`✅ Photo uploaded: ${photo.id}`);
-        
-      } catch (error) {
-        console.error(`Failed to upload photo ${photo.id}:`, error);
-        photo.retryCount = (photo.retryCount || 0) + 1;
-        
-        if (photo.retryCount >= 3) {
-          photo.status = 'failed';
-        }
-      }
+  async uploadPhotoJob(job) {
+    const source = job.payload.source;
+    const record = source && !job.payload.dataURL ? await this.getPendingItem(source.store, source.localId) : null;
+    const dataURL = getPhotoData(job, record?.data);
+    if (!dataURL) {
+      const error = new Error('The saved copy was deleted');
+      error.permanent = true;
+      throw error;
     }
-    
-    // Save updated queue
-    localStorage.setItem('accessNature_pendingPhotos', JSON.stringify(pendingPhotos));
-    
-    // Remove successfully uploaded photos after a delay
-    setTimeout(() => {
-      const remaining = pendingPhotos.filter(p => p.status !== 'uploaded');
-      localStorage.setItem('accessNature_pendingPhotos', JSON.stringify(remaining));
-      this.updatePendingIndicator();
-    }, 5000);
+
+    const { storage } = await import('../../firebase-setup.js');
+    const { ref, uploadString, getDownloadURL } =
+      await import('https://www.gstatic.com/firebasejs/10.5.0/firebase-storage.js');
+
+    const storageRef = ref(storage, `photos/${job.idempotencyKey}`);
+    const snapshot = await uploadString(storageRef, dataURL, 'data_url');
+    const url = await getDownloadURL(snapshot.ref);
+    return { url, path: storageRef.fullPath };
   }
 
   // ==================== Survey Queue ====================
 
   /**
-   * Queue an accessibility survey for submission when offline
+   * Queue an accessibility survey for submission
    * @param {object} surveyData - The survey form data
    * @param {object} context - Route/location context
+   * @returns {Promise<string|null>} Outbox job id
    */
   async queueSurvey(surveyData, context = {}) {
-    const queuedSurvey = {
-      id: `survey_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      data: surveyData,
-      routeId: context.routeId || null,
-      location: context.location || null,
-      timestamp: new Date().toISOString(),
-      status: 'pending',
-      retryCount: 0
-    };
-
     try {
-      const pendingSurveys = JSON.parse(localStorage.getItem('accessNature_pendingSurveys') || '[]');
-      pendingSurveys.push(queuedSurvey);
-      localStorage.setItem('accessNature_pendingSurveys', JSON.stringify(pendingSurveys));
-      
-      console.log(`📋 Survey queued: ${queuedSurvey.id}`);
-      toast.info('Survey saved offline - will submit when connected');
-      
-      this.updatePendingIndicator();
-      
-      if (this.isOnline) {
-        this.processSurveyQueue();
+      const job = await this.enqueueSurvey({
+        id: `survey_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        data: surveyData,
+        routeId: context.routeId || null,
+        location: context.location || null,
+        timestamp: new Date().toISOString()
+      });
+
+      console.log(`📋 Survey queued: ${job.id}`);
+      if (!this.isOnline) {
+        toast.info('Survey saved offline - will submit when connected');
       }
-      
-      return queuedSurvey.id;
+      return job.id;
     } catch (error) {
       console.error('Failed to queue survey:', error);
       toast.error('Failed to save survey offline');
@@ -1245,133 +1296,60 @@ class OfflineSync {
     }
   }
 
-  /**
-   * Process pending survey submissions
-   */
-  async processSurveyQueue() {
-    const pendingSurveys = JSON.parse(localStorage.getItem('accessNature_pendingSurveys') || '[]');
-    
-    if (pendingSurveys.length === 0) return;
-    
-    console.log(`📋 Processing ${pendingSurveys.length} pending surveys...`);
-    
-    for (const survey of pendingSurveys) {
-      if (survey.status === 'submitted') continue;
-      
-      try {
-        // Store survey data with route or as standalone
-        const { db } = await import('../../firebase-setup.js');
-        const { doc, updateDoc, collection, addDoc, serverTimestamp } = 
-          await import('https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js');
-        
-        if (survey.routeId) {
-          // Update existing route with survey data
-          const routeRef = doc(db, 'routes', survey.routeId);
-          await updateDoc(routeRef, {
-            accessibility: survey.data,
-            accessibilityUpdatedAt: serverTimestamp()
-          });
-        } else {
-          // Store as standalone survey
-          await addDoc(collection(db, 'accessibility_surveys'), {
-            ...survey.data,
-            location: survey.location,
-            submittedAt: serverTimestamp(),
-            queuedAt: survey.timestamp
-          });
-        }
-        
-        survey.status = 'submitted';
-        survey.submittedAt = new Date().toISOString();
-        
-        console.log(`✅ Survey submitted: ${survey.id}`);
-        
-      } catch (error) {
-        console.error(`Failed to submit survey ${survey.id}:`, error);
-        survey.retryCount = (survey.retryCount || 0) + 1;
-        
-        if (survey.retryCount >= 3) {
-          survey.status = 'failed';
-        }
-      }
-    }
-    
-    // Save updated queue
-    localStorage.setItem('accessNature_pendingSurveys', JSON.stringify(pendingSurveys));
-    
-    // Clean up submitted surveys
-    setTimeout(() => {
-      const remaining = pendingSurveys.filter(s => s.status !== 'submitted');
-      localStorage.setItem('accessNature_pendingSurveys', JSON.stringify(remaining));
-      this.updatePendingIndicator();
-    }, 5000);
-  }
-
-  /**
-   * Update pending items indicator in UI
-   */
-  updatePendingIndicator() {
-    const photos = JSON.parse(localStorage.getItem('accessNature_pendingPhotos') || '[]');
-    const surveys = JSON.parse(localStorage.getItem('accessNature_pendingSurveys') || '[]');
-    
-    const pendingPhotos = photos.filter(p => p.status === 'pending').length;
-    const pendingSurveys = surveys.filter(s => s.status === 'pending').length;
-    const total = pendingPhotos + pendingSurveys;
-    
-    // Update any pending indicators in the UI
-    const indicators = document.querySelectorAll('.pending-sync-count');
-    indicators.forEach(el => {
-      el.textContent = total;
-      el.style.display = total > 0 ? 'flex' : 'none';
+  enqueueSurvey(survey) {
+    return outbox.enqueue('survey', {
+      data: survey.data,
+      routeId: survey.routeId || null,
+      location: survey.location || null,
+      queuedAt: survey.timestamp
+    }, {
+      idempotencyKey: survey.id,
+      label: survey.routeId ? `For route ${survey.routeId}` : 'Standalone survey'
     });
-    
-    // Dispatch event for other components
-    window.dispatchEvent(new CustomEvent('pendingItemsUpdated', {
-      detail: { photos: pendingPhotos, surveys: pendingSurveys, total }
-    }));
   }
 
   /**
-   * Get all pending items count
+   * Upload a barrier report queued through PWAManager.addToSyncQueue
+   * (outbox handler); same document the service worker writes
    */
-  getAllPendingCount() {
-    const photos = JSON.parse(localStorage.getItem('accessNature_pendingPhotos') || '[]');
-    const surveys = JSON.parse(localStorage.getItem('accessNature_pendingSurveys') || '[]');
-    const routes = this.pendingRoutes?.length || 0;
-    const guides = this.pendingGuides?.length || 0;
-    
-    return {
-      photos: photos.filter(p => p.status === 'pending').length,
-      surveys: surveys.filter(s => s.status === 'pending').length,
-      routes,
-      guides,
-      total: photos.length + surveys.length + routes + guides
-    };
+  async uploadReportJob(job) {
+    const user = await this.getCurrentUser();
+    if (!user) throw new Error('Sign in to upload');
+
+    const cloudId = await this.createCloudDocument('accessibilityReports', {
+      ...job.payload.data,
+      userId: user.uid,
+      userDisplayName: user.displayName || 'Anonymous'
+    }, job.idempotencyKey);
+    return { cloudId };
   }
 
   /**
-   * Process all pending queues
+   * Store a survey with its route, or on its own (outbox handler)
    */
-  async processAllQueues() {
-    if (!this.isOnline) {
-      toast.warning('Cannot sync while offline');
-      return;
-    }
-    
-    toast.info('Syncing pending items...');
-    
-    await Promise.all([
-      this.processPhotoQueue(),
-      this.processSurveyQueue(),
-      this.retryPendingUploads()
-    ]);
-    
-    const remaining = this.getAllPendingCount();
-    if (remaining.total === 0) {
-      toast.success('All items synced! ✓');
-    } else {
-      toast.warning(`${remaining.total} items still pending`);
+  async submitSurveyJob(job) {
+    const { data, routeId, location, queuedAt } = job.payload;
+    const { db } = await import('../../firebase-setup.js');
+    const { doc, updateDoc, serverTimestamp } =
+      await import('https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js');
+
+    if (routeId) {
+      // Update existing route with survey data
+      await updateDoc(doc(db, 'routes', routeId), {
+        accessibility: data,
+        accessibilityUpdatedAt: serverTimestamp()
+      });
+      return { routeId };
     }
+
+    // Store as standalone survey
+    const cloudId = await this.createCloudDocument('accessibility_surveys', {
+      ...data,
+      location,
+      submittedAt: serverTimestamp(),
+      queuedAt
+    }, job.idempotencyKey);
+    return { cloudId };
   }
 }
 
@@ -2,6 +2,14 @@
  * Open311 Integration
  * Formats accessibility reports for municipal 311 system submission
  * Based on Open311 GeoReport v2 specification
+ *
+ * Reports can be filed directly with cities that run a GeoReport v2
+ * server: each jurisdiction gets an endpoint config (base URL, API key,
+ * jurisdiction_id, service-code overrides) saved in localStorage, and the
+ * returned service_request_id is saved on the report as `open311`.
+ * Endpoints normally come from the jurisdiction registry; configureEndpoint()
+ * adds one by hand.
+ * Any base URL works, so a local mock server can stand in for a city.
  * 
  * Access Nature - AccessReport Enhancement
  * Created: December 2025
@@ -136,12 +144,27 @@ const SEVERITY_TO_PRIORITY = {
   critical: 'urgent'
 };
 
+/**
+ * GeoReport v2 client settings
+ */
+const GEOREPORT_CONFIG = {
+  storageKey: 'accessNature_open311Endpoints',
+  // Submissions the city accepted that aren't saved on their report yet
+  pendingKey: 'accessNature_open311Pending',
+  timeout: 20000,
+  // services.json rarely changes; don't fetch it for every submission
+  servicesCacheTime: 60 * 60 * 1000,
+  maxDescriptionLength: 4000
+};
+
 /**
  * Open311 Integration Class
  */
 class Open311Integration {
   constructor() {
     this.endpoints = new Map(); // Store configured municipality endpoints
+    this.servicesCache = new Map(); // jurisdiction id -> { services, fetchedAt }
+    this.loadEndpoints();
   }
 
   /**
@@ -372,10 +395,13 @@ https://accessnature.app
   /**
    * Generate email template for authority notification
    * @param {object} report 
-   * @param {string} authorityEmail 
+   * @param {string|object} authority - Email address, or a jurisdiction from
+   *                                    jurisdictionRegistry ({ name, email })
    * @returns {object} Email subject and body
    */
-  generateEmailTemplate(report, authorityEmail = '') {
+  generateEmailTemplate(report, authority = '') {
+    const authorityEmail = typeof authority === 'string' ? authority : authority?.email || '';
+    const authorityName = typeof authority === 'object' ? authority?.name : null;
     const serviceInfo = SERVICE_CODES[report.issueType] || SERVICE_CODES.other;
     const severity = report.severity || 3;
     const severityLabels = { 1: 'Minor', 2: 'Low', 3: 'Medium', 4: 'High', 5: 'Critical' };
@@ -383,7 +409,7 @@ https://accessnature.app
     const subject = `[Accessibility Report] ${severityLabels[severity]} Priority: ${report.title}`;
     
     const body = `
-Dear ${serviceInfo.group} Department,
+Dear ${authorityName ? `${authorityName} - ` : ''}${serviceInfo.group} Department,
 
 I am writing to report an accessibility barrier that has been documented by the Access Nature community.
 
@@ -720,6 +746,328 @@ Generated: ${new Date().toLocaleString()}
       .replace(/>/g, '&gt;')
       .replace(/"/g, '&quot;');
   }
+
+  // ==================== GEOREPORT V2 CLIENT ====================
+
+  /**
+   * Load saved jurisdiction endpoints
+   */
+  loadEndpoints() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(GEOREPORT_CONFIG.storageKey) || '{}');
+      Object.values(saved).forEach(config => this.endpoints.set(config.id, config));
+    } catch (error) {
+      console.warn('⚠️ Failed to load Open311 endpoints:', error);
+    }
+  }
+
+  saveEndpoints() {
+    localStorage.setItem(GEOREPORT_CONFIG.storageKey, JSON.stringify(Object.fromEntries(this.endpoints)));
+  }
+
+  /**
+   * Add or update a jurisdiction's GeoReport v2 endpoint
+   * @param {string} id - Our key for the jurisdiction, e.g. 'cape-town'
+   * @param {object} config - { name, endpoint, apiKey, jurisdictionId, serviceCodes, language, source }
+   *   endpoint: base URL the .json paths hang off, e.g. 'https://311.city.gov/open311/v2',
+   *             or 'http://localhost:8311' for a local mock server
+   *   apiKey: issued by the city; only sent when creating requests
+   *   jurisdictionId: for servers that host several cities
+   *   serviceCodes: { issueType: code } where the city's codes differ from SERVICE_CODES
+   *   language: sent as Accept-Language, for servers that localize service names and notes
+   *   source: 'registry' when it comes from the jurisdiction registry, else 'local'
+   * @returns {object} Saved config
+   */
+  configureEndpoint(id, config = {}) {
+    if (!id) throw new Error('Jurisdiction id is required');
+    if (!/^https?:\/\//.test(config.endpoint || '')) {
+      throw new Error('Open311 endpoint must be an http(s) URL');
+    }
+
+    this.endpoints.set(id, {
+      id,
+      name: config.name || id,
+      endpoint: config.endpoint.replace(/\/+$/, ''),
+      apiKey: config.apiKey || null,
+      jurisdictionId: config.jurisdictionId || null,
+      serviceCodes: config.serviceCodes || {},
+      language: config.language || null,
+      source: config.source || 'local'
+    });
+    this.servicesCache.delete(id);
+    this.saveEndpoints();
+    return this.endpoints.get(id);
+  }
+
+  /**
+   * Replace the endpoints that came from the jurisdiction registry. Ones set
+   * up by hand on this device stay, unless the registry now has the same id
+   * @param {Array<object>} configs - configureEndpoint() configs with an `id`
+   */
+  syncEndpoints(configs) {
+    const ids = new Set(configs.map(config => config.id));
+    this.getEndpoints()
+      .filter(config => config.source === 'registry' && !ids.has(config.id))
+      .forEach(config => {
+        this.endpoints.delete(config.id);
+        this.servicesCache.delete(config.id);
+      });
+
+    configs.forEach(config => {
+      try {
+        this.configureEndpoint(config.id, { ...config, source: 'registry' });
+      } catch (error) {
+        console.warn(`⚠️ Skipping Open311 endpoint for ${config.id}:`, error.message);
+      }
+    });
+    this.saveEndpoints();
+  }
+
+  removeEndpoint(id) {
+    this.endpoints.delete(id);
+    this.servicesCache.delete(id);
+    this.saveEndpoints();
+  }
+
+  getEndpoint(id) {
+    const config = this.endpoints.get(id);
+    if (!config) throw new Error(`No Open311 endpoint configured for "${id}"`);
+    return config;
+  }
+
+  getEndpoints() {
+    return [...this.endpoints.values()];
+  }
+
+  /**
+   * Call a GeoReport v2 endpoint
+   * @param {object} config - Jurisdiction endpoint config
+   * @param {string} path - e.g. 'services.json'
+   * @param {object} options - { method, params } params go in the query string
+   *                           for GET and form-encoded in the body for POST
+   * @returns {Promise<any>} Parsed JSON
+   */
+  async georeportRequest(config, path, { method = 'GET', params = {} } = {}) {
+    const fields = new URLSearchParams();
+    Object.entries({ jurisdiction_id: config.jurisdictionId, ...params }).forEach(([key, value]) => {
+      if (value !== null && value !== undefined && value !== '') fields.append(key, String(value));
+    });
+
+    let url = `${config.endpoint}/${path}`;
+    const options = { method, headers: { 'Accept': 'application/json' } };
+    if (config.language) options.headers['Accept-Language'] = config.language;
+    if (method === 'GET') {
+      if ([...fields].length > 0) url += `?${fields}`;
+    } else {
+      options.headers['Content-Type'] = 'application/x-www-form-urlencoded';
+      options.body = fields.toString();
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), GEOREPORT_CONFIG.timeout);
+
+    let response;
+    try {
+      response = await fetch(url, { ...options, signal: controller.signal });
+    } catch (error) {
+      throw new Error(error.name === 'AbortError' ?
+        `${config.name} 311 server did not respond` :
+        `Could not reach ${config.name} 311 server: ${error.message}`);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+
+    const data = await response.json().catch(() => null);
+
+    if (!response.ok) {
+      // GeoReport errors come back as [{ code, description }]
+      const description = Array.isArray(data) ? data[0]?.description : null;
+      const error = new Error(description || `${config.name} 311 server returned ${response.status}`);
+      error.status = response.status;
+      // Bad key, unknown service, invalid field - sending it again won't help
+      error.permanent = response.status >= 400 && response.status < 500 &&
+        response.status !== 408 && response.status !== 429;
+      throw error;
+    }
+
+    if (data === null) throw new Error(`${config.name} 311 server returned invalid JSON`);
+    return data;
+  }
+
+  /**
+   * GET services.json - the request types a jurisdiction accepts
+   * @param {string} id - Jurisdiction id
+   * @param {object} options - { refresh } skip the cache
+   * @returns {Promise<array>} [{ service_code, service_name, description, group, keywords, metadata, type }]
+   */
+  async getServices(id, { refresh = false } = {}) {
+    const config = this.getEndpoint(id);
+    const cached = this.servicesCache.get(id);
+    if (!refresh && cached && Date.now() - cached.fetchedAt < GEOREPORT_CONFIG.servicesCacheTime) {
+      return cached.services;
+    }
+
+    const services = await this.georeportRequest(config, 'services.json');
+    if (!Array.isArray(services)) throw new Error(`${config.name} 311 services list is not valid`);
+
+    this.servicesCache.set(id, { services, fetchedAt: Date.now() });
+    return services;
+  }
+
+  /**
+   * The jurisdiction's service code for a report's issue type
+   * @param {object} report
+   * @param {object} config - Jurisdiction endpoint config
+   * @returns {string}
+   */
+  getServiceCode(report, config) {
+    return config.serviceCodes?.[report.issueType] ||
+      (SERVICE_CODES[report.issueType] || SERVICE_CODES.other).code;
+  }
+
+  /**
+   * First photo with a public URL. Photos stored inline as data URLs can't
+   * be sent as media_url
+   * @param {array} photos
+   * @returns {string|null}
+   */
+  getMediaUrl(photos) {
+    for (const photo of photos || []) {
+      const url = this.getFirstPhotoUrl([photo]);
+      if (/^https?:\/\//.test(url || '')) return url;
+    }
+    return null;
+  }
+
+  /**
+   * POST requests.json - file a report with the jurisdiction
+   * @param {object} report - Access Nature report (needs id, latitude, longitude)
+   * @param {string} id - Jurisdiction id
+   * @returns {Promise<object>} Submission to keep on the report:
+   *   { jurisdiction, serviceCode, serviceRequestId, token, serviceNotice, accountId, submittedAt }
+   *   Servers that queue requests return only a token; resolveToken() gets the id later
+   */
+  async submitRequest(report, id) {
+    const config = this.getEndpoint(id);
+
+    if (typeof report.latitude !== 'number' || typeof report.longitude !== 'number') {
+      const error = new Error('Report has no location');
+      error.permanent = true;
+      throw error;
+    }
+
+    const serviceCode = this.getServiceCode(report, config);
+    const services = await this.getServices(id);
+    if (!services.some(service => service.service_code === serviceCode)) {
+      const error = new Error(`${config.name} 311 does not accept "${serviceCode}" requests`);
+      error.permanent = true;
+      throw error;
+    }
+
+    const request = this.formatForOpen311(report);
+    const data = await this.georeportRequest(config, 'requests.json', {
+      method: 'POST',
+      params: {
+        api_key: config.apiKey,
+        service_code: serviceCode,
+        lat: request.lat,
+        long: request.long,
+        address_string: request.address_string,
+        description: request.description.slice(0, GEOREPORT_CONFIG.maxDescriptionLength),
+        media_url: this.getMediaUrl(report.photos)
+      }
+    });
+
+    const result = Array.isArray(data) ? data[0] : data;
+    if (!result?.service_request_id && !result?.token) {
+      throw new Error(`${config.name} 311 server did not return a request number`);
+    }
+
+    return {
+      jurisdiction: id,
+      serviceCode,
+      serviceRequestId: result.service_request_id ? String(result.service_request_id) : null,
+      token: result.token || null,
+      serviceNotice: result.service_notice || null,
+      accountId: result.account_id || null,
+      submittedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * GET tokens/{token}.json - request id for a queued submission
+   * @param {string} token
+   * @param {string} id - Jurisdiction id
+   * @returns {Promise<string|null>} null while the city hasn't assigned one yet
+   */
+  async resolveToken(token, id) {
+    const config = this.getEndpoint(id);
+    const data = await this.georeportRequest(config, `tokens/${encodeURIComponent(token)}.json`);
+    const result = Array.isArray(data) ? data[0] : data;
+    return result?.service_request_id ? String(result.service_request_id) : null;
+  }
+
+  /**
+   * GET requests/{id}.json - current state of a filed request
+   * @param {string} serviceRequestId
+   * @param {string} id - Jurisdiction id
+   * @returns {Promise<object|null>} GeoReport request ({ status, status_notes, agency_responsible,
+   *   updated_datetime, expected_datetime, ... }), null if the server doesn't know it
+   */
+  async getRequest(serviceRequestId, id) {
+    const config = this.getEndpoint(id);
+    const data = await this.georeportRequest(config, `requests/${encodeURIComponent(serviceRequestId)}.json`);
+    return (Array.isArray(data) ? data[0] : data) || null;
+  }
+
+  // ==================== UNSAVED SUBMISSIONS ====================
+
+  /**
+   * Submissions the city has accepted but that couldn't be saved on the
+   * report yet (e.g. the connection dropped right after). Kept on this
+   * device so the reference isn't lost and the report isn't sent twice.
+   * @returns {object} reportId -> { reportId, userId, submission, historyEntry }
+   */
+  getPendingSubmissions() {
+    try {
+      return JSON.parse(localStorage.getItem(GEOREPORT_CONFIG.pendingKey) || '{}');
+    } catch (error) {
+      console.warn('⚠️ Failed to read unsaved 311 submissions:', error);
+      return {};
+    }
+  }
+
+  getPendingSubmission(reportId) {
+    return this.getPendingSubmissions()[reportId] || null;
+  }
+
+  /**
+   * Remember a submission until it's saved on the report
+   * @param {object} pending - { reportId, userId, submission, historyEntry }
+   */
+  addPendingSubmission(pending) {
+    const all = this.getPendingSubmissions();
+    all[pending.reportId] = pending;
+    localStorage.setItem(GEOREPORT_CONFIG.pendingKey, JSON.stringify(all));
+  }
+
+  removePendingSubmission(reportId) {
+    const all = this.getPendingSubmissions();
+    delete all[reportId];
+    localStorage.setItem(GEOREPORT_CONFIG.pendingKey, JSON.stringify(all));
+  }
+
+  /**
+   * Fields to save on the Firestore report after submitRequest()
+   * @param {object} submission - Result of submitRequest()
+   * @returns {object}
+   */
+  toReportFields(submission) {
+    return {
+      open311: submission,
+      municipalTrackingId: submission.serviceRequestId || null
+    };
+  }
 }
 
 // Create and export singleton
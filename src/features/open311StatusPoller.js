@@ -0,0 +1,324 @@
+/**
+ * Open311 Status Poller
+ * Follows reports that have been filed with a city's 311 server and moves
+ * them through the reports.html status workflow as the city works on them
+ *
+ * - Runs for the signed-in reporter: their reports with an `open311`
+ *   submission are checked when polling starts, every few minutes while the
+ *   page is visible, hourly while it's in the background (so a change can
+ *   still raise a system notification), and when the device comes back online
+ * - Queued submissions (token only) get their service_request_id first
+ * - The city's status and status_notes are mapped onto our workflow; each
+ *   change is appended to `statusHistory` and the reporter is notified
+ * - Once the city closes the request, it's no longer checked
+ *
+ * Access Nature - AccessReport Enhancement
+ * Created: October 2026
+ */
+
+import { open311 } from './open311Integration.js';
+import { toast } from '../utils/toast.js';
+
+const POLL_CONFIG = {
+  interval: 15 * 60 * 1000,
+  // While the tab is in the background
+  hiddenInterval: 60 * 60 * 1000,
+  // Don't ask the same city about the same request more often than this,
+  // even across page loads
+  minRecheck: 10 * 60 * 1000
+};
+
+// Our statuses that the city's answer can no longer change
+const FINAL_STATUSES = ['closed', 'wont_fix', 'duplicate'];
+
+// Order of the open statuses, so a vague "open" from the city doesn't move
+// a report back from a later step
+const OPEN_STATUS_ORDER = ['new', 'acknowledged', 'submitted_311', 'scheduled', 'in_progress'];
+
+// Labels for notifications; the full workflow lives in reports.html
+const STATUS_LABELS = {
+  submitted_311: '🏛️ Submitted to 311',
+  scheduled: '📅 Scheduled',
+  in_progress: '🔧 In Progress',
+  resolved: '✅ Resolved',
+  wont_fix: "❌ Won't Fix",
+  duplicate: '📋 Duplicate'
+};
+
+const isOpenStatus = (status) => OPEN_STATUS_ORDER.includes(status);
+
+/**
+ * Map a GeoReport request onto our status workflow
+ * GeoReport v2 only defines 'open' and 'closed'; what happened is in
+ * status_notes. Some servers also send more specific statuses.
+ * @param {object} request - GeoReport request from getRequest()
+ * @returns {string} Workflow status
+ */
+export function mapOpen311Status(request) {
+  const status = String(request.status || '').toLowerCase().replace(/[\s-]+/g, '_');
+  const notes = String(request.status_notes || '').toLowerCase();
+
+  if (status === 'duplicate') return 'duplicate';
+  if (['rejected', 'declined', 'invalid', 'wont_fix'].includes(status)) return 'wont_fix';
+  if (['closed', 'resolved', 'completed', 'fixed'].includes(status)) {
+    // The notes say why it was closed
+    if (/duplicate/.test(notes)) return 'duplicate';
+    if (/(won'?t|will not|cannot|can't|unable to|not) (be )?(fix|repair|address)|declined|rejected|no action/.test(notes)) {
+      return 'wont_fix';
+    }
+    return 'resolved';
+  }
+  if (['in_progress', 'assigned', 'work_started'].includes(status) ||
+      /in progress|under ?way|crew (is )?(on site|assigned|dispatched)|work (has )?(started|begun)/.test(notes)) {
+    return 'in_progress';
+  }
+  if (status === 'scheduled' || request.expected_datetime || /scheduled/.test(notes)) return 'scheduled';
+  return 'submitted_311';
+}
+
+export class Open311StatusPoller {
+  constructor() {
+    this.user = null;
+    this.timer = null;
+    this.polling = null;
+    this.lastPollAt = 0;
+    this.onOnline = () => this.pollNow();
+  }
+
+  /**
+   * Start following the signed-in user's 311 reports
+   * @param {object} user - Firebase user
+   */
+  start(user) {
+    if (!user) return this.stop();
+    if (this.user?.uid === user.uid && this.timer) return;
+
+    this.stop();
+    this.user = user;
+    this.timer = setInterval(() => {
+      const interval = document.hidden ? POLL_CONFIG.hiddenInterval : POLL_CONFIG.interval;
+      // Ticks can come early when the browser has held back timers
+      if (Date.now() - this.lastPollAt >= interval - 1000) this.pollNow();
+    }, POLL_CONFIG.interval);
+    window.addEventListener('online', this.onOnline);
+    this.pollNow();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.user = null;
+    window.removeEventListener('online', this.onOnline);
+  }
+
+  /**
+   * Check every open 311 report now; joins a check already running.
+   * Failures (e.g. a flaky network right after coming online) are logged
+   * and the next interval tries again.
+   * @returns {Promise<Array>} Changes: [{ reportId, status, previousStatus, note }]
+   */
+  pollNow() {
+    return this.checkNow().catch(error => {
+      console.warn('⚠️ Could not check 311 statuses:', error.message);
+      return [];
+    });
+  }
+
+  /**
+   * Like pollNow(), but rejects when the check fails - for a "check now"
+   * button that should tell the user
+   * @returns {Promise<Array>}
+   */
+  checkNow() {
+    if (!this.user || !navigator.onLine) return Promise.resolve([]);
+    if (!this.polling) {
+      this.lastPollAt = Date.now();
+      this.polling = this.pollReports().finally(() => {
+        this.polling = null;
+      });
+    }
+    return this.polling;
+  }
+
+  async pollReports() {
+    const { collection, query, where, getDocs } = await import('https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js');
+    const { db } = await import('../../firebase-setup.js');
+
+    const user = this.user;
+    const snapshot = await getDocs(query(
+      collection(db, 'accessibilityReports'),
+      where('userId', '==', user.uid)
+    ));
+
+    const reports = snapshot.docs
+      .map(snap => ({ id: snap.id, ...snap.data() }))
+      .filter(report => this.isFollowed(report));
+
+    const changes = [];
+    for (const report of reports) {
+      // Signed out or switched user mid-run
+      if (this.user?.uid !== user.uid) break;
+      try {
+        const change = await this.checkReport(report);
+        if (change) changes.push(change);
+      } catch (error) {
+        console.warn(`⚠️ Could not check 311 status of report ${report.id}:`, error.message);
+      }
+    }
+
+    if (changes.length > 0) {
+      window.dispatchEvent(new CustomEvent('open311statuschange', { detail: { changes } }));
+    }
+    return changes;
+  }
+
+  /**
+   * Whether a report is still worth asking the city about
+   * @param {object} report
+   * @returns {boolean}
+   */
+  isFollowed(report) {
+    const submission = report.open311;
+    if (!submission?.jurisdiction) return false;
+    if (submission.closed || FINAL_STATUSES.includes(report.status)) return false;
+    // The endpoint was removed from this device
+    if (!open311.endpoints.has(submission.jurisdiction)) return false;
+
+    const checkedAt = Date.parse(submission.checkedAt || '') || 0;
+    return Date.now() - checkedAt >= POLL_CONFIG.minRecheck;
+  }
+
+  /**
+   * Ask the city about one report and record what changed
+   * @param {object} report - Report with an `open311` submission
+   * @returns {Promise<object|null>} The change, or null when nothing moved
+   */
+  async checkReport(report) {
+    const submission = report.open311;
+    const jurisdiction = submission.jurisdiction;
+    const update = { 'open311.checkedAt': new Date().toISOString() };
+
+    let serviceRequestId = submission.serviceRequestId;
+    if (!serviceRequestId && submission.token) {
+      serviceRequestId = await open311.resolveToken(submission.token, jurisdiction);
+      if (serviceRequestId) {
+        update['open311.serviceRequestId'] = serviceRequestId;
+        update.municipalTrackingId = serviceRequestId;
+      }
+    }
+
+    if (!serviceRequestId) {
+      await this.saveReport(report.id, update);
+      return null;
+    }
+
+    const request = await open311.getRequest(serviceRequestId, jurisdiction);
+    if (!request) {
+      await this.saveReport(report.id, update);
+      return null;
+    }
+
+    const cityStatus = String(request.status || '').toLowerCase() || null;
+    const notes = request.status_notes || null;
+    Object.assign(update, {
+      'open311.cityStatus': cityStatus,
+      'open311.statusNotes': notes,
+      'open311.agency': request.agency_responsible || null,
+      'open311.updatedAt': request.updated_datetime || null
+    });
+
+    const previousStatus = report.status || 'new';
+    let status = mapOpen311Status(request);
+    update['open311.closed'] = !isOpenStatus(status);
+
+    // While the city still has it open, keep a later step the reporter set
+    // themselves (e.g. they saw the crew, or marked it resolved)
+    if (isOpenStatus(status) && (!isOpenStatus(previousStatus) ||
+        OPEN_STATUS_ORDER.indexOf(status) < OPEN_STATUS_ORDER.indexOf(previousStatus))) {
+      status = previousStatus;
+    }
+
+    const notesChanged = notes && notes !== submission.statusNotes;
+    if (status === previousStatus && !notesChanged) {
+      await this.saveReport(report.id, update);
+      return null;
+    }
+
+    const { arrayUnion, serverTimestamp } = await import('https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js');
+    const endpointName = open311.endpoints.get(jurisdiction)?.name || jurisdiction;
+
+    // Same entry shape as updateReportStatus() in reports.html
+    const historyEntry = {
+      status,
+      previousStatus,
+      timestamp: new Date().toISOString(),
+      userId: 'open311',
+      userName: `${endpointName} 311`,
+      note: notes,
+      municipalTrackingId: serviceRequestId,
+      source: 'open311'
+    };
+
+    Object.assign(update, {
+      status,
+      statusHistory: arrayUnion(historyEntry),
+      updatedAt: serverTimestamp()
+    });
+    if (status === 'scheduled' && request.expected_datetime) {
+      update.scheduledRepairDate = new Date(request.expected_datetime);
+    }
+    if (status === 'resolved' && previousStatus !== 'resolved') {
+      update.resolvedAt = serverTimestamp();
+    }
+
+    await this.saveReport(report.id, update);
+
+    const change = { reportId: report.id, title: report.title, status, previousStatus, note: notes };
+    this.notify(change, endpointName);
+    return change;
+  }
+
+  async saveReport(reportId, update) {
+    const { doc, updateDoc } = await import('https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js');
+    const { db } = await import('../../firebase-setup.js');
+    await updateDoc(doc(db, 'accessibilityReports', reportId), update);
+  }
+
+  /**
+   * Tell the reporter: a toast while the page is in view, a system
+   * notification otherwise (when they've allowed notifications)
+   * @param {object} change
+   * @param {string} endpointName
+   */
+  async notify(change, endpointName) {
+    const label = change.status === change.previousStatus ?
+      'New update' :
+      (STATUS_LABELS[change.status] || change.status);
+    const title = `${endpointName} 311: ${label}`;
+    const body = [change.title, change.note].filter(Boolean).join(' - ');
+
+    if (!document.hidden) {
+      toast.info(`${title}${body ? ` - ${body}` : ''}`);
+      return;
+    }
+
+    if (!('Notification' in window) || Notification.permission !== 'granted') return;
+    try {
+      const registration = await navigator.serviceWorker?.ready;
+      await registration?.showNotification(title, {
+        body,
+        icon: '/assets/icons/icon-192x192.png',
+        badge: '/assets/icons/badge-72x72.png',
+        tag: `open311-${change.reportId}`,
+        data: { url: '/reports.html' }
+      });
+    } catch (error) {
+      console.warn('⚠️ Failed to show 311 status notification:', error);
+    }
+  }
+}
+
+// Create and export singleton
+export const open311StatusPoller = new Open311StatusPoller();
+
+export default open311StatusPoller;
@@ -0,0 +1,357 @@
+/**
+ * Photo Annotator
+ * Lets the surveyor circle or point an arrow at a barrier on a photo and
+ * write the caption that becomes the photo's alt text
+ *
+ * Shapes are drawn into the photo itself so they show up wherever the
+ * photo is used; they are also returned in photo-relative coordinates
+ * (0-1) and stored with the photo:
+ *   { type: 'arrow', from: { x, y }, to: { x, y } }
+ *   { type: 'circle', center: { x, y }, radius }   (radius relative to width)
+ *
+ * Access Nature - Media
+ * Created: October 2026
+ */
+
+import { toast } from '../utils/toast.js';
+import { modal } from '../utils/modal.js';
+
+const ANNOTATION_STYLE = {
+  color: '#ef4444',
+  outline: '#ffffff',
+  // Line width as a share of the photo width, so marks look the same at any size
+  widthRatio: 1 / 120,
+  // A tap with the circle tool draws a circle this size (share of width)
+  tapRadius: 0.08,
+  // Drags shorter than this (share of width) count as taps
+  minDrag: 0.02
+};
+
+export const CAPTION_MAX_LENGTH = 250;
+
+/**
+ * Draw one annotation
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {object} shape - Annotation in photo-relative coordinates
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ */
+export function drawAnnotation(ctx, shape, width, height) {
+  const lineWidth = Math.max(3, width * ANNOTATION_STYLE.widthRatio);
+
+  const strokeShape = (path) => {
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    // White under-stroke keeps the mark visible on red or dark backgrounds
+    ctx.strokeStyle = ANNOTATION_STYLE.outline;
+    ctx.lineWidth = lineWidth * 2;
+    path();
+    ctx.stroke();
+    ctx.strokeStyle = ANNOTATION_STYLE.color;
+    ctx.lineWidth = lineWidth;
+    path();
+    ctx.stroke();
+  };
+
+  if (shape.type === 'circle') {
+    const cx = shape.center.x * width;
+    const cy = shape.center.y * height;
+    const r = Math.max(lineWidth * 2, shape.radius * width);
+    strokeShape(() => {
+      ctx.beginPath();
+      ctx.arc(cx, cy, r, 0, Math.PI * 2);
+    });
+  } else if (shape.type === 'arrow') {
+    const x1 = shape.from.x * width;
+    const y1 = shape.from.y * height;
+    const x2 = shape.to.x * width;
+    const y2 = shape.to.y * height;
+    const angle = Math.atan2(y2 - y1, x2 - x1);
+    const head = lineWidth * 4;
+    strokeShape(() => {
+      ctx.beginPath();
+      ctx.moveTo(x1, y1);
+      ctx.lineTo(x2, y2);
+      ctx.moveTo(x2 - head * Math.cos(angle - Math.PI / 6), y2 - head * Math.sin(angle - Math.PI / 6));
+      ctx.lineTo(x2, y2);
+      ctx.lineTo(x2 - head * Math.cos(angle + Math.PI / 6), y2 - head * Math.sin(angle + Math.PI / 6));
+    });
+  }
+}
+
+export class PhotoAnnotator {
+  /**
+   * @param {HTMLCanvasElement} photo - The photo, already oriented and resized
+   */
+  constructor(photo) {
+    this.photo = photo;
+    this.canvas = null;
+    this.shapes = [];
+    this.tool = 'circle';
+    this.drag = null;
+  }
+
+  /**
+   * Show the annotation dialog
+   * @param {object} options - { caption } initial caption text
+   * @returns {Promise<object|null>} { canvas, caption, annotations }, or null when
+   *                                 the photo is discarded
+   */
+  async open(options = {}) {
+    this.injectStyles();
+
+    const pending = modal.show({
+      type: 'info',
+      icon: '📷',
+      title: 'Describe This Photo',
+      html: this.renderPanel(),
+      closable: false,
+      buttons: [
+        { label: 'Discard Photo', action: 'cancel', variant: 'secondary' },
+        { label: 'Save Photo', action: 'save', variant: 'primary' }
+      ]
+    });
+
+    const panel = document.getElementById('photoAnnotatePanel');
+    const caption = document.getElementById('photoCaption');
+    const error = document.getElementById('photoCaptionError');
+    this.canvas = document.getElementById('photoAnnotateCanvas');
+    if (!panel || !this.canvas) return pending.then(() => null);
+
+    this.canvas.width = this.photo.width;
+    this.canvas.height = this.photo.height;
+    this.redraw();
+    if (caption) caption.value = options.caption || '';
+
+    this.bindCanvas();
+    panel.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-annotate]');
+      if (button) this.handleToolbar(button.dataset.annotate, panel);
+    });
+
+    // The caption is the photo's alt text, so it can't be left empty - stop
+    // the save click before the dialog sees it
+    const dialog = panel.closest('.modal-dialog');
+    dialog?.addEventListener('click', (e) => {
+      if (!e.target.closest('[data-action="save"]')) return;
+      if (caption && caption.value.trim() === '') {
+        e.stopPropagation();
+        caption.setAttribute('aria-invalid', 'true');
+        if (error) error.textContent = 'Please describe the photo - it is read out to people who can\'t see it.';
+        caption.focus();
+      }
+    }, true);
+    caption?.addEventListener('input', () => {
+      caption.removeAttribute('aria-invalid');
+      if (error) error.textContent = '';
+    });
+
+    const action = await pending;
+    if (action !== 'save') return null;
+
+    return {
+      canvas: this.canvas,
+      caption: caption.value.trim().slice(0, CAPTION_MAX_LENGTH),
+      annotations: this.shapes.map(shape => JSON.parse(JSON.stringify(shape)))
+    };
+  }
+
+  renderPanel() {
+    return `
+      <div id="photoAnnotatePanel" class="photo-annotate-panel">
+        <div class="photo-annotate-tools" role="toolbar" aria-label="Mark the photo">
+          <button type="button" data-annotate="circle" aria-pressed="true">⭕ Circle</button>
+          <button type="button" data-annotate="arrow" aria-pressed="false">➡️ Arrow</button>
+          <button type="button" data-annotate="undo">↩️ Undo</button>
+          <button type="button" data-annotate="clear">🗑️ Clear</button>
+        </div>
+        <canvas id="photoAnnotateCanvas" class="photo-annotate-canvas"
+                aria-label="Photo. Drag to circle or point an arrow at a barrier (optional)"></canvas>
+        <label for="photoCaption">Caption (required)</label>
+        <p id="photoCaptionHint" class="photo-annotate-hint">
+          Describe what the photo shows, e.g. "Tree root across the path, about 10 cm high".
+          This is the alt text read out by screen readers.
+        </p>
+        <textarea id="photoCaption" rows="3" maxlength="${CAPTION_MAX_LENGTH}" required
+                  aria-describedby="photoCaptionHint photoCaptionError"></textarea>
+        <p id="photoCaptionError" class="photo-annotate-error" role="alert"></p>
+      </div>
+    `;
+  }
+
+  handleToolbar(action, panel) {
+    if (action === 'circle' || action === 'arrow') {
+      this.tool = action;
+      panel.querySelectorAll('[data-annotate="circle"], [data-annotate="arrow"]').forEach(button => {
+        button.setAttribute('aria-pressed', String(button.dataset.annotate === action));
+      });
+    } else if (action === 'undo') {
+      this.shapes.pop();
+      this.redraw();
+    } else if (action === 'clear') {
+      this.shapes = [];
+      this.redraw();
+    }
+  }
+
+  bindCanvas() {
+    const canvas = this.canvas;
+    canvas.style.touchAction = 'none';
+
+    canvas.addEventListener('pointerdown', (e) => {
+      canvas.setPointerCapture?.(e.pointerId);
+      const point = this.toPhotoPoint(e);
+      this.drag = { start: point, end: point };
+    });
+
+    canvas.addEventListener('pointermove', (e) => {
+      if (!this.drag) return;
+      this.drag.end = this.toPhotoPoint(e);
+      this.redraw(this.shapeFromDrag(this.drag));
+    });
+
+    const finish = (e) => {
+      if (!this.drag) return;
+      this.drag.end = this.toPhotoPoint(e);
+      const shape = this.shapeFromDrag(this.drag);
+      this.drag = null;
+      if (shape) {
+        this.shapes.push(shape);
+      } else {
+        toast.info('Drag from the barrier outwards to draw an arrow');
+      }
+      this.redraw();
+    };
+    canvas.addEventListener('pointerup', finish);
+    canvas.addEventListener('pointercancel', () => {
+      this.drag = null;
+      this.redraw();
+    });
+  }
+
+  toPhotoPoint(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    return {
+      x: Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width)),
+      y: Math.min(1, Math.max(0, (e.clientY - rect.top) / rect.height))
+    };
+  }
+
+  shapeFromDrag({ start, end }) {
+    const aspect = this.canvas.height / this.canvas.width;
+    const length = Math.hypot(end.x - start.x, (end.y - start.y) * aspect);
+    const round = (value) => Math.round(value * 1000) / 1000;
+
+    if (this.tool === 'circle') {
+      return {
+        type: 'circle',
+        center: { x: round(start.x), y: round(start.y) },
+        radius: round(length < ANNOTATION_STYLE.minDrag ? ANNOTATION_STYLE.tapRadius : length)
+      };
+    }
+
+    // An arrow needs a direction; it points from where the drag started
+    // to where it ended
+    if (length < ANNOTATION_STYLE.minDrag) return null;
+    return {
+      type: 'arrow',
+      from: { x: round(start.x), y: round(start.y) },
+      to: { x: round(end.x), y: round(end.y) }
+    };
+  }
+
+  redraw(preview = null) {
+    const ctx = this.canvas.getContext('2d');
+    const { width, height } = this.canvas;
+    ctx.drawImage(this.photo, 0, 0, width, height);
+    [...this.shapes, ...(preview ? [preview] : [])].forEach(shape => {
+      drawAnnotation(ctx, shape, width, height);
+    });
+  }
+
+  injectStyles() {
+    if (document.getElementById('photo-annotate-styles')) return;
+
+    const styles = document.createElement('style');
+    styles.id = 'photo-annotate-styles';
+    styles.textContent = `
+      .photo-annotate-panel {
+        display: flex;
+        flex-direction: column;
+        gap: 8px;
+        text-align: left;
+      }
+
+      .photo-annotate-tools {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 6px;
+      }
+
+      .photo-annotate-tools button {
+        min-height: 40px;
+        padding: 6px 12px;
+        border: 1px solid #d1d5db;
+        border-radius: 8px;
+        background: #ffffff;
+        font-size: 14px;
+        cursor: pointer;
+      }
+
+      .photo-annotate-tools button[aria-pressed="true"] {
+        background: #fee2e2;
+        border-color: #ef4444;
+        font-weight: 600;
+      }
+
+      /* Scaled without letterboxing so pointer positions map onto the photo */
+      .photo-annotate-canvas {
+        align-self: center;
+        width: auto;
+        height: auto;
+        max-width: 100%;
+        max-height: 45vh;
+        border-radius: 8px;
+        background: #111827;
+        cursor: crosshair;
+      }
+
+      .photo-annotate-panel label {
+        font-weight: 600;
+        font-size: 14px;
+        color: #374151;
+      }
+
+      .photo-annotate-hint {
+        margin: 0;
+        font-size: 13px;
+        color: #4b5563;
+      }
+
+      .photo-annotate-panel textarea {
+        width: 100%;
+        padding: 10px;
+        border: 1px solid #d1d5db;
+        border-radius: 8px;
+        font-size: 15px;
+        font-family: inherit;
+        resize: vertical;
+      }
+
+      .photo-annotate-panel textarea[aria-invalid="true"] {
+        border-color: #dc2626;
+        outline: 2px solid #fecaca;
+      }
+
+      .photo-annotate-error {
+        margin: 0;
+        min-height: 1.2em;
+        font-size: 13px;
+        color: #b91c1c;
+      }
+    `;
+    document.head.appendChild(styles);
+  }
+}
+
+export default PhotoAnnotator;
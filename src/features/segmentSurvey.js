@@ -0,0 +1,227 @@
+/**
+ * Segment Survey
+ * Marks where the trail changes while tracking - "paved for 800 m, then
+ * loose gravel" - and records the surface, width, grade and obstacles of
+ * the stretch that starts there
+ *
+ * Boundaries are stored in the route data as `segment` points (see
+ * utils/routeSegments.js), so they are saved, exported and uploaded with
+ * the route like photos and notes.
+ *
+ * Access Nature - Segment Survey
+ * Created: October 2026
+ */
+
+import { SURFACE_TYPES } from './accessibilityRating.js';
+import { SEGMENT_POINT_TYPE, SEGMENT_WIDTHS, SEGMENT_GRADES } from '../utils/routeSegments.js';
+import { getCurrentPosition } from '../utils/geolocation.js';
+import { toast } from '../utils/toast.js';
+import { modal } from '../utils/modal.js';
+
+export class SegmentSurveyController {
+  constructor(appState) {
+    this.appState = appState;
+    this.dependencies = {};
+  }
+
+  setDependencies(deps) {
+    this.dependencies = deps;
+  }
+
+  initialize() {
+    this.injectStyles();
+  }
+
+  /**
+   * Start a new segment at the current position
+   */
+  async markBoundary() {
+    if (!this.appState.getTrackingState().isTracking) {
+      toast.warning('Start tracking first to mark trail segments');
+      return;
+    }
+
+    // The boundary is where the surveyor stood when they tapped, not where
+    // they are once the form is filled in
+    let coords = this.appState.getLastCoords();
+    const timestamp = Date.now();
+    if (!coords) {
+      try {
+        const position = await getCurrentPosition();
+        coords = { lat: position.coords.latitude, lng: position.coords.longitude };
+      } catch (error) {
+        console.error('Failed to get position for segment:', error);
+        toast.error('Could not get your location: ' + error.message);
+        return;
+      }
+    }
+
+    const previous = this.getCurrentSegment();
+    const attributes = await this.askAttributes(previous?.attributes);
+    if (!attributes) return;
+
+    const number = this.getSegmentPoints().length + 1;
+    this.appState.addRoutePoint({
+      type: SEGMENT_POINT_TYPE,
+      coords,
+      timestamp,
+      attributes
+    });
+
+    this.dependencies.map?.showSegmentBoundary(coords, attributes, number);
+    toast.success(`Segment ${number} started: ${SURFACE_TYPES[attributes.surface]?.label || 'surface not set'}`);
+  }
+
+  getSegmentPoints() {
+    return this.appState.getRouteData().filter(entry => entry.type === SEGMENT_POINT_TYPE);
+  }
+
+  getCurrentSegment() {
+    const points = this.getSegmentPoints();
+    return points[points.length - 1] || null;
+  }
+
+  /**
+   * Show the segment form
+   * @param {object} current - Attributes of the previous segment, used as defaults
+   * @returns {Promise<object|null>} Attributes, or null when cancelled
+   */
+  async askAttributes(current = null) {
+    const pending = modal.show({
+      type: 'info',
+      icon: '🧱',
+      title: 'New Trail Segment',
+      message: 'What is the trail like from here on?',
+      html: this.renderForm(current),
+      buttons: [
+        { label: 'Cancel', action: 'cancel', variant: 'secondary' },
+        { label: 'Start Segment', action: 'save', variant: 'primary' }
+      ]
+    });
+
+    // The dialog is in the page as soon as show() returns; keep hold of the
+    // form so its values can be read after it closes
+    const form = document.getElementById('segmentSurveyForm');
+    const action = await pending;
+    if (action !== 'save' || !form) return null;
+
+    return this.readForm(form);
+  }
+
+  renderForm(current) {
+    const surfaceOptions = Object.entries(SURFACE_TYPES).map(([value, surface]) =>
+      `<option value="${value}" ${current?.surface === value ? 'selected' : ''}>${surface.icon} ${surface.label}</option>`
+    ).join('');
+
+    const widthOptions = Object.entries(SEGMENT_WIDTHS).map(([key, width]) =>
+      `<option value="${width.value}" ${current?.minWidth === width.value || (!current && key === 'wide') ? 'selected' : ''}>${width.label}</option>`
+    ).join('');
+
+    const gradeOptions = Object.values(SEGMENT_GRADES).map(grade =>
+      `<option value="${grade.value}" ${current?.maxGrade === grade.value ? 'selected' : ''}>${grade.label}</option>`
+    ).join('');
+
+    return `
+      <form id="segmentSurveyForm" class="segment-survey-form" onsubmit="return false">
+        <label for="segmentSurface">Surface</label>
+        <select id="segmentSurface" name="surface">${surfaceOptions}</select>
+
+        <label for="segmentWidth">Narrowest width</label>
+        <select id="segmentWidth" name="minWidth">${widthOptions}</select>
+
+        <label for="segmentGrade">Grade</label>
+        <select id="segmentGrade" name="maxGrade">
+          <option value="">Measure from elevation</option>
+          ${gradeOptions}
+        </select>
+
+        <fieldset>
+          <legend>Obstacles</legend>
+          <label class="segment-survey-check">
+            <input type="checkbox" name="hasSteps" ${current?.hasSteps ? 'checked' : ''}> Steps or stairs
+          </label>
+          <label class="segment-survey-check">
+            <input type="checkbox" name="hasObstacles" ${current?.hasObstacles ? 'checked' : ''}> Roots, rocks, gates or other obstacles
+          </label>
+          <input type="text" name="obstacleNotes" maxlength="120" placeholder="Describe the obstacles (optional)" aria-label="Describe the obstacles">
+        </fieldset>
+      </form>
+    `;
+  }
+
+  readForm(form) {
+    const attributes = {
+      surface: form.elements.surface.value,
+      minWidth: parseInt(form.elements.minWidth.value),
+      hasSteps: form.elements.hasSteps.checked,
+      hasObstacles: form.elements.hasObstacles.checked
+    };
+
+    // Left empty, the rating uses the grade measured along the segment
+    const grade = parseInt(form.elements.maxGrade.value);
+    if (!isNaN(grade)) attributes.maxGrade = grade;
+
+    const notes = form.elements.obstacleNotes.value.trim();
+    if (notes) attributes.obstacleNotes = notes;
+
+    return attributes;
+  }
+
+  injectStyles() {
+    if (document.getElementById('segment-survey-styles')) return;
+
+    const styles = document.createElement('style');
+    styles.id = 'segment-survey-styles';
+    styles.textContent = `
+      .segment-survey-form {
+        display: flex;
+        flex-direction: column;
+        gap: 6px;
+        text-align: left;
+      }
+
+      .segment-survey-form label {
+        font-weight: 600;
+        font-size: 14px;
+        color: #374151;
+      }
+
+      .segment-survey-form select,
+      .segment-survey-form input[type="text"] {
+        width: 100%;
+        padding: 10px;
+        border: 1px solid #d1d5db;
+        border-radius: 8px;
+        font-size: 15px;
+        margin-bottom: 6px;
+      }
+
+      .segment-survey-form fieldset {
+        border: 1px solid #e5e7eb;
+        border-radius: 8px;
+        padding: 8px 12px;
+      }
+
+      .segment-survey-form legend {
+        font-weight: 600;
+        font-size: 14px;
+        color: #374151;
+        padding: 0 4px;
+      }
+
+      .segment-survey-form .segment-survey-check {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        font-weight: normal;
+        min-height: 36px;
+      }
+
+      .segment-survey-form input[type="checkbox"] {
+        width: 20px;
+        height: 20px;
+      }
+    `;
+    document.head.appendChild(styles);
+  }
+}
@@ -7,6 +7,7 @@
  */
 
 import { toast } from '../utils/toast.js';
+import { HazardIndex } from './hazardIndex.js';
 
 /**
  * Trail Alerts Configuration
@@ -75,7 +76,7 @@ class TrailAlerts {
   constructor() {
     this.isEnabled = true;
     this.isTracking = false;
-    this.hazards = [];
+    this.hazardIndex = new HazardIndex(); // Hazards around the route, by location
     this.alertedHazards = new Map(); // Track which hazards we've alerted on
     this.currentPosition = null;
     this.checkIntervalId = null;
@@ -393,17 +394,21 @@ class TrailAlerts {
     }
   }
 
+  /**
+   * Hazards loaded so far (around the route, plus any set directly)
+   * @returns {array}
+   */
+  get hazards() {
+    return [...this.hazardIndex.hazards.values()];
+  }
+
   /**
    * Set hazards to monitor
    * @param {array} hazards - Array of hazard/report objects
    */
   setHazards(hazards) {
-    this.hazards = hazards.filter(h => {
-      // Filter to relevant hazards
-      const severity = h.severity || 3;
-      return severity >= ALERT_CONFIG.minSeverity;
-    });
-    console.log(`⚠️ Monitoring ${this.hazards.length} hazards`);
+    const count = this.hazardIndex.setHazards(hazards);
+    console.log(`⚠️ Monitoring ${count} hazards`);
   }
 
   /**
@@ -415,13 +420,19 @@ class TrailAlerts {
     this.isTracking = true;
     this.alertedHazards.clear();
     
-    // Load hazards from Firebase
-    await this.loadHazardsFromFirebase();
+    // Load hazards around where we are; more are loaded as the route goes on
+    if (this.currentPosition) {
+      await this.loadHazardsAround(this.currentPosition.lat, this.currentPosition.lng);
+    }
     
-    // Check periodically
+    // Check periodically, and keep nearby hazards up to date
     this.checkIntervalId = setInterval(() => {
       if (this.currentPosition) {
-        this.checkNearbyHazards(this.currentPosition.lat, this.currentPosition.lng);
+        const { lat, lng } = this.currentPosition;
+        this.checkNearbyHazards(lat, lng);
+        this.hazardIndex.refreshAround(lat, lng).catch(error => {
+          console.warn('Failed to refresh hazards:', error);
+        });
       }
     }, ALERT_CONFIG.checkInterval);
     
@@ -429,50 +440,34 @@ class TrailAlerts {
   }
 
   /**
-   * Load hazards from trail_conditions collection
+   * Load trail_conditions hazards around a position (only the tiles not
+   * loaded yet are fetched)
+   * @param {number} lat 
+   * @param {number} lng 
    */
-  async loadHazardsFromFirebase() {
+  async loadHazardsAround(lat, lng) {
     try {
-      const { db } = await import('../../firebase-setup.js');
-      const { collection, getDocs, query, where } = await import(
-        'https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js'
-      );
-
-      const now = new Date().toISOString();
-      
-      // Get non-expired conditions
-      const q = query(
-        collection(db, 'trail_conditions'),
-        where('expiresAt', '>', now)
-      );
-      
-      const snapshot = await getDocs(q);
-      
-      const hazards = [];
-      snapshot.forEach(doc => {
-        const data = doc.data();
-        if (data.location && data.location.lat && data.location.lng) {
-          // Convert trail condition to hazard format
-          hazards.push({
-            id: doc.id,
-            lat: data.location.lat,
-            lng: data.location.lng,
-            title: data.trailName || 'Trail Condition',
-            issueType: data.conditions?.[0]?.value || 'trail_obstacle',
-            severity: data.maxSeverity || 3,
-            description: data.notes || data.conditions?.map(c => c.label).join(', ') || '',
-            timestamp: data.timestamp,
-            ...data
-          });
-        }
-      });
-      
-      this.hazards = hazards;
-      console.log(`⚠️ Loaded ${hazards.length} hazards from Firebase`);
-      
+      const fetched = await this.hazardIndex.loadAround(lat, lng);
+      if (fetched > 0) {
+        console.log(`⚠️ Loaded hazards for ${fetched} new area(s), ${this.hazardIndex.size} indexed`);
+      }
     } catch (error) {
       console.error('Failed to load hazards:', error);
-      this.hazards = [];
+    }
+  }
+
+  /**
+   * Load hazards along a whole route, e.g. before following or exporting it
+   * @param {array} points - [{ lat, lng }] in route order
+   */
+  async loadHazardsAlongRoute(points) {
+    // Tiles are loaded ~3 km around each position, so one every 2.5 km covers the route
+    let lastLoaded = null;
+    for (const [index, point] of points.entries()) {
+      const isLast = index === points.length - 1;
+      if (lastLoaded && !isLast && this.calculateDistance(lastLoaded.lat, lastLoaded.lng, point.lat, point.lng) < 2500) continue;
+      await this.loadHazardsAround(point.lat, point.lng);
+      lastLoaded = point;
     }
   }
 
@@ -500,6 +495,7 @@ class TrailAlerts {
     
     // Immediate check on position update
     if (this.isEnabled && this.isTracking) {
+      this.loadHazardsAround(lat, lng);
       this.checkNearbyHazards(lat, lng);
     }
   }
@@ -510,17 +506,14 @@ class TrailAlerts {
    * @param {number} lng 
    */
   checkNearbyHazards(lat, lng) {
-    if (!this.isEnabled || this.hazards.length === 0) return;
+    if (!this.isEnabled || this.hazardIndex.size === 0) return;
 
     const now = Date.now();
+    const nearby = this.hazardIndex.findNearby(lat, lng, ALERT_CONFIG.distances.info);
 
-    for (const hazard of this.hazards) {
-      const hazardLat = hazard.latitude || hazard.location?.latitude;
-      const hazardLng = hazard.longitude || hazard.location?.longitude;
-      
-      if (!hazardLat || !hazardLng) continue;
-
-      const distance = this.calculateDistance(lat, lng, hazardLat, hazardLng);
+    // Closest first
+    for (const { hazard, distance } of nearby) {
+      if ((hazard.severity || 3) < ALERT_CONFIG.minSeverity) continue;
       
       // Check if within alert range
       let alertLevel = null;
@@ -696,9 +689,6 @@ class TrailAlerts {
   speakAlert(hazard, distance, level) {
     if (!this.voiceAlertsEnabled || !('speechSynthesis' in window)) return;
 
-    // Cancel any ongoing speech
-    speechSynthesis.cancel();
-
     const distanceText = distance < 100 ? `${Math.round(distance)} meters` : `${(distance / 1000).toFixed(1)} kilometers`;
     const issueType = this.getIssueTypeLabel(hazard.issueType);
     
@@ -715,6 +705,21 @@ class TrailAlerts {
         break;
     }
 
+    this.speak(message, level);
+  }
+
+  /**
+   * Speak a message on the shared voice alert channel
+   * Used by hazard alerts and trail-following announcements
+   * @param {string} message 
+   * @param {string} level - immediate, warning, or info
+   */
+  speak(message, level = 'info') {
+    if (!this.voiceAlertsEnabled || !('speechSynthesis' in window) || !message) return;
+
+    // Cancel any ongoing speech
+    speechSynthesis.cancel();
+
     const utterance = new SpeechSynthesisUtterance(message);
     utterance.rate = 1.1;
     utterance.pitch = level === 'immediate' ? 1.2 : 1.0;
@@ -919,4 +924,4 @@ if (document.readyState === 'loading') {
 // Make available globally
 window.trailAlerts = trailAlerts;
 
-console.log('⚠️ Trail Alerts module loaded');
\ No newline at end of file
+console.log('⚠️ Trail Alerts module loaded');
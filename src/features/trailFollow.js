@@ -0,0 +1,649 @@
+/**
+ * Trail Follow Mode
+ * "Follow this trail" - walk a saved route or a public trail guide
+ *
+ * - loads the trail into MapController next to the live recording
+ * - snaps live positions from TrackingController onto the trail
+ * - shows distance remaining and an off-route warning
+ * - off the trail: cross-track checks on every fix, an alert through
+ *   toast and the TrailAlerts sound/speech code, then the bearing and
+ *   distance back to the nearest point with a turn left/right cue
+ * - announces upcoming turns, photos, notes and hazards on the
+ *   TrailAlerts speech channel
+ *
+ * Access Nature - Navigation
+ * Created: October 2026
+ */
+
+import { buildTrack, snapToTrack, pointAtDistance } from '../utils/trackGeometry.js';
+import { buildRouteNarrative, compassDirection, formatNarrativeDistance } from '../utils/routeNarrative.js';
+import { haversineDistance, calculateBearing } from '../utils/calculations.js';
+import { toast } from '../utils/toast.js';
+import { modal } from '../utils/modal.js';
+
+const FOLLOW_CONFIG = {
+  // Announce landmarks this far ahead (m)
+  announceAhead: 40,
+  // Landmarks passed by more than this (m) are skipped silently
+  passedSkip: 10,
+  // Cross-track distance (m) that counts as off the trail
+  offRouteDistance: 30,
+  // Back on the trail once within this distance (m)
+  backOnRouteDistance: 20,
+  // Remaining distance (m) that counts as arrived
+  arrivalDistance: 15,
+  // Fixes less accurate than this (m) are ignored
+  maxAccuracy: 50,
+  // Repeat return guidance this often (ms) while off the trail
+  guidanceRepeat: 20000,
+  // Movement (m) needed before the direction of travel is trusted as a heading
+  headingMinMove: 8
+};
+
+const STEP_ICONS = {
+  turn: '↪️',
+  photo: '📷',
+  note: '📝',
+  rest: '🪑',
+  surface: '🛤️',
+  steep: '⛰️',
+  feature: '🏷️',
+  hazard: '⚠️'
+};
+
+/**
+ * Describe which way to turn to face a target bearing
+ * @param {number} heading - Direction the user is facing (degrees)
+ * @param {number} bearing - Direction of the target (degrees)
+ * @returns {object} { cue: 'ahead'|'left'|'right'|'behind', text }
+ */
+export function describeReturnTurn(heading, bearing) {
+  const relative = ((bearing - heading + 540) % 360) - 180;
+  const magnitude = Math.abs(relative);
+  const side = relative > 0 ? 'right' : 'left';
+
+  if (magnitude <= 20) return { cue: 'ahead', text: 'Go straight ahead' };
+  if (magnitude <= 45) return { cue: side, text: `Bear ${side}` };
+  if (magnitude <= 150) return { cue: side, text: `Turn ${side}` };
+  return { cue: 'behind', text: 'Turn around' };
+}
+
+export class TrailFollowController {
+  constructor(appState) {
+    this.appState = appState;
+    this.dependencies = {};
+    this.trail = null;
+    this.isFollowing = false;
+    this.progress = null;
+    this.isOffRoute = false;
+    this.hasArrived = false;
+    this.announced = new Set();
+    this.guidance = null;
+    this.lastGuidanceAt = 0;
+    this.movementHeading = null;
+    this.headingAnchor = null;
+    this.handlePositionEvent = (e) => {
+      if (e.detail && typeof e.detail.lat === 'number' && typeof e.detail.lng === 'number') {
+        this.handlePositionUpdate(e.detail);
+      }
+    };
+  }
+
+  setDependencies(deps) {
+    this.dependencies = deps;
+  }
+
+  initialize() {
+    this.injectStyles();
+
+    // Live positions come from TrackingController
+    window.addEventListener('positionUpdate', this.handlePositionEvent);
+  }
+
+  // ========== Choosing a trail ==========
+
+  async chooseTrail() {
+    const source = await modal.choice('Which trail would you like to follow?', '🧭 Follow a Trail', [
+      { label: '📂 One of my saved routes', value: 'saved' },
+      { label: '🌐 A public trail guide', value: 'public' },
+      { label: '❌ Cancel', value: 'cancel' }
+    ]);
+
+    try {
+      let trail = null;
+      if (source === 'saved') {
+        trail = await this.chooseSavedRoute();
+      } else if (source === 'public') {
+        trail = await this.choosePublicGuide();
+      }
+
+      if (trail) {
+        await this.follow(trail.routeData, trail.name);
+      }
+    } catch (error) {
+      console.error('❌ Failed to load trail to follow:', error);
+      toast.error('Could not load trail: ' + error.message);
+    }
+  }
+
+  async chooseSavedRoute() {
+    const sessions = await this.appState.getSessions();
+    if (!sessions || sessions.length === 0) {
+      toast.warning('No saved routes yet. Record and save a route first.');
+      return null;
+    }
+
+    const choices = sessions.map((session, index) => ({
+      label: `${session.name} (${new Date(session.date).toLocaleDateString()}, ${(session.totalDistance || 0).toFixed(2)} km)`,
+      value: index
+    }));
+    choices.push({ label: '❌ Cancel', value: 'cancel' });
+
+    const choice = await modal.choice('Select a route to follow:', '📂 Saved Routes', choices);
+    if (choice === null || choice === 'cancel') return null;
+
+    const session = sessions[choice];
+    return { name: session.name, routeData: session.data };
+  }
+
+  async choosePublicGuide() {
+    const auth = window.AccessNatureApp?.getController('auth');
+    if (!auth || typeof auth.searchPublicTrailGuides !== 'function') {
+      toast.error('Trail guides are not available right now. Please refresh the page.');
+      return null;
+    }
+
+    toast.info('Loading public trail guides...');
+    const guides = await auth.searchPublicTrailGuides();
+    if (guides.length === 0) {
+      toast.warning('No public trail guides found.');
+      return null;
+    }
+
+    const choices = guides.map(guide => ({
+      label: `${guide.routeName} (${(guide.metadata?.totalDistance || 0).toFixed(2)} km)`,
+      value: guide.id
+    }));
+    choices.push({ label: '❌ Cancel', value: 'cancel' });
+
+    const guideId = await modal.choice('Select a trail guide to follow:', '🌐 Public Trail Guides', choices);
+    if (guideId === null || guideId === 'cancel') return null;
+
+    return this.loadGuideRoute(guideId);
+  }
+
+  /**
+   * Fetch the recorded route behind a trail guide
+   * @param {string} guideId - trail_guides document ID
+   * @returns {Promise<object>} { name, routeData }
+   */
+  async loadGuideRoute(guideId) {
+    const { db } = await import('../../firebase-setup.js');
+    const { doc, getDoc } = await import('https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js');
+
+    const guideSnap = await getDoc(doc(db, 'trail_guides', guideId));
+    if (!guideSnap.exists()) {
+      throw new Error('Trail guide not found');
+    }
+
+    const guide = guideSnap.data();
+    if (!guide.routeId) {
+      throw new Error('This trail guide has no recorded route to follow');
+    }
+
+    const routeSnap = await getDoc(doc(db, 'routes', guide.routeId));
+    if (!routeSnap.exists() || !Array.isArray(routeSnap.data().routeData)) {
+      throw new Error('The route for this trail guide is no longer available');
+    }
+
+    return { name: guide.routeName, routeData: routeSnap.data().routeData };
+  }
+
+  // ========== Following ==========
+
+  /**
+   * Start following a trail
+   * @param {Array} routeData - Route entries of the trail to follow
+   * @param {string} name - Trail name for the panel and announcements
+   */
+  async follow(routeData, name = 'Trail') {
+    const track = buildTrack(routeData);
+    if (track.points.length < 2) {
+      toast.warning('This route has no GPS track to follow');
+      return false;
+    }
+
+    if (this.isFollowing) this.stop();
+
+    // Hazards are normally loaded around the user while tracking - load
+    // them along the whole trail now so its landmarks include them
+    const alerts = window.trailAlerts;
+    if (alerts && typeof alerts.loadHazardsAlongRoute === 'function') {
+      await alerts.loadHazardsAlongRoute(track.points);
+    }
+
+    const narrative = buildRouteNarrative(routeData, { hazards: alerts?.hazards || [] });
+    const steps = narrative.steps
+      .filter(step => step.kind !== 'start' && step.kind !== 'end')
+      .map((step, index) => ({ ...step, id: index, coords: pointAtDistance(track, step.distance) }));
+
+    this.trail = { name, routeData, track, steps };
+    this.progress = { distanceAlong: 0, crossTrack: null, remaining: track.totalDistance };
+    this.isOffRoute = false;
+    this.hasArrived = false;
+    this.announced.clear();
+    this.guidance = null;
+    this.movementHeading = null;
+    this.headingAnchor = null;
+    this.isFollowing = true;
+
+    this.dependencies.map?.showFollowTrail(track, steps
+      .filter(step => step.kind !== 'turn')
+      .map(step => ({ coords: step.coords, icon: STEP_ICONS[step.kind] || '📍', text: step.text })));
+
+    this.renderPanel();
+    this.speak(`Following ${name}. The trail is ${formatNarrativeDistance(track.totalDistance)} long.`);
+
+    window.dispatchEvent(new CustomEvent('trailFollowStarted', {
+      detail: { name, totalDistance: track.totalDistance }
+    }));
+
+    // Live positions only flow while tracking
+    const tracking = this.dependencies.tracking;
+    if (tracking && !tracking.isTrackingActive()) {
+      const startNow = await modal.confirm('Following a trail uses live GPS. Start tracking now? Your walk will be recorded as a new route.', '🧭 Start Tracking?');
+      if (startNow) {
+        try {
+          await tracking.start();
+        } catch (error) {
+          console.error('Failed to start tracking:', error);
+          toast.error('Failed to start tracking: ' + error.message);
+        }
+      } else {
+        toast.info('Press ▶ to start tracking when you reach the trail.');
+      }
+    }
+
+    return true;
+  }
+
+  stop() {
+    if (!this.isFollowing) return;
+
+    this.isFollowing = false;
+    this.dependencies.map?.clearFollowTrail();
+    document.getElementById('trailFollowPanel')?.remove();
+
+    window.dispatchEvent(new CustomEvent('trailFollowStopped', {
+      detail: { name: this.trail?.name, arrived: this.hasArrived }
+    }));
+
+    this.trail = null;
+    this.progress = null;
+    toast.info('Stopped following the trail');
+  }
+
+  handlePositionUpdate(position) {
+    if (!this.isFollowing || !this.trail) return;
+    if (typeof position.accuracy === 'number' && position.accuracy > FOLLOW_CONFIG.maxAccuracy) return;
+
+    const snapped = snapToTrack(this.trail.track, position, { hint: this.progress?.distanceAlong });
+    if (!snapped) return;
+
+    this.progress = {
+      position: { lat: position.lat, lng: position.lng },
+      snapped: snapped.coords,
+      distanceAlong: snapped.distanceAlong,
+      crossTrack: snapped.crossTrack,
+      remaining: snapped.remaining
+    };
+
+    this.trackMovementHeading(position);
+    this.dependencies.map?.updateFollowPosition(snapped.coords);
+    this.checkOffRoute(position, snapped);
+
+    if (!this.isOffRoute) {
+      this.announceUpcoming(snapped.distanceAlong);
+      this.checkArrival(snapped);
+    }
+
+    this.updatePanel();
+  }
+
+  // ========== Off-route ==========
+
+  /**
+   * Cross-track check on every fix - alert when leaving the trail, then
+   * keep guiding back to it until the user is within the return distance
+   */
+  checkOffRoute(position, snapped) {
+    if (!this.isOffRoute && snapped.crossTrack > FOLLOW_CONFIG.offRouteDistance) {
+      this.isOffRoute = true;
+      this.guidance = this.getReturnGuidance(position, snapped);
+      this.raiseOffRouteAlert(this.guidance);
+      return;
+    }
+
+    if (this.isOffRoute && snapped.crossTrack <= FOLLOW_CONFIG.backOnRouteDistance) {
+      this.isOffRoute = false;
+      this.guidance = null;
+      toast.success('✅ Back on the trail');
+      this.speak('You are back on the trail.');
+      window.dispatchEvent(new CustomEvent('trailFollowBackOnRoute', {
+        detail: { distanceAlong: snapped.distanceAlong }
+      }));
+      return;
+    }
+
+    if (!this.isOffRoute) return;
+
+    // Still off the trail - repeat guidance when the cue changes or periodically
+    const previous = this.guidance;
+    this.guidance = this.getReturnGuidance(position, snapped);
+    const now = Date.now();
+    if (this.guidance.cue !== previous?.cue || now - this.lastGuidanceAt >= FOLLOW_CONFIG.guidanceRepeat) {
+      this.lastGuidanceAt = now;
+      this.speak(this.guidance.text, 'warning');
+    }
+  }
+
+  raiseOffRouteAlert(guidance) {
+    this.lastGuidanceAt = Date.now();
+
+    toast.warning(`⚠️ You are off the trail. ${guidance.text}`, { duration: 8000 });
+    window.trailAlerts?.playAlertSound('warning');
+    if (navigator.vibrate) {
+      navigator.vibrate([200, 100, 200]);
+    }
+    this.speak(`Warning, you are off the trail. ${guidance.text}`, 'immediate');
+
+    window.dispatchEvent(new CustomEvent('trailFollowOffRoute', {
+      detail: { distance: guidance.distance, bearing: guidance.bearing }
+    }));
+  }
+
+  /**
+   * Bearing and distance back to the nearest point on the trail, with a
+   * turn cue relative to the way the user is facing when that is known
+   * @returns {object} { distance, bearing, heading, cue, text }
+   */
+  getReturnGuidance(position, snapped) {
+    const bearing = calculateBearing(position, snapped.coords);
+    const distance = snapped.crossTrack;
+    const distanceText = formatNarrativeDistance(distance);
+    const direction = compassDirection(bearing);
+    const heading = this.getHeading();
+
+    if (heading === null) {
+      return {
+        distance,
+        bearing,
+        heading,
+        cue: direction,
+        text: `The trail is ${distanceText} to the ${direction}. Head ${direction} to return.`
+      };
+    }
+
+    const turn = describeReturnTurn(heading, bearing);
+    return {
+      distance,
+      bearing,
+      heading,
+      cue: turn.cue,
+      text: `${turn.text}. The trail is ${distanceText} away, to the ${direction}.`
+    };
+  }
+
+  /**
+   * Direction the user is facing - the compass when it is running,
+   * otherwise the direction of recent movement
+   * @returns {number|null}
+   */
+  getHeading() {
+    const compass = this.dependencies.compass;
+    if (compass?.isRotationActive()) {
+      return compass.getCurrentHeading();
+    }
+    return this.movementHeading;
+  }
+
+  trackMovementHeading(position) {
+    if (!this.headingAnchor) {
+      this.headingAnchor = { lat: position.lat, lng: position.lng };
+      return;
+    }
+    const moved = haversineDistance(this.headingAnchor, position) * 1000;
+    if (moved >= FOLLOW_CONFIG.headingMinMove) {
+      this.movementHeading = calculateBearing(this.headingAnchor, position);
+      this.headingAnchor = { lat: position.lat, lng: position.lng };
+    }
+  }
+
+  announceUpcoming(distanceAlong) {
+    const due = this.trail.steps.filter(step => !this.announced.has(step.id) &&
+      step.distance - distanceAlong <= FOLLOW_CONFIG.announceAhead);
+    if (due.length === 0) return;
+
+    const messages = [];
+    due.forEach(step => {
+      this.announced.add(step.id);
+      const ahead = step.distance - distanceAlong;
+      if (ahead < -FOLLOW_CONFIG.passedSkip) return;
+      messages.push(ahead > 5 ? `In ${formatNarrativeDistance(ahead)}: ${step.text}` : step.text);
+    });
+
+    if (messages.length > 0) {
+      const urgent = due.some(step => step.kind === 'hazard' || step.kind === 'steep');
+      this.speak(messages.join(' '), urgent ? 'warning' : 'info');
+    }
+  }
+
+  checkArrival(snapped) {
+    if (this.hasArrived || snapped.remaining > FOLLOW_CONFIG.arrivalDistance) return;
+
+    this.hasArrived = true;
+    this.speak(`You have reached the end of ${this.trail.name}.`);
+    toast.success(`🏁 You reached the end of ${this.trail.name}!`);
+  }
+
+  /**
+   * Speak through the TrailAlerts voice channel (respects its voice setting)
+   */
+  speak(message, level = 'info') {
+    window.trailAlerts?.speak(message, level);
+  }
+
+  repeatNext() {
+    const next = this.getNextStep();
+    if (!next) {
+      this.speak(`${formatNarrativeDistance(this.progress?.remaining || 0)} to the end of the trail.`);
+      return;
+    }
+    const ahead = Math.max(0, next.distance - (this.progress?.distanceAlong || 0));
+    this.speak(`In ${formatNarrativeDistance(ahead)}: ${next.text} ${formatNarrativeDistance(this.progress?.remaining || 0)} to the end of the trail.`);
+  }
+
+  toggleVoice() {
+    const enabled = window.trailAlerts?.toggleVoiceAlerts();
+    toast.info(enabled ? '🔊 Voice announcements on' : '🔇 Voice announcements off');
+    this.updatePanel();
+  }
+
+  getNextStep() {
+    if (!this.trail) return null;
+    const along = this.progress?.distanceAlong || 0;
+    return this.trail.steps.find(step => step.distance > along && !this.announced.has(step.id)) ||
+      this.trail.steps.find(step => step.distance > along) || null;
+  }
+
+  getProgress() {
+    if (!this.isFollowing || !this.trail) return null;
+    return {
+      name: this.trail.name,
+      totalDistance: this.trail.track.totalDistance,
+      ...this.progress,
+      isOffRoute: this.isOffRoute,
+      guidance: this.guidance,
+      hasArrived: this.hasArrived,
+      nextStep: this.getNextStep()
+    };
+  }
+
+  isActive() {
+    return this.isFollowing;
+  }
+
+  // ========== Panel ==========
+
+  renderPanel() {
+    document.getElementById('trailFollowPanel')?.remove();
+
+    const panel = document.createElement('section');
+    panel.id = 'trailFollowPanel';
+    panel.className = 'trail-follow-panel';
+    panel.setAttribute('aria-label', 'Trail navigation');
+    panel.innerHTML = `
+      <div class="trail-follow-header">
+        <span class="trail-follow-name"></span>
+        <button type="button" class="trail-follow-close" data-action="stop" aria-label="Stop following trail">×</button>
+      </div>
+      <div class="trail-follow-status" aria-live="polite"></div>
+      <div class="trail-follow-warning" role="alert"></div>
+      <div class="trail-follow-actions">
+        <button type="button" data-action="repeat">🔁 Repeat</button>
+        <button type="button" data-action="voice"></button>
+      </div>
+    `;
+
+    panel.querySelector('.trail-follow-name').textContent = `🧭 ${this.trail.name}`;
+    panel.addEventListener('click', (e) => {
+      const action = e.target.closest('[data-action]')?.dataset.action;
+      if (action === 'stop') this.stop();
+      else if (action === 'repeat') this.repeatNext();
+      else if (action === 'voice') this.toggleVoice();
+    });
+
+    document.body.appendChild(panel);
+    this.updatePanel();
+  }
+
+  updatePanel() {
+    const panel = document.getElementById('trailFollowPanel');
+    if (!panel || !this.trail) return;
+
+    const progress = this.progress || {};
+    const next = this.getNextStep();
+    const status = panel.querySelector('.trail-follow-status');
+    const warning = panel.querySelector('.trail-follow-warning');
+
+    let statusText;
+    if (this.hasArrived) {
+      statusText = '🏁 You have reached the end of the trail.';
+    } else if (progress.crossTrack === null || progress.crossTrack === undefined) {
+      statusText = `Waiting for GPS… Trail length ${formatNarrativeDistance(this.trail.track.totalDistance)}.`;
+    } else {
+      statusText = `${formatNarrativeDistance(progress.remaining)} to go.`;
+      if (next) {
+        statusText += ` Next in ${formatNarrativeDistance(Math.max(0, next.distance - progress.distanceAlong))}: ${next.text}`;
+      }
+    }
+    if (status.textContent !== statusText) status.textContent = statusText;
+
+    const warningText = this.isOffRoute && this.guidance
+      ? `⚠️ Off the trail. ${this.guidance.text}`
+      : '';
+    if (warning.textContent !== warningText) warning.textContent = warningText;
+    panel.classList.toggle('off-route', this.isOffRoute);
+
+    const voiceOn = !!window.trailAlerts?.voiceAlertsEnabled;
+    const voiceButton = panel.querySelector('[data-action="voice"]');
+    voiceButton.textContent = voiceOn ? '🔊 Voice on' : '🔇 Voice off';
+    voiceButton.setAttribute('aria-pressed', voiceOn ? 'true' : 'false');
+  }
+
+  injectStyles() {
+    if (document.getElementById('trail-follow-styles')) return;
+
+    const styles = document.createElement('style');
+    styles.id = 'trail-follow-styles';
+    styles.textContent = `
+      .trail-follow-panel {
+        position: fixed;
+        left: 50%;
+        bottom: 80px;
+        transform: translateX(-50%);
+        z-index: 900;
+        width: calc(100% - 32px);
+        max-width: 420px;
+        background: white;
+        border-radius: 12px;
+        border-left: 6px solid #2563eb;
+        box-shadow: 0 6px 24px rgba(0, 0, 0, 0.2);
+        padding: 12px 14px;
+        font-size: 15px;
+      }
+
+      .trail-follow-panel.off-route {
+        border-left-color: #dc2626;
+      }
+
+      .trail-follow-header {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        font-weight: 600;
+        margin-bottom: 6px;
+      }
+
+      .trail-follow-close {
+        background: none;
+        border: none;
+        font-size: 1.5em;
+        line-height: 1;
+        cursor: pointer;
+        padding: 4px 8px;
+      }
+
+      .trail-follow-status {
+        color: #1f2937;
+        line-height: 1.4;
+      }
+
+      .trail-follow-warning:not(:empty) {
+        margin-top: 8px;
+        padding: 8px 10px;
+        background: #fef2f2;
+        color: #991b1b;
+        border-radius: 8px;
+        font-weight: 600;
+      }
+
+      .trail-follow-actions {
+        display: flex;
+        gap: 8px;
+        margin-top: 10px;
+      }
+
+      .trail-follow-actions button {
+        flex: 1;
+        min-height: 44px;
+        border: 1px solid #d1d5db;
+        border-radius: 8px;
+        background: #f9fafb;
+        font-size: 14px;
+        cursor: pointer;
+      }
+
+      .trail-follow-panel button:focus-visible {
+        outline: 3px solid #2563eb;
+        outline-offset: 2px;
+      }
+    `;
+    document.head.appendChild(styles);
+  }
+
+  cleanup() {
+    this.stop();
+    window.removeEventListener('positionUpdate', this.handlePositionEvent);
+  }
+}
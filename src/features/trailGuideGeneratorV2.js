@@ -9,11 +9,34 @@
  * - Integrated timeline with photos and notes
  * - Facilities icon grid
  * - "Heads Up" warnings section
+ * - Accessible text mode: linear turn-by-turn guide as plain text or DAISY-friendly HTML
+ * - Elevation/grade chart linked to the map, with a data-table fallback
+ * - Per-segment breakdown when the surveyor marked where the trail changes
  * 
  * Access Nature - Phase 2 Redesign
  * Created: December 2025
  */
 
+import { buildRouteNarrative, formatNarrativeDistance } from '../utils/routeNarrative.js';
+import { getSlopeStats, calculateGradeProfile, classifyGrade, GRADE_THRESHOLDS } from '../utils/elevation.js';
+import { annotateRouteMetrics, hasRouteMetrics, describePointProgress } from '../utils/routeMetrics.js';
+import { buildRouteSegments, describeSegmentAttributes } from '../utils/routeSegments.js';
+import { accessibilityRating, SURFACE_TYPES, TRAIL_FEATURES } from './accessibilityRating.js';
+import { VOICE_POINT_TYPE, hasTranscript, getVoiceNoteText, getVoiceNoteAudio, formatVoiceDuration } from '../utils/voiceNotes.js';
+
+// Grade band colours and names for the elevation chart (same as the PDF guide)
+const GRADE_COLORS = {
+  gentle: '#22c55e',
+  moderate: '#f59e0b',
+  steep: '#ef4444'
+};
+
+const GRADE_LABELS = {
+  gentle: 'Gentle',
+  moderate: 'Moderate',
+  steep: 'Steep'
+};
+
 export class TrailGuideGeneratorV2 {
   
   /**
@@ -34,6 +57,7 @@ export class TrailGuideGeneratorV2 {
     const locationPoints = routeData.filter(p => p.type === 'location' && p.coords);
     const photos = routeData.filter(p => p.type === 'photo');
     const notes = routeData.filter(p => p.type === 'text');
+    const voiceNotes = routeData.filter(p => p.type === VOICE_POINT_TYPE);
     
     console.log('  - Filtered photos:', photos);
     console.log('  - Filtered notes:', notes);
@@ -47,10 +71,12 @@ export class TrailGuideGeneratorV2 {
     });
     
     // Determine accessibility level
-    const accessLevel = this.getAccessibilityLevel(accessibilityData);
+    const accessLevel = this.getAccessibilityLevel(accessibilityData, routeData);
     
     // Build timeline items
     const timelineItems = this.buildTimeline(routeData, routeInfo);
+    const elevationProfile = this.buildElevationProfile(routeData);
+    const segments = this.getRouteSegments(routeData, accessibilityData);
     
     // Calculate route bounds for map
     let bounds = null;
@@ -164,6 +190,9 @@ export class TrailGuideGeneratorV2 {
         <!-- Trail Conditions -->
         ${this.renderConditionsSection(accessibilityData)}
 
+        <!-- Trail Segments -->
+        ${this.renderSegmentsSection(segments)}
+
         <!-- Facilities -->
         ${this.renderFacilitiesSection(accessibilityData)}
 
@@ -184,6 +213,9 @@ export class TrailGuideGeneratorV2 {
         </section>
         ` : ''}
 
+        <!-- Elevation Profile -->
+        ${elevationProfile ? this.renderElevationSection(elevationProfile) : ''}
+
         <!-- Timeline Section -->
         ${timelineItems.length > 0 ? `
         <section class="tg-section">
@@ -195,7 +227,7 @@ export class TrailGuideGeneratorV2 {
         ` : ''}
 
         <!-- Heads Up Section -->
-        ${this.renderHeadsUpSection(accessibilityData, notes)}
+        ${this.renderHeadsUpSection(accessibilityData, notes, routeData)}
 
         <!-- Footer -->
         <footer class="tg-footer">
@@ -205,7 +237,10 @@ export class TrailGuideGeneratorV2 {
     </div>
 
     <!-- Map Script -->
-    ${locationPoints.length > 0 ? this.getMapScript(locationPoints, bounds, photos, notes) : ''}
+    ${locationPoints.length > 0 ? this.getMapScript(locationPoints, bounds, photos, notes, voiceNotes) : ''}
+
+    <!-- Elevation Chart Script -->
+    ${elevationProfile ? this.getElevationChartScript(elevationProfile) : ''}
     
     <!-- PDF Download Script -->
     <script>
@@ -300,7 +335,7 @@ export class TrailGuideGeneratorV2 {
 </html>`;
   }
 
-  getAccessibilityLevel(data) {
+  getAccessibilityLevel(data, routeData = null) {
     const wheelchair = data?.wheelchairAccess || '';
     const summary = data?.accessibilitySummary || '';
     
@@ -330,6 +365,18 @@ export class TrailGuideGeneratorV2 {
       };
     }
     
+    // No survey answer - rate from the surfaces and features tagged along the way
+    if (Array.isArray(routeData) && routeData.some(p => p.type === 'surface' || p.type === 'feature')) {
+      const surveyData = accessibilityRating.applyRouteTags(accessibilityRating.normalizeSurveyData(data || {}), routeData);
+      const { ratingInfo } = accessibilityRating.calculateRating(surveyData, getSlopeStats(routeData));
+      return {
+        class: ratingInfo.id,
+        icon: ratingInfo.icon,
+        label: ratingInfo.label.toUpperCase(),
+        description: `${ratingInfo.description.replace(/\.$/, '')} - rated from the surfaces and features tagged along the trail`
+      };
+    }
+    
     return {
       class: 'unknown',
       icon: '❓',
@@ -609,6 +656,11 @@ export class TrailGuideGeneratorV2 {
     const items = [];
     const startTime = new Date(routeInfo.date).getTime();
     
+    // Older routes don't carry cumulative distance/moving time on each point
+    if (!hasRouteMetrics(routeData)) {
+      routeData = annotateRouteMetrics(routeData);
+    }
+    
     // Add start point
     items.push({
       type: 'start',
@@ -619,22 +671,69 @@ export class TrailGuideGeneratorV2 {
     });
     
     // Add photos and notes
+    let photoNumber = 0;
     routeData.forEach((point, index) => {
       if (point.type === 'photo') {
         // Handle both 'content' (from storage) and 'data' (from live tracking) field names
         const photoContent = point.content || point.data;
         console.log(`  - Photo ${index}: content=${!!point.content}, data=${!!point.data}, result=${!!photoContent}`);
         if (photoContent) {
+          photoNumber++;
           items.push({
             type: 'photo',
             icon: '📸',
             title: 'Photo',
             content: photoContent,
+            caption: point.caption || point.altText || null,
+            alt: point.caption || point.altText || `Trail photo ${photoNumber}`,
             time: point.timestamp ? new Date(point.timestamp).toLocaleTimeString() : null,
             distance: point.distance || null,
+            progress: describePointProgress(point),
             coords: point.coords || null
           });
         }
+      } else if (point.type === 'rest') {
+        // Auto-pause stops - where people actually rest along the trail
+        const minutes = Math.max(1, Math.round((point.duration || 0) / 60000));
+        items.push({
+          type: 'rest',
+          icon: '🪑',
+          title: 'Rest Stop',
+          content: `Stopped here for about ${minutes} min`,
+          time: point.timestamp ? new Date(point.timestamp).toLocaleTimeString() : null,
+          distance: point.distance || null,
+          progress: describePointProgress(point),
+          coords: point.coords || null
+        });
+      } else if (point.type === 'surface' || point.type === 'feature') {
+        // One-tap tags from the quick-tag toolbar
+        const info = point.type === 'surface' ? SURFACE_TYPES[point.surface] : TRAIL_FEATURES[point.feature];
+        if (info) {
+          items.push({
+            type: 'tag',
+            icon: info.icon,
+            title: point.type === 'surface' ? `Surface: ${info.label}` : info.description,
+            time: point.timestamp ? new Date(point.timestamp).toLocaleTimeString() : null,
+            distance: point.distance || null,
+            progress: describePointProgress(point),
+            coords: point.coords || null
+          });
+        }
+      } else if (point.type === VOICE_POINT_TYPE) {
+        // Spoken notes keep their recording; untranscribed ones still show up
+        const duration = formatVoiceDuration(point.duration);
+        items.push({
+          type: 'voice',
+          icon: '🎙️',
+          title: duration ? `Voice Note (${duration})` : 'Voice Note',
+          content: getVoiceNoteText(point),
+          transcribed: hasTranscript(point),
+          audio: getVoiceNoteAudio(point),
+          time: point.timestamp ? new Date(point.timestamp).toLocaleTimeString() : null,
+          distance: point.distance || null,
+          progress: describePointProgress(point),
+          coords: point.coords || null
+        });
       } else if (point.type === 'text') {
         // Handle both 'content' (from storage) and 'text'/'data' field names
         const noteContent = point.content || point.text || point.data;
@@ -647,6 +746,7 @@ export class TrailGuideGeneratorV2 {
             content: noteContent,
             time: point.timestamp ? new Date(point.timestamp).toLocaleTimeString() : null,
             distance: point.distance || null,
+            progress: describePointProgress(point),
             coords: point.coords || null
           });
         }
@@ -659,7 +759,7 @@ export class TrailGuideGeneratorV2 {
       icon: '🔴',
       title: 'End',
       time: null,
-      distance: routeInfo.totalDistance || null
+      distance: routeInfo.totalDistance ? routeInfo.totalDistance * 1000 : null
     });
     
     console.log('  - Timeline items created:', items.length, '(start + end + photos + notes)');
@@ -670,12 +770,26 @@ export class TrailGuideGeneratorV2 {
     let content = '';
     
     if (item.type === 'photo' && item.content) {
-      content = `<img src="${item.content}" class="tg-timeline-photo" alt="Trail photo">`;
+      // The surveyor's caption is the alt text; shown as well for sighted readers
+      content = `
+                <figure class="tg-timeline-figure">
+                    <img src="${item.content}" class="tg-timeline-photo" alt="${this.escapeHtml(item.alt)}">
+                    ${item.caption ? `<figcaption class="tg-timeline-caption" aria-hidden="true">${this.escapeHtml(item.caption)}</figcaption>` : ''}
+                </figure>`;
     } else if (item.type === 'note' && item.content) {
       content = `<p class="tg-timeline-text">"${item.content}"</p>`;
+    } else if (item.type === 'rest' && item.content) {
+      content = `<p class="tg-timeline-text">${item.content}</p>`;
+    } else if (item.type === 'voice') {
+      content = item.transcribed
+        ? `<p class="tg-timeline-text">"${this.escapeHtml(item.content)}"</p>`
+        : `<p class="tg-timeline-text tg-untranscribed">${this.escapeHtml(item.content)}</p>`;
+      if (item.audio) {
+        content += `<audio class="tg-timeline-audio" controls preload="none" src="${item.audio}" aria-label="${this.escapeHtml(item.title)} recording"></audio>`;
+      }
     }
     
-    const distanceText = item.distance ? `${(item.distance / 1000).toFixed(1)} km` : '';
+    const distanceText = item.progress || (item.distance ? `${(item.distance / 1000).toFixed(1)} km` : '');
     
     return `
         <div class="tg-timeline-item ${item.type}">
@@ -691,9 +805,35 @@ export class TrailGuideGeneratorV2 {
     `;
   }
 
-  renderHeadsUpSection(data, notes) {
+  renderHeadsUpSection(data, notes, routeData = []) {
+    const warnings = this.getHeadsUpWarnings(data, notes, routeData);
+    
+    if (warnings.length === 0) return '';
+    
+    return `
+        <section class="tg-section tg-heads-up">
+            <h2 class="tg-section-title">⚠️ Heads Up</h2>
+            <ul class="tg-warnings">
+                ${warnings.map(w => `<li>${w}</li>`).join('')}
+            </ul>
+        </section>
+    `;
+  }
+
+  getHeadsUpWarnings(data, notes, routeData = []) {
     const warnings = [];
     
+    // Barriers tagged with the quick-tag toolbar
+    const tagCounts = {};
+    routeData.forEach(point => {
+      if (point.type === 'feature' && TRAIL_FEATURES[point.feature]?.rating) {
+        tagCounts[point.feature] = (tagCounts[point.feature] || 0) + 1;
+      }
+    });
+    Object.entries(tagCounts).forEach(([feature, count]) => {
+      warnings.push(`${TRAIL_FEATURES[feature].description} - tagged ${count === 1 ? 'once' : `${count} times`} along the trail`);
+    });
+    
     // Check for accessibility concerns
     const wheelchair = data?.wheelchairAccess || '';
     if (wheelchair.toLowerCase().includes('not') || wheelchair.toLowerCase().includes('assistance')) {
@@ -735,22 +875,33 @@ export class TrailGuideGeneratorV2 {
       warnings.push(data.additionalNotes);
     }
     
-    if (warnings.length === 0) return '';
-    
-    return `
-        <section class="tg-section tg-heads-up">
-            <h2 class="tg-section-title">⚠️ Heads Up</h2>
-            <ul class="tg-warnings">
-                ${warnings.map(w => `<li>${w}</li>`).join('')}
-            </ul>
-        </section>
-    `;
+    return warnings;
   }
 
   renderFullSurveyDetails(data) {
     if (!data) return '<p style="color:#666;">No survey data available.</p>';
     
+    const items = this.getSurveyItems(data);
+    
+    if (items.length === 0) {
+      return '<p style="color:#666;">No detailed survey data available.</p>';
+    }
+    
+    return `
+      <div class="tg-survey-grid">
+        ${items.map(item => `
+          <div class="tg-survey-item">
+            <div class="tg-survey-label">${item.label}</div>
+            <div class="tg-survey-value">${item.value}</div>
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  getSurveyItems(data) {
     const items = [];
+    if (!data) return items;
     
     // Helper to add item if value exists
     const addItem = (label, value) => {
@@ -794,23 +945,691 @@ export class TrailGuideGeneratorV2 {
     // Notes
     addItem('Additional Notes', data.additionalNotes);
     
-    if (items.length === 0) {
-      return '<p style="color:#666;">No detailed survey data available.</p>';
-    }
-    
+    return items;
+  }
+
+  // ==================== SEGMENTS ====================
+
+  /**
+   * Rated segments for the route; the stretch before the first marked
+   * boundary is rated from the whole-route survey
+   * @returns {Array} From buildRouteSegments (empty when none were marked)
+   */
+  getRouteSegments(routeData, accessibilityData) {
+    const defaults = accessibilityData ? accessibilityRating.normalizeSurveyData(accessibilityData) : null;
+    return buildRouteSegments(routeData, defaults);
+  }
+
+  /**
+   * Plain-language summary of one segment, shared by every guide format
+   * @returns {Object} { title, range, rating, details, factors }
+   */
+  describeSegment(segment) {
+    const end = segment.startDistance + segment.length;
+    const range = segment.startDistance < 1
+      ? `from the start to ${formatNarrativeDistance(end)}`
+      : `${formatNarrativeDistance(segment.startDistance)} to ${formatNarrativeDistance(end)}`;
+
+    return {
+      title: `Segment ${segment.number}`,
+      range,
+      rating: segment.rating ? segment.rating.ratingInfo : null,
+      details: describeSegmentAttributes(segment.attributes),
+      factors: segment.rating
+        ? segment.rating.factors.filter(factor => factor.impact !== 'positive').map(factor => factor.note)
+        : []
+    };
+  }
+
+  renderSegmentsSection(segments) {
+    if (segments.length === 0) return '';
+
+    const total = segments.reduce((sum, segment) => sum + segment.length, 0) || 1;
+
     return `
-      <div class="tg-survey-grid">
-        ${items.map(item => `
-          <div class="tg-survey-item">
-            <div class="tg-survey-label">${item.label}</div>
-            <div class="tg-survey-value">${item.value}</div>
-          </div>
-        `).join('')}
-      </div>
+        <section class="tg-section">
+            <h2 class="tg-section-title">🧱 Trail Segments</h2>
+            <div class="tg-segment-strip" aria-hidden="true">
+                ${segments.map(segment => `
+                    <div class="tg-segment-strip-part" style="flex: ${Math.max(segment.length / total, 0.02)}; background: ${segment.rating ? segment.rating.ratingInfo.color : '#9ca3af'};"></div>
+                `).join('')}
+            </div>
+            <ol class="tg-segments">
+                ${segments.map(segment => {
+                  const info = this.describeSegment(segment);
+                  return `
+                    <li class="tg-segment" style="border-left-color: ${info.rating ? info.rating.color : '#9ca3af'};">
+                        <div class="tg-segment-header">
+                            <span class="tg-segment-title">${info.title}</span>
+                            <span class="tg-segment-range">${info.range}</span>
+                        </div>
+                        ${info.rating ? `
+                        <span class="tg-segment-rating" style="background: ${info.rating.bgColor}; color: #333;">${info.rating.icon} ${info.rating.label}</span>
+                        ` : '<span class="tg-segment-rating">Not surveyed</span>'}
+                        <p class="tg-segment-details">${this.escapeHtml(info.details)}</p>
+                        ${info.factors.length > 0 ? `
+                        <ul class="tg-segment-factors">
+                            ${info.factors.map(note => `<li>${this.escapeHtml(note)}</li>`).join('')}
+                        </ul>` : ''}
+                    </li>`;
+                }).join('')}
+            </ol>
+        </section>
     `;
   }
 
-  getMapScript(locationPoints, bounds, photos, notes) {
+  // ==================== ELEVATION PROFILE ====================
+
+  /**
+   * Build the elevation/grade profile shown under the map
+   * @param {Array} routeData - Array of route points (locations, photos, notes)
+   * @returns {Object|null} { samples, markers, totalLength, minElevation, maxElevation, stats }
+   *                        or null when the route has no usable elevation data
+   */
+  buildElevationProfile(routeData) {
+    const segments = calculateGradeProfile(routeData);
+    if (segments.length === 0) return null;
+
+    const points = hasRouteMetrics(routeData) ? routeData : annotateRouteMetrics(routeData);
+
+    // One sample per segment end; the grade is that of the segment leading to it
+    const samples = [{
+      distance: 0,
+      elevation: segments[0].startElevation,
+      grade: null,
+      level: null,
+      coords: segments[0].startCoords
+    }];
+    segments.forEach(segment => {
+      samples.push({
+        distance: segment.startDistance + segment.length,
+        elevation: segment.endElevation,
+        grade: segment.grade,
+        level: classifyGrade(segment.grade),
+        coords: segment.endCoords
+      });
+    });
+
+    const totalLength = samples[samples.length - 1].distance;
+    const elevations = samples.map(s => s.elevation);
+
+    // The profile starts at the first point with an elevation reading
+    const offset = points[segments[0].startIndex]?.distance || 0;
+    let photoNumber = 0;
+    const markers = [];
+    points.forEach(point => {
+      if (point.type !== 'photo' && point.type !== 'text' && point.type !== VOICE_POINT_TYPE) return;
+      if (point.type === 'photo') photoNumber++;
+      if (typeof point.distance !== 'number') return;
+
+      let label = `Note: ${point.content || ''}`;
+      if (point.type === 'photo') {
+        label = point.caption || point.altText || `Photo ${photoNumber}`;
+      } else if (point.type === VOICE_POINT_TYPE) {
+        label = hasTranscript(point) ? `Voice note: ${getVoiceNoteText(point)}` : getVoiceNoteText(point);
+      }
+      markers.push({
+        kind: point.type === 'photo' ? 'photo' : 'note',
+        distance: Math.max(0, Math.min(totalLength, point.distance - offset)),
+        label: label.length > 80 ? `${label.slice(0, 77)}...` : label
+      });
+    });
+
+    return {
+      samples,
+      markers,
+      totalLength,
+      minElevation: Math.min(...elevations),
+      maxElevation: Math.max(...elevations),
+      stats: getSlopeStats(routeData)
+    };
+  }
+
+  formatProfileDistance(metres) {
+    return metres < 1000 ? `${Math.round(metres)} m` : `${(metres / 1000).toFixed(2)} km`;
+  }
+
+  describeGrade(grade) {
+    if (grade === null) return 'Start';
+    const direction = Math.abs(grade) < 0.5 ? 'level' : grade > 0 ? 'uphill' : 'downhill';
+    return `${Math.abs(grade).toFixed(1)}% ${direction}`;
+  }
+
+  /**
+   * Chart geometry shared by the SVG and its script
+   */
+  getElevationChartLayout(profile) {
+    const layout = { width: 640, height: 220, left: 48, right: 12, top: 12, bottom: 44 };
+    layout.plotWidth = layout.width - layout.left - layout.right;
+    layout.plotHeight = layout.height - layout.top - layout.bottom;
+
+    // Keep at least 10 m of vertical range so flat trails don't look dramatic
+    const range = Math.max(10, profile.maxElevation - profile.minElevation);
+    layout.floor = profile.minElevation - (range - (profile.maxElevation - profile.minElevation)) / 2;
+    layout.range = range;
+
+    layout.x = distance => layout.left + (profile.totalLength > 0 ? distance / profile.totalLength : 0) * layout.plotWidth;
+    layout.y = elevation => layout.top + (1 - (elevation - layout.floor) / range) * layout.plotHeight;
+    return layout;
+  }
+
+  /**
+   * Render the elevation chart section with its data-table fallback
+   * @param {Object} profile - From buildElevationProfile
+   * @returns {string} HTML
+   */
+  renderElevationSection(profile) {
+    const { samples, markers, stats } = profile;
+    const layout = this.getElevationChartLayout(profile);
+    const bottom = layout.top + layout.plotHeight;
+    const round = value => Math.round(value * 10) / 10;
+
+    // Grade bands: the area under each segment, coloured by its grade class
+    const bands = samples.slice(1).map((sample, i) => {
+      const prev = samples[i];
+      const x1 = round(layout.x(prev.distance));
+      const x2 = round(layout.x(sample.distance));
+      return `<polygon class="tg-elev-band ${sample.level}" points="${x1},${bottom} ${x1},${round(layout.y(prev.elevation))} ${x2},${round(layout.y(sample.elevation))} ${x2},${bottom}"></polygon>`;
+    }).join('');
+
+    const line = samples.map(s => `${round(layout.x(s.distance))},${round(layout.y(s.elevation))}`).join(' ');
+
+    const markerRow = bottom + 26;
+    const markerSvg = markers.map(marker => `
+                    <g class="tg-elev-marker ${marker.kind}" transform="translate(${round(layout.x(marker.distance))}, ${markerRow})">
+                        <title>${this.escapeHtml(marker.label)} (${this.formatProfileDistance(marker.distance)})</title>
+                        <line y1="-26" y2="-10"></line>
+                        <circle r="9"></circle>
+                        <text y="4">${marker.kind === 'photo' ? '📷' : '📝'}</text>
+                    </g>`).join('');
+
+    const axis = `
+                    <line class="tg-elev-axis" x1="${layout.left}" y1="${bottom}" x2="${layout.width - layout.right}" y2="${bottom}"></line>
+                    <text class="tg-elev-label" x="${layout.left - 6}" y="${round(layout.y(profile.maxElevation)) + 4}" text-anchor="end">${Math.round(profile.maxElevation)} m</text>
+                    <text class="tg-elev-label" x="${layout.left - 6}" y="${round(layout.y(profile.minElevation)) + 4}" text-anchor="end">${Math.round(profile.minElevation)} m</text>
+                    <text class="tg-elev-label" x="${layout.left}" y="${bottom + 12}" text-anchor="start">0</text>
+                    <text class="tg-elev-label" x="${layout.width - layout.right}" y="${bottom + 12}" text-anchor="end">${this.formatProfileDistance(profile.totalLength)}</text>`;
+
+    const summary = stats
+      ? `Climbs ${stats.totalAscent} m and descends ${stats.totalDescent} m between ${stats.minElevation} m and ${stats.maxElevation} m elevation. ` +
+        `Steepest grade ${stats.maxGrade}%, average ${stats.averageGrade}%.`
+      : '';
+
+    // Photos and notes listed against the table row they fall within
+    const rows = samples.map((sample, i) => {
+      const from = i > 0 ? samples[i - 1].distance : -1;
+      const landmarks = markers
+        .filter(marker => marker.distance > from && marker.distance <= sample.distance)
+        .map(marker => `${marker.kind === 'photo' ? '📷' : '📝'} ${this.escapeHtml(marker.label)}`)
+        .join('<br>');
+      const distance = this.formatProfileDistance(sample.distance);
+      return `
+                        <tr id="tgElevRow${i}" class="${sample.level || ''}">
+                            <th scope="row">${distance}</th>
+                            <td>${Math.round(sample.elevation)} m</td>
+                            <td>${this.describeGrade(sample.grade)}</td>
+                            <td>${sample.level ? `<span class="tg-elev-level ${sample.level}">${GRADE_LABELS[sample.level]}</span>` : '—'}</td>
+                            <td>${landmarks || '—'}</td>
+                            <td><button type="button" class="tg-elev-show" data-sample="${i}" aria-label="Show ${distance} on the map">Show on map</button></td>
+                        </tr>`;
+    }).join('');
+
+    return `
+        <section class="tg-section" aria-labelledby="tgElevTitle">
+            <h2 class="tg-section-title" id="tgElevTitle">⛰️ Elevation Profile</h2>
+            ${summary ? `<p class="tg-elev-summary" id="tgElevSummary">${summary}</p>` : ''}
+            <div class="tg-elev-chart" id="tgElevChart" tabindex="0" role="group"
+                 aria-label="Elevation chart. Use the left and right arrow keys to move along the trail."
+                 ${summary ? 'aria-describedby="tgElevSummary"' : ''}>
+                <svg viewBox="0 0 ${layout.width} ${layout.height}" preserveAspectRatio="xMidYMid meet" aria-hidden="true" focusable="false">
+                    ${bands}
+                    <polyline class="tg-elev-line" points="${line}"></polyline>
+                    ${axis}
+                    ${markerSvg}
+                    <line class="tg-elev-cursor" id="tgElevCursor" x1="0" y1="${layout.top}" x2="0" y2="${bottom}" visibility="hidden"></line>
+                    <circle class="tg-elev-dot" id="tgElevDot" r="5" cx="0" cy="0" visibility="hidden"></circle>
+                </svg>
+            </div>
+            <p class="tg-elev-readout" id="tgElevReadout" aria-live="polite">Hover or tap the chart to find that spot on the map</p>
+            <div class="tg-map-legend">
+                <div class="tg-legend-item"><div class="tg-legend-dot gentle"></div> ${GRADE_LABELS.gentle} (up to ${GRADE_THRESHOLDS.gentle}%)</div>
+                <div class="tg-legend-item"><div class="tg-legend-dot moderate"></div> ${GRADE_LABELS.moderate} (${GRADE_THRESHOLDS.gentle}–${GRADE_THRESHOLDS.ramp}%)</div>
+                <div class="tg-legend-item"><div class="tg-legend-dot steep"></div> ${GRADE_LABELS.steep} (over ${GRADE_THRESHOLDS.ramp}%)</div>
+                ${markers.some(m => m.kind === 'photo') ? '<div class="tg-legend-item"><div class="tg-legend-dot photo"></div> Photo</div>' : ''}
+                ${markers.some(m => m.kind === 'note') ? '<div class="tg-legend-item"><div class="tg-legend-dot note"></div> Note</div>' : ''}
+            </div>
+            <details class="tg-elev-table">
+                <summary>📊 Elevation data table</summary>
+                <div class="tg-elev-table-scroll">
+                    <table>
+                        <caption>Elevation and grade along the trail, measured from the start</caption>
+                        <thead>
+                            <tr>
+                                <th scope="col">Distance</th>
+                                <th scope="col">Elevation</th>
+                                <th scope="col">Grade</th>
+                                <th scope="col">Slope</th>
+                                <th scope="col">Along the way</th>
+                                <th scope="col"><span class="tg-visually-hidden">Map</span></th>
+                            </tr>
+                        </thead>
+                        <tbody>${rows}
+                        </tbody>
+                    </table>
+                </div>
+            </details>
+        </section>`;
+  }
+
+  /**
+   * Script linking the elevation chart and the route map both ways
+   * @param {Object} profile - From buildElevationProfile
+   * @returns {string} Script tag
+   */
+  getElevationChartScript(profile) {
+    const layout = this.getElevationChartLayout(profile);
+    const round = value => Math.round(value * 10) / 10;
+    const samples = profile.samples.map(s => [
+      round(s.distance),
+      round(s.elevation),
+      s.grade === null ? null : round(s.grade),
+      s.level,
+      s.coords.lat,
+      s.coords.lng
+    ]);
+
+    return `
+    <script>
+        (function() {
+            // [distance m, elevation m, grade %, grade class, lat, lng]
+            const samples = ${JSON.stringify(samples)};
+            const chartLayout = ${JSON.stringify({
+              width: layout.width,
+              left: layout.left,
+              plotWidth: layout.plotWidth,
+              top: layout.top,
+              plotHeight: layout.plotHeight,
+              floor: layout.floor,
+              range: layout.range,
+              totalLength: profile.totalLength
+            })};
+            const levelColors = ${JSON.stringify(GRADE_COLORS)};
+            const levelLabels = ${JSON.stringify(GRADE_LABELS)};
+
+            const chart = document.getElementById('tgElevChart');
+            const cursor = document.getElementById('tgElevCursor');
+            const dot = document.getElementById('tgElevDot');
+            const readout = document.getElementById('tgElevReadout');
+            if (!chart || samples.length === 0) return;
+
+            let current = -1;
+            let highlight = null;
+
+            function chartX(distance) {
+                const share = chartLayout.totalLength > 0 ? distance / chartLayout.totalLength : 0;
+                return chartLayout.left + share * chartLayout.plotWidth;
+            }
+
+            function chartY(elevation) {
+                return chartLayout.top + (1 - (elevation - chartLayout.floor) / chartLayout.range) * chartLayout.plotHeight;
+            }
+
+            function formatDistance(metres) {
+                return metres < 1000 ? Math.round(metres) + ' m' : (metres / 1000).toFixed(2) + ' km';
+            }
+
+            function describe(sample) {
+                let text = formatDistance(sample[0]) + ' from the start: ' + Math.round(sample[1]) + ' m elevation';
+                if (sample[2] !== null) {
+                    const direction = Math.abs(sample[2]) < 0.5 ? 'level' : sample[2] > 0 ? 'uphill' : 'downhill';
+                    text += ', ' + Math.abs(sample[2]).toFixed(1) + '% ' + direction + ' (' + levelLabels[sample[3]] + ')';
+                }
+                return text;
+            }
+
+            function nearestByDistance(distance) {
+                let best = 0;
+                samples.forEach(function(sample, i) {
+                    if (Math.abs(sample[0] - distance) < Math.abs(samples[best][0] - distance)) best = i;
+                });
+                return best;
+            }
+
+            function nearestByLatLng(latlng) {
+                const cosLat = Math.cos(latlng.lat * Math.PI / 180);
+                let best = 0;
+                let bestDist = Infinity;
+                samples.forEach(function(sample, i) {
+                    const dLat = sample[4] - latlng.lat;
+                    const dLng = (sample[5] - latlng.lng) * cosLat;
+                    const dist = dLat * dLat + dLng * dLng;
+                    if (dist < bestDist) {
+                        bestDist = dist;
+                        best = i;
+                    }
+                });
+                return best;
+            }
+
+            // source: 'chart', 'table' or 'map' - the map only pans when the
+            // selection came from elsewhere and the spot is out of view
+            function select(index, source) {
+                index = Math.max(0, Math.min(samples.length - 1, index));
+                const sample = samples[index];
+                const x = chartX(sample[0]);
+
+                cursor.setAttribute('x1', x);
+                cursor.setAttribute('x2', x);
+                cursor.setAttribute('visibility', 'visible');
+                dot.setAttribute('cx', x);
+                dot.setAttribute('cy', chartY(sample[1]));
+                dot.setAttribute('visibility', 'visible');
+                readout.textContent = describe(sample);
+
+                const previousRow = document.getElementById('tgElevRow' + current);
+                if (previousRow) previousRow.classList.remove('active');
+                const row = document.getElementById('tgElevRow' + index);
+                if (row) row.classList.add('active');
+                current = index;
+
+                const map = window.tgMap;
+                if (!map || typeof L === 'undefined') return;
+
+                const latlng = L.latLng(sample[4], sample[5]);
+                const color = levelColors[sample[3]] || '#4a7c59';
+                if (!highlight) {
+                    highlight = L.circleMarker(latlng, {
+                        radius: 9,
+                        color: '#ffffff',
+                        weight: 3,
+                        fillColor: color,
+                        fillOpacity: 1
+                    }).addTo(map);
+                } else {
+                    highlight.setLatLng(latlng);
+                    highlight.setStyle({ fillColor: color });
+                }
+                highlight.bindTooltip(describe(sample));
+
+                if (source !== 'map' && !map.getBounds().contains(latlng)) {
+                    map.panTo(latlng);
+                }
+            }
+
+            function selectFromPointer(event) {
+                const rect = chart.getBoundingClientRect();
+                const svgX = (event.clientX - rect.left) / rect.width * chartLayout.width;
+                const distance = (svgX - chartLayout.left) / chartLayout.plotWidth * chartLayout.totalLength;
+                select(nearestByDistance(distance), 'chart');
+            }
+
+            chart.addEventListener('pointermove', selectFromPointer);
+            chart.addEventListener('pointerdown', selectFromPointer);
+
+            chart.addEventListener('focus', function() {
+                if (current < 0) select(0, 'chart');
+            });
+
+            chart.addEventListener('keydown', function(event) {
+                const page = Math.max(1, Math.round(samples.length / 10));
+                const moves = {
+                    ArrowRight: current + 1,
+                    ArrowUp: current + 1,
+                    ArrowLeft: current - 1,
+                    ArrowDown: current - 1,
+                    PageUp: current + page,
+                    PageDown: current - page,
+                    Home: 0,
+                    End: samples.length - 1
+                };
+                if (!(event.key in moves)) return;
+                event.preventDefault();
+                select(moves[event.key], 'chart');
+            });
+
+            document.querySelectorAll('.tg-elev-show').forEach(function(button) {
+                button.addEventListener('click', function() {
+                    select(Number(button.dataset.sample), 'table');
+                    const mapEl = document.getElementById('map');
+                    if (mapEl) mapEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                });
+            });
+
+            // Map -> chart: hovering or tapping the route line moves the chart cursor
+            if (window.tgRouteLine) {
+                window.tgRouteLine.on('mousemove click', function(event) {
+                    select(nearestByLatLng(event.latlng), 'map');
+                });
+            }
+        })();
+    </script>`;
+  }
+
+  // ==================== ACCESSIBLE TEXT GUIDE ====================
+
+  /**
+   * Build the content shared by the plain-text and DAISY-friendly HTML guides
+   * @param {Array} routeData - Array of route points (locations, photos, notes)
+   * @param {Object} routeInfo - Route metadata (name, distance, time, date)
+   * @param {Object} accessibilityData - Accessibility survey data
+   * @param {Object} options - { hazards } known hazards near the route
+   * @returns {Object} { title, intro, summary, access, surveyItems, warnings, segments, steps }
+   */
+  buildAccessibleGuide(routeData, routeInfo, accessibilityData, options = {}) {
+    const notes = routeData.filter(p => p.type === 'text');
+    const narrative = buildRouteNarrative(routeData, { hazards: options.hazards });
+    const slopeStats = routeInfo.slopeStats || getSlopeStats(routeData);
+    const accessLevel = this.getAccessibilityLevel(accessibilityData, routeData);
+    
+    const date = new Date(routeInfo.date);
+    const intro = [
+      'Accessible trail guide',
+      accessibilityData?.location,
+      !isNaN(date.getTime()) ? `documented on ${date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}` : null
+    ].filter(Boolean).join(', ') + '.';
+    
+    const lengthMetres = narrative.totalDistance || (routeInfo.totalDistance || 0) * 1000;
+    const summary = [`Length: ${formatNarrativeDistance(lengthMetres)}.`];
+    if (routeInfo.elapsedTime) {
+      summary.push(`Time taken by the surveyor: ${this.formatDuration(routeInfo.elapsedTime)}.`);
+    }
+    if (slopeStats) {
+      summary.push(`Steepest grade: ${slopeStats.maxGrade}%. Average grade: ${slopeStats.averageGrade}%.`);
+      summary.push(`Total climb: ${slopeStats.totalAscent} metres. Total descent: ${slopeStats.totalDescent} metres.`);
+    }
+    summary.push(`The directions below have ${narrative.steps.length} steps.`);
+    
+    const label = accessLevel.label.charAt(0) + accessLevel.label.slice(1).toLowerCase();
+    
+    return {
+      title: routeInfo.name,
+      intro,
+      summary,
+      access: { label, description: accessLevel.description },
+      surveyItems: this.getSurveyItems(accessibilityData),
+      warnings: this.getHeadsUpWarnings(accessibilityData, notes, routeData),
+      segments: this.getRouteSegments(routeData, accessibilityData).map(segment => this.describeSegment(segment)),
+      steps: narrative.steps
+    };
+  }
+
+  describeStepPosition(step) {
+    if (step.kind === 'start') return 'At the start';
+    const since = step.sinceLast > 0 ? `After ${formatNarrativeDistance(step.sinceLast)}` : 'At the same spot';
+    return `${since} (${formatNarrativeDistance(step.distance)} from the start)`;
+  }
+
+  /**
+   * Generate the linear guide as plain text
+   * @returns {string}
+   */
+  generateTextGuide(routeData, routeInfo, accessibilityData, options = {}) {
+    const guide = this.buildAccessibleGuide(routeData, routeInfo, accessibilityData, options);
+    const lines = [];
+    const section = (heading) => {
+      lines.push('', heading.toUpperCase(), '-'.repeat(heading.length));
+    };
+    
+    lines.push(guide.title, '='.repeat(guide.title.length), '', guide.intro);
+    
+    section('Summary');
+    guide.summary.forEach(line => lines.push(`- ${line}`));
+    
+    section('Accessibility');
+    lines.push(`Rating: ${guide.access.label}. ${guide.access.description}.`);
+    guide.surveyItems.forEach(item => lines.push(`- ${item.label}: ${item.value}`));
+    
+    if (guide.warnings.length > 0) {
+      section('Heads up');
+      guide.warnings.forEach(warning => lines.push(`- ${warning}`));
+    }
+    
+    if (guide.segments.length > 0) {
+      section('Trail segments');
+      guide.segments.forEach(segment => {
+        const rating = segment.rating ? `${segment.rating.label}. ` : '';
+        lines.push(`${segment.title}, ${segment.range}: ${rating}${segment.details}.`);
+        segment.factors.forEach(note => lines.push(`  - ${note}`));
+      });
+    }
+    
+    section('Directions');
+    guide.steps.forEach((step, index) => {
+      lines.push(`Step ${index + 1}. ${this.describeStepPosition(step)}: ${step.text}`);
+    });
+    
+    lines.push('', 'Created with Access Nature - making outdoor spaces accessible for everyone.');
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Generate the linear guide as DAISY-friendly HTML - strict heading
+   * order, navigation list, numbered steps, no scripts or maps
+   * @param {Object} options - { hazards, includeImages, includeAudio } (images default on, always with
+   *                            alt text; voice note recordings default on, always after their transcript)
+   * @returns {string} Complete HTML document
+   */
+  generateAccessibleHTML(routeData, routeInfo, accessibilityData, options = {}) {
+    const guide = this.buildAccessibleGuide(routeData, routeInfo, accessibilityData, options);
+    const includeImages = options.includeImages !== false;
+    const includeAudio = options.includeAudio !== false;
+    const esc = (value) => this.escapeHtml(value);
+    const dateIso = !isNaN(new Date(routeInfo.date).getTime()) ? new Date(routeInfo.date).toISOString().slice(0, 10) : '';
+    
+    const steps = guide.steps.map((step, index) => `
+            <li id="step-${index + 1}" class="step step-${step.kind}">
+                <p><strong>${esc(this.describeStepPosition(step))}:</strong> ${esc(step.text)}</p>
+                ${includeImages && step.image ? `
+                <figure>
+                    <img src="${step.image}" alt="${esc(step.alt)}">
+                    <figcaption>${esc(step.alt)}</figcaption>
+                </figure>` : ''}
+                ${includeAudio && step.audio ? `
+                <audio controls="controls" preload="none" src="${step.audio}">Voice note recording</audio>` : ''}
+            </li>`).join('');
+    
+    return `<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" lang="en" xml:lang="en">
+<head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>${esc(guide.title)} - Accessible Trail Guide (text version)</title>
+    <meta name="dc:title" content="${esc(guide.title)} - Accessible Trail Guide" />
+    <meta name="dc:creator" content="Access Nature" />
+    <meta name="dc:language" content="en" />
+    <meta name="dc:format" content="text/html" />
+    ${dateIso ? `<meta name="dc:date" content="${dateIso}" />` : ''}
+    <style>
+        body { font-family: Verdana, Arial, sans-serif; font-size: 1.15rem; line-height: 1.7; max-width: 44rem; margin: 0 auto; padding: 1rem; color: #111; background: #fff; }
+        a { color: #0b4f9c; }
+        a:focus { outline: 3px solid #111; outline-offset: 2px; }
+        .skip-link { position: absolute; left: -999px; }
+        .skip-link:focus { position: static; }
+        .step { margin-bottom: 1rem; }
+        .step-hazard p, .step-steep p { border-left: 6px solid #b91c1c; padding-left: 0.75rem; }
+        img { max-width: 100%; height: auto; }
+        figcaption { font-style: italic; }
+    </style>
+</head>
+<body>
+    <a class="skip-link" href="#directions">Skip to directions</a>
+    <header>
+        <h1>${esc(guide.title)}</h1>
+        <p>${esc(guide.intro)}</p>
+    </header>
+    
+    <nav role="doc-toc" aria-labelledby="toc-heading">
+        <h2 id="toc-heading">Contents</h2>
+        <ol>
+            <li><a href="#summary">Summary</a></li>
+            <li><a href="#accessibility">Accessibility</a></li>
+            ${guide.warnings.length > 0 ? '<li><a href="#heads-up">Heads up</a></li>' : ''}
+            ${guide.segments.length > 0 ? `<li><a href="#segments">Trail segments (${guide.segments.length})</a></li>` : ''}
+            <li><a href="#directions">Directions (${guide.steps.length} steps)</a></li>
+        </ol>
+    </nav>
+    
+    <main>
+        <section id="summary" aria-labelledby="summary-heading">
+            <h2 id="summary-heading">Summary</h2>
+            <ul>
+                ${guide.summary.map(line => `<li>${esc(line)}</li>`).join('')}
+            </ul>
+        </section>
+        
+        <section id="accessibility" aria-labelledby="accessibility-heading">
+            <h2 id="accessibility-heading">Accessibility</h2>
+            <p><strong>Rating: ${esc(guide.access.label)}.</strong> ${esc(guide.access.description)}.</p>
+            ${guide.surveyItems.length > 0 ? `
+            <dl>
+                ${guide.surveyItems.map(item => `<dt>${esc(item.label)}</dt><dd>${esc(item.value)}</dd>`).join('')}
+            </dl>` : '<p>No detailed survey data available.</p>'}
+        </section>
+        
+        ${guide.warnings.length > 0 ? `
+        <section id="heads-up" aria-labelledby="heads-up-heading">
+            <h2 id="heads-up-heading">Heads up</h2>
+            <ul>
+                ${guide.warnings.map(warning => `<li>${esc(warning)}</li>`).join('')}
+            </ul>
+        </section>` : ''}
+        
+        ${guide.segments.length > 0 ? `
+        <section id="segments" aria-labelledby="segments-heading">
+            <h2 id="segments-heading">Trail segments</h2>
+            <ol>
+                ${guide.segments.map(segment => `
+                <li>
+                    <p><strong>${esc(segment.title)}, ${esc(segment.range)}:</strong> ${segment.rating ? `${esc(segment.rating.label)}. ` : ''}${esc(segment.details)}.</p>
+                    ${segment.factors.length > 0 ? `<ul>${segment.factors.map(note => `<li>${esc(note)}</li>`).join('')}</ul>` : ''}
+                </li>`).join('')}
+            </ol>
+        </section>` : ''}
+        
+        <section id="directions" aria-labelledby="directions-heading">
+            <h2 id="directions-heading">Directions</h2>
+            ${guide.steps.length > 0 ? `<ol>${steps}
+            </ol>` : '<p>No GPS track was recorded, so directions are not available.</p>'}
+        </section>
+    </main>
+    
+    <footer>
+        <p>Created with Access Nature - making outdoor spaces accessible for everyone.</p>
+    </footer>
+</body>
+</html>`;
+  }
+
+  escapeHtml(str) {
+    if (str === null || str === undefined) return '';
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  getMapScript(locationPoints, bounds, photos, notes, voiceNotes = []) {
     const pathCoords = locationPoints.map(p => `[${p.coords.lat}, ${p.coords.lng}]`).join(',');
     const startCoord = locationPoints[0]?.coords;
     const endCoord = locationPoints[locationPoints.length - 1]?.coords;
@@ -818,6 +1637,7 @@ export class TrailGuideGeneratorV2 {
     // Filter photos and notes that have coordinates
     const geoPhotos = photos.filter(p => p.coords);
     const geoNotes = notes.filter(n => n.coords);
+    const geoVoiceNotes = voiceNotes.filter(n => n.coords);
     
     return `
     <script src="https://unpkg.com/leaflet@1.9.3/dist/leaflet.js"></script>
@@ -827,6 +1647,7 @@ export class TrailGuideGeneratorV2 {
         L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
             attribution: '© OpenStreetMap contributors'
         }).addTo(map);
+        window.tgMap = map;
         
         const pathCoords = [${pathCoords}];
         
@@ -839,6 +1660,9 @@ export class TrailGuideGeneratorV2 {
             
             map.fitBounds(polyline.getBounds(), { padding: [30, 30] });
             
+            // Shared with the elevation chart
+            window.tgRouteLine = polyline;
+            
             // Start marker
             L.marker([${startCoord?.lat || 0}, ${startCoord?.lng || 0}], {
                 icon: L.divIcon({
@@ -868,7 +1692,7 @@ export class TrailGuideGeneratorV2 {
                     iconSize: [28, 28],
                     iconAnchor: [14, 14]
                 })
-            }).addTo(map).bindPopup('<div style="text-align:center;"><img src="${photo.content || photo.data}" style="width:200px;max-height:150px;object-fit:cover;border-radius:8px;"><p style="margin:8px 0 0;font-size:12px;color:#666;">${photo.timestamp ? new Date(photo.timestamp).toLocaleTimeString() : ''}</p></div>', { maxWidth: 220 });
+            }).addTo(map).bindPopup('<div style="text-align:center;"><img src="${photo.content || photo.data}" alt="${this.escapeHtml(photo.caption || photo.altText || 'Trail photo').replace(/'/g, '&#39;')}" style="width:200px;max-height:150px;object-fit:cover;border-radius:8px;"><p style="margin:8px 0 0;font-size:12px;color:#666;">${photo.timestamp ? new Date(photo.timestamp).toLocaleTimeString() : ''}</p></div>', { maxWidth: 220 });
             `).join('')}
             
             // Note markers
@@ -882,6 +1706,18 @@ export class TrailGuideGeneratorV2 {
                 })
             }).addTo(map).bindPopup('<div style="max-width:200px;"><strong style="color:#92400e;">📝 Note</strong><p style="margin:8px 0 0;font-size:13px;color:#333;">${(note.text || note.content || note.data || '').replace(/'/g, "\\'")}</p></div>');
             `).join('')}
+            
+            // Voice note markers (the recording itself is in the timeline)
+            ${geoVoiceNotes.map(note => `
+            L.marker([${note.coords.lat}, ${note.coords.lng}], {
+                icon: L.divIcon({
+                    className: 'note-marker',
+                    html: '<div style="background:#f59e0b;width:28px;height:28px;border-radius:50%;border:3px solid white;box-shadow:0 2px 6px rgba(0,0,0,0.3);display:flex;align-items:center;justify-content:center;font-size:14px;">🎙️</div>',
+                    iconSize: [28, 28],
+                    iconAnchor: [14, 14]
+                })
+            }).addTo(map).bindPopup(${JSON.stringify(`<div style="max-width:200px;"><strong style="color:#92400e;">🎙️ Voice note</strong><p style="margin:8px 0 0;font-size:13px;color:#333;">${this.escapeHtml(getVoiceNoteText(note))}</p></div>`).replace(/</g, '\\u003c')});
+            `).join('')}
         }
     </script>`;
   }
@@ -1199,6 +2035,232 @@ export class TrailGuideGeneratorV2 {
         .tg-legend-dot.end { background: #ef4444; }
         .tg-legend-dot.photo { background: #3b82f6; }
         .tg-legend-dot.note { background: #f59e0b; }
+        .tg-legend-dot.gentle { background: #22c55e; border-radius: 4px; }
+        .tg-legend-dot.moderate { background: #f59e0b; border-radius: 4px; }
+        .tg-legend-dot.steep { background: #ef4444; border-radius: 4px; }
+        
+        /* Elevation Profile */
+        .tg-elev-summary {
+            font-size: 0.9rem;
+            color: #555;
+            margin-bottom: 12px;
+        }
+        
+        .tg-elev-chart {
+            background: #f9fafb;
+            border-radius: 12px;
+            padding: 8px;
+            cursor: crosshair;
+            touch-action: pan-y;
+        }
+        
+        .tg-elev-chart:focus {
+            outline: 3px solid #2563eb;
+            outline-offset: 2px;
+        }
+        
+        .tg-elev-chart svg {
+            display: block;
+            width: 100%;
+            height: auto;
+        }
+        
+        .tg-elev-band { opacity: 0.55; }
+        .tg-elev-band.gentle { fill: #22c55e; }
+        .tg-elev-band.moderate { fill: #f59e0b; }
+        .tg-elev-band.steep { fill: #ef4444; }
+        
+        .tg-elev-line {
+            fill: none;
+            stroke: #1f2937;
+            stroke-width: 2;
+            stroke-linejoin: round;
+        }
+        
+        .tg-elev-axis {
+            stroke: #9ca3af;
+            stroke-width: 1;
+        }
+        
+        .tg-elev-label {
+            font-size: 11px;
+            fill: #666;
+        }
+        
+        .tg-elev-marker line {
+            stroke: #9ca3af;
+            stroke-dasharray: 2 2;
+        }
+        
+        .tg-elev-marker circle {
+            stroke: white;
+            stroke-width: 2;
+        }
+        
+        .tg-elev-marker.photo circle { fill: #3b82f6; }
+        .tg-elev-marker.note circle { fill: #f59e0b; }
+        
+        .tg-elev-marker text {
+            font-size: 10px;
+            text-anchor: middle;
+        }
+        
+        .tg-elev-cursor {
+            stroke: #2563eb;
+            stroke-width: 1.5;
+        }
+        
+        .tg-elev-dot {
+            fill: #2563eb;
+            stroke: white;
+            stroke-width: 2;
+        }
+        
+        .tg-elev-readout {
+            text-align: center;
+            font-size: 0.85rem;
+            color: #333;
+            margin-top: 8px;
+            min-height: 1.3em;
+        }
+        
+        .tg-elev-table {
+            margin-top: 12px;
+        }
+        
+        .tg-elev-table summary {
+            cursor: pointer;
+            font-weight: 500;
+            color: #4a7c59;
+            padding: 8px 0;
+        }
+        
+        .tg-elev-table-scroll {
+            max-height: 320px;
+            overflow: auto;
+        }
+        
+        .tg-elev-table table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 0.85rem;
+        }
+        
+        .tg-elev-table caption {
+            text-align: left;
+            color: #666;
+            padding-bottom: 6px;
+        }
+        
+        .tg-elev-table th,
+        .tg-elev-table td {
+            text-align: left;
+            padding: 6px 8px;
+            border-bottom: 1px solid #e5e5e5;
+            vertical-align: top;
+        }
+        
+        .tg-elev-table tr.active {
+            background: #eff6ff;
+        }
+        
+        .tg-elev-level {
+            display: inline-block;
+            padding: 2px 8px;
+            border-radius: 10px;
+            font-size: 0.75rem;
+            font-weight: 600;
+        }
+        
+        .tg-elev-level.gentle { background: #dcfce7; color: #166534; }
+        .tg-elev-level.moderate { background: #fef3c7; color: #92400e; }
+        .tg-elev-level.steep { background: #fee2e2; color: #991b1b; }
+        
+        .tg-elev-show {
+            padding: 4px 10px;
+            border: 1px solid #4a7c59;
+            border-radius: 6px;
+            background: white;
+            color: #4a7c59;
+            font-size: 0.8rem;
+            cursor: pointer;
+        }
+        
+        .tg-elev-show:focus {
+            outline: 2px solid #2563eb;
+        }
+        
+        .tg-visually-hidden {
+            position: absolute;
+            width: 1px;
+            height: 1px;
+            overflow: hidden;
+            clip: rect(0 0 0 0);
+            white-space: nowrap;
+        }
+        
+        /* Trail Segments */
+        .tg-segment-strip {
+            display: flex;
+            height: 12px;
+            border-radius: 6px;
+            overflow: hidden;
+            gap: 2px;
+            margin-bottom: 16px;
+        }
+        
+        .tg-segments {
+            list-style: none;
+            display: flex;
+            flex-direction: column;
+            gap: 12px;
+        }
+        
+        .tg-segment {
+            background: #f9fafb;
+            border-left: 5px solid #9ca3af;
+            border-radius: 10px;
+            padding: 12px 16px;
+        }
+        
+        .tg-segment-header {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            gap: 8px;
+            margin-bottom: 6px;
+        }
+        
+        .tg-segment-title {
+            font-weight: 600;
+            color: #333;
+        }
+        
+        .tg-segment-range {
+            font-size: 0.8rem;
+            color: #666;
+        }
+        
+        .tg-segment-rating {
+            display: inline-block;
+            padding: 2px 10px;
+            border-radius: 10px;
+            font-size: 0.8rem;
+            font-weight: 600;
+            background: #e5e5e5;
+        }
+        
+        .tg-segment-details {
+            margin-top: 6px;
+            font-size: 0.9rem;
+            color: #555;
+        }
+        
+        .tg-segment-factors {
+            margin: 6px 0 0 18px;
+            font-size: 0.85rem;
+            color: #92400e;
+        }
         
         /* Timeline */
         .tg-timeline {
@@ -1277,11 +2339,30 @@ export class TrailGuideGeneratorV2 {
             margin-top: 8px;
         }
         
+        .tg-timeline-figure {
+            margin: 0;
+        }
+        
+        .tg-timeline-caption {
+            font-size: 0.9em;
+            color: #444;
+            margin-top: 4px;
+        }
+        
         .tg-timeline-text {
             color: #555;
             font-style: italic;
         }
         
+        .tg-timeline-text.tg-untranscribed {
+            color: #777;
+        }
+        
+        .tg-timeline-audio {
+            width: 100%;
+            margin-top: 8px;
+        }
+        
         /* Heads Up */
         .tg-heads-up {
             background: #fef3c7;
@@ -0,0 +1,605 @@
+/**
+ * Trail Guide PDF
+ * Builds a real, tagged PDF trail guide on the device - no print dialog,
+ * no network, same output in every browser
+ *
+ * Contents:
+ * - Title and route summary
+ * - Accessibility rating card
+ * - Per-segment ratings when the surveyor marked trail segments
+ * - Static map of the track (vector, no map tiles needed offline)
+ * - Elevation chart with grade bands
+ * - Photos with captions
+ * - Trail notes, with voice note transcripts
+ *
+ * Access Nature - Export
+ * Created: October 2026
+ */
+
+import { PDFWriter } from '../utils/pdfWriter.js';
+import { accessibilityRating } from './accessibilityRating.js';
+import {
+  GRADE_THRESHOLDS,
+  calculateGradeProfile,
+  classifyGrade,
+  detectSteepSegments,
+  getSlopeStats
+} from '../utils/elevation.js';
+import { haversineDistance } from '../utils/calculations.js';
+import { annotateRouteMetrics, hasRouteMetrics, describePointProgress } from '../utils/routeMetrics.js';
+import { buildRouteSegments, describeSegmentAttributes } from '../utils/routeSegments.js';
+import { VOICE_POINT_TYPE, hasTranscript, getVoiceNoteText } from '../utils/voiceNotes.js';
+
+const PDF_LAYOUT = {
+  margin: 50,
+  footerHeight: 30,
+  mapHeight: 300,
+  chartHeight: 170,
+  maxPhotoHeight: 300
+};
+
+const PDF_COLORS = {
+  text: '#1f2937',
+  muted: '#6b7280',
+  brand: '#2e7d32',
+  track: '#2e7d32',
+  start: '#16a34a',
+  end: '#dc2626',
+  photo: '#2563eb',
+  note: '#d97706',
+  mapBackground: '#f1f5f0',
+  border: '#d1d5db',
+  gentle: '#22c55e',
+  moderate: '#f59e0b',
+  steep: '#ef4444'
+};
+
+const FACTOR_MARKS = {
+  positive: '+',
+  negative: '-',
+  neutral: '!'
+};
+
+export class TrailGuidePDF {
+  /**
+   * Build the PDF
+   * @param {Array} routeData - Route entries (locations, photos, notes)
+   * @param {Object} routeInfo - Route metadata (name, distance, time, date)
+   * @param {Object} accessibilityData - Accessibility survey data
+   * @returns {Promise<Uint8Array>} PDF bytes
+   */
+  async generate(routeData, routeInfo, accessibilityData = null) {
+    const name = routeInfo?.name || 'Trail Guide';
+    const pdf = new PDFWriter({
+      title: `${name} - Accessible Trail Guide`,
+      author: 'Access Nature',
+      subject: 'Accessible trail guide',
+      lang: 'en'
+    });
+
+    this.pdf = pdf;
+    this.pageNumber = 0;
+    this.newPage();
+
+    // Photos and notes are placed along the trail by their cumulative distance/time
+    if (!hasRouteMetrics(routeData)) {
+      routeData = annotateRouteMetrics(routeData);
+    }
+
+    const locationPoints = routeData.filter(p => p.type === 'location' && p.coords);
+    const photos = routeData.filter(p => p.type === 'photo' && p.content);
+    const notes = routeData.filter(p => (p.type === 'text' && p.content) || p.type === VOICE_POINT_TYPE);
+    const slopeStats = routeInfo?.slopeStats || getSlopeStats(routeData);
+
+    this.renderHeader(name, routeInfo, accessibilityData);
+    this.renderSummary(routeInfo, locationPoints, photos, notes, slopeStats);
+    this.renderRatingCard(accessibilityData, slopeStats, routeData);
+    this.renderSegments(routeData, accessibilityData);
+
+    if (locationPoints.length > 1) {
+      this.renderMap(routeData, locationPoints, photos, notes);
+    }
+
+    this.renderElevationChart(routeData, slopeStats);
+    await this.renderPhotos(photos);
+    this.renderNotes(notes);
+
+    const bytes = pdf.output();
+    this.pdf = null;
+    return bytes;
+  }
+
+  // ==================== LAYOUT ====================
+
+  get contentWidth() {
+    return this.pdf.pageWidth - PDF_LAYOUT.margin * 2;
+  }
+
+  newPage() {
+    this.pdf.addPage();
+    this.pageNumber++;
+    this.y = PDF_LAYOUT.margin;
+
+    const pageNumber = this.pageNumber;
+    this.pdf.artifact(() => {
+      this.pdf.setFont('regular', 9);
+      this.pdf.text(`Access Nature Trail Guide - page ${pageNumber}`, PDF_LAYOUT.margin,
+        this.pdf.pageHeight - PDF_LAYOUT.footerHeight + 10, { color: PDF_COLORS.muted });
+    });
+  }
+
+  ensureSpace(height) {
+    const bottom = this.pdf.pageHeight - PDF_LAYOUT.margin - PDF_LAYOUT.footerHeight;
+    if (this.y + height > bottom) {
+      this.newPage();
+    }
+  }
+
+  /**
+   * Write a tagged, wrapped block of text
+   */
+  paragraph(text, options = {}) {
+    const size = options.size || 11;
+    const style = options.style || 'regular';
+    const lineHeight = size * 1.35;
+    const indent = options.indent || 0;
+    const lines = this.pdf.wrapText(text, this.contentWidth - indent, size, style);
+    if (lines.length === 0) return;
+
+    this.ensureSpace(lineHeight);
+    this.pdf.beginTag(options.tag || 'P');
+    this.pdf.setFont(style, size);
+    lines.forEach(line => {
+      this.ensureSpace(lineHeight);
+      this.y += size;
+      this.pdf.text(line, PDF_LAYOUT.margin + indent, this.y, { color: options.color || PDF_COLORS.text });
+      this.y += lineHeight - size;
+    });
+    this.pdf.endTag();
+    this.y += options.spaceAfter ?? 4;
+  }
+
+  // keepWithNext: space needed for the heading plus whatever must follow it on the same page
+  heading(text, keepWithNext = 60) {
+    this.ensureSpace(keepWithNext);
+    this.y += 10;
+    this.paragraph(text, { tag: 'H2', size: 15, style: 'bold', color: PDF_COLORS.brand, spaceAfter: 6 });
+  }
+
+  // ==================== SECTIONS ====================
+
+  renderHeader(name, routeInfo, accessibilityData) {
+    this.paragraph(name, { tag: 'H1', size: 22, style: 'bold', color: PDF_COLORS.brand, spaceAfter: 2 });
+
+    const date = routeInfo?.date ? new Date(routeInfo.date) : null;
+    const details = [
+      'Accessible Trail Guide',
+      accessibilityData?.location,
+      date && !isNaN(date.getTime())
+        ? `Documented on ${date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}`
+        : null
+    ].filter(Boolean).join(' - ');
+
+    this.paragraph(details, { color: PDF_COLORS.muted, spaceAfter: 10 });
+
+    this.pdf.artifact(() => {
+      this.pdf.line(PDF_LAYOUT.margin, this.y, PDF_LAYOUT.margin + this.contentWidth, this.y,
+        { color: PDF_COLORS.border });
+    });
+    this.y += 6;
+  }
+
+  renderSummary(routeInfo, locationPoints, photos, notes, slopeStats) {
+    this.heading('Route Summary');
+
+    const lines = [
+      `Distance: ${(routeInfo?.totalDistance || 0).toFixed(2)} km`,
+      `Duration: ${this.formatDuration(routeInfo?.elapsedTime || 0)}`
+    ];
+    if (routeInfo?.movingTime) {
+      lines.push(`Moving time: ${this.formatDuration(routeInfo.movingTime)}`);
+    }
+    if (slopeStats) {
+      lines.push(`Elevation: ${slopeStats.minElevation} m to ${slopeStats.maxElevation} m ` +
+        `(${slopeStats.totalAscent} m up, ${slopeStats.totalDescent} m down)`);
+      lines.push(`Grade: ${slopeStats.maxGrade}% steepest, ${slopeStats.averageGrade}% average`);
+    }
+    lines.push(`Recorded: ${locationPoints.length} GPS points, ${photos.length} photos, ${notes.length} notes`);
+
+    lines.forEach(line => this.paragraph(line, { spaceAfter: 1 }));
+  }
+
+  renderRatingCard(accessibilityData, slopeStats, routeData = []) {
+    this.heading('Accessibility Rating');
+
+    const tagged = routeData.some(entry => entry.type === 'surface' || entry.type === 'feature');
+    if (!accessibilityData && !slopeStats && !tagged) {
+      this.paragraph('No accessibility survey was completed for this trail.', { color: PDF_COLORS.muted });
+      return;
+    }
+
+    // Surfaces and features tagged along the way refine the survey answers
+    const surveyData = accessibilityRating.applyRouteTags(
+      accessibilityRating.normalizeSurveyData(accessibilityData || {}), routeData);
+    const ratingData = accessibilityRating.calculateRating(surveyData, slopeStats);
+    const card = accessibilityRating.getRatingCardContent(ratingData);
+
+    // Measure the card so its background can be drawn first
+    const padding = 12;
+    const width = this.contentWidth - padding * 2;
+    const factorLines = card.factors.reduce((sum, factor) =>
+      sum + this.pdf.wrapText(factor.note, width - 14, 10).length, 0);
+    const descriptionLines = this.pdf.wrapText(card.description, width, 10).length;
+    const height = padding * 2 + 22 + descriptionLines * 13.5 + factorLines * 13.5 +
+      (card.facilities.length > 0 ? 30 : 0);
+
+    this.ensureSpace(Math.min(height, 400));
+    const top = this.y;
+    this.pdf.artifact(() => {
+      this.pdf.rect(PDF_LAYOUT.margin, top, this.contentWidth, height, {
+        fill: card.rating.bgColor,
+        stroke: card.rating.borderColor
+      });
+      this.pdf.rect(PDF_LAYOUT.margin, top, 6, height, { fill: card.rating.color });
+    });
+
+    const indent = padding;
+    this.y += padding;
+    this.paragraph(`${card.rating.label} (score ${ratingData.score}/100)`, {
+      tag: 'H3', size: 14, style: 'bold', indent, spaceAfter: 2
+    });
+    this.paragraph(card.description, { size: 10, indent, color: PDF_COLORS.muted });
+
+    card.factors.forEach(factor => {
+      this.paragraph(`${FACTOR_MARKS[factor.impact] || '-'} ${factor.note}`, { size: 10, indent, spaceAfter: 0 });
+    });
+
+    if (card.facilities.length > 0) {
+      const facilities = card.facilities
+        .map(facility => `${facility.label}: ${facility.available ? 'yes' : 'no'}`)
+        .join(', ');
+      this.y += 4;
+      this.paragraph(`Facilities - ${facilities}`, { size: 10, indent });
+    }
+
+    this.y = Math.max(this.y, top + height) + 8;
+  }
+
+  renderSegments(routeData, accessibilityData) {
+    const defaults = accessibilityData ? accessibilityRating.normalizeSurveyData(accessibilityData) : null;
+    const segments = buildRouteSegments(routeData, defaults);
+    if (segments.length === 0) return;
+
+    this.heading('Trail Segments');
+
+    segments.forEach(segment => {
+      const from = this.formatDistance(segment.startDistance);
+      const to = this.formatDistance(segment.startDistance + segment.length);
+      const ratingInfo = segment.rating?.ratingInfo;
+
+      this.ensureSpace(50);
+      const top = this.y;
+      const page = this.pageNumber;
+      this.paragraph(`Segment ${segment.number}: ${from} - ${to}${ratingInfo ? ` - ${ratingInfo.label}` : ''}`, {
+        tag: 'H3', size: 12, style: 'bold', indent: 12, spaceAfter: 1
+      });
+      this.paragraph(describeSegmentAttributes(segment.attributes), { size: 10, indent: 12, color: PDF_COLORS.muted, spaceAfter: 1 });
+
+      (segment.rating?.factors || [])
+        .filter(factor => factor.impact !== 'positive')
+        .forEach(factor => {
+          this.paragraph(`${FACTOR_MARKS[factor.impact] || '-'} ${factor.note}`, { size: 10, indent: 12, spaceAfter: 0 });
+        });
+
+      // Colour bar beside the segment, drawn once its height is known
+      const bottom = this.y;
+      if (page === this.pageNumber && bottom > top) {
+        this.pdf.artifact(() => {
+          this.pdf.rect(PDF_LAYOUT.margin, top + 2, 5, bottom - top - 2, {
+            fill: ratingInfo ? ratingInfo.color : PDF_COLORS.border
+          });
+        });
+      }
+      this.y += 8;
+    });
+  }
+
+  renderMap(routeData, locationPoints, photos, notes) {
+    this.heading('Route Map', PDF_LAYOUT.mapHeight + 60);
+
+    const width = this.contentWidth;
+    const height = PDF_LAYOUT.mapHeight;
+    this.ensureSpace(height + 30);
+    const left = PDF_LAYOUT.margin;
+    const top = this.y;
+
+    // Web Mercator projection fitted to the box
+    const project = ({ lat, lng }) => ({
+      x: lng,
+      y: Math.log(Math.tan(Math.PI / 4 + (lat * Math.PI / 180) / 2)) * 180 / Math.PI
+    });
+    const projected = locationPoints.map(p => project(p.coords));
+    const minX = Math.min(...projected.map(p => p.x));
+    const maxX = Math.max(...projected.map(p => p.x));
+    const minY = Math.min(...projected.map(p => p.y));
+    const maxY = Math.max(...projected.map(p => p.y));
+    const inset = 20;
+    const scale = Math.min(
+      (width - inset * 2) / Math.max(maxX - minX, 1e-9),
+      (height - inset * 2) / Math.max(maxY - minY, 1e-9)
+    );
+    const offsetX = left + (width - (maxX - minX) * scale) / 2;
+    const offsetY = top + (height - (maxY - minY) * scale) / 2;
+    const toPage = coords => {
+      const p = project(coords);
+      return [offsetX + (p.x - minX) * scale, offsetY + (maxY - p.y) * scale];
+    };
+
+    const steepSegments = detectSteepSegments(routeData);
+    const distanceKm = locationPoints.reduce((sum, point, i) =>
+      i === 0 ? 0 : sum + haversineDistance(locationPoints[i - 1].coords, point.coords), 0);
+
+    const alt = [
+      `Map of the route, ${distanceKm.toFixed(2)} km long.`,
+      `Starts at ${this.formatCoords(locationPoints[0].coords)} and ends at ${this.formatCoords(locationPoints[locationPoints.length - 1].coords)}.`,
+      photos.length > 0 ? `${photos.length} numbered photo locations are marked.` : '',
+      notes.length > 0 ? `${notes.length} notes are marked.` : '',
+      steepSegments.length > 0 ? `${steepSegments.length} sections steeper than ${GRADE_THRESHOLDS.gentle}% are highlighted.` : ''
+    ].filter(Boolean).join(' ');
+
+    this.pdf.beginTag('Figure', { alt });
+    this.pdf.rect(left, top, width, height, { fill: PDF_COLORS.mapBackground, stroke: PDF_COLORS.border });
+    this.pdf.polyline(locationPoints.map(p => toPage(p.coords)), { color: PDF_COLORS.track, width: 3 });
+
+    steepSegments.forEach(segment => {
+      const points = routeData
+        .slice(segment.startIndex, segment.endIndex + 1)
+        .filter(p => p.type === 'location' && p.coords)
+        .map(p => toPage(p.coords));
+      this.pdf.polyline(points, { color: PDF_COLORS[segment.severity] || PDF_COLORS.steep, width: 5 });
+    });
+
+    const [startX, startY] = toPage(locationPoints[0].coords);
+    const [endX, endY] = toPage(locationPoints[locationPoints.length - 1].coords);
+    this.pdf.circle(startX, startY, 6, { fill: PDF_COLORS.start, stroke: '#ffffff', width: 1.5 });
+    this.pdf.circle(endX, endY, 6, { fill: PDF_COLORS.end, stroke: '#ffffff', width: 1.5 });
+
+    notes.forEach(note => {
+      if (!note.coords) return;
+      const [x, y] = toPage(note.coords);
+      this.pdf.rect(x - 4, y - 4, 8, 8, { fill: PDF_COLORS.note, stroke: '#ffffff', width: 1 });
+    });
+
+    this.pdf.setFont('bold', 7);
+    photos.forEach((photo, i) => {
+      if (!photo.coords) return;
+      const [x, y] = toPage(photo.coords);
+      const label = String(i + 1);
+      this.pdf.circle(x, y, 7, { fill: PDF_COLORS.photo, stroke: '#ffffff', width: 1 });
+      this.pdf.text(label, x - this.pdf.textWidth(label) / 2, y + 2.5, { color: '#ffffff' });
+    });
+
+    // North arrow
+    this.pdf.polyline([[left + width - 20, top + 30], [left + width - 15, top + 16], [left + width - 10, top + 30]],
+      { color: PDF_COLORS.text, width: 1, fill: PDF_COLORS.text, close: true });
+    this.pdf.setFont('bold', 9);
+    this.pdf.text('N', left + width - 18, top + 40, { color: PDF_COLORS.text });
+
+    // Scale bar
+    const metresPerPoint = this.metresPerPoint(locationPoints, toPage);
+    if (metresPerPoint > 0) {
+      const barMetres = this.niceDistance(metresPerPoint * 100);
+      const barLength = barMetres / metresPerPoint;
+      const barY = top + height - 14;
+      this.pdf.line(left + 12, barY, left + 12 + barLength, barY, { color: PDF_COLORS.text, width: 2 });
+      this.pdf.setFont('regular', 8);
+      this.pdf.text(barMetres >= 1000 ? `${barMetres / 1000} km` : `${barMetres} m`,
+        left + 12, barY - 4, { color: PDF_COLORS.text });
+    }
+    this.pdf.endTag();
+
+    this.y = top + height + 6;
+    this.paragraph('Legend: green dot start, red dot end, blue numbered circles photos, orange squares notes, ' +
+      'amber and red lines sections steeper than 5% and 8.33%.', { tag: 'Caption', size: 9, color: PDF_COLORS.muted });
+  }
+
+  renderElevationChart(routeData, slopeStats) {
+    const profile = calculateGradeProfile(routeData);
+    this.heading('Elevation Profile', profile.length > 0 ? PDF_LAYOUT.chartHeight + 70 : 60);
+
+    if (profile.length === 0 || !slopeStats) {
+      this.paragraph('No elevation data was recorded for this route.', { color: PDF_COLORS.muted });
+      return;
+    }
+
+    const width = this.contentWidth;
+    const height = PDF_LAYOUT.chartHeight;
+    this.ensureSpace(height + 40);
+    const axisWidth = 40;
+    const left = PDF_LAYOUT.margin + axisWidth;
+    const top = this.y;
+    const plotWidth = width - axisWidth;
+    const plotHeight = height - 20;
+
+    const totalLength = profile[profile.length - 1].startDistance + profile[profile.length - 1].length;
+    const minElevation = Math.min(...profile.map(s => Math.min(s.startElevation, s.endElevation)));
+    const maxElevation = Math.max(...profile.map(s => Math.max(s.startElevation, s.endElevation)));
+    const range = Math.max(maxElevation - minElevation, 5);
+    const x = distance => left + (distance / Math.max(totalLength, 1)) * plotWidth;
+    const y = elevation => top + plotHeight - ((elevation - minElevation) / range) * (plotHeight - 10);
+
+    const steepCount = profile.filter(s => Math.abs(s.grade) > GRADE_THRESHOLDS.gentle).length;
+    const alt = `Elevation profile over ${(totalLength / 1000).toFixed(2)} km, ` +
+      `between ${Math.round(minElevation)} m and ${Math.round(maxElevation)} m. ` +
+      `Total climb ${slopeStats.totalAscent} m, steepest grade ${slopeStats.maxGrade}%. ` +
+      `${steepCount} of ${profile.length} sections are steeper than ${GRADE_THRESHOLDS.gentle}%.`;
+
+    this.pdf.beginTag('Figure', { alt });
+    this.pdf.rect(left, top, plotWidth, plotHeight, { stroke: PDF_COLORS.border });
+
+    // Each segment filled in its grade band colour
+    profile.forEach(segment => {
+      const x1 = x(segment.startDistance);
+      const x2 = x(segment.startDistance + segment.length);
+      const color = PDF_COLORS[classifyGrade(segment.grade)];
+      this.pdf.polyline([
+        [x1, top + plotHeight],
+        [x1, y(segment.startElevation)],
+        [x2, y(segment.endElevation)],
+        [x2, top + plotHeight]
+      ], { color, width: 0.5, fill: color, close: true });
+    });
+
+    this.pdf.polyline(
+      [[x(0), y(profile[0].startElevation)], ...profile.map(s => [x(s.startDistance + s.length), y(s.endElevation)])],
+      { color: PDF_COLORS.text, width: 1.5 }
+    );
+
+    this.pdf.setFont('regular', 8);
+    this.pdf.text(`${Math.round(maxElevation)} m`, PDF_LAYOUT.margin, y(maxElevation) + 3, { color: PDF_COLORS.muted });
+    this.pdf.text(`${Math.round(minElevation)} m`, PDF_LAYOUT.margin, y(minElevation) + 3, { color: PDF_COLORS.muted });
+    this.pdf.text('0 km', left, top + plotHeight + 12, { color: PDF_COLORS.muted });
+    const endLabel = `${(totalLength / 1000).toFixed(2)} km`;
+    this.pdf.text(endLabel, left + plotWidth - this.pdf.textWidth(endLabel), top + plotHeight + 12, { color: PDF_COLORS.muted });
+    this.pdf.endTag();
+
+    this.y = top + height + 4;
+    this.paragraph(`Colour bands: green up to ${GRADE_THRESHOLDS.gentle}%, amber up to ${GRADE_THRESHOLDS.ramp}%, ` +
+      `red steeper than ${GRADE_THRESHOLDS.ramp}% (ADA ramp limit).`, { tag: 'Caption', size: 9, color: PDF_COLORS.muted });
+  }
+
+  async renderPhotos(photos) {
+    if (photos.length === 0) return;
+    this.heading('Photos');
+
+    for (let i = 0; i < photos.length; i++) {
+      const photo = photos[i];
+      const bytes = await this.loadJpeg(photo.content);
+      const image = bytes ? this.pdf.addJpeg(bytes) : null;
+      const caption = this.getPhotoCaption(photo, i);
+
+      if (!image) {
+        this.paragraph(`${caption} (image could not be included)`, { color: PDF_COLORS.muted });
+        continue;
+      }
+
+      const width = Math.min(this.contentWidth, image.width);
+      const height = Math.min(PDF_LAYOUT.maxPhotoHeight, width * image.height / image.width);
+      const drawWidth = height * image.width / image.height;
+
+      this.ensureSpace(height + 40);
+      this.pdf.beginTag('Figure', { alt: photo.caption || photo.altText || caption });
+      this.pdf.drawImage(image, PDF_LAYOUT.margin, this.y, drawWidth, height);
+      this.pdf.endTag();
+      this.y += height + 4;
+      this.paragraph(caption, { tag: 'Caption', size: 10, color: PDF_COLORS.muted, spaceAfter: 12 });
+    }
+  }
+
+  renderNotes(notes) {
+    if (notes.length === 0) return;
+    this.heading('Trail Notes');
+
+    notes.forEach(note => {
+      const where = describePointProgress(note);
+      const text = note.type === VOICE_POINT_TYPE
+        ? (hasTranscript(note) ? `Voice note: ${getVoiceNoteText(note)}` : getVoiceNoteText(note))
+        : note.content;
+      this.paragraph(`${where ? `[${where}] ` : ''}${text}`, { spaceAfter: 3 });
+    });
+  }
+
+  // ==================== HELPERS ====================
+
+  getPhotoCaption(photo, index) {
+    const progress = describePointProgress(photo);
+    return [
+      `Photo ${index + 1}`,
+      photo.caption || photo.altText,
+      progress ? `at ${progress}` : null,
+      photo.timestamp ? new Date(photo.timestamp).toLocaleTimeString() : null
+    ].filter(Boolean).join(' - ');
+  }
+
+  metresPerPoint(locationPoints, toPage) {
+    const first = locationPoints[0].coords;
+    const last = locationPoints[locationPoints.length - 1].coords;
+    const far = locationPoints.reduce((best, point) =>
+      haversineDistance(first, point.coords) > haversineDistance(first, best) ? point.coords : best, last);
+
+    const [x1, y1] = toPage(first);
+    const [x2, y2] = toPage(far);
+    const points = Math.hypot(x2 - x1, y2 - y1);
+    return points > 0 ? (haversineDistance(first, far) * 1000) / points : 0;
+  }
+
+  niceDistance(metres) {
+    const steps = [10, 20, 50, 100, 200, 500, 1000, 2000, 5000, 10000];
+    return steps.reduce((best, step) => (step <= metres ? step : best), steps[0]);
+  }
+
+  formatDistance(metres) {
+    return metres < 1000 ? `${Math.round(metres)} m` : `${(metres / 1000).toFixed(2)} km`;
+  }
+
+  formatCoords(coords) {
+    return `${coords.lat.toFixed(5)}, ${coords.lng.toFixed(5)}`;
+  }
+
+  formatDuration(milliseconds) {
+    const totalMinutes = Math.floor(milliseconds / 60000);
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+  }
+
+  /**
+   * Get JPEG bytes for a photo, re-encoding other formats through a canvas
+   * @param {string} src - Data URL or image URL
+   * @returns {Promise<Uint8Array|null>}
+   */
+  async loadJpeg(src) {
+    try {
+      const match = /^data:image\/jpe?g;base64,(.*)$/s.exec(src || '');
+      if (match) {
+        return this.base64ToBytes(match[1]);
+      }
+
+      const img = new Image();
+      img.crossOrigin = 'anonymous';
+      await new Promise((resolve, reject) => {
+        img.onload = resolve;
+        img.onerror = () => reject(new Error('Image failed to load'));
+        img.src = src;
+      });
+
+      const canvas = document.createElement('canvas');
+      canvas.width = img.naturalWidth;
+      canvas.height = img.naturalHeight;
+      const ctx = canvas.getContext('2d');
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.drawImage(img, 0, 0);
+      return this.base64ToBytes(canvas.toDataURL('image/jpeg', 0.85).split(',')[1]);
+    } catch (error) {
+      console.warn('⚠️ Could not add photo to PDF:', error.message);
+      return null;
+    }
+  }
+
+  base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+}
+
+// Create singleton instance
+const trailGuidePDF = new TrailGuidePDF();
+
+export { trailGuidePDF };
+
+console.log('📄 Trail Guide PDF loaded');
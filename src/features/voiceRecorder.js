@@ -0,0 +1,232 @@
+/**
+ * Voice Recorder
+ * Records a voice note with MediaRecorder and, where the browser offers
+ * the Web Speech API, transcribes it live while it is being spoken
+ *
+ * Speech recognition only listens to the microphone - it can't transcribe
+ * a stored clip - so the transcript is captured alongside the recording.
+ * Offline, recognition is asked to run on the device where supported;
+ * if it can't, the clip is still saved and transcribed by hand later.
+ *
+ * Access Nature - Voice Notes
+ * Created: October 2026
+ */
+
+const RECORDER_CONFIG = {
+  // Long enough for a description, short enough to keep routes uploadable
+  maxDuration: 120000,
+  audioBitsPerSecond: 24000,
+  mimeTypes: ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/mp4', 'audio/webm']
+};
+
+function getSpeechRecognition() {
+  return window.SpeechRecognition || window.webkitSpeechRecognition || null;
+}
+
+function pickMimeType() {
+  if (typeof MediaRecorder.isTypeSupported !== 'function') return '';
+  return RECORDER_CONFIG.mimeTypes.find(type => MediaRecorder.isTypeSupported(type)) || '';
+}
+
+export class VoiceRecorder {
+  /**
+   * @param {object} options
+   * @param {function} options.onTranscript - Called with the text heard so far
+   * @param {function} options.onLimit - Called when the maximum length is reached
+   */
+  constructor(options = {}) {
+    this.onTranscript = options.onTranscript || (() => {});
+    this.onLimit = options.onLimit || (() => {});
+    this.stream = null;
+    this.recorder = null;
+    this.recognition = null;
+    this.chunks = [];
+    this.finalText = '';
+    this.interimText = '';
+    this.startedAt = 0;
+    this.limitTimer = null;
+  }
+
+  static isSupported() {
+    return !!(navigator.mediaDevices?.getUserMedia && window.MediaRecorder);
+  }
+
+  static canTranscribe() {
+    return !!getSpeechRecognition();
+  }
+
+  /**
+   * Ask for the microphone and start recording
+   */
+  async start() {
+    if (!VoiceRecorder.isSupported()) {
+      throw new Error('Audio recording is not supported in this browser');
+    }
+
+    this.stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    this.chunks = [];
+
+    const mimeType = pickMimeType();
+    this.recorder = new MediaRecorder(this.stream, {
+      ...(mimeType ? { mimeType } : {}),
+      audioBitsPerSecond: RECORDER_CONFIG.audioBitsPerSecond
+    });
+    this.recorder.ondataavailable = (event) => {
+      if (event.data && event.data.size > 0) this.chunks.push(event.data);
+    };
+    this.recorder.start();
+    this.startedAt = Date.now();
+
+    this.limitTimer = setTimeout(() => this.onLimit(), RECORDER_CONFIG.maxDuration);
+
+    this.startRecognition();
+  }
+
+  startRecognition() {
+    const Recognition = getSpeechRecognition();
+    if (!Recognition) return;
+
+    try {
+      const recognition = new Recognition();
+      recognition.lang = document.documentElement.lang || navigator.language || 'en-US';
+      recognition.continuous = true;
+      recognition.interimResults = true;
+
+      // Without a connection, cloud recognition fails straight away - ask for
+      // the on-device engine where the browser has one
+      if (!navigator.onLine && 'processLocally' in recognition) {
+        recognition.processLocally = true;
+      }
+
+      recognition.onresult = (event) => {
+        let interim = '';
+        for (let i = event.resultIndex; i < event.results.length; i++) {
+          const result = event.results[i];
+          if (result.isFinal) {
+            this.finalText += `${result[0].transcript.trim()} `;
+          } else {
+            interim += result[0].transcript;
+          }
+        }
+        this.interimText = interim;
+        this.onTranscript(this.getTranscript());
+      };
+
+      recognition.onerror = (event) => {
+        console.warn('🎙️ Speech recognition unavailable:', event.error);
+        this.recognition = null;
+      };
+
+      // Recognition stops itself after a pause; keep listening until the
+      // recording ends
+      recognition.onend = () => {
+        if (this.recognition === recognition && this.recorder?.state === 'recording') {
+          try {
+            recognition.start();
+          } catch (error) {
+            this.recognition = null;
+          }
+        }
+      };
+
+      recognition.start();
+      this.recognition = recognition;
+    } catch (error) {
+      console.warn('🎙️ Could not start speech recognition:', error);
+      this.recognition = null;
+    }
+  }
+
+  getTranscript() {
+    return `${this.finalText}${this.interimText}`.replace(/\s+/g, ' ').trim();
+  }
+
+  getElapsed() {
+    return this.startedAt ? Date.now() - this.startedAt : 0;
+  }
+
+  /**
+   * Stop recording
+   * @returns {Promise<object>} { blob, mimeType, duration, transcript }
+   *                            transcript is null when nothing was recognised
+   */
+  async stop() {
+    if (!this.recorder) {
+      throw new Error('Not recording');
+    }
+
+    const recorder = this.recorder;
+    const duration = this.getElapsed();
+
+    const stopped = new Promise(resolve => {
+      recorder.onstop = resolve;
+    });
+    if (recorder.state !== 'inactive') recorder.stop();
+
+    // The last words are delivered after recognition is told to stop
+    await Promise.all([stopped, this.stopRecognition()]);
+
+    const mimeType = recorder.mimeType || this.chunks[0]?.type || 'audio/webm';
+    const blob = new Blob(this.chunks, { type: mimeType });
+    const transcript = this.getTranscript();
+    this.release();
+
+    if (blob.size === 0) {
+      throw new Error('Nothing was recorded');
+    }
+
+    return {
+      blob,
+      mimeType,
+      duration,
+      transcript: transcript || null
+    };
+  }
+
+  /**
+   * Stop recording and throw the clip away
+   */
+  cancel() {
+    if (this.recorder && this.recorder.state !== 'inactive') {
+      this.recorder.onstop = null;
+      this.recorder.stop();
+    }
+    this.stopRecognition();
+    this.release();
+  }
+
+  stopRecognition() {
+    const recognition = this.recognition;
+    this.recognition = null;
+    if (!recognition) return Promise.resolve();
+
+    return new Promise(resolve => {
+      const timer = setTimeout(resolve, 1500);
+      recognition.onend = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      try {
+        recognition.stop();
+      } catch (error) {
+        // Already stopped
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+  }
+
+  release() {
+    clearTimeout(this.limitTimer);
+    this.limitTimer = null;
+    this.stream?.getTracks().forEach(track => track.stop());
+    this.stream = null;
+    this.recorder = null;
+    this.chunks = [];
+    this.finalText = '';
+    this.interimText = '';
+    this.startedAt = 0;
+  }
+}
+
+export default VoiceRecorder;
@@ -15,12 +15,16 @@ import { AccessibilityFormV2Quick } from './features/accessibilityFormV2Quick.js
 import { trailGuideGeneratorV2 } from './features/trailGuideGeneratorV2.js';
 import { MediaController } from './features/media.js';
 import { ExportController } from './features/export.js';
+import { TrailFollowController } from './features/trailFollow.js';
+import { SegmentSurveyController } from './features/segmentSurvey.js';
 import { FirebaseController } from './features/firebase.js';
 import authController from './features/auth.js';  // Use singleton, not class
 import { toast } from './utils/toast.js';
 import { modal } from './utils/modal.js';
 import { showError, getErrorMessage } from './utils/errorMessages.js';
 import { betaFeedback } from './utils/betaFeedback.js';
+import { storageManager } from './core/storageManager.js';
+import { outbox } from './core/outbox.js';
 
 class AccessNatureApp {
   constructor() {
@@ -50,6 +54,8 @@ async initialize() {
     this.controllers.trailGuide = trailGuideGeneratorV2;  // Trail guide generator
     this.controllers.media = new MediaController(this.controllers.state);
     this.controllers.export = new ExportController(this.controllers.state);
+    this.controllers.follow = new TrailFollowController(this.controllers.state);
+    this.controllers.segments = new SegmentSurveyController(this.controllers.state);
     this.controllers.firebase = new FirebaseController();
     this.controllers.auth = authController;  // Use singleton, already created in auth.js
 
@@ -74,6 +80,10 @@ async initialize() {
     // Load saved state
     await this.loadInitialState();
 
+    // Storage usage warnings and persistence
+    storageManager.initialize(this.controllers.state);
+    storageManager.onDataSaved().catch(error => console.warn('⚠️ Storage check failed:', error));
+
     this.isInitialized = true;
     console.log('✅ App initialization complete');
 
@@ -177,6 +187,7 @@ async showRestoreDialog(backupData) {
     const locationPoints = routeData.filter(p => p && p.type === 'location').length;
     const photos = routeData.filter(p => p && p.type === 'photo').length;
     const notes = routeData.filter(p => p && p.type === 'text').length;
+    const voiceNotes = routeData.filter(p => p && p.type === 'voice').length;
     
     // Calculate time since backup
     const backupTime = backupData.backupTime || Date.now();
@@ -202,6 +213,7 @@ async showRestoreDialog(backupData) {
 📍 GPS Points: ${locationPoints}
 📷 Photos: ${photos}
 📝 Notes: ${notes}
+🎙️ Voice notes: ${voiceNotes}
 📋 Total Data: ${pointCount} entries
 
 This route was not saved before the app was closed.
@@ -505,6 +517,16 @@ showError(message) {
     this.controllers.compass.setDependencies({
       map: this.controllers.map
     });
+
+    this.controllers.follow.setDependencies({
+      map: this.controllers.map,
+      tracking: this.controllers.tracking,
+      compass: this.controllers.compass
+    });
+
+    this.controllers.segments.setDependencies({
+      map: this.controllers.map
+    });
   }
 
   async initializeControllers() {
@@ -622,6 +644,35 @@ window.addTextNote = () => {
   app?.getController('media')?.addTextNote();
 };
 
+window.addVoiceNote = () => {
+  console.log('🎙️ Adding voice note');
+  app?.getController('media')?.addVoiceNote();
+};
+
+window.transcribeVoiceNote = (timestamp) => {
+  app?.getController('media')?.transcribeVoiceNote(timestamp);
+};
+
+window.markTrailSegment = () => {
+  console.log('🧱 Marking trail segment');
+  app?.getController('segments')?.markBoundary();
+};
+
+window.toggleAutoPause = () => {
+  console.log('⏯️ Toggling auto-pause');
+  app?.getController('tracking')?.toggleAutoPause();
+};
+
+window.followTrail = () => {
+  console.log('🧭 Choosing a trail to follow');
+  app?.getController('follow')?.chooseTrail();
+};
+
+window.stopFollowingTrail = () => {
+  console.log('🧭 Stopping trail follow');
+  app?.getController('follow')?.stop();
+};
+
 window.showRouteDataOnMap = () => {
   console.log('🗺️ Showing route data on map');
   const routeData = app?.getController('state')?.getRouteData();
@@ -638,6 +689,14 @@ window.showStorageMonitor = () => {
   app?.getController('navigation')?.showStorageMonitor();
 };
 
+window.showStorageManager = () => {
+  storageManager.showManager();
+};
+
+window.showUploadQueue = () => {
+  outbox.showStatus();
+};
+
 window.triggerImport = () => {
   console.log('📥 Triggering import');
   app?.getController('export')?.triggerImport();
@@ -6,6 +6,7 @@
 import { toast } from '../utils/toast.js';
 import { modal } from '../utils/modal.js';
 import { pwaManager } from './pwaManager.js';
+import { storageManager } from '../core/storageManager.js';
 
 class OfflineMapsUI {
   constructor() {
@@ -399,6 +400,7 @@ class OfflineMapsUI {
     }
 
     toast.success(`Map downloaded! ${data.cached} tiles saved.`);
+    storageManager.onDataSaved().catch(error => console.warn('Storage check failed:', error));
 
     // Refresh the UI
     this.updateCacheSize();
@@ -437,9 +439,15 @@ class OfflineMapsUI {
     this.cachedRegions.splice(index, 1);
     this.saveCachedRegions();
 
-    // Note: This doesn't actually remove tiles from cache (would need SW enhancement)
-    // For now, just remove from our tracking
-    toast.success('Region removed');
+    // Tiles another saved region still covers are kept
+    try {
+      const freed = await storageManager.removeRegionTiles([region], this.cachedRegions);
+      toast.success(freed > 0 ? `Region removed (${this.formatBytes(freed)} freed)` : 'Region removed');
+    } catch (error) {
+      console.warn('Failed to remove region tiles:', error);
+      toast.success('Region removed');
+    }
+    this.updateCacheSize();
 
     // Refresh UI
     const overlay = document.getElementById('offlineMapsOverlay');
@@ -5,24 +5,27 @@
  * Handles:
  * - Service Worker registration & updates
  * - Install prompt (Add to Home Screen)
- * - Background sync queue
+ * - Background sync queue (through the outbox, src/core/outbox.js)
  * - Offline maps management
  * - Cache management
  */
 
 import { toast } from '../utils/toast.js';
 import { modal } from '../utils/modal.js';
+import { outbox } from '../core/outbox.js';
+
+// Outbox job type for each of the old queues
+const SYNC_QUEUE_TYPES = {
+  routes: 'route',
+  reports: 'report',
+  guides: 'guide'
+};
 
 class PWAManager {
   constructor() {
     this.swRegistration = null;
     this.deferredPrompt = null;
     this.isInstalled = false;
-    this.pendingSync = {
-      routes: [],
-      reports: [],
-      guides: []
-    };
     this.storageKey = 'accessNature_pwa';
   }
 
@@ -45,8 +48,8 @@ class PWAManager {
     // Listen for service worker messages
     this.setupMessageListener();
     
-    // Load pending sync items
-    this.loadPendingSync();
+    // Move items queued by earlier versions into the outbox
+    this.moveQueueToOutbox();
     
     // Show install prompt if appropriate
     this.maybeShowInstallBanner();
@@ -632,33 +635,25 @@ class PWAManager {
   handleSyncSuccess(data) {
     console.log('[PWA] Sync success:', data);
     toast.success(`${data.type} synced successfully`);
-    
-    // Remove from pending
-    this.removePendingItem(data.type + 's', data.id);
   }
 
   /**
-   * Load pending sync items from storage
+   * Move items queued before the outbox existed into it
    */
-  loadPendingSync() {
+  async moveQueueToOutbox() {
+    const key = this.storageKey + '_pending';
     try {
-      const saved = localStorage.getItem(this.storageKey + '_pending');
-      if (saved) {
-        this.pendingSync = JSON.parse(saved);
-      }
-    } catch (e) {
-      console.warn('[PWA] Failed to load pending sync:', e);
-    }
-  }
+      const saved = JSON.parse(localStorage.getItem(key) || 'null');
+      if (!saved) return;
 
-  /**
-   * Save pending sync items
-   */
-  savePendingSync() {
-    try {
-      localStorage.setItem(this.storageKey + '_pending', JSON.stringify(this.pendingSync));
+      for (const type of Object.keys(SYNC_QUEUE_TYPES)) {
+        for (const item of saved[type] || []) {
+          await this.addToSyncQueue(type, item.data, item.id);
+        }
+      }
+      localStorage.removeItem(key);
     } catch (e) {
-      console.warn('[PWA] Failed to save pending sync:', e);
+      console.warn('[PWA] Failed to move pending sync items:', e);
     }
   }
 
@@ -666,92 +661,22 @@ class PWAManager {
    * Add item to sync queue
    * @param {string} type - 'routes', 'reports', or 'guides'
    * @param {object} data - Data to sync
+   * @param {string} id - Optional; queuing the same id again is ignored
+   * @returns {Promise<string>} Outbox job id
    */
-  addToSyncQueue(type, data) {
-    const item = {
-      id: data.id || Date.now().toString(),
-      data,
-      timestamp: Date.now()
-    };
-    
-    this.pendingSync[type].push(item);
-    this.savePendingSync();
-    
-    // Try to sync immediately if online
-    if (this.isOnline()) {
-      this.requestSync(type);
-    }
-    
-    return item.id;
-  }
-
-  /**
-   * Remove item from pending queue
-   */
-  removePendingItem(type, id) {
-    this.pendingSync[type] = this.pendingSync[type].filter(item => item.id !== id);
-    this.savePendingSync();
-  }
-
-  /**
-   * Request background sync
-   * @param {string} tag - Sync tag
-   */
-  async requestSync(tag) {
-    if (!this.swRegistration?.sync) {
-      // Background sync not supported - sync manually
-      this.manualSync(tag);
-      return;
-    }
-
-    try {
-      await this.swRegistration.sync.register(`sync-${tag}`);
-      console.log('[PWA] Background sync registered:', tag);
-    } catch (error) {
-      console.warn('[PWA] Background sync failed, trying manual:', error);
-      this.manualSync(tag);
-    }
-  }
-
-  /**
-   * Manual sync when background sync not available
-   */
-  async manualSync(type) {
-    const items = this.pendingSync[type];
-    
-    for (const item of items) {
-      try {
-        // This would call the actual sync function
-        // For now, dispatch an event for the app to handle
-        window.dispatchEvent(new CustomEvent('pwa-sync', {
-          detail: { type, data: item.data }
-        }));
-        
-        this.removePendingItem(type, item.id);
-      } catch (error) {
-        console.error('[PWA] Manual sync failed:', error);
-      }
-    }
+  async addToSyncQueue(type, data, id = data.id || Date.now().toString()) {
+    const job = await outbox.enqueue(SYNC_QUEUE_TYPES[type], { data }, {
+      idempotencyKey: `pwa_${type}_${id}`,
+      label: data.name || data.title || null
+    });
+    return job.id;
   }
 
   /**
    * Sync all pending data
    */
   async syncPendingData() {
-    for (const type of ['routes', 'reports', 'guides']) {
-      if (this.pendingSync[type].length > 0) {
-        await this.requestSync(type);
-      }
-    }
-  }
-
-  /**
-   * Get pending sync count
-   */
-  getPendingSyncCount() {
-    return this.pendingSync.routes.length + 
-           this.pendingSync.reports.length + 
-           this.pendingSync.guides.length;
+    return outbox.process();
   }
 
   // ==================== Offline Maps ====================
@@ -1,6 +1,7 @@
 // Navigation and UI panel management
 import { toast } from '../utils/toast.js';
 import { modal } from '../utils/modal.js';
+import { photoStore } from '../core/photoStore.js';
 
 export class NavigationController {
   constructor() {
@@ -51,7 +52,7 @@ export class NavigationController {
 🗄️ Storage Type: ${storageInfo.storageType}
 📊 Usage: ${storageInfo.usageFormatted} / ${storageInfo.quotaFormatted}
 📈 Used: ${storageInfo.usagePercent}%
-${storageInfo.indexedDBSupported ? '✅ Large Storage Available' : '⚠️ Limited Storage (localStorage)'}
+${storageInfo.photoCount ? `📸 Photos: ${storageInfo.photoCount} (${storageInfo.photoSizeFormatted})\n` : ''}${storageInfo.indexedDBSupported ? '✅ Large Storage Available' : '⚠️ Limited Storage (localStorage)'}
 ${storageInfo.migrationCompleted ? '✅ Migration Completed' : '🔄 Migration Pending'}
 
 💡 Benefits of IndexedDB:
@@ -70,7 +71,7 @@ ${storageInfo.usagePercent > 80 ? '⚠️ Storage nearly full! Consider exportin
   }
 }
 
-  getStorageInfo() {
+  async getStorageInfo() {
     let totalSize = 0;
     let photoCount = 0;
     let photoSize = 0;
@@ -105,6 +106,18 @@ ${storageInfo.usagePercent > 80 ? '⚠️ Storage nearly full! Consider exportin
     const maxSize = 5 * 1024 * 1024; // 5MB typical localStorage limit
     const usagePercent = (totalSize / maxSize) * 100;
 
+    // Photos stored as blobs in IndexedDB (see photoStore.js); they don't
+    // count towards the localStorage limit
+    try {
+      const photoSizes = await photoStore.getPhotoSizes();
+      photoSizes.forEach(photo => {
+        photoCount++;
+        photoSize += photo.size + (photo.reduced ? 0 : photo.thumbnailSize);
+      });
+    } catch (error) {
+      console.warn('Error reading photo storage info:', error);
+    }
+
     return {
       totalSize,
       totalSizeKB: (totalSize / 1024).toFixed(1),
@@ -236,6 +249,23 @@ ${route.dataSize ? `💾 Size: ${this.formatBytes(route.dataSize)}` : ''}`;
   }
 }
 
+async deleteRoute(route) {
+  const confirmed = await modal.confirm(`Delete "${route.name}" and its photos? This cannot be undone.`, '🗑️ Delete Route?');
+  if (!confirmed) return;
+
+  try {
+    const state = window.AccessNatureApp?.getController('state');
+    if (await state?.deleteSession(route.id)) {
+      toast.success(`Route "${route.name}" deleted`);
+    } else {
+      toast.error('Route not found');
+    }
+  } catch (error) {
+    console.error('❌ Failed to delete route:', error);
+    toast.error('Failed to delete route');
+  }
+}
+
 formatBytes(bytes) {
   if (bytes === 0) return '0 Bytes';
   const k = 1024;
@@ -0,0 +1,348 @@
+/**
+ * Elevation & Grade Utilities
+ * Smooths GPS altitude readings and turns them into per-segment grade percentages
+ *
+ * Access Nature - Elevation Profile
+ * Created: October 2026
+ */
+
+import { haversineDistance } from './calculations.js';
+
+/**
+ * Grade thresholds (percent) used across rating and map display
+ * - gentle: ADA running slope limit for an accessible route
+ * - ramp: ADA maximum ramp slope (1:12)
+ */
+export const GRADE_THRESHOLDS = {
+  gentle: 5,
+  ramp: 8.33
+};
+
+const ELEVATION_CONFIG = {
+  // Altitude readings less accurate than this (m) don't move the smoothed value
+  maxAltitudeAccuracy: 50,
+  // Smoothing weight used when the device reports altitude without an accuracy
+  defaultSmoothing: 0.3,
+  // Centered moving-average window applied when building the profile
+  smoothingWindow: 3,
+  // Minimum horizontal distance (m) per grade segment. GPS altitude is only
+  // good to a few metres, so over shorter spans the noise swamps any real slope
+  minSegmentLength: 100,
+  // Vertical accuracy (m) assumed for readings that didn't report one
+  defaultAltitudeAccuracy: 10,
+  // Measured grades only replace surveyed ones when the readings were at
+  // least this accurate (m, median)
+  maxReliableAccuracy: 5
+};
+
+/**
+ * Smooth a new altitude reading against the previous smoothed elevation
+ * Uses an exponential moving average weighted by the reported vertical accuracy
+ * @param {number|null} previousElevation - Last smoothed elevation (m)
+ * @param {number|null} altitude - Raw altitude from position.coords (m)
+ * @param {number|null} altitudeAccuracy - Vertical accuracy from position.coords (m)
+ * @returns {number|null} New smoothed elevation, or null when this reading
+ *                        is unusable - store null on the point and keep
+ *                        passing the last smoothed value in
+ */
+export function smoothAltitude(previousElevation, altitude, altitudeAccuracy) {
+  if (typeof altitude !== 'number' || isNaN(altitude)) {
+    return null;
+  }
+
+  if (typeof altitudeAccuracy === 'number' && altitudeAccuracy > ELEVATION_CONFIG.maxAltitudeAccuracy) {
+    return null;
+  }
+
+  if (typeof previousElevation !== 'number') {
+    return altitude;
+  }
+
+  const weight = typeof altitudeAccuracy === 'number'
+    ? Math.min(0.8, Math.max(0.1, 5 / (5 + altitudeAccuracy)))
+    : ELEVATION_CONFIG.defaultSmoothing;
+
+  return previousElevation + weight * (altitude - previousElevation);
+}
+
+/**
+ * Get location points that carry an elevation reading
+ * @param {Array} routeData - Route entries
+ * @returns {Array} [{ index, coords, elevation, altitudeAccuracy, timestamp }]
+ */
+export function getElevationPoints(routeData) {
+  if (!Array.isArray(routeData)) return [];
+
+  const points = [];
+  routeData.forEach((entry, index) => {
+    if (!entry || entry.type !== 'location' || !entry.coords) return;
+
+    // Points recorded before smoothing only have the raw altitude; a null
+    // elevation means the reading was unusable
+    const elevation = entry.elevation === undefined ? entry.altitude : entry.elevation;
+    if (typeof elevation !== 'number' || isNaN(elevation)) return;
+
+    points.push({
+      index,
+      coords: entry.coords,
+      elevation,
+      altitudeAccuracy: typeof entry.altitudeAccuracy === 'number' ? entry.altitudeAccuracy : null,
+      timestamp: entry.timestamp
+    });
+  });
+
+  return points;
+}
+
+/**
+ * Apply a centered moving average to elevation points
+ * @param {Array} points - Output of getElevationPoints()
+ * @param {number} windowSize - Number of points in the window (odd)
+ * @returns {Array} Copies of the points with smoothed elevation
+ */
+export function smoothElevations(points, windowSize = ELEVATION_CONFIG.smoothingWindow) {
+  const half = Math.floor(windowSize / 2);
+
+  return points.map((point, i) => {
+    const start = Math.max(0, i - half);
+    const end = Math.min(points.length - 1, i + half);
+    let sum = 0;
+    for (let j = start; j <= end; j++) {
+      sum += points[j].elevation;
+    }
+    return { ...point, elevation: sum / (end - start + 1) };
+  });
+}
+
+/**
+ * Grade one segment from every point in it
+ * The grade is a least-squares fit over the whole span - the sustained
+ * grade - rather than the difference between two noisy end readings. A rise
+ * or drop no bigger than the readings' own error can't be told apart from
+ * noise, so the segment then counts as level.
+ * @param {Array} points - Segment points, each with `distance` along the route
+ * @param {number} startDistance
+ * @returns {object} Profile segment
+ */
+function gradeSegment(points, startDistance) {
+  const start = points[0];
+  const end = points[points.length - 1];
+  const length = end.distance - start.distance;
+
+  const meanDistance = points.reduce((sum, point) => sum + point.distance, 0) / points.length;
+  const meanElevation = points.reduce((sum, point) => sum + point.elevation, 0) / points.length;
+  let covariance = 0;
+  let variance = 0;
+  points.forEach(point => {
+    covariance += (point.distance - meanDistance) * (point.elevation - meanElevation);
+    variance += (point.distance - meanDistance) ** 2;
+  });
+  const measuredChange = variance > 0 ? (covariance / variance) * length : 0;
+
+  const accuracies = points.map(point => point.altitudeAccuracy ?? ELEVATION_CONFIG.defaultAltitudeAccuracy);
+  const accuracy = accuracies.sort((a, b) => a - b)[Math.floor(accuracies.length / 2)];
+  const elevationChange = Math.abs(measuredChange) <= accuracy ? 0 : measuredChange;
+
+  return {
+    startIndex: start.index,
+    endIndex: end.index,
+    startCoords: start.coords,
+    endCoords: end.coords,
+    startDistance,
+    length,
+    startElevation: start.elevation,
+    endElevation: end.elevation,
+    measuredChange,
+    elevationChange,
+    grade: (elevationChange / length) * 100
+  };
+}
+
+/**
+ * Build a grade profile from route data
+ * Points are grouped into segments of at least minSegmentLength metres (a
+ * shorter remainder at the end joins the last segment), and a segment whose
+ * elevation change is within the reported altitude accuracy counts as level,
+ * so altitude noise doesn't produce fake slopes.
+ * @param {Array} routeData - Route entries
+ * @param {object} options - { minSegmentLength, smoothingWindow }
+ * @returns {Array} Segments: { startIndex, endIndex, startCoords, endCoords,
+ *                   startDistance, length, startElevation, endElevation,
+ *                   measuredChange, elevationChange, grade }
+ */
+export function calculateGradeProfile(routeData, options = {}) {
+  const minSegmentLength = options.minSegmentLength ?? ELEVATION_CONFIG.minSegmentLength;
+  const windowSize = options.smoothingWindow ?? ELEVATION_CONFIG.smoothingWindow;
+
+  const points = smoothElevations(getElevationPoints(routeData), windowSize);
+  if (points.length < 2) return [];
+
+  let distance = 0;
+  points.forEach((point, i) => {
+    if (i > 0) distance += haversineDistance(points[i - 1].coords, point.coords) * 1000;
+    point.distance = distance;
+  });
+
+  const segments = [];
+  let startPosition = 0;
+
+  for (let i = 1; i < points.length; i++) {
+    const segmentLength = points[i].distance - points[startPosition].distance;
+    const isLast = i === points.length - 1;
+    if (segmentLength < minSegmentLength && !isLast) continue;
+    if (segmentLength === 0) continue;
+
+    if (segmentLength < minSegmentLength && segments.length > 0) {
+      const previous = segments.pop();
+      startPosition = points.findIndex(point => point.index === previous.startIndex);
+    }
+    segments.push(gradeSegment(points.slice(startPosition, i + 1), points[startPosition].distance));
+    startPosition = i;
+  }
+
+  return segments;
+}
+
+/**
+ * Summarise the grade profile for rating and suitability checks
+ * `reliable` is false when less than one full segment was measured or the
+ * device reported no (or poor) altitude accuracy; such grades are shown but
+ * shouldn't replace a surveyed grade.
+ * @param {Array} routeData - Route entries
+ * @returns {object|null} { maxGrade, averageGrade, totalAscent, totalDescent,
+ *                         minElevation, maxElevation, segmentCount, reliable }
+ *                         or null when the route has no usable elevation data
+ */
+export function getSlopeStats(routeData) {
+  const segments = calculateGradeProfile(routeData);
+  if (segments.length === 0) return null;
+
+  const accuracies = getElevationPoints(routeData)
+    .map(point => point.altitudeAccuracy)
+    .filter(accuracy => accuracy !== null)
+    .sort((a, b) => a - b);
+  const medianAccuracy = accuracies.length > 0 ? accuracies[Math.floor(accuracies.length / 2)] : null;
+
+  let maxGrade = 0;
+  let weightedGrade = 0;
+  let totalLength = 0;
+  let totalAscent = 0;
+  let totalDescent = 0;
+  let minElevation = Infinity;
+  let maxElevation = -Infinity;
+
+  segments.forEach(segment => {
+    const absGrade = Math.abs(segment.grade);
+    maxGrade = Math.max(maxGrade, absGrade);
+    weightedGrade += absGrade * segment.length;
+    totalLength += segment.length;
+
+    if (segment.elevationChange > 0) {
+      totalAscent += segment.elevationChange;
+    } else {
+      totalDescent -= segment.elevationChange;
+    }
+
+    minElevation = Math.min(minElevation, segment.startElevation, segment.endElevation);
+    maxElevation = Math.max(maxElevation, segment.startElevation, segment.endElevation);
+  });
+
+  const round = value => Math.round(value * 10) / 10;
+
+  return {
+    maxGrade: round(maxGrade),
+    averageGrade: round(totalLength > 0 ? weightedGrade / totalLength : 0),
+    totalAscent: Math.round(totalAscent),
+    totalDescent: Math.round(totalDescent),
+    minElevation: Math.round(minElevation),
+    maxElevation: Math.round(maxElevation),
+    segmentCount: segments.length,
+    reliable: totalLength >= ELEVATION_CONFIG.minSegmentLength &&
+      medianAccuracy !== null && medianAccuracy <= ELEVATION_CONFIG.maxReliableAccuracy
+  };
+}
+
+/**
+ * Classify a grade against the ADA thresholds
+ * @param {number} grade - Grade percentage (sign ignored)
+ * @returns {string} 'gentle', 'moderate' (over 5%) or 'steep' (over 8.33%)
+ */
+export function classifyGrade(grade) {
+  const absGrade = Math.abs(grade);
+  if (absGrade > GRADE_THRESHOLDS.ramp) return 'steep';
+  if (absGrade > GRADE_THRESHOLDS.gentle) return 'moderate';
+  return 'gentle';
+}
+
+/**
+ * Find stretches of sustained grade above the ADA 5% limit
+ * Consecutive profile segments over the limit are merged into one stretch.
+ * @param {Array} routeData - Route entries
+ * @param {object} options - { minLength } minimum stretch length in metres
+ * @returns {Array} Stretches: { startIndex, endIndex, startCoords, endCoords,
+ *                   startDistance, length, peakGrade, averageGrade,
+ *                   elevationChange, direction, severity }
+ */
+export function detectSteepSegments(routeData, options = {}) {
+  const minLength = options.minLength ?? ELEVATION_CONFIG.minSegmentLength;
+  const segments = calculateGradeProfile(routeData, options);
+  const stretches = [];
+  let current = null;
+
+  const closeStretch = () => {
+    if (current && current.length >= minLength) {
+      current.averageGrade = Math.round((current.gradeSum / current.length) * 10) / 10;
+      current.peakGrade = Math.round(current.peakGrade * 10) / 10;
+      current.direction = current.elevationChange >= 0 ? 'uphill' : 'downhill';
+      current.severity = classifyGrade(current.peakGrade);
+      delete current.gradeSum;
+      stretches.push(current);
+    }
+    current = null;
+  };
+
+  segments.forEach(segment => {
+    const absGrade = Math.abs(segment.grade);
+    const isSteep = absGrade > GRADE_THRESHOLDS.gentle;
+    // A change from climbing to descending starts a new stretch
+    const sameDirection = current && Math.sign(segment.grade) === Math.sign(current.elevationChange);
+
+    if (!isSteep || (current && !sameDirection)) {
+      closeStretch();
+    }
+    if (!isSteep) return;
+
+    if (!current) {
+      current = {
+        startIndex: segment.startIndex,
+        startCoords: segment.startCoords,
+        startDistance: segment.startDistance,
+        length: 0,
+        elevationChange: 0,
+        peakGrade: 0,
+        gradeSum: 0
+      };
+    }
+
+    current.endIndex = segment.endIndex;
+    current.endCoords = segment.endCoords;
+    current.length += segment.length;
+    current.elevationChange += segment.elevationChange;
+    current.peakGrade = Math.max(current.peakGrade, absGrade);
+    current.gradeSum += absGrade * segment.length;
+  });
+
+  closeStretch();
+  return stretches;
+}
+
+export default {
+  GRADE_THRESHOLDS,
+  smoothAltitude,
+  getElevationPoints,
+  smoothElevations,
+  calculateGradeProfile,
+  getSlopeStats,
+  classifyGrade,
+  detectSteepSegments
+};
@@ -0,0 +1,183 @@
+/**
+ * Minimal EXIF Reader
+ * Just enough of EXIF to place a photo: where and when it was taken and
+ * which way up it is. No library dependency.
+ *
+ * Reads the APP1 "Exif" segment of a JPEG: Orientation and DateTime from
+ * IFD0, DateTimeOriginal (and its offset) from the Exif IFD, and latitude,
+ * longitude and altitude from the GPS IFD. Other formats (PNG, HEIC
+ * converted by the browser) usually carry no EXIF and give an empty result.
+ *
+ * Access Nature - Media
+ * Created: October 2026
+ */
+
+const TAGS = {
+  orientation: 0x0112,
+  dateTime: 0x0132,
+  exifIFD: 0x8769,
+  gpsIFD: 0x8825,
+  dateTimeOriginal: 0x9003,
+  offsetTimeOriginal: 0x9011,
+  gpsLatitudeRef: 0x0001,
+  gpsLatitude: 0x0002,
+  gpsLongitudeRef: 0x0003,
+  gpsLongitude: 0x0004,
+  gpsAltitudeRef: 0x0005,
+  gpsAltitude: 0x0006
+};
+
+// Bytes per component for each TIFF field type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+function readIFD(view, tiffStart, offset, little) {
+  const tags = {};
+  if (tiffStart + offset + 2 > view.byteLength) return tags;
+
+  const count = view.getUint16(tiffStart + offset, little);
+  for (let i = 0; i < count; i++) {
+    const entry = tiffStart + offset + 2 + i * 12;
+    if (entry + 12 > view.byteLength) break;
+
+    const tag = view.getUint16(entry, little);
+    const type = view.getUint16(entry + 2, little);
+    const components = view.getUint32(entry + 4, little);
+    const size = (TYPE_SIZES[type] || 0) * components;
+    if (!size) continue;
+
+    // Values over 4 bytes are stored elsewhere, pointed to by the entry
+    const valueOffset = size > 4 ? tiffStart + view.getUint32(entry + 8, little) : entry + 8;
+    if (valueOffset + size > view.byteLength) continue;
+
+    tags[tag] = readValue(view, valueOffset, type, components, little);
+  }
+  return tags;
+}
+
+function readValue(view, offset, type, components, little) {
+  if (type === 2) {
+    let text = '';
+    for (let i = 0; i < components; i++) {
+      const code = view.getUint8(offset + i);
+      if (code === 0) break;
+      text += String.fromCharCode(code);
+    }
+    return text;
+  }
+
+  const values = [];
+  for (let i = 0; i < components; i++) {
+    const at = offset + i * TYPE_SIZES[type];
+    if (type === 1 || type === 7) values.push(view.getUint8(at));
+    else if (type === 3) values.push(view.getUint16(at, little));
+    else if (type === 4) values.push(view.getUint32(at, little));
+    else if (type === 9) values.push(view.getInt32(at, little));
+    else if (type === 5 || type === 10) {
+      const numerator = type === 5 ? view.getUint32(at, little) : view.getInt32(at, little);
+      const denominator = type === 5 ? view.getUint32(at + 4, little) : view.getInt32(at + 4, little);
+      values.push(denominator ? numerator / denominator : 0);
+    }
+  }
+  return components === 1 ? values[0] : values;
+}
+
+function toDegrees(dms, ref) {
+  if (!Array.isArray(dms) || dms.length < 3) return null;
+  const degrees = dms[0] + dms[1] / 60 + dms[2] / 3600;
+  return ref === 'S' || ref === 'W' ? -degrees : degrees;
+}
+
+/**
+ * Parse an EXIF date ("2026:10:04 14:32:10") to epoch ms
+ * @param {string} value
+ * @param {string} offset - e.g. "+03:00"; without it the device's time zone is assumed
+ * @returns {number|null}
+ */
+export function parseExifDate(value, offset = null) {
+  const match = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/.exec(value || '');
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second] = match;
+  const iso = `${year}-${month}-${day}T${hour}:${minute}:${second}`;
+  const time = new Date(/^[+-]\d{2}:\d{2}$/.test(offset || '') ? `${iso}${offset}` : iso).getTime();
+  return isNaN(time) ? null : time;
+}
+
+/**
+ * Read EXIF from JPEG bytes
+ * @param {ArrayBuffer} buffer
+ * @returns {object} { orientation, takenAt, coords: { lat, lng }|null, altitude }
+ *                   Fields are null when the photo doesn't carry them
+ */
+export function readExif(buffer) {
+  const result = { orientation: null, takenAt: null, coords: null, altitude: null };
+  const view = new DataView(buffer);
+
+  // JPEG files start with SOI (FFD8)
+  if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return result;
+
+  let offset = 2;
+  while (offset + 4 <= view.byteLength) {
+    const marker = view.getUint16(offset);
+    const length = view.getUint16(offset + 2);
+    if ((marker & 0xFF00) !== 0xFF00) break;
+
+    // APP1 with "Exif\0\0"
+    if (marker === 0xFFE1 && offset + 10 <= view.byteLength && view.getUint32(offset + 4) === 0x45786966) {
+      const tiffStart = offset + 10;
+      const little = view.getUint16(tiffStart) === 0x4949;
+      const ifd0 = readIFD(view, tiffStart, view.getUint32(tiffStart + 4, little), little);
+
+      if (ifd0[TAGS.orientation] >= 1 && ifd0[TAGS.orientation] <= 8) {
+        result.orientation = ifd0[TAGS.orientation];
+      }
+
+      const exif = ifd0[TAGS.exifIFD] ? readIFD(view, tiffStart, ifd0[TAGS.exifIFD], little) : {};
+      result.takenAt = parseExifDate(exif[TAGS.dateTimeOriginal], exif[TAGS.offsetTimeOriginal]) ??
+        parseExifDate(ifd0[TAGS.dateTime]);
+
+      if (ifd0[TAGS.gpsIFD]) {
+        const gps = readIFD(view, tiffStart, ifd0[TAGS.gpsIFD], little);
+        const lat = toDegrees(gps[TAGS.gpsLatitude], gps[TAGS.gpsLatitudeRef]);
+        const lng = toDegrees(gps[TAGS.gpsLongitude], gps[TAGS.gpsLongitudeRef]);
+        // 0,0 is what some cameras write when they had no fix
+        if (lat !== null && lng !== null && !(lat === 0 && lng === 0) &&
+            Math.abs(lat) <= 90 && Math.abs(lng) <= 180) {
+          result.coords = { lat, lng };
+        }
+        if (typeof gps[TAGS.gpsAltitude] === 'number') {
+          result.altitude = gps[TAGS.gpsAltitudeRef] === 1 ? -gps[TAGS.gpsAltitude] : gps[TAGS.gpsAltitude];
+        }
+      }
+      return result;
+    }
+
+    // Start of scan - no more metadata segments
+    if (marker === 0xFFDA) break;
+    offset += 2 + length;
+  }
+
+  return result;
+}
+
+/**
+ * Read EXIF from a picked or captured file
+ * @param {File|Blob} file
+ * @returns {Promise<object>} See readExif; all null when unreadable
+ */
+export async function readExifFromFile(file) {
+  try {
+    // Metadata sits at the start of the file
+    const buffer = await file.slice(0, 256 * 1024).arrayBuffer();
+    return readExif(buffer);
+  } catch (error) {
+    console.warn('Could not read photo EXIF:', error);
+    return { orientation: null, takenAt: null, coords: null, altitude: null };
+  }
+}
+
+export default {
+  readExif,
+  readExifFromFile,
+  parseExifDate
+};
@@ -0,0 +1,123 @@
+/**
+ * Geohash
+ * Encoding locations as geohash strings and finding the cells that cover
+ * an area
+ *
+ * A geohash names a rectangular cell; each extra character splits it into
+ * 32. Cells sharing a prefix are inside the same larger cell, so "all
+ * documents in cell X" is a plain string range query in Firestore:
+ * geohash >= X and geohash <= X + '\uf8ff'.
+ *
+ * Approximate cell sizes: 5 chars ≈ 4.9 × 4.9 km, 6 ≈ 1.2 × 0.6 km,
+ * 7 ≈ 153 × 153 m, 9 ≈ 5 × 5 m.
+ *
+ * Access Nature - Safety & Navigation Features
+ * Created: October 2026
+ */
+
+const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+const METRES_PER_DEGREE = 111320;
+
+/**
+ * Geohash of a location
+ * @param {number} lat
+ * @param {number} lng
+ * @param {number} precision - Number of characters
+ * @returns {string}
+ */
+export function encodeGeohash(lat, lng, precision = 9) {
+  const latRange = [-90, 90];
+  const lngRange = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let value = 0;
+  let evenBit = true;
+
+  while (hash.length < precision) {
+    // Bits alternate: longitude, latitude, longitude, ...
+    const range = evenBit ? lngRange : latRange;
+    const coord = evenBit ? lng : lat;
+    const mid = (range[0] + range[1]) / 2;
+    if (coord >= mid) {
+      value = (value << 1) | 1;
+      range[0] = mid;
+    } else {
+      value <<= 1;
+      range[1] = mid;
+    }
+    evenBit = !evenBit;
+
+    if (++bits === 5) {
+      hash += BASE32[value];
+      bits = 0;
+      value = 0;
+    }
+  }
+  return hash;
+}
+
+/**
+ * Size of a cell in degrees
+ * @param {number} precision
+ * @returns {{ lat: number, lng: number }}
+ */
+export function geohashCellSize(precision) {
+  const bits = precision * 5;
+  return {
+    lat: 180 / 2 ** Math.floor(bits / 2),
+    lng: 360 / 2 ** Math.ceil(bits / 2)
+  };
+}
+
+/**
+ * Cells covering a bounding box
+ * @param {object} bounds - { south, west, north, east } in degrees
+ * @param {number} precision
+ * @returns {string[]}
+ */
+export function geohashesInBounds(bounds, precision) {
+  const size = geohashCellSize(precision);
+  const south = Math.max(-90, bounds.south);
+  const north = Math.min(90, bounds.north);
+  const cells = new Set();
+
+  // Step through cell-sized rows and columns, always including the far edge
+  for (let lat = south; ; lat = Math.min(lat + size.lat, north)) {
+    for (let lng = bounds.west; ; lng = Math.min(lng + size.lng, bounds.east)) {
+      // Wrap across the antimeridian
+      const wrapped = ((lng + 540) % 360) - 180;
+      cells.add(encodeGeohash(lat, wrapped, precision));
+      if (lng >= bounds.east) break;
+    }
+    if (lat >= north) break;
+  }
+  return [...cells];
+}
+
+/**
+ * Cells covering a circle
+ * @param {number} lat
+ * @param {number} lng
+ * @param {number} radius - Metres
+ * @param {number} precision
+ * @returns {string[]}
+ */
+export function geohashesForRadius(lat, lng, radius, precision) {
+  const dLat = radius / METRES_PER_DEGREE;
+  // Near the poles a degree of longitude is tiny; cap rather than divide by ~0
+  const dLng = Math.min(180, radius / (METRES_PER_DEGREE * Math.max(Math.cos(lat * Math.PI / 180), 0.01)));
+  return geohashesInBounds({
+    south: lat - dLat,
+    north: lat + dLat,
+    west: lng - dLng,
+    east: lng + dLng
+  }, precision);
+}
+
+export default {
+  encodeGeohash,
+  geohashCellSize,
+  geohashesInBounds,
+  geohashesForRadius
+};
@@ -0,0 +1,224 @@
+/**
+ * GeoJSON Serializer / Parser
+ * Routes as a FeatureCollection for GIS tools
+ *
+ * - the track is one LineString feature ([lng, lat, ele] coordinates,
+ *   per-point times in properties.coordTimes)
+ * - photos, notes, rest stops and hazards are Point features
+ *
+ * Access Nature - Export
+ * Created: October 2026
+ */
+
+// Route point fields that become geometry instead of properties
+const GEOMETRY_FIELDS = ['coords', 'elevation'];
+
+function pointElevation(entry) {
+  if (typeof entry.elevation === 'number') return entry.elevation;
+  if (typeof entry.altitude === 'number') return entry.altitude;
+  return null;
+}
+
+function toPosition(coords, elevation) {
+  return typeof elevation === 'number'
+    ? [coords.lng, coords.lat, elevation]
+    : [coords.lng, coords.lat];
+}
+
+function hazardCoords(hazard) {
+  const lat = hazard.lat ?? hazard.latitude ?? hazard.location?.lat ?? hazard.location?.latitude;
+  const lng = hazard.lng ?? hazard.longitude ?? hazard.location?.lng ?? hazard.location?.longitude;
+  return typeof lat === 'number' && typeof lng === 'number' ? { lat, lng } : null;
+}
+
+/**
+ * Build a GeoJSON FeatureCollection for a route
+ * @param {Array} routeData - Route entries (all types)
+ * @param {object} options - { routeInfo, accessibilityData, hazards }
+ * @returns {object} FeatureCollection
+ */
+export function buildGeoJSON(routeData, options = {}) {
+  const entries = Array.isArray(routeData) ? routeData.filter(Boolean) : [];
+  const features = [];
+
+  const locations = entries.filter(entry => entry.type === 'location' && entry.coords);
+  if (locations.length > 0) {
+    features.push({
+      type: 'Feature',
+      geometry: {
+        type: 'LineString',
+        coordinates: locations.map(entry => toPosition(entry.coords, pointElevation(entry)))
+      },
+      properties: {
+        featureType: 'track',
+        name: options.routeInfo?.name || 'Access Nature Route',
+        ...(options.routeInfo || {}),
+        accessibility: options.accessibilityData || null,
+        coordTimes: locations.map(entry => new Date(entry.timestamp).toISOString()),
+        accuracy: locations.map(entry => entry.accuracy ?? null)
+      }
+    });
+  }
+
+  entries.forEach(entry => {
+    if (entry.type === 'location' || !entry.coords) return;
+
+    const properties = { featureType: entry.type };
+    Object.entries(entry).forEach(([key, value]) => {
+      if (!GEOMETRY_FIELDS.includes(key) && key !== 'type') {
+        properties[key] = value;
+      }
+    });
+    properties.time = new Date(entry.timestamp).toISOString();
+
+    features.push({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: toPosition(entry.coords, pointElevation(entry)) },
+      properties
+    });
+  });
+
+  (options.hazards || []).forEach(hazard => {
+    const coords = hazardCoords(hazard);
+    if (!coords) return;
+
+    features.push({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: toPosition(coords) },
+      properties: {
+        featureType: 'hazard',
+        id: hazard.id || null,
+        title: hazard.title || 'Hazard',
+        issueType: hazard.issueType || null,
+        severity: hazard.severity ?? null,
+        description: hazard.description || ''
+      }
+    });
+  });
+
+  return {
+    type: 'FeatureCollection',
+    features
+  };
+}
+
+function lineToPoints(coordinates, properties) {
+  const times = Array.isArray(properties?.coordTimes) ? properties.coordTimes : [];
+  const accuracy = Array.isArray(properties?.accuracy) ? properties.accuracy : [];
+
+  return coordinates
+    .filter(position => Array.isArray(position) && position.length >= 2)
+    .map((position, i) => {
+      const point = {
+        type: 'location',
+        coords: { lat: position[1], lng: position[0] }
+      };
+      if (typeof position[2] === 'number') point.elevation = position[2];
+      const timestamp = times[i] ? new Date(times[i]).getTime() : NaN;
+      if (!isNaN(timestamp)) point.timestamp = timestamp;
+      if (typeof accuracy[i] === 'number') point.accuracy = accuracy[i];
+      return point;
+    });
+}
+
+function featureToPoint(feature) {
+  const [lng, lat, elevation] = feature.geometry.coordinates;
+  const properties = { ...(feature.properties || {}) };
+  const featureType = properties.featureType;
+  delete properties.featureType;
+  delete properties.time;
+
+  const point = { ...properties, coords: { lat, lng } };
+  if (typeof elevation === 'number') point.elevation = elevation;
+
+  const time = feature.properties?.time || feature.properties?.timestamp;
+  const timestamp = typeof time === 'number' ? time : new Date(time).getTime();
+  if (!isNaN(timestamp)) point.timestamp = timestamp;
+
+  if (['photo', 'text', 'voice', 'rest', 'segment', 'surface', 'feature'].includes(featureType)) {
+    point.type = featureType;
+  } else if (featureType === 'hazard') {
+    point.type = 'text';
+    point.content = `⚠️ ${properties.title || 'Hazard'}${properties.description ? ' - ' + properties.description : ''}`;
+  } else {
+    // Points from other tools become notes
+    point.type = 'text';
+    point.content = properties.content || properties.name || properties.title || properties.description || 'Point of interest';
+  }
+
+  return point;
+}
+
+/**
+ * Parse GeoJSON into route data
+ * Accepts a FeatureCollection, a single Feature or a bare geometry.
+ * @param {object|string} input - GeoJSON object or text
+ * @returns {object} { name, routeData, routeInfo, accessibilityData }
+ */
+export function parseGeoJSON(input) {
+  const data = typeof input === 'string' ? JSON.parse(input) : input;
+  let features = [];
+
+  if (data?.type === 'FeatureCollection' && Array.isArray(data.features)) {
+    features = data.features;
+  } else if (data?.type === 'Feature') {
+    features = [data];
+  } else if (data?.type && data.coordinates) {
+    features = [{ type: 'Feature', geometry: data, properties: {} }];
+  } else {
+    throw new Error('Invalid GeoJSON - expected a FeatureCollection, Feature or geometry');
+  }
+
+  const points = [];
+  let name = null;
+  let routeInfo = null;
+  let accessibilityData = null;
+
+  features.forEach(feature => {
+    const geometry = feature?.geometry;
+    if (!geometry) return;
+    const properties = feature.properties || {};
+
+    switch (geometry.type) {
+      case 'LineString':
+        points.push(...lineToPoints(geometry.coordinates, properties));
+        break;
+      case 'MultiLineString':
+        geometry.coordinates.forEach((line, i) => {
+          const times = properties.coordTimes?.[i];
+          points.push(...lineToPoints(line, { coordTimes: Array.isArray(times) ? times : [] }));
+        });
+        break;
+      case 'Point':
+        points.push(featureToPoint(feature));
+        break;
+      case 'MultiPoint':
+        geometry.coordinates.forEach(position => {
+          points.push(featureToPoint({ geometry: { type: 'Point', coordinates: position }, properties }));
+        });
+        break;
+    }
+
+    if (properties.featureType === 'track' || (!name && /LineString/.test(geometry.type))) {
+      name = properties.name || name;
+      if (properties.featureType === 'track') {
+        const { featureType, accessibility, coordTimes, accuracy, ...info } = properties;
+        routeInfo = info;
+        accessibilityData = accessibility || null;
+      }
+    }
+  });
+
+  const now = Date.now();
+  points.forEach((point, i) => {
+    if (typeof point.timestamp !== 'number') point.timestamp = now + i * 1000;
+  });
+  points.sort((a, b) => a.timestamp - b.timestamp);
+
+  return { name, routeData: points, routeInfo, accessibilityData };
+}
+
+export default {
+  buildGeoJSON,
+  parseGeoJSON
+};
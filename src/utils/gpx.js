@@ -0,0 +1,421 @@
+/**
+ * GPX 1.1 Serializer / Parser
+ * Round-trips Access Nature routes through GPX without losing data
+ *
+ * - location points -> <trkpt> with <ele>, split into <trkseg> at pauses
+ * - photo, text note, rest, segment boundary and quick-tag points -> <wpt>
+ * - everything GPX has no element for -> accessnature: extensions
+ *
+ * Files from other apps are read too: <trk>, <rte> and plain <wpt>.
+ *
+ * Access Nature - Export
+ * Created: October 2026
+ */
+
+import { describePointProgress } from './routeMetrics.js';
+import { getVoiceNoteText } from './voiceNotes.js';
+
+export const GPX_NAMESPACE = 'http://www.topografix.com/GPX/1/1';
+export const ACCESSNATURE_NAMESPACE = 'https://accessnature.app/xmlschemas/gpx/v1';
+
+const GPX_CONFIG = {
+  // A gap between fixes longer than this (ms) is treated as a pause and starts a new <trkseg>
+  segmentGap: 60000,
+  prefix: 'accessnature'
+};
+
+// Route point types written as waypoints, with their GPX <type> and default <name>
+const WAYPOINT_TYPES = {
+  photo: { gpxType: 'photo', name: 'Photo' },
+  text: { gpxType: 'note', name: 'Note' },
+  voice: { gpxType: 'voice', name: 'Voice note' },
+  rest: { gpxType: 'rest', name: 'Rest stop' },
+  segment: { gpxType: 'segment', name: 'Segment start' },
+  surface: { gpxType: 'surface', name: 'Surface' },
+  feature: { gpxType: 'feature', name: 'Trail feature' }
+};
+
+// Fields that map onto standard GPX elements and so aren't repeated in extensions
+const STANDARD_FIELDS = ['type', 'coords', 'timestamp', 'elevation'];
+
+const XML_NAME = /^[A-Za-z_][\w.-]*$/;
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function isoTime(timestamp) {
+  const date = new Date(timestamp);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Serialize a JS value as accessnature: elements
+ * Non-string values carry a type attribute so they come back unchanged.
+ */
+function serializeValue(key, value, indent) {
+  const { prefix } = GPX_CONFIG;
+  const tag = XML_NAME.test(key) ? `${prefix}:${key}` : `${prefix}:field`;
+  const nameAttr = XML_NAME.test(key) ? '' : ` name="${escapeXml(key)}"`;
+
+  if (value === undefined || typeof value === 'function') return '';
+
+  if (value === null) {
+    return `${indent}<${tag}${nameAttr} type="null"/>\n`;
+  }
+
+  if (Array.isArray(value)) {
+    const items = value.map(item => serializeValue('item', item, indent + '  ')).join('');
+    return `${indent}<${tag}${nameAttr} type="array">\n${items}${indent}</${tag}>\n`;
+  }
+
+  if (typeof value === 'object') {
+    const children = Object.entries(value)
+      .map(([childKey, childValue]) => serializeValue(childKey, childValue, indent + '  '))
+      .join('');
+    return `${indent}<${tag}${nameAttr} type="object">\n${children}${indent}</${tag}>\n`;
+  }
+
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return `${indent}<${tag}${nameAttr} type="${typeof value}">${value}</${tag}>\n`;
+  }
+
+  return `${indent}<${tag}${nameAttr}>${escapeXml(value)}</${tag}>\n`;
+}
+
+function parseValue(element) {
+  const type = element.getAttribute('type');
+  const children = Array.from(element.children);
+
+  switch (type) {
+    case 'null':
+      return null;
+    case 'number':
+      return Number(element.textContent);
+    case 'boolean':
+      return element.textContent.trim() === 'true';
+    case 'array':
+      return children.map(parseValue);
+    case 'object':
+      return parseFields(element);
+    default:
+      return element.textContent;
+  }
+}
+
+function parseFields(element) {
+  const result = {};
+  Array.from(element.children).forEach(child => {
+    const key = child.getAttribute('name') || child.localName;
+    result[key] = parseValue(child);
+  });
+  return result;
+}
+
+function isAccessNatureElement(element) {
+  return element.namespaceURI === ACCESSNATURE_NAMESPACE || element.prefix === GPX_CONFIG.prefix;
+}
+
+function childElement(parent, localName) {
+  return Array.from(parent.children).find(child => child.localName === localName) || null;
+}
+
+function childText(parent, localName) {
+  const child = childElement(parent, localName);
+  return child ? child.textContent.trim() : null;
+}
+
+/**
+ * Read the accessnature: block from an element's <extensions>
+ * @returns {object|null}
+ */
+function readExtension(parent, localName) {
+  const extensions = childElement(parent, 'extensions');
+  if (!extensions) return null;
+
+  const block = Array.from(extensions.children)
+    .find(child => child.localName === localName && isAccessNatureElement(child));
+  return block ? parseFields(block) : null;
+}
+
+function writeExtension(localName, fields, indent) {
+  const body = Object.entries(fields)
+    .map(([key, value]) => serializeValue(key, value, indent + '    '))
+    .join('');
+  if (!body) return '';
+
+  const tag = `${GPX_CONFIG.prefix}:${localName}`;
+  return `${indent}<extensions>\n${indent}  <${tag}>\n${body}${indent}  </${tag}>\n${indent}</extensions>\n`;
+}
+
+function extraFields(entry, sequence) {
+  const extra = { seq: sequence };
+  Object.entries(entry).forEach(([key, value]) => {
+    if (!STANDARD_FIELDS.includes(key)) {
+      extra[key] = value;
+    }
+  });
+  // Keep "no coordinates" distinct from the fallback position written on the waypoint
+  if (!entry.coords) {
+    extra.coords = null;
+  }
+  return extra;
+}
+
+function pointElevation(entry) {
+  if (typeof entry.elevation === 'number') return entry.elevation;
+  if (typeof entry.altitude === 'number') return entry.altitude;
+  return null;
+}
+
+/**
+ * Split location points into track segments at pauses
+ * A rest stop or a long gap between fixes starts a new segment.
+ * @param {Array} routeData - Route entries
+ * @returns {Array} Segments of [{ entry, sequence }]
+ */
+function splitSegments(routeData) {
+  const segments = [];
+  let current = [];
+  let lastTimestamp = null;
+
+  routeData.forEach((entry, sequence) => {
+    if (!entry) return;
+
+    if (entry.type === 'rest') {
+      if (current.length > 0) segments.push(current);
+      current = [];
+      lastTimestamp = null;
+      return;
+    }
+
+    if (entry.type !== 'location' || !entry.coords) return;
+
+    if (lastTimestamp !== null && entry.timestamp - lastTimestamp > GPX_CONFIG.segmentGap && current.length > 0) {
+      segments.push(current);
+      current = [];
+    }
+
+    current.push({ entry, sequence });
+    lastTimestamp = entry.timestamp;
+  });
+
+  if (current.length > 0) segments.push(current);
+  return segments;
+}
+
+/**
+ * Build a GPX 1.1 document for a route
+ * @param {Array} routeData - Route entries (all types)
+ * @param {object} options - { name, description, routeInfo, accessibilityData }
+ * @returns {string} GPX XML
+ */
+export function buildGPX(routeData, options = {}) {
+  const { prefix } = GPX_CONFIG;
+  const entries = Array.isArray(routeData) ? routeData : [];
+  const name = options.name || options.routeInfo?.name || 'Access Nature Route';
+  const description = options.description || 'Generated by Access Nature App';
+
+  let gpx = `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Access Nature" xmlns="${GPX_NAMESPACE}" xmlns:${prefix}="${ACCESSNATURE_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="${GPX_NAMESPACE} http://www.topografix.com/GPX/1/1/gpx.xsd">
+  <metadata>
+    <name>${escapeXml(name)}</name>
+    <desc>${escapeXml(description)}</desc>
+    <time>${new Date().toISOString()}</time>
+`;
+
+  const metadataExtensions = [];
+  if (options.routeInfo) {
+    metadataExtensions.push(serializeValue('route', options.routeInfo, '      '));
+  }
+  if (options.accessibilityData) {
+    metadataExtensions.push(serializeValue('survey', options.accessibilityData, '      '));
+  }
+  if (metadataExtensions.length > 0) {
+    gpx += `    <extensions>\n${metadataExtensions.join('')}    </extensions>\n`;
+  }
+  gpx += '  </metadata>\n';
+
+  // Waypoints must come before tracks in GPX 1.1
+  let lastCoords = entries.find(entry => entry?.coords)?.coords || { lat: 0, lng: 0 };
+  entries.forEach((entry, sequence) => {
+    if (!entry) return;
+    if (entry.coords) lastCoords = entry.coords;
+    if (entry.type === 'location') return;
+
+    const waypointType = WAYPOINT_TYPES[entry.type] || { gpxType: entry.type, name: entry.type };
+    const coords = entry.coords || lastCoords;
+    const elevation = pointElevation(entry);
+    const time = isoTime(entry.timestamp);
+
+    gpx += `  <wpt lat="${coords.lat}" lon="${coords.lng}">\n`;
+    if (elevation !== null) gpx += `    <ele>${elevation}</ele>\n`;
+    if (time) gpx += `    <time>${time}</time>\n`;
+    gpx += `    <name>${escapeXml(waypointType.name)}</name>\n`;
+    const progress = describePointProgress(entry);
+    if (progress) gpx += `    <cmt>${escapeXml(`${waypointType.name} at ${progress}`)}</cmt>\n`;
+    if (entry.type === 'text' && entry.content) {
+      gpx += `    <desc>${escapeXml(entry.content)}</desc>\n`;
+    } else if (entry.type === 'voice') {
+      gpx += `    <desc>${escapeXml(getVoiceNoteText(entry))}</desc>\n`;
+    } else if (entry.caption) {
+      gpx += `    <desc>${escapeXml(entry.caption)}</desc>\n`;
+    }
+    gpx += `    <type>${escapeXml(waypointType.gpxType)}</type>\n`;
+    gpx += writeExtension('point', extraFields(entry, sequence), '    ');
+    gpx += '  </wpt>\n';
+  });
+
+  gpx += `  <trk>\n    <name>${escapeXml(name)}</name>\n`;
+
+  splitSegments(entries).forEach(segment => {
+    gpx += '    <trkseg>\n';
+    segment.forEach(({ entry, sequence }) => {
+      const elevation = pointElevation(entry);
+      const time = isoTime(entry.timestamp);
+
+      gpx += `      <trkpt lat="${entry.coords.lat}" lon="${entry.coords.lng}">\n`;
+      if (elevation !== null) gpx += `        <ele>${elevation}</ele>\n`;
+      if (time) gpx += `        <time>${time}</time>\n`;
+      gpx += writeExtension('point', extraFields(entry, sequence), '        ');
+      gpx += '      </trkpt>\n';
+    });
+    gpx += '    </trkseg>\n';
+  });
+
+  gpx += '  </trk>\n</gpx>\n';
+  return gpx;
+}
+
+function readPoint(element, type) {
+  const lat = parseFloat(element.getAttribute('lat'));
+  const lng = parseFloat(element.getAttribute('lon'));
+  if (isNaN(lat) || isNaN(lng)) return null;
+
+  const point = { type, coords: { lat, lng } };
+
+  const time = childText(element, 'time');
+  if (time) {
+    const timestamp = new Date(time).getTime();
+    if (!isNaN(timestamp)) point.timestamp = timestamp;
+  }
+
+  const ele = parseFloat(childText(element, 'ele'));
+  if (!isNaN(ele)) point.elevation = ele;
+
+  const extension = readExtension(element, 'point');
+  if (extension) {
+    Object.assign(point, extension);
+  }
+
+  return point;
+}
+
+function readWaypoint(element) {
+  const point = readPoint(element, 'text');
+  if (!point) return null;
+
+  // Our own waypoints restore their type and fields from the extension
+  if (readExtension(element, 'point')) {
+    const gpxType = childText(element, 'type');
+    const known = Object.entries(WAYPOINT_TYPES).find(([, info]) => info.gpxType === gpxType);
+    point.type = known ? known[0] : (gpxType || 'text');
+    return point;
+  }
+
+  // Waypoints from other apps become text notes
+  const name = childText(element, 'name');
+  const desc = childText(element, 'desc') || childText(element, 'cmt');
+  point.content = [name, desc].filter(Boolean).join(' - ') || 'Waypoint';
+  return point;
+}
+
+/**
+ * Parse a GPX document into route data
+ * @param {string} text - GPX XML
+ * @returns {object} { name, routeData, routeInfo, accessibilityData,
+ *                    counts: { trackPoints, routePoints, waypoints, segments } }
+ */
+export function parseGPX(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Invalid GPX file - could not parse XML');
+  }
+
+  const root = doc.documentElement;
+  if (!root || root.localName !== 'gpx') {
+    throw new Error('Invalid GPX file - missing <gpx> element');
+  }
+
+  const metadata = childElement(root, 'metadata');
+  const metadataExtensions = metadata ? childElement(metadata, 'extensions') : null;
+  const readMetadataBlock = localName => {
+    if (!metadataExtensions) return null;
+    const block = Array.from(metadataExtensions.children)
+      .find(child => child.localName === localName && isAccessNatureElement(child));
+    return block ? parseValue(block) : null;
+  };
+
+  const points = [];
+  const counts = { trackPoints: 0, routePoints: 0, waypoints: 0, segments: 0 };
+
+  Array.from(root.getElementsByTagName('wpt')).forEach(wpt => {
+    const point = readWaypoint(wpt);
+    if (point) {
+      points.push(point);
+      counts.waypoints++;
+    }
+  });
+
+  Array.from(root.getElementsByTagName('trkseg')).forEach(trkseg => {
+    counts.segments++;
+    Array.from(trkseg.children)
+      .filter(child => child.localName === 'trkpt')
+      .forEach(trkpt => {
+        const point = readPoint(trkpt, 'location');
+        if (point) {
+          points.push(point);
+          counts.trackPoints++;
+        }
+      });
+  });
+
+  Array.from(root.getElementsByTagName('rtept')).forEach(rtept => {
+    const point = readPoint(rtept, 'location');
+    if (point) {
+      points.push(point);
+      counts.routePoints++;
+    }
+  });
+
+  // Restore the original order when every point carries one, otherwise go by time
+  const hasSequence = points.length > 0 && points.every(point => typeof point.seq === 'number');
+  const now = Date.now();
+  points.forEach((point, i) => {
+    if (typeof point.timestamp !== 'number') point.timestamp = now + i * 1000;
+  });
+  points.sort((a, b) => hasSequence ? a.seq - b.seq : a.timestamp - b.timestamp);
+  points.forEach(point => delete point.seq);
+
+  const routeInfo = readMetadataBlock('route');
+
+  return {
+    name: (metadata && childText(metadata, 'name')) || childText(childElement(root, 'trk') || root, 'name') || null,
+    routeData: points,
+    routeInfo,
+    accessibilityData: readMetadataBlock('survey'),
+    counts
+  };
+}
+
+export default {
+  buildGPX,
+  parseGPX,
+  GPX_NAMESPACE,
+  ACCESSNATURE_NAMESPACE
+};
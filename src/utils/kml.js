@@ -0,0 +1,407 @@
+/**
+ * KML / KMZ Serializer / Parser
+ * Routes for Google Earth and GIS tools
+ *
+ * - the track is a LineString placemark (per-point times kept in ExtendedData)
+ * - photos, notes, rest stops and hazards are Point placemarks
+ * - KML embeds photos as data URLs; KMZ stores them as files under images/
+ *
+ * Access Nature - Export
+ * Created: October 2026
+ */
+
+import { createZip, readZip } from './zip.js';
+import { getVoiceNoteText } from './voiceNotes.js';
+
+export const KML_NAMESPACE = 'http://www.opengis.net/kml/2.2';
+// Marks ExtendedData values written as JSON; everything else is plain text
+export const ACCESSNATURE_KML_NAMESPACE = 'https://accessnature.app/xmlschemas/kml/v1';
+const ACCESSNATURE_PREFIX = 'accessnature';
+
+// KML colours are aabbggrr
+const KML_STYLES = {
+  track: '<LineStyle><color>ff327d2e</color><width>4</width></LineStyle>',
+  photo: '<IconStyle><Icon><href>http://maps.google.com/mapfiles/kml/shapes/camera.png</href></Icon></IconStyle>',
+  text: '<IconStyle><Icon><href>http://maps.google.com/mapfiles/kml/shapes/info.png</href></Icon></IconStyle>',
+  rest: '<IconStyle><Icon><href>http://maps.google.com/mapfiles/kml/shapes/picnic.png</href></Icon></IconStyle>',
+  hazard: '<IconStyle><Icon><href>http://maps.google.com/mapfiles/kml/shapes/caution.png</href></Icon></IconStyle>'
+};
+
+const PLACEMARK_NAMES = {
+  photo: 'Photo',
+  text: 'Note',
+  voice: 'Voice note',
+  rest: 'Rest stop',
+  segment: 'Segment start',
+  surface: 'Surface',
+  feature: 'Trail feature'
+};
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function cdata(html) {
+  return `<![CDATA[${String(html).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+function pointElevation(entry) {
+  if (typeof entry.elevation === 'number') return entry.elevation;
+  if (typeof entry.altitude === 'number') return entry.altitude;
+  return null;
+}
+
+function coordinate(coords, elevation) {
+  return typeof elevation === 'number'
+    ? `${coords.lng},${coords.lat},${elevation}`
+    : `${coords.lng},${coords.lat}`;
+}
+
+function hazardCoords(hazard) {
+  const lat = hazard.lat ?? hazard.latitude ?? hazard.location?.lat ?? hazard.location?.latitude;
+  const lng = hazard.lng ?? hazard.longitude ?? hazard.location?.lng ?? hazard.location?.longitude;
+  return typeof lat === 'number' && typeof lng === 'number' ? { lat, lng } : null;
+}
+
+function extendedData(fields, indent) {
+  const rows = Object.entries(fields)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => {
+      if (typeof value === 'string') {
+        return `${indent}  <Data name="${escapeXml(key)}"><value>${escapeXml(value)}</value></Data>\n`;
+      }
+      return `${indent}  <Data name="${escapeXml(key)}" ${ACCESSNATURE_PREFIX}:type="json"><value>${escapeXml(JSON.stringify(value))}</value></Data>\n`;
+    })
+    .join('');
+  return rows ? `${indent}<ExtendedData>\n${rows}${indent}</ExtendedData>\n` : '';
+}
+
+function readExtendedData(element) {
+  const result = {};
+  const container = Array.from(element.children).find(child => child.localName === 'ExtendedData');
+  if (!container) return result;
+
+  Array.from(container.getElementsByTagName('Data')).forEach(data => {
+    const key = data.getAttribute('name');
+    const valueElement = Array.from(data.children).find(child => child.localName === 'value');
+    if (!key || !valueElement) return;
+
+    const text = valueElement.textContent;
+    const isJSON = data.getAttributeNS(ACCESSNATURE_KML_NAMESPACE, 'type') === 'json' ||
+      data.getAttribute(`${ACCESSNATURE_PREFIX}:type`) === 'json';
+    try {
+      result[key] = isJSON ? JSON.parse(text) : text;
+    } catch {
+      result[key] = text;
+    }
+  });
+  return result;
+}
+
+function placemark({ name, description, when, style, data, geometry }) {
+  let xml = '    <Placemark>\n';
+  xml += `      <name>${escapeXml(name)}</name>\n`;
+  if (description) xml += `      <description>${cdata(description)}</description>\n`;
+  if (when) xml += `      <TimeStamp><when>${when}</when></TimeStamp>\n`;
+  xml += `      <styleUrl>#${style}</styleUrl>\n`;
+  xml += extendedData(data, '      ');
+  xml += `      ${geometry}\n`;
+  xml += '    </Placemark>\n';
+  return xml;
+}
+
+/**
+ * Build a KML document for a route
+ * @param {Array} routeData - Route entries (all types)
+ * @param {object} options - { routeInfo, accessibilityData, hazards,
+ *                  photoHref(entry, index) -> href to use instead of the inline data URL }
+ * @returns {string} KML XML
+ */
+export function buildKML(routeData, options = {}) {
+  const entries = Array.isArray(routeData) ? routeData.filter(Boolean) : [];
+  const name = options.routeInfo?.name || 'Access Nature Route';
+
+  let kml = `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="${KML_NAMESPACE}" xmlns:${ACCESSNATURE_PREFIX}="${ACCESSNATURE_KML_NAMESPACE}">
+  <Document>
+    <name>${escapeXml(name)}</name>
+    <description>Generated by Access Nature App</description>
+`;
+
+  Object.entries(KML_STYLES).forEach(([id, style]) => {
+    kml += `    <Style id="${id}">${style}</Style>\n`;
+  });
+
+  kml += extendedData({
+    ...(options.routeInfo || {}),
+    accessibility: options.accessibilityData || null
+  }, '    ');
+
+  const locations = entries.filter(entry => entry.type === 'location' && entry.coords);
+  if (locations.length > 0) {
+    const times = locations.map(entry => new Date(entry.timestamp).toISOString());
+    kml += placemark({
+      name: `${name} - Track`,
+      style: 'track',
+      data: { type: 'track', coordTimes: times },
+      geometry: `<LineString><tessellate>1</tessellate><coordinates>${
+        locations.map(entry => coordinate(entry.coords, pointElevation(entry))).join(' ')
+      }</coordinates></LineString>`
+    });
+  }
+
+  entries.forEach((entry, index) => {
+    if (entry.type === 'location' || !entry.coords) return;
+
+    let description = '';
+    const data = { type: entry.type };
+
+    if (entry.type === 'photo') {
+      const href = options.photoHref?.(entry, index) || entry.content;
+      const alt = entry.caption || entry.altText || 'Trail photo';
+      description = `<img src="${escapeXml(href)}" alt="${escapeXml(alt)}" style="max-width:400px"/>`;
+      if (entry.caption) description += `<p>${escapeXml(entry.caption)}</p>`;
+    } else if (entry.type === 'text') {
+      description = `<p>${escapeXml(entry.content || '')}</p>`;
+    } else if (entry.type === 'voice') {
+      description = `<p>${escapeXml(getVoiceNoteText(entry))}</p>`;
+    } else if (entry.type === 'rest') {
+      const minutes = Math.max(1, Math.round((entry.duration || 0) / 60000));
+      description = `<p>Stopped for ${minutes} min</p>`;
+    }
+
+    // Everything except the bulky photo data rides along in ExtendedData
+    Object.entries(entry).forEach(([key, value]) => {
+      if (['type', 'coords', 'elevation', 'timestamp'].includes(key)) return;
+      if (entry.type === 'photo' && key === 'content') return;
+      data[key] = value;
+    });
+
+    kml += placemark({
+      name: PLACEMARK_NAMES[entry.type] || entry.type,
+      description,
+      when: new Date(entry.timestamp).toISOString(),
+      style: KML_STYLES[entry.type] ? entry.type : 'text',
+      data,
+      geometry: `<Point><coordinates>${coordinate(entry.coords, pointElevation(entry))}</coordinates></Point>`
+    });
+  });
+
+  (options.hazards || []).forEach(hazard => {
+    const coords = hazardCoords(hazard);
+    if (!coords) return;
+
+    kml += placemark({
+      name: `⚠️ ${hazard.title || 'Hazard'}`,
+      description: hazard.description ? `<p>${escapeXml(hazard.description)}</p>` : '',
+      style: 'hazard',
+      data: {
+        type: 'hazard',
+        id: hazard.id,
+        issueType: hazard.issueType,
+        severity: hazard.severity
+      },
+      geometry: `<Point><coordinates>${coordinate(coords)}</coordinates></Point>`
+    });
+  });
+
+  kml += '  </Document>\n</kml>\n';
+  return kml;
+}
+
+function dataUrlToBytes(dataUrl) {
+  const match = /^data:([^;,]+)?(;base64)?,(.*)$/s.exec(dataUrl || '');
+  if (!match || !match[2]) return null;
+
+  const binary = atob(match[3]);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return { mimeType: match[1] || 'image/jpeg', bytes };
+}
+
+function bytesToDataUrl(bytes, mimeType) {
+  let binary = '';
+  const chunk = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunk) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunk));
+  }
+  return `data:${mimeType};base64,${btoa(binary)}`;
+}
+
+/**
+ * Build a KMZ archive (doc.kml plus photo files)
+ * @param {Array} routeData - Route entries (all types)
+ * @param {object} options - Same as buildKML()
+ * @returns {Uint8Array} KMZ bytes
+ */
+export function buildKMZ(routeData, options = {}) {
+  const files = [];
+  const photoHrefs = new Map();
+
+  (routeData || []).forEach((entry, index) => {
+    if (entry?.type !== 'photo') return;
+    const decoded = dataUrlToBytes(entry.content);
+    if (!decoded) return;
+
+    const extension = decoded.mimeType.split('/')[1]?.replace('jpeg', 'jpg') || 'jpg';
+    const path = `images/photo-${files.length + 1}.${extension}`;
+    files.push({ name: path, data: decoded.bytes });
+    photoHrefs.set(index, path);
+  });
+
+  const kml = buildKML(routeData, {
+    ...options,
+    photoHref: (entry, index) => photoHrefs.get(index)
+  });
+
+  // doc.kml must be the first entry in a KMZ
+  return createZip([{ name: 'doc.kml', data: kml }, ...files]);
+}
+
+function parseCoordinates(text) {
+  return (text || '')
+    .trim()
+    .split(/\s+/)
+    .map(tuple => tuple.split(',').map(Number))
+    .filter(values => values.length >= 2 && !isNaN(values[0]) && !isNaN(values[1]));
+}
+
+function childText(parent, localName) {
+  const child = parent.getElementsByTagName(localName)[0];
+  return child ? child.textContent.trim() : null;
+}
+
+function stripHtml(html) {
+  const doc = new DOMParser().parseFromString(html || '', 'text/html');
+  return doc.body.textContent.trim();
+}
+
+/**
+ * Parse a KML document into route data
+ * @param {string} text - KML XML
+ * @param {object} options - { files } Map of KMZ file name -> bytes, for linked photos
+ * @returns {object} { name, routeData, routeInfo, accessibilityData }
+ */
+export function parseKML(text, options = {}) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Invalid KML file - could not parse XML');
+  }
+
+  const files = options.files || new Map();
+  const points = [];
+  const documentElement = doc.getElementsByTagName('Document')[0] || doc.documentElement;
+  const { accessibility, ...routeInfo } = readExtendedData(documentElement);
+
+  Array.from(doc.getElementsByTagName('Placemark')).forEach(placemarkElement => {
+    const data = readExtendedData(placemarkElement);
+    const name = childText(placemarkElement, 'name');
+    const descriptionHtml = childText(placemarkElement, 'description') || '';
+    const when = childText(placemarkElement, 'when');
+
+    // Google Earth tracks carry their own times
+    const track = placemarkElement.getElementsByTagNameNS('*', 'Track')[0];
+    if (track) {
+      const times = Array.from(track.getElementsByTagName('when')).map(el => el.textContent.trim());
+      Array.from(track.getElementsByTagNameNS('*', 'coord')).forEach((coord, i) => {
+        const [lng, lat, elevation] = coord.textContent.trim().split(/\s+/).map(Number);
+        if (isNaN(lat) || isNaN(lng)) return;
+        const point = { type: 'location', coords: { lat, lng } };
+        if (!isNaN(elevation)) point.elevation = elevation;
+        const timestamp = new Date(times[i]).getTime();
+        if (!isNaN(timestamp)) point.timestamp = timestamp;
+        points.push(point);
+      });
+      return;
+    }
+
+    Array.from(placemarkElement.getElementsByTagName('LineString')).forEach(line => {
+      const times = Array.isArray(data.coordTimes) ? data.coordTimes : [];
+      parseCoordinates(childText(line, 'coordinates')).forEach(([lng, lat, elevation], i) => {
+        const point = { type: 'location', coords: { lat, lng } };
+        if (typeof elevation === 'number' && !isNaN(elevation)) point.elevation = elevation;
+        const timestamp = times[i] ? new Date(times[i]).getTime() : NaN;
+        if (!isNaN(timestamp)) point.timestamp = timestamp;
+        points.push(point);
+      });
+    });
+
+    const pointElement = placemarkElement.getElementsByTagName('Point')[0];
+    if (!pointElement) return;
+
+    const [position] = parseCoordinates(childText(pointElement, 'coordinates'));
+    if (!position) return;
+
+    const { type, ...fields } = data;
+    const point = { ...fields, coords: { lat: position[1], lng: position[0] } };
+    if (typeof position[2] === 'number' && !isNaN(position[2])) point.elevation = position[2];
+    const timestamp = when ? new Date(when).getTime() : NaN;
+    if (!isNaN(timestamp)) point.timestamp = timestamp;
+
+    if (type === 'photo') {
+      const src = /<img[^>]+src="([^"]+)"/i.exec(descriptionHtml)?.[1]?.replace(/&amp;/g, '&');
+      const file = src && files.get(src);
+      const extension = src?.split('.').pop()?.toLowerCase();
+      point.type = 'photo';
+      point.content = file
+        ? bytesToDataUrl(file, extension === 'png' ? 'image/png' : 'image/jpeg')
+        : src;
+      if (!point.content) return;
+    } else if (['text', 'voice', 'rest', 'segment', 'surface', 'feature'].includes(type)) {
+      point.type = type;
+    } else {
+      // Hazards and placemarks from other tools become notes
+      point.type = 'text';
+      point.content = [name, stripHtml(descriptionHtml)].filter(Boolean).join(' - ') || 'Placemark';
+    }
+
+    points.push(point);
+  });
+
+  const now = Date.now();
+  points.forEach((point, i) => {
+    if (typeof point.timestamp !== 'number') point.timestamp = now + i * 1000;
+  });
+  points.sort((a, b) => a.timestamp - b.timestamp);
+
+  return {
+    name: childText(documentElement, 'name'),
+    routeData: points,
+    routeInfo: Object.keys(routeInfo).length > 0 ? routeInfo : null,
+    accessibilityData: accessibility || null
+  };
+}
+
+/**
+ * Parse a KMZ archive into route data
+ * @param {ArrayBuffer} buffer - KMZ bytes
+ * @returns {Promise<object>} Same shape as parseKML()
+ */
+export async function parseKMZ(buffer) {
+  const files = await readZip(buffer);
+  const kmlName = files.has('doc.kml')
+    ? 'doc.kml'
+    : Array.from(files.keys()).find(name => name.toLowerCase().endsWith('.kml'));
+
+  if (!kmlName) {
+    throw new Error('Invalid KMZ file - no KML document inside');
+  }
+
+  const text = new TextDecoder().decode(files.get(kmlName));
+  return parseKML(text, { files });
+}
+
+export default {
+  buildKML,
+  buildKMZ,
+  parseKML,
+  parseKMZ,
+  KML_NAMESPACE,
+  ACCESSNATURE_KML_NAMESPACE
+};
@@ -0,0 +1,483 @@
+/**
+ * Tagged PDF Writer
+ * Small dependency-free PDF 1.7 writer so PDFs can be built offline and
+ * come out identical in every browser
+ *
+ * - A4 pages, top-left origin in points (1/72 inch)
+ * - Helvetica / Helvetica-Bold (standard fonts, WinAnsi text)
+ * - vector lines, rectangles, polylines and circles
+ * - JPEG images (DCTDecode)
+ * - tagged structure (H1, H2, P, Figure with Alt text, ...) and artifacts,
+ *   so screen readers get a proper reading order
+ *
+ * Access Nature - Export
+ * Created: October 2026
+ */
+
+export const PAGE_SIZE = { width: 595.28, height: 841.89 };
+
+// Glyph widths (1/1000 em) for ASCII 32-126, from the Adobe AFM files
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+const FONTS = {
+  regular: { resource: 'F1', baseFont: 'Helvetica', widths: HELVETICA_WIDTHS },
+  bold: { resource: 'F2', baseFont: 'Helvetica-Bold', widths: HELVETICA_BOLD_WIDTHS }
+};
+
+// Unicode punctuation that has a WinAnsi code point outside Latin-1
+const WIN_ANSI_EXTRAS = {
+  '–': 0x96, '—': 0x97, '‘': 0x91, '’': 0x92,
+  '“': 0x93, '”': 0x94, '•': 0x95, '…': 0x85, '€': 0x80
+};
+
+/**
+ * Convert text to WinAnsi byte values
+ * Emoji and other characters the standard fonts can't show are dropped.
+ */
+function toWinAnsi(text) {
+  const codes = [];
+  for (const char of String(text ?? '')) {
+    const code = char.codePointAt(0);
+    if (WIN_ANSI_EXTRAS[char]) {
+      codes.push(WIN_ANSI_EXTRAS[char]);
+    } else if (code === 9) {
+      codes.push(32);
+    } else if ((code >= 32 && code < 127) || (code >= 160 && code <= 255)) {
+      codes.push(code);
+    }
+  }
+  return codes;
+}
+
+/**
+ * Text the standard fonts can render (emoji stripped, spacing tidied)
+ * @param {string} text
+ * @returns {string}
+ */
+export function pdfSafeText(text) {
+  return Array.from(String(text ?? ''))
+    .filter(char => toWinAnsi(char).length > 0)
+    .join('')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function pdfString(text) {
+  return '(' + toWinAnsi(text).map(code => {
+    if (code === 40 || code === 41 || code === 92) return '\\' + String.fromCharCode(code);
+    if (code > 126) return '\\' + code.toString(8).padStart(3, '0');
+    return String.fromCharCode(code);
+  }).join('') + ')';
+}
+
+// Unicode text string (metadata, alt text) as UTF-16BE hex
+function pdfTextString(text) {
+  let hex = 'FEFF';
+  for (const char of String(text ?? '')) {
+    const code = char.codePointAt(0);
+    if (code > 0xFFFF) {
+      const high = Math.floor((code - 0x10000) / 0x400) + 0xD800;
+      const low = ((code - 0x10000) % 0x400) + 0xDC00;
+      hex += high.toString(16).padStart(4, '0') + low.toString(16).padStart(4, '0');
+    } else {
+      hex += code.toString(16).padStart(4, '0');
+    }
+  }
+  return `<${hex.toUpperCase()}>`;
+}
+
+function num(value) {
+  return (Math.round(value * 100) / 100).toString();
+}
+
+function colorOperands(hex) {
+  const clean = String(hex || '#000000').replace('#', '');
+  const full = clean.length === 3 ? clean.split('').map(c => c + c).join('') : clean;
+  const value = parseInt(full, 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255]
+    .map(channel => num(channel / 255))
+    .join(' ');
+}
+
+/**
+ * Read width, height and colour components from JPEG bytes
+ * @param {Uint8Array} bytes
+ * @returns {object|null} { width, height, components }
+ */
+export function readJpegInfo(bytes) {
+  if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) return null;
+
+  let offset = 2;
+  while (offset < bytes.length) {
+    if (bytes[offset] !== 0xFF) return null;
+    const marker = bytes[offset + 1];
+    const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+      return {
+        height: (bytes[offset + 5] << 8) | bytes[offset + 6],
+        width: (bytes[offset + 7] << 8) | bytes[offset + 8],
+        components: bytes[offset + 9]
+      };
+    }
+    offset += 2 + length;
+  }
+  return null;
+}
+
+export class PDFWriter {
+  /**
+   * @param {object} options - { title, author, subject, lang }
+   */
+  constructor(options = {}) {
+    this.title = options.title || 'Document';
+    this.author = options.author || '';
+    this.subject = options.subject || '';
+    this.lang = options.lang || 'en';
+
+    this.pages = [];
+    this.images = [];
+    this.structElements = [];
+    this.openTag = null;
+    this.font = FONTS.regular;
+    this.fontSize = 12;
+  }
+
+  get pageWidth() {
+    return PAGE_SIZE.width;
+  }
+
+  get pageHeight() {
+    return PAGE_SIZE.height;
+  }
+
+  get currentPage() {
+    return this.pages[this.pages.length - 1];
+  }
+
+  addPage() {
+    const reopen = this.openTag;
+    if (reopen) this.endContent();
+
+    this.pages.push({ ops: [], nextMcid: 0, mcids: [], imageRefs: new Set() });
+
+    // A tag left open across the break continues on the new page
+    if (reopen) this.beginContent(reopen);
+    return this.pages.length - 1;
+  }
+
+  write(op) {
+    if (!this.currentPage) this.addPage();
+    this.currentPage.ops.push(op);
+  }
+
+  // ==================== STRUCTURE ====================
+
+  /**
+   * Start a structure element; content drawn until endTag() belongs to it
+   * @param {string} type - Standard structure type (H1, H2, P, Figure, Caption, ...)
+   * @param {object} options - { alt } alternate text, required for Figure
+   */
+  beginTag(type, options = {}) {
+    if (this.openTag) this.endTag();
+
+    const element = { type, alt: options.alt || null, kids: [] };
+    this.structElements.push(element);
+    this.beginContent(element);
+  }
+
+  endTag() {
+    if (!this.openTag) return;
+    this.endContent();
+  }
+
+  beginContent(element) {
+    if (!this.currentPage) this.addPage();
+    const page = this.currentPage;
+    const mcid = page.nextMcid++;
+
+    page.mcids.push(element);
+    element.kids.push({ page: this.pages.length - 1, mcid });
+    this.write(`/${element.type} <</MCID ${mcid}>> BDC`);
+    this.openTag = element;
+  }
+
+  endContent() {
+    this.write('EMC');
+    this.openTag = null;
+  }
+
+  /**
+   * Draw decorative content that screen readers should skip
+   * @param {function} draw - Drawing callback
+   */
+  artifact(draw) {
+    const tag = this.openTag;
+    if (tag) this.endContent();
+    this.write('/Artifact BMC');
+    draw();
+    this.write('EMC');
+    if (tag) this.beginContent(tag);
+  }
+
+  // ==================== TEXT ====================
+
+  setFont(style = 'regular', size = this.fontSize) {
+    this.font = FONTS[style] || FONTS.regular;
+    this.fontSize = size;
+  }
+
+  textWidth(text, size = this.fontSize, style = null) {
+    const font = style ? FONTS[style] : this.font;
+    const width = toWinAnsi(text).reduce((sum, code) => {
+      const glyph = code >= 32 && code <= 126 ? font.widths[code - 32] : 556;
+      return sum + glyph;
+    }, 0);
+    return (width / 1000) * size;
+  }
+
+  /**
+   * Split text into lines that fit a width
+   * @returns {string[]}
+   */
+  wrapText(text, maxWidth, size = this.fontSize, style = null) {
+    const words = pdfSafeText(text).split(' ').filter(Boolean);
+    const lines = [];
+    let line = '';
+
+    words.forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (this.textWidth(candidate, size, style) <= maxWidth || !line) {
+        line = candidate;
+      } else {
+        lines.push(line);
+        line = word;
+      }
+    });
+    if (line) lines.push(line);
+    return lines;
+  }
+
+  /**
+   * Draw a single line of text; y is the baseline measured from the top
+   */
+  text(text, x, y, options = {}) {
+    const color = options.color || '#000000';
+    this.write(`BT /${this.font.resource} ${num(this.fontSize)} Tf ${colorOperands(color)} rg ` +
+      `1 0 0 1 ${num(x)} ${num(this.pageHeight - y)} Tm ${pdfString(text)} Tj ET`);
+  }
+
+  // ==================== GRAPHICS ====================
+
+  line(x1, y1, x2, y2, options = {}) {
+    this.write(`${colorOperands(options.color)} RG ${num(options.width ?? 1)} w ` +
+      `${num(x1)} ${num(this.pageHeight - y1)} m ${num(x2)} ${num(this.pageHeight - y2)} l S`);
+  }
+
+  rect(x, y, width, height, options = {}) {
+    const path = `${num(x)} ${num(this.pageHeight - y - height)} ${num(width)} ${num(height)} re`;
+    this.paint(path, options);
+  }
+
+  /**
+   * @param {Array} points - [[x, y], ...]
+   * @param {object} options - { color, width, fill, close }
+   */
+  polyline(points, options = {}) {
+    if (points.length < 2) return;
+    const path = points.map(([x, y], i) =>
+      `${num(x)} ${num(this.pageHeight - y)} ${i === 0 ? 'm' : 'l'}`
+    ).join(' ') + (options.close ? ' h' : '');
+    this.paint(path, { stroke: options.color || '#000000', width: options.width, fill: options.fill });
+  }
+
+  circle(cx, cy, radius, options = {}) {
+    const k = 0.5523 * radius;
+    const y = this.pageHeight - cy;
+    const path = [
+      `${num(cx + radius)} ${num(y)} m`,
+      `${num(cx + radius)} ${num(y + k)} ${num(cx + k)} ${num(y + radius)} ${num(cx)} ${num(y + radius)} c`,
+      `${num(cx - k)} ${num(y + radius)} ${num(cx - radius)} ${num(y + k)} ${num(cx - radius)} ${num(y)} c`,
+      `${num(cx - radius)} ${num(y - k)} ${num(cx - k)} ${num(y - radius)} ${num(cx)} ${num(y - radius)} c`,
+      `${num(cx + k)} ${num(y - radius)} ${num(cx + radius)} ${num(y - k)} ${num(cx + radius)} ${num(y)} c`
+    ].join(' ');
+    this.paint(path, options);
+  }
+
+  paint(path, options) {
+    const ops = [];
+    if (options.fill) ops.push(`${colorOperands(options.fill)} rg`);
+    if (options.stroke) ops.push(`${colorOperands(options.stroke)} RG ${num(options.width ?? 1)} w 1 j 1 J`);
+    const operator = options.fill && options.stroke ? 'B' : options.fill ? 'f' : 'S';
+    this.write(`q ${ops.join(' ')} ${path} ${operator} Q`);
+  }
+
+  // ==================== IMAGES ====================
+
+  /**
+   * Register a JPEG image
+   * @param {Uint8Array} bytes - JPEG file bytes
+   * @returns {object|null} { id, width, height } or null if not a usable JPEG
+   */
+  addJpeg(bytes) {
+    const info = readJpegInfo(bytes);
+    if (!info || ![1, 3, 4].includes(info.components)) return null;
+
+    const image = { id: `Im${this.images.length + 1}`, bytes, ...info };
+    this.images.push(image);
+    return image;
+  }
+
+  drawImage(image, x, y, width, height) {
+    if (!this.currentPage) this.addPage();
+    this.currentPage.imageRefs.add(image.id);
+    this.write(`q ${num(width)} 0 0 ${num(height)} ${num(x)} ${num(this.pageHeight - y - height)} cm /${image.id} Do Q`);
+  }
+
+  // ==================== OUTPUT ====================
+
+  /**
+   * Serialize the document
+   * @returns {Uint8Array} PDF bytes
+   */
+  output() {
+    if (this.openTag) this.endTag();
+    if (this.pages.length === 0) this.addPage();
+
+    const objects = [];
+    const allocate = () => objects.push(null);
+    const set = (id, body) => { objects[id - 1] = body; };
+
+    const catalogId = allocate();
+    const pagesId = allocate();
+    const infoId = allocate();
+    const structRootId = allocate();
+    const documentElementId = allocate();
+    const fontIds = {};
+    Object.entries(FONTS).forEach(([style]) => { fontIds[style] = allocate(); });
+    const imageIds = {};
+    this.images.forEach(image => { imageIds[image.id] = allocate(); });
+    const pageIds = this.pages.map(() => ({ page: allocate(), content: allocate() }));
+    this.structElements.forEach(element => { element.objectId = allocate(); });
+
+    Object.entries(FONTS).forEach(([style, font]) => {
+      set(fontIds[style], `<< /Type /Font /Subtype /Type1 /BaseFont /${font.baseFont} /Encoding /WinAnsiEncoding >>`);
+    });
+
+    this.images.forEach(image => {
+      const colorSpace = image.components === 1 ? '/DeviceGray' : image.components === 4 ? '/DeviceCMYK' : '/DeviceRGB';
+      const decode = image.components === 4 ? ' /Decode [1 0 1 0 1 0 1 0]' : '';
+      set(imageIds[image.id], {
+        dict: `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+          `/ColorSpace ${colorSpace} /BitsPerComponent 8 /Filter /DCTDecode${decode} /Length ${image.bytes.length} >>`,
+        stream: image.bytes
+      });
+    });
+
+    const fontResources = Object.entries(FONTS)
+      .map(([style, font]) => `/${font.resource} ${fontIds[style]} 0 R`)
+      .join(' ');
+
+    this.pages.forEach((page, index) => {
+      const ids = pageIds[index];
+      const xobjects = Array.from(page.imageRefs).map(id => `/${id} ${imageIds[id]} 0 R`).join(' ');
+      set(ids.page, `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${num(this.pageWidth)} ${num(this.pageHeight)}] ` +
+        `/Resources << /Font << ${fontResources} >>${xobjects ? ` /XObject << ${xobjects} >>` : ''} >> ` +
+        `/Contents ${ids.content} 0 R /StructParents ${index} /Tabs /S >>`);
+      set(ids.content, { dict: '', stream: new TextEncoder().encode(page.ops.join('\n')) });
+    });
+
+    set(pagesId, `<< /Type /Pages /Kids [${pageIds.map(ids => `${ids.page} 0 R`).join(' ')}] /Count ${this.pages.length} >>`);
+
+    this.structElements.forEach(element => {
+      const kids = element.kids
+        .map(kid => `<< /Type /MCR /Pg ${pageIds[kid.page].page} 0 R /MCID ${kid.mcid} >>`)
+        .join(' ');
+      const alt = element.alt ? ` /Alt ${pdfTextString(element.alt)}` : '';
+      set(element.objectId, `<< /Type /StructElem /S /${element.type} /P ${documentElementId} 0 R${alt} /K [${kids}] >>`);
+    });
+
+    set(documentElementId, `<< /Type /StructElem /S /Document /P ${structRootId} 0 R ` +
+      `/K [${this.structElements.map(element => `${element.objectId} 0 R`).join(' ')}] >>`);
+
+    const parentTree = this.pages
+      .map((page, index) => `${index} [${page.mcids.map(element => `${element.objectId} 0 R`).join(' ')}]`)
+      .join(' ');
+    set(structRootId, `<< /Type /StructTreeRoot /K ${documentElementId} 0 R ` +
+      `/ParentTree << /Nums [${parentTree}] >> /ParentTreeNextKey ${this.pages.length} >>`);
+
+    const now = new Date();
+    const pad = value => String(value).padStart(2, '0');
+    const pdfDate = `D:${now.getUTCFullYear()}${pad(now.getUTCMonth() + 1)}${pad(now.getUTCDate())}` +
+      `${pad(now.getUTCHours())}${pad(now.getUTCMinutes())}${pad(now.getUTCSeconds())}Z`;
+    set(infoId, `<< /Title ${pdfTextString(this.title)} /Author ${pdfTextString(this.author)} ` +
+      `/Subject ${pdfTextString(this.subject)} /Creator ${pdfTextString('Access Nature')} /CreationDate (${pdfDate}) >>`);
+
+    set(catalogId, `<< /Type /Catalog /Pages ${pagesId} 0 R /Lang ${pdfTextString(this.lang)} ` +
+      `/MarkInfo << /Marked true >> /StructTreeRoot ${structRootId} 0 R ` +
+      `/ViewerPreferences << /DisplayDocTitle true >> >>`);
+
+    return this.serialize(objects, catalogId, infoId);
+  }
+
+  serialize(objects, catalogId, infoId) {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    let length = 0;
+    const push = (data) => {
+      const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+      chunks.push(bytes);
+      length += bytes.length;
+    };
+
+    push('%PDF-1.7\n%\xE2\xE3\xCF\xD3\n');
+    const offsets = [];
+
+    objects.forEach((body, index) => {
+      offsets.push(length);
+      push(`${index + 1} 0 obj\n`);
+      if (typeof body === 'string') {
+        push(body);
+      } else {
+        const dict = body.dict || `<< /Length ${body.stream.length} >>`;
+        push(`${dict}\nstream\n`);
+        push(body.stream);
+        push('\nendstream');
+      }
+      push('\nendobj\n');
+    });
+
+    const xrefOffset = length;
+    push(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+    offsets.forEach(offset => push(`${String(offset).padStart(10, '0')} 00000 n \n`));
+    push(`trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n`);
+    push(`startxref\n${xrefOffset}\n%%EOF\n`);
+
+    const output = new Uint8Array(length);
+    let position = 0;
+    chunks.forEach(chunk => {
+      output.set(chunk, position);
+      position += chunk.length;
+    });
+    return output;
+  }
+}
+
+export default PDFWriter;
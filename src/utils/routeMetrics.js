@@ -0,0 +1,130 @@
+/**
+ * Route Metrics
+ * Cumulative distance, moving time and elevation carried on every route point
+ *
+ * - distance: metres travelled along the track up to this point
+ * - movingTime: ms spent moving since the start (rest stops and long
+ *   gaps between fixes don't count)
+ * - elevation: the point's own elevation, or the last known one for
+ *   photos, notes and other points recorded off the GPS track
+ *
+ * AppState.addRoutePoint applies these as points arrive; routes saved
+ * before these fields existed are back-filled with annotateRouteMetrics.
+ *
+ * Access Nature - Route Model
+ * Created: October 2026
+ */
+
+import { haversineDistance } from './calculations.js';
+
+const METRICS_CONFIG = {
+  // A gap between fixes longer than this (ms) is a pause, not movement
+  // (same rule the GPX export uses to split track segments)
+  movingGap: 60000
+};
+
+function readElevation(entry) {
+  if (typeof entry.elevation === 'number' && !isNaN(entry.elevation)) return entry.elevation;
+  if (typeof entry.altitude === 'number' && !isNaN(entry.altitude)) return entry.altitude;
+  return null;
+}
+
+/**
+ * Running totals used while walking a route in order
+ * @returns {object}
+ */
+export function createMetricsCursor() {
+  return {
+    lastLocation: null,
+    distance: 0,
+    movingTime: 0,
+    elevation: null,
+    restTime: 0
+  };
+}
+
+/**
+ * Annotate one route point and advance the running totals
+ * @param {object} cursor - From createMetricsCursor (updated in place)
+ * @param {object} entry - Route point
+ * @returns {object} Copy of the entry with distance, movingTime and elevation
+ */
+export function applyPointMetrics(cursor, entry) {
+  const elevation = readElevation(entry);
+
+  if (entry.type === 'location' && entry.coords) {
+    const last = cursor.lastLocation;
+    if (last) {
+      cursor.distance += haversineDistance(last.coords, entry.coords) * 1000;
+
+      const gap = (entry.timestamp || 0) - (last.timestamp || 0);
+      if (gap > 0 && gap <= METRICS_CONFIG.movingGap + cursor.restTime) {
+        cursor.movingTime += Math.max(0, gap - cursor.restTime);
+      }
+    }
+    cursor.lastLocation = { coords: entry.coords, timestamp: entry.timestamp };
+    cursor.restTime = 0;
+  } else if (entry.type === 'rest' && typeof entry.duration === 'number') {
+    // Time spent stopped before the next fix
+    cursor.restTime += entry.duration;
+  }
+
+  if (elevation !== null) cursor.elevation = elevation;
+
+  return {
+    ...entry,
+    distance: Math.round(cursor.distance * 10) / 10,
+    movingTime: cursor.movingTime,
+    elevation: elevation !== null ? elevation : cursor.elevation
+  };
+}
+
+/**
+ * Annotate a whole route (back-fill for routes saved without metrics)
+ * @param {Array} routeData - Route entries in recorded order
+ * @param {object} cursor - Optional cursor, left positioned after the last point
+ * @returns {Array} New array of annotated entries
+ */
+export function annotateRouteMetrics(routeData, cursor = createMetricsCursor()) {
+  if (!Array.isArray(routeData)) return [];
+  return routeData.filter(Boolean).map(entry => applyPointMetrics(cursor, entry));
+}
+
+/**
+ * Whether every point already carries the cumulative fields
+ * @param {Array} routeData
+ * @returns {boolean}
+ */
+export function hasRouteMetrics(routeData) {
+  return Array.isArray(routeData) && routeData.every(entry =>
+    entry && typeof entry.distance === 'number' && typeof entry.movingTime === 'number');
+}
+
+/**
+ * Short "how far along" label for a point, e.g. "1.2 km, 18 min in"
+ * @param {object} entry - Annotated route point
+ * @returns {string} Empty when the point has no metrics
+ */
+export function describePointProgress(entry) {
+  if (!entry || typeof entry.distance !== 'number') return '';
+
+  const distance = entry.distance < 1000
+    ? `${Math.round(entry.distance)} m`
+    : `${(entry.distance / 1000).toFixed(1)} km`;
+
+  if (typeof entry.movingTime !== 'number') return distance;
+
+  const minutes = Math.round(entry.movingTime / 60000);
+  const time = minutes >= 60
+    ? `${Math.floor(minutes / 60)} h ${minutes % 60} min in`
+    : `${minutes} min in`;
+  return `${distance}, ${time}`;
+}
+
+export default {
+  createMetricsCursor,
+  applyPointMetrics,
+  annotateRouteMetrics,
+  hasRouteMetrics,
+  describePointProgress
+};
@@ -0,0 +1,298 @@
+/**
+ * Route Narrative
+ * Turns a recorded track into an ordered list of spoken-style directions
+ * for the accessible (linear, screen-reader friendly) trail guide
+ *
+ * - turns come from bearing changes along a resampled track
+ * - photos, notes, rest stops, surface changes, marked segments, tagged
+ *   features, steep stretches and hazards become landmarks at their
+ *   distance along the route
+ *
+ * Access Nature - Accessible Guide
+ * Created: October 2026
+ */
+
+import { haversineDistance, calculateBearing } from './calculations.js';
+import { detectSteepSegments } from './elevation.js';
+import { SURFACE_TYPES, TRAIL_FEATURES } from '../features/accessibilityRating.js';
+import { SEGMENT_POINT_TYPE, describeSegmentAttributes } from './routeSegments.js';
+import { VOICE_POINT_TYPE, hasTranscript, getVoiceNoteText, getVoiceNoteAudio } from './voiceNotes.js';
+
+const NARRATIVE_CONFIG = {
+  // Track is resampled to legs of this length (m) before looking for turns
+  legLength: 15,
+  // Bearing change (degrees) that counts as a turn
+  turnThreshold: 30,
+  // Turns closer together than this (m) are merged into one
+  mergeDistance: 20,
+  // Landmarks further than this (m) from the track are ignored
+  maxLandmarkOffset: 60
+};
+
+const COMPASS_POINTS = ['north', 'north-east', 'east', 'south-east', 'south', 'south-west', 'west', 'north-west'];
+
+/**
+ * Name the compass direction for a bearing
+ * @param {number} bearing - Degrees from north
+ * @returns {string}
+ */
+export function compassDirection(bearing) {
+  return COMPASS_POINTS[Math.round(((bearing % 360) + 360) % 360 / 45) % 8];
+}
+
+/**
+ * Describe a change of heading
+ * @param {number} change - Signed degrees, positive is clockwise (right)
+ * @returns {string|null} e.g. 'Turn left', 'Bear right', or null when straight on
+ */
+export function describeTurn(change) {
+  const magnitude = Math.abs(change);
+  const side = change > 0 ? 'right' : 'left';
+
+  if (magnitude < NARRATIVE_CONFIG.turnThreshold) return null;
+  if (magnitude < 60) return `Bear ${side}`;
+  if (magnitude < 120) return `Turn ${side}`;
+  if (magnitude < 160) return `Turn sharply ${side}`;
+  return 'Turn around and follow the path back';
+}
+
+function bearingChange(from, to) {
+  return ((to - from + 540) % 360) - 180;
+}
+
+export function formatNarrativeDistance(metres) {
+  if (metres >= 1000) return `${(metres / 1000).toFixed(1)} kilometres`;
+  const rounded = metres < 100 ? Math.max(5, Math.round(metres / 5) * 5) : Math.round(metres / 10) * 10;
+  return `${rounded} metres`;
+}
+
+/**
+ * Cumulative distance (m) for each location point
+ */
+function measureTrack(locationPoints) {
+  let travelled = 0;
+  return locationPoints.map((point, i) => {
+    if (i > 0) travelled += haversineDistance(locationPoints[i - 1].coords, point.coords) * 1000;
+    return { coords: point.coords, distance: travelled, entry: point };
+  });
+}
+
+/**
+ * Resample the track into legs of roughly equal length so GPS jitter
+ * between close fixes doesn't read as turns
+ */
+function resample(track, legLength) {
+  if (track.length === 0) return [];
+  const samples = [track[0]];
+  track.forEach(point => {
+    if (point.distance - samples[samples.length - 1].distance >= legLength) {
+      samples.push(point);
+    }
+  });
+  const last = track[track.length - 1];
+  if (samples[samples.length - 1] !== last && last.distance > samples[samples.length - 1].distance) {
+    samples.push(last);
+  }
+  return samples;
+}
+
+/**
+ * Find where an off-track coordinate sits along the route
+ * @returns {object|null} { distance, offset } in metres
+ */
+function locateOnTrack(track, coords) {
+  if (!coords || track.length === 0) return null;
+  let best = null;
+  track.forEach(point => {
+    const offset = haversineDistance(point.coords, coords) * 1000;
+    if (!best || offset < best.offset) best = { distance: point.distance, offset };
+  });
+  return best;
+}
+
+function surfaceLabel(surface) {
+  return SURFACE_TYPES[surface]?.label || String(surface).replace(/_/g, ' ');
+}
+
+/**
+ * Build the ordered list of narrative steps for a route
+ * @param {Array} routeData - Route entries
+ * @param {object} options - { hazards } known hazards near the route
+ * @returns {object} { totalDistance, steps: [{ kind, distance, sinceLast, text, detail, image, alt, audio }] }
+ */
+export function buildRouteNarrative(routeData, options = {}) {
+  const entries = Array.isArray(routeData) ? routeData.filter(Boolean) : [];
+  const locationPoints = entries.filter(entry => entry.type === 'location' && entry.coords);
+  const track = measureTrack(locationPoints);
+  const totalDistance = track.length > 0 ? track[track.length - 1].distance : 0;
+  const events = [];
+
+  if (track.length < 2) {
+    return { totalDistance, steps: [] };
+  }
+
+  // Turns from bearing changes between resampled legs
+  const samples = resample(track, NARRATIVE_CONFIG.legLength);
+  const bearings = [];
+  for (let i = 1; i < samples.length; i++) {
+    bearings.push({
+      bearing: calculateBearing(samples[i - 1].coords, samples[i].coords),
+      distance: samples[i - 1].distance
+    });
+  }
+
+  events.push({
+    kind: 'start',
+    distance: 0,
+    text: bearings.length > 0
+      ? `Start of the trail. Head ${compassDirection(bearings[0].bearing)}.`
+      : 'Start of the trail.'
+  });
+
+  let lastTurn = null;
+  for (let i = 1; i < bearings.length; i++) {
+    const change = bearingChange(bearings[i - 1].bearing, bearings[i].bearing);
+    const description = describeTurn(change);
+    if (!description) continue;
+
+    const distance = bearings[i].distance;
+    if (lastTurn && distance - lastTurn.distance < NARRATIVE_CONFIG.mergeDistance) {
+      // Two small bends close together read as one turn
+      lastTurn.change += change;
+      const merged = describeTurn(lastTurn.change);
+      if (merged) {
+        lastTurn.text = `${merged}, heading ${compassDirection(bearings[i].bearing)}.`;
+      } else {
+        events.splice(events.indexOf(lastTurn), 1);
+        lastTurn = null;
+      }
+      continue;
+    }
+
+    lastTurn = {
+      kind: 'turn',
+      distance,
+      change,
+      text: `${description}, heading ${compassDirection(bearings[i].bearing)}.`
+    };
+    events.push(lastTurn);
+  }
+
+  // Landmarks recorded along the way
+  let photoNumber = 0;
+  let currentSurface = null;
+  entries.forEach(entry => {
+    if (entry.type === 'location') {
+      if (entry.surface && entry.surface !== currentSurface) {
+        const located = locateOnTrack(track, entry.coords);
+        if (currentSurface !== null && located) {
+          events.push({ kind: 'surface', distance: located.distance, text: `Surface changes to ${surfaceLabel(entry.surface)}.` });
+        }
+        currentSurface = entry.surface;
+      }
+      return;
+    }
+
+    const located = locateOnTrack(track, entry.coords);
+    if (!located || located.offset > NARRATIVE_CONFIG.maxLandmarkOffset) return;
+
+    if (entry.type === 'photo') {
+      photoNumber++;
+      const description = entry.caption || entry.altText;
+      events.push({
+        kind: 'photo',
+        distance: located.distance,
+        text: description ? `Photo ${photoNumber}: ${description}.` : `Photo ${photoNumber} was taken here.`,
+        image: entry.content || null,
+        alt: description || `Trail photo ${photoNumber}`
+      });
+    } else if (entry.type === 'text' && entry.content) {
+      events.push({ kind: 'note', distance: located.distance, text: `Note: ${entry.content}` });
+    } else if (entry.type === VOICE_POINT_TYPE) {
+      events.push({
+        kind: 'note',
+        distance: located.distance,
+        text: hasTranscript(entry)
+          ? `Voice note: ${getVoiceNoteText(entry)}`
+          : 'A voice note was recorded here (not yet transcribed).',
+        audio: getVoiceNoteAudio(entry)
+      });
+    } else if (entry.type === 'feature' && TRAIL_FEATURES[entry.feature]) {
+      const feature = TRAIL_FEATURES[entry.feature];
+      events.push({
+        kind: 'feature',
+        distance: located.distance,
+        text: feature.facility ? `${feature.description}.` : `Caution: ${feature.description.toLowerCase()}.`
+      });
+    } else if (entry.type === SEGMENT_POINT_TYPE) {
+      events.push({ kind: 'surface', distance: located.distance, text: `The trail changes: ${describeSegmentAttributes(entry.attributes)}.` });
+      if (entry.attributes?.surface) currentSurface = entry.attributes.surface;
+    } else if (entry.type === 'rest') {
+      const minutes = Math.max(1, Math.round((entry.duration || 0) / 60000));
+      events.push({ kind: 'rest', distance: located.distance, text: `Rest stop - the surveyor paused here for about ${minutes} minutes.` });
+    } else if (entry.surface && entry.surface !== currentSurface) {
+      if (currentSurface !== null) {
+        events.push({ kind: 'surface', distance: located.distance, text: `Surface changes to ${surfaceLabel(entry.surface)}.` });
+      }
+      currentSurface = entry.surface;
+    }
+  });
+
+  // Steep stretches from the elevation profile
+  detectSteepSegments(entries).forEach(segment => {
+    const located = locateOnTrack(track, segment.startCoords);
+    if (!located) return;
+    events.push({
+      kind: 'steep',
+      distance: located.distance,
+      text: `${segment.direction === 'uphill' ? 'Uphill' : 'Downhill'} slope for ${formatNarrativeDistance(segment.length)}, ` +
+        `up to ${segment.peakGrade}% grade${segment.severity === 'steep' ? ' - steeper than an accessible ramp' : ''}.`
+    });
+  });
+
+  (options.hazards || []).forEach(hazard => {
+    const lat = hazard.lat ?? hazard.latitude ?? hazard.location?.lat;
+    const lng = hazard.lng ?? hazard.longitude ?? hazard.location?.lng;
+    if (typeof lat !== 'number' || typeof lng !== 'number') return;
+
+    const located = locateOnTrack(track, { lat, lng });
+    if (!located || located.offset > NARRATIVE_CONFIG.maxLandmarkOffset) return;
+    events.push({
+      kind: 'hazard',
+      distance: located.distance,
+      text: `Caution: ${hazard.title || 'reported hazard'}${hazard.description ? ` - ${hazard.description}` : ''}.`
+    });
+  });
+
+  events.push({ kind: 'end', distance: totalDistance, text: 'End of the trail.' });
+
+  // Landmarks before turns at the same spot, start first and end last
+  const order = { start: 0, hazard: 1, steep: 2, feature: 3, surface: 4, photo: 5, note: 6, rest: 7, turn: 8, end: 9 };
+  events.sort((a, b) => a.distance - b.distance || order[a.kind] - order[b.kind]);
+
+  let previous = 0;
+  const steps = events.map(event => {
+    const step = {
+      kind: event.kind,
+      distance: Math.round(event.distance),
+      sinceLast: Math.round(event.distance - previous),
+      text: event.text
+    };
+    if (event.image) {
+      step.image = event.image;
+      step.alt = event.alt;
+    }
+    if (event.audio) step.audio = event.audio;
+    previous = event.distance;
+    return step;
+  });
+
+  return { totalDistance, steps };
+}
+
+export default {
+  buildRouteNarrative,
+  compassDirection,
+  describeTurn,
+  formatNarrativeDistance
+};
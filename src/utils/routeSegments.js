@@ -0,0 +1,158 @@
+/**
+ * Route Segments
+ * Splits a route into stretches with their own accessibility attributes
+ *
+ * The surveyor marks a boundary while tracking; it is stored in the route
+ * data as a `segment` point carrying the attributes of the stretch that
+ * starts there:
+ *   { type: 'segment', coords, timestamp,
+ *     attributes: { surface, minWidth, maxGrade, hasSteps, hasObstacles, obstacleNotes } }
+ *
+ * Attributes use the same shape as normalizeSurveyData() so each stretch can
+ * be rated by accessibilityRating.calculateRating, with quick tags recorded
+ * inside the stretch folded in by applyRouteTags. A grade the surveyor chose
+ * is used as given; only when it was left to "Measure from elevation" does
+ * the grade measured along the stretch count.
+ *
+ * Access Nature - Segment Survey
+ * Created: October 2026
+ */
+
+import { accessibilityRating, SURFACE_TYPES } from '../features/accessibilityRating.js';
+import { getSlopeStats } from './elevation.js';
+import { annotateRouteMetrics, hasRouteMetrics } from './routeMetrics.js';
+
+export const SEGMENT_POINT_TYPE = 'segment';
+
+// Width choices offered to the surveyor (inches, as used by calculateRating)
+export const SEGMENT_WIDTHS = {
+  narrow: { label: 'Under 36 in (90 cm)', value: 32 },
+  standard: { label: '36-48 in (90-120 cm)', value: 42 },
+  wide: { label: 'Over 48 in (120 cm)', value: 60 }
+};
+
+// Surveyed grade choices; left unset the grade is measured from elevation
+export const SEGMENT_GRADES = {
+  gentle: { label: 'Flat or mild (up to 5%)', value: 4 },
+  moderate: { label: 'Moderate (5-8%)', value: 7 },
+  steep: { label: 'Steep (over 8%)', value: 10 }
+};
+
+/**
+ * Whether the route has any marked segment boundaries
+ * @param {Array} routeData
+ * @returns {boolean}
+ */
+export function hasRouteSegments(routeData) {
+  return Array.isArray(routeData) && routeData.some(entry => entry?.type === SEGMENT_POINT_TYPE);
+}
+
+/**
+ * Short description of a segment's surveyed attributes
+ * @param {object} attributes
+ * @returns {string} e.g. "Loose Gravel, 36-48 in (90-120 cm) wide, steps"
+ */
+export function describeSegmentAttributes(attributes) {
+  if (!attributes) return 'Not surveyed';
+
+  const parts = [];
+  if (attributes.surface) {
+    parts.push(SURFACE_TYPES[attributes.surface]?.label || attributes.surface);
+  }
+  if (typeof attributes.minWidth === 'number') {
+    const width = Object.values(SEGMENT_WIDTHS).find(option => option.value === attributes.minWidth);
+    parts.push(`${width ? width.label : `${attributes.minWidth} in`} wide`);
+  }
+  if (attributes.hasSteps) parts.push('steps');
+  if (attributes.hasObstacles) {
+    parts.push(attributes.obstacleNotes ? `obstacles: ${attributes.obstacleNotes}` : 'obstacles');
+  } else if (!attributes.hasSteps) {
+    parts.push('no obstacles');
+  }
+  return parts.join(', ');
+}
+
+function readCoords(entry) {
+  return entry?.coords && typeof entry.coords.lat === 'number' ? entry.coords : null;
+}
+
+/**
+ * Build the rated segments of a route
+ * @param {Array} routeData - Route entries in recorded order
+ * @param {object} defaults - Attributes for the stretch before the first
+ *                            boundary (usually the whole-route survey); without
+ *                            them that stretch is left unrated
+ * @returns {Array} [{ number, startIndex, endIndex, startDistance, length,
+ *                     path, attributes, marked, slopeStats, rating }]
+ *                  Empty when no boundaries were marked
+ */
+export function buildRouteSegments(routeData, defaults = null) {
+  if (!hasRouteSegments(routeData)) return [];
+
+  const entries = hasRouteMetrics(routeData) ? routeData.filter(Boolean) : annotateRouteMetrics(routeData);
+  const starts = [];
+
+  entries.forEach((entry, index) => {
+    if (entry.type === SEGMENT_POINT_TYPE) starts.push(index);
+  });
+
+  // Track recorded before the first boundary becomes an unmarked lead-in
+  const firstLocation = entries.findIndex(entry => entry.type === 'location' && readCoords(entry));
+  if (firstLocation !== -1 && firstLocation < starts[0]) {
+    starts.unshift(firstLocation);
+  }
+
+  const totalDistance = entries[entries.length - 1]?.distance || 0;
+  let lastCoords = null;
+
+  return starts.map((startIndex, i) => {
+    const endIndex = i < starts.length - 1 ? starts[i + 1] - 1 : entries.length - 1;
+    const boundary = entries[startIndex];
+    const marked = boundary.type === SEGMENT_POINT_TYPE;
+    const slice = entries.slice(startIndex, endIndex + 1);
+
+    // Start the line where the previous stretch ended so the colours join up
+    const path = [];
+    const startCoords = readCoords(boundary) || lastCoords;
+    if (lastCoords) path.push([lastCoords.lat, lastCoords.lng]);
+    if (readCoords(boundary)) path.push([boundary.coords.lat, boundary.coords.lng]);
+    slice.forEach(entry => {
+      if (entry.type === 'location' && readCoords(entry)) {
+        path.push([entry.coords.lat, entry.coords.lng]);
+        lastCoords = entry.coords;
+      }
+    });
+
+    const startDistance = boundary.distance || 0;
+    const endDistance = i < starts.length - 1 ? entries[starts[i + 1]].distance || 0 : totalDistance;
+    const attributes = marked ? boundary.attributes || {} : defaults;
+    const slopeStats = getSlopeStats(slice);
+    // The surveyor's own grade wins over the measured one
+    const measuredGrade = attributes?.maxGrade === undefined ? slopeStats : null;
+
+    return {
+      number: i + 1,
+      startIndex,
+      endIndex,
+      startCoords,
+      startDistance,
+      length: Math.max(0, endDistance - startDistance),
+      path,
+      attributes,
+      marked,
+      slopeStats,
+      rating: attributes
+        ? accessibilityRating.calculateRating(accessibilityRating.applyRouteTags(attributes, slice), measuredGrade)
+        : null
+    };
+  });
+}
+
+export default {
+  SEGMENT_POINT_TYPE,
+  SEGMENT_WIDTHS,
+  SEGMENT_GRADES,
+  hasRouteSegments,
+  describeSegmentAttributes,
+  buildRouteSegments
+};
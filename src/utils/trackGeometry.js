@@ -0,0 +1,157 @@
+/**
+ * Track Geometry
+ * Measuring a recorded track and placing live positions on it
+ *
+ * - buildTrack: location points with cumulative distance (m)
+ * - snapToTrack: nearest point on the polyline, how far along it is,
+ *   and the cross-track distance (how far off the line the user is)
+ *
+ * Distances are in metres. Segments are projected onto a local flat
+ * plane, which is accurate to well under a metre at trail scale.
+ *
+ * Access Nature - Navigation
+ * Created: October 2026
+ */
+
+import { haversineDistance } from './calculations.js';
+
+const METRES_PER_DEGREE = 111320;
+
+// When a previous position is known, prefer a match near it so a trail
+// that crosses or doubles back on itself doesn't make the user jump ahead
+const SNAP_WINDOW = { behind: 50, ahead: 300, tolerance: 15 };
+
+function toLocal(coords, origin) {
+  const cosLat = Math.cos(origin.lat * Math.PI / 180);
+  return {
+    x: (coords.lng - origin.lng) * METRES_PER_DEGREE * cosLat,
+    y: (coords.lat - origin.lat) * METRES_PER_DEGREE
+  };
+}
+
+/**
+ * Build a measured track from route data
+ * @param {Array} routeData - Route entries (only location points are used)
+ * @returns {object} { points: [{ lat, lng, distance }], totalDistance }
+ */
+export function buildTrack(routeData) {
+  const locations = (Array.isArray(routeData) ? routeData : [])
+    .filter(entry => entry && entry.type === 'location' && entry.coords &&
+      typeof entry.coords.lat === 'number' && typeof entry.coords.lng === 'number');
+
+  let travelled = 0;
+  const points = locations.map((entry, i) => {
+    if (i > 0) travelled += haversineDistance(locations[i - 1].coords, entry.coords) * 1000;
+    return { lat: entry.coords.lat, lng: entry.coords.lng, distance: travelled };
+  });
+
+  return { points, totalDistance: travelled };
+}
+
+/**
+ * Project a position onto one segment of the track
+ */
+function projectOntoSegment(track, index, coords) {
+  const start = track.points[index];
+  const end = track.points[index + 1];
+  const a = toLocal(start, coords);
+  const b = toLocal(end, coords);
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+
+  // The user is at the origin of the local plane
+  const t = lengthSq > 0 ? Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSq)) : 0;
+  const px = a.x + t * dx;
+  const py = a.y + t * dy;
+
+  return {
+    segmentIndex: index,
+    fraction: t,
+    coords: {
+      lat: start.lat + t * (end.lat - start.lat),
+      lng: start.lng + t * (end.lng - start.lng)
+    },
+    distanceAlong: start.distance + t * (end.distance - start.distance),
+    crossTrack: Math.sqrt(px * px + py * py)
+  };
+}
+
+/**
+ * Find the nearest point on the track to a position
+ * @param {object} track - From buildTrack
+ * @param {object} coords - { lat, lng }
+ * @param {object} options - { hint } previous distance along the track (m)
+ * @returns {object|null} { coords, segmentIndex, fraction, distanceAlong, crossTrack, remaining }
+ */
+export function snapToTrack(track, coords, options = {}) {
+  if (!track || !coords || track.points.length === 0) return null;
+
+  if (track.points.length === 1) {
+    const only = track.points[0];
+    return {
+      coords: { lat: only.lat, lng: only.lng },
+      segmentIndex: 0,
+      fraction: 0,
+      distanceAlong: 0,
+      crossTrack: haversineDistance(only, coords) * 1000,
+      remaining: 0
+    };
+  }
+
+  let best = null;
+  let bestNearHint = null;
+  const hint = typeof options.hint === 'number' ? options.hint : null;
+
+  for (let i = 0; i < track.points.length - 1; i++) {
+    const candidate = projectOntoSegment(track, i, coords);
+    if (!best || candidate.crossTrack < best.crossTrack) best = candidate;
+
+    if (hint !== null &&
+        candidate.distanceAlong >= hint - SNAP_WINDOW.behind &&
+        candidate.distanceAlong <= hint + SNAP_WINDOW.ahead &&
+        (!bestNearHint || candidate.crossTrack < bestNearHint.crossTrack)) {
+      bestNearHint = candidate;
+    }
+  }
+
+  const snapped = bestNearHint && bestNearHint.crossTrack <= best.crossTrack + SNAP_WINDOW.tolerance
+    ? bestNearHint
+    : best;
+
+  return { ...snapped, remaining: Math.max(0, track.totalDistance - snapped.distanceAlong) };
+}
+
+/**
+ * Point at a given distance along the track
+ * @param {object} track - From buildTrack
+ * @param {number} distance - Metres from the start
+ * @returns {object|null} { lat, lng }
+ */
+export function pointAtDistance(track, distance) {
+  if (!track || track.points.length === 0) return null;
+  const points = track.points;
+  if (distance <= 0) return { lat: points[0].lat, lng: points[0].lng };
+
+  for (let i = 1; i < points.length; i++) {
+    if (points[i].distance >= distance) {
+      const start = points[i - 1];
+      const end = points[i];
+      const span = end.distance - start.distance;
+      const t = span > 0 ? (distance - start.distance) / span : 0;
+      return {
+        lat: start.lat + t * (end.lat - start.lat),
+        lng: start.lng + t * (end.lng - start.lng)
+      };
+    }
+  }
+
+  const last = points[points.length - 1];
+  return { lat: last.lat, lng: last.lng };
+}
+
+export default {
+  buildTrack,
+  snapToTrack,
+  pointAtDistance
+};
@@ -0,0 +1,85 @@
+/**
+ * Voice Notes
+ * Spoken notes recorded while tracking
+ *
+ * A voice note is stored in the route data next to photos and text notes:
+ *   { type: 'voice', coords, timestamp,
+ *     audioId, mimeType, duration (ms),
+ *     transcript: string|null, transcriptSource: 'speech'|'manual'|null }
+ *
+ * The recording itself is kept apart (see src/core/voiceClipStore.js):
+ * `audioId` on the device, `audioURL` once uploaded to the cloud, and
+ * `audio` (a data URL) in exported files and older routes.
+ *
+ * The clip is always kept. When the browser could not transcribe it at the
+ * time (no speech recognition, offline, nothing recognised) the transcript
+ * is left null so it can be typed in later; everywhere else the note reads
+ * as "Voice note (not yet transcribed)".
+ *
+ * Access Nature - Voice Notes
+ * Created: October 2026
+ */
+
+export const VOICE_POINT_TYPE = 'voice';
+
+export const UNTRANSCRIBED_LABEL = 'Voice note (not yet transcribed)';
+
+/**
+ * Whether a voice note has a transcript
+ * @param {object} entry - Route point
+ * @returns {boolean}
+ */
+export function hasTranscript(entry) {
+  return typeof entry?.transcript === 'string' && entry.transcript.trim() !== '';
+}
+
+/**
+ * Text to show or export for a voice note
+ * @param {object} entry - Voice route point
+ * @param {string} fallback - Used when there is no transcript yet
+ * @returns {string}
+ */
+export function getVoiceNoteText(entry, fallback = UNTRANSCRIBED_LABEL) {
+  return hasTranscript(entry) ? entry.transcript.trim() : fallback;
+}
+
+/**
+ * Where to play a voice note's recording from, when it is at hand
+ * without a lookup (exported, uploaded or older notes)
+ * @param {object} entry - Voice route point
+ * @returns {string|null} Data URL or download URL
+ */
+export function getVoiceNoteAudio(entry) {
+  return entry?.audio || entry?.audioURL || null;
+}
+
+/**
+ * Clip length as m:ss
+ * @param {number} ms
+ * @returns {string} e.g. "0:42"; empty when unknown
+ */
+export function formatVoiceDuration(ms) {
+  if (typeof ms !== 'number' || isNaN(ms) || ms <= 0) return '';
+  const seconds = Math.round(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Voice notes still waiting for a transcript
+ * @param {Array} routeData
+ * @returns {Array}
+ */
+export function getPendingVoiceNotes(routeData) {
+  if (!Array.isArray(routeData)) return [];
+  return routeData.filter(entry => entry?.type === VOICE_POINT_TYPE && !hasTranscript(entry));
+}
+
+export default {
+  VOICE_POINT_TYPE,
+  UNTRANSCRIBED_LABEL,
+  hasTranscript,
+  getVoiceNoteText,
+  getVoiceNoteAudio,
+  formatVoiceDuration,
+  getPendingVoiceNotes
+};
@@ -335,106 +335,528 @@ function isAppShellRequest(url) {
 }
 
 // ==================== Background Sync ====================
+//
+// Runs the outbox (src/core/outbox.js) - the queue of uploads kept in the
+// AccessNaturePending database - even after the tab is closed. The page
+// keeps the signed-in user's tokens in the `sync_config` store; the ID
+// token is refreshed here when it has expired.
+//
+// Jobs are claimed (status 'running') before they run so the page doesn't
+// run them at the same time, and each is written under its idempotency key
+// so a retry after a lost response can't create a duplicate. A job waits
+// for the jobs it depends on: a guide's photos are uploaded first and the
+// guide then links to them. Types not listed in SYNC_JOB_TYPES (surveys)
+// are left for the page.
+
+const PENDING_DB = 'AccessNaturePending';
+
+// Job types run here, with the store holding their saved copy
+const SYNC_JOB_TYPES = {
+  route: { store: 'pending_routes', collection: 'routes' },
+  guide: { store: 'pending_guides', collection: 'trail_guides' },
+  // Barrier reports queued through PWAManager.addToSyncQueue('reports')
+  report: { collection: 'accessibilityReports' },
+  photo: { storage: true }
+};
+
+// Same values as OUTBOX_RETRY in src/core/outbox.js
+const SYNC_RETRY = {
+  baseDelay: 30 * 1000,
+  maxDelay: 6 * 60 * 60 * 1000,
+  // After this many failed attempts only a retry from the page runs it again
+  maxAttempts: 8,
+  // A claim older than this belongs to a run that never finished
+  claimTimeout: 10 * 60 * 1000
+};
+
+// Uploaders by name, picked with `uploader` in the sync config. Each takes
+// (document, { collection, documentId, config }) and resolves with the cloud
+// id; an error with `alreadyExists` set counts as uploaded. More can be
+// added here (e.g. from an importScripts'd file) for other back ends.
+const SYNC_UPLOADERS = {
+  firestore: uploadToFirestore,
+  endpoint: uploadToEndpoint
+};
+
+// Earlier versions of the page registered one tag per queue
+const SYNC_TAGS = ['sync-outbox', 'sync-routes', 'sync-reports', 'sync-guides'];
 
 self.addEventListener('sync', (event) => {
   console.log('[SW] Background sync event:', event.tag);
   
-  if (event.tag === 'sync-routes') {
-    event.waitUntil(syncPendingRoutes());
-  } else if (event.tag === 'sync-reports') {
-    event.waitUntil(syncPendingReports());
-  } else if (event.tag === 'sync-guides') {
-    event.waitUntil(syncPendingGuides());
+  if (SYNC_TAGS.includes(event.tag)) {
+    event.waitUntil(syncOutbox(event.lastChance));
   }
 });
 
 /**
- * Sync pending routes to Firebase
+ * Run every due outbox job this worker can run
+ * @param {boolean} lastChance - The browser won't retry this sync again
  */
-async function syncPendingRoutes() {
+async function syncOutbox(lastChance = false) {
+  let db;
   try {
-    const pendingRoutes = await getPendingData('pending-routes');
+    db = await openPendingDB();
+    if (!db.objectStoreNames.contains('outbox')) return;
     
-    for (const route of pendingRoutes) {
+    const config = await readStore(db, 'sync_config', 'firestore');
+    if (!config?.refreshToken) {
+      console.log('[SW] No signed-in user to sync for');
+      return;
+    }
+    
+    const types = getRunnableTypes(config);
+    let job;
+    while ((job = await claimNextJob(db, types, config))) {
       try {
-        // This would call Firebase - simplified for demo
-        console.log('[SW] Syncing route:', route.id);
-        await removePendingData('pending-routes', route.id);
+        const result = await runJob(job, config, db);
+        await completeJob(db, job.id, result);
         
-        // Notify client of successful sync
-        notifyClients({
-          type: 'SYNC_SUCCESS',
-          data: { type: 'route', id: route.id }
-        });
+        if (job.type !== 'photo') {
+          notifyClients({
+            type: 'SYNC_SUCCESS',
+            data: { type: job.type, id: job.payload?.localId, cloudId: result.cloudId }
+          });
+        }
       } catch (error) {
-        console.error('[SW] Failed to sync route:', error);
+        console.error(`[SW] Failed to sync ${job.type}:`, error);
+        await failJob(db, job.id, error);
       }
+      notifyClients({ type: 'OUTBOX_CHANGED' });
     }
-  } catch (error) {
-    console.error('[SW] Background sync failed:', error);
+    
+    // Jobs waiting out their backoff, or for their dependencies, count too
+    const jobs = await readAllJobs(db);
+    const retryLater = jobs.some(entry =>
+      types.has(entry.type) && isForUser(entry, config) &&
+      (entry.status === 'pending' || entry.status === 'running'));
+    
+    // Failing the event makes the browser schedule another sync
+    if (retryLater && !lastChance) {
+      throw new Error('Outbox uploads still pending');
+    }
+  } finally {
+    db?.close();
+  }
+}
+
+function getRunnableTypes(config) {
+  return new Set(Object.keys(SYNC_JOB_TYPES).filter(type =>
+    // Photos go to Firebase Storage, so only with the Firestore back end
+    !SYNC_JOB_TYPES[type].storage || ((config.uploader || 'firestore') === 'firestore' && !!config.storageBucket)));
+}
+
+// Jobs queued by someone else on this device are left for them
+function isForUser(job, config) {
+  return !job.userId || job.userId === config.uid;
+}
+
+/**
+ * Run one claimed job
+ * @returns {Promise<object>} The job's result
+ */
+async function runJob(job, config, db) {
+  if (job.type === 'photo') {
+    return uploadPhotoToStorage(job, config, db);
+  }
+  
+  const { store, collection } = SYNC_JOB_TYPES[job.type];
+  const { localId, data } = job.payload || {};
+  const record = data === undefined ? await readStore(db, store, localId) : null;
+  if (data === undefined && !record) {
+    const error = new Error('The saved copy was deleted');
+    error.permanent = true;
+    throw error;
+  }
+  if (record?.status === 'uploaded' && record.cloudId) {
+    return { cloudId: record.cloudId };
   }
+  
+  const dependencies = (await readAllJobs(db)).filter(entry => (job.dependsOn || []).includes(entry.id));
+  const cloudId = await uploadDocument(replacePhotoData(record ? record.data : data, dependencies), {
+    collection,
+    documentId: job.idempotencyKey,
+    userName: record?.userName,
+    config,
+    db
+  });
+  
+  if (record) await markPendingUploaded(db, store, localId, cloudId);
+  return { cloudId };
 }
 
 /**
- * Sync pending reports to Firebase
+ * Upload one document with the configured uploader
+ * @returns {Promise<string>} Cloud document id
  */
-async function syncPendingReports() {
+async function uploadDocument(data, { collection, documentId, userName, config, db }) {
+  const uploader = SYNC_UPLOADERS[config.uploader || 'firestore'];
+  if (!uploader) throw new Error(`Unknown uploader: ${config.uploader}`);
+  
+  // Same fields the page adds when it uploads (OfflineSync.uploadRouteToCloud)
+  const document = {
+    ...data,
+    userId: config.uid,
+    userDisplayName: config.displayName || userName || 'Anonymous'
+  };
+  
   try {
-    const pendingReports = await getPendingData('pending-reports');
-    
-    for (const report of pendingReports) {
-      try {
-        console.log('[SW] Syncing report:', report.id);
-        await removePendingData('pending-reports', report.id);
-        
-        notifyClients({
-          type: 'SYNC_SUCCESS',
-          data: { type: 'report', id: report.id }
-        });
-      } catch (error) {
-        console.error('[SW] Failed to sync report:', error);
-      }
-    }
+    return await uploader(document, { collection, documentId, config, db });
   } catch (error) {
-    console.error('[SW] Background sync failed:', error);
+    if (error.alreadyExists) return documentId;
+    throw error;
+  }
+}
+
+// Photos carried inline as data URLs (same as PHOTO_DATA_PATTERN in src/core/outbox.js)
+const PHOTO_DATA_PATTERN = /data:image\/(?:jpeg|jpg|png|webp|gif);base64,[A-Za-z0-9+/=]{1024,}/g;
+
+/**
+ * The photo a photo job uploads: its own copy, or the one it points at in
+ * the saved route or guide (same as getPhotoData in src/core/outbox.js)
+ */
+function getPhotoData(job, sourceData) {
+  if (job.payload?.dataURL) return job.payload.dataURL;
+  const index = job.payload?.source?.photoIndex;
+  if (!Number.isInteger(index)) return null;
+  const photos = [...new Set(JSON.stringify(sourceData ?? null).match(PHOTO_DATA_PATTERN) || [])];
+  return photos[index] || null;
+}
+
+/**
+ * Copy of the data with inline photos swapped for their uploaded URLs
+ * (same as replacePhotoData in src/core/outbox.js)
+ */
+function replacePhotoData(data, dependencies) {
+  const uploaded = dependencies
+    .filter(job => job.type === 'photo' && job.result?.url)
+    .map(job => ({ dataURL: getPhotoData(job, data), url: job.result.url }))
+    .filter(photo => photo.dataURL);
+  if (uploaded.length === 0) return data;
+  
+  let text = JSON.stringify(data);
+  uploaded.forEach(photo => {
+    text = text.split(photo.dataURL).join(photo.url);
+  });
+  return JSON.parse(text);
+}
+
+// ==================== Uploaders ====================
+
+/**
+ * Create the document through the Firestore REST API. A commit with
+ * `exists: false` makes the write idempotent, and the transform sets
+ * createdAt to the server time like serverTimestamp() does
+ */
+async function uploadToFirestore(document, { collection, documentId, config, db }) {
+  const token = await getIdToken(config, db);
+  const base = `projects/${config.projectId}/databases/(default)/documents`;
+  
+  const response = await fetch(`https://firestore.googleapis.com/v1/${base}:commit`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${token}`
+    },
+    body: JSON.stringify({
+      writes: [{
+        update: { name: `${base}/${collection}/${documentId}`, fields: toFirestoreFields(document) },
+        currentDocument: { exists: false },
+        updateTransforms: [{ fieldPath: 'createdAt', setToServerValue: 'REQUEST_TIME' }]
+      }]
+    })
+  });
+  
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    const error = new Error(body.error?.message || `Firestore responded ${response.status}`);
+    error.status = response.status;
+    // The document exists - an earlier attempt went through
+    error.alreadyExists = body.error?.status === 'FAILED_PRECONDITION' || body.error?.status === 'ALREADY_EXISTS';
+    throw error;
   }
+  return documentId;
 }
 
 /**
- * Sync pending guides to Firebase
+ * POST the document as JSON to `config.endpoint`, for back ends other than
+ * Firestore. Expects { id } back; 409 means it was already received
  */
-async function syncPendingGuides() {
-  try {
-    const pendingGuides = await getPendingData('pending-guides');
-    
-    for (const guide of pendingGuides) {
-      try {
-        console.log('[SW] Syncing guide:', guide.id);
-        await removePendingData('pending-guides', guide.id);
-        
-        notifyClients({
-          type: 'SYNC_SUCCESS',
-          data: { type: 'guide', id: guide.id }
-        });
-      } catch (error) {
-        console.error('[SW] Failed to sync guide:', error);
-      }
+async function uploadToEndpoint(document, { collection, documentId, config, db }) {
+  const token = config.refreshToken ? await getIdToken(config, db) : null;
+  
+  const response = await fetch(config.endpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Idempotency-Key': documentId,
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: JSON.stringify({ collection, documentId, data: document })
+  });
+  
+  if (response.status === 409) {
+    const error = new Error('Already uploaded');
+    error.alreadyExists = true;
+    throw error;
+  }
+  if (!response.ok) {
+    const error = new Error(`Upload endpoint responded ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  
+  const body = await response.json().catch(() => ({}));
+  return body.id || documentId;
+}
+
+/**
+ * Upload a photo job to Firebase Storage under its idempotency key (the
+ * same path the page uses), so a retry overwrites rather than duplicates
+ * @returns {Promise<object>} { url, path }
+ */
+async function uploadPhotoToStorage(job, config, db) {
+  const token = await getIdToken(config, db);
+  const path = `photos/${job.idempotencyKey}`;
+  const source = job.payload?.source;
+  const record = source && !job.payload.dataURL ? await readStore(db, source.store, source.localId) : null;
+  const dataURL = getPhotoData(job, record?.data);
+  if (!dataURL) {
+    const error = new Error('The saved copy was deleted');
+    error.permanent = true;
+    throw error;
+  }
+  const blob = await (await fetch(dataURL)).blob();
+  const base = `https://firebasestorage.googleapis.com/v0/b/${config.storageBucket}/o`;
+  
+  const response = await fetch(`${base}?name=${encodeURIComponent(path)}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': blob.type || 'image/jpeg',
+      Authorization: `Firebase ${token}`
+    },
+    body: blob
+  });
+  if (!response.ok) {
+    const error = new Error(`Storage responded ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  
+  const metadata = await response.json();
+  const downloadToken = String(metadata.downloadTokens || '').split(',')[0];
+  return {
+    url: `${base}/${encodeURIComponent(path)}?alt=media&token=${downloadToken}`,
+    path
+  };
+}
+
+/**
+ * A valid Firebase ID token, refreshed with the stored refresh token when
+ * it has (nearly) expired
+ */
+async function getIdToken(config, db) {
+  if (config.idToken && config.expiresAt - 60 * 1000 > Date.now()) {
+    return config.idToken;
+  }
+  
+  const response = await fetch(`https://securetoken.googleapis.com/v1/token?key=${encodeURIComponent(config.apiKey)}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: `grant_type=refresh_token&refresh_token=${encodeURIComponent(config.refreshToken)}`
+  });
+  if (!response.ok) {
+    throw new Error(`Token refresh failed (${response.status})`);
+  }
+  
+  const tokens = await response.json();
+  config.idToken = tokens.id_token;
+  config.refreshToken = tokens.refresh_token || config.refreshToken;
+  config.expiresAt = Date.now() + Number(tokens.expires_in || 3600) * 1000;
+  await writeStore(db, 'sync_config', config);
+  return config.idToken;
+}
+
+/**
+ * Convert a plain object to Firestore REST `fields`
+ */
+function toFirestoreFields(object) {
+  const fields = {};
+  Object.entries(object).forEach(([key, value]) => {
+    if (value !== undefined && typeof value !== 'function') {
+      fields[key] = toFirestoreValue(value);
     }
-  } catch (error) {
-    console.error('[SW] Background sync failed:', error);
+  });
+  return fields;
+}
+
+function toFirestoreValue(value) {
+  if (value === null || value === undefined) return { nullValue: null };
+  if (typeof value === 'boolean') return { booleanValue: value };
+  if (typeof value === 'number') {
+    if (!isFinite(value)) return { nullValue: null };
+    return Number.isInteger(value) ? { integerValue: String(value) } : { doubleValue: value };
+  }
+  if (typeof value === 'string') return { stringValue: value };
+  if (value instanceof Date) return { timestampValue: value.toISOString() };
+  if (Array.isArray(value)) {
+    // Firestore doesn't allow an array directly inside an array
+    return {
+      arrayValue: {
+        values: value.map(entry => Array.isArray(entry)
+          ? { mapValue: { fields: toFirestoreFields({ ...entry }) } }
+          : toFirestoreValue(entry))
+      }
+    };
   }
+  return { mapValue: { fields: toFirestoreFields(value) } };
 }
 
 // ==================== IndexedDB Helpers ====================
 
-async function getPendingData(storeName) {
-  // This would use IndexedDB - simplified placeholder
-  return [];
+/**
+ * Open the pending uploads database at whatever version the page created
+ */
+function openPendingDB() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(PENDING_DB);
+    request.onsuccess = () => {
+      const db = request.result;
+      // Let the page upgrade the schema while we hold a connection
+      db.onversionchange = () => db.close();
+      resolve(db);
+    };
+    request.onerror = () => reject(request.error);
+  });
 }
 
-async function removePendingData(storeName, id) {
-  // This would remove from IndexedDB - simplified placeholder
-  return true;
+function readStore(db, storeName, key) {
+  if (!db.objectStoreNames.contains(storeName)) return Promise.resolve(null);
+  return new Promise((resolve, reject) => {
+    const request = db.transaction([storeName], 'readonly').objectStore(storeName).get(key);
+    request.onsuccess = () => resolve(request.result || null);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function writeStore(db, storeName, value) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([storeName], 'readwrite');
+    transaction.objectStore(storeName).put(value);
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Change one record inside a single transaction
+ * @param {function} change - Gets the record; returns false to leave it alone
+ * @returns {Promise<object|null>} The changed record, or null
+ */
+function updateRecord(db, storeName, key, change) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([storeName], 'readwrite');
+    const store = transaction.objectStore(storeName);
+    let result = null;
+    
+    const request = store.get(key);
+    request.onsuccess = () => {
+      const record = request.result;
+      if (record && change(record) !== false) {
+        store.put(record);
+        result = record;
+      }
+    };
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+function readAllJobs(db) {
+  return new Promise((resolve, reject) => {
+    const request = db.transaction(['outbox'], 'readonly').objectStore('outbox').getAll();
+    request.onsuccess = () => resolve(request.result || []);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function isClaimStale(job) {
+  return job.status === 'running' && Date.now() - (job.claimedAt || 0) > SYNC_RETRY.claimTimeout;
+}
+
+/**
+ * Claim the oldest job that is due, of a type run here, whose
+ * dependencies are done (discarded ones don't count)
+ * @returns {Promise<object|null>}
+ */
+function claimNextJob(db, types, config) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(['outbox'], 'readwrite');
+    const store = transaction.objectStore('outbox');
+    let claimed = null;
+    
+    const request = store.getAll();
+    request.onsuccess = () => {
+      const jobs = request.result || [];
+      const jobsById = new Map(jobs.map(job => [job.id, job]));
+      const next = jobs
+        .filter(job =>
+          types.has(job.type) && isForUser(job, config) &&
+          ((job.status === 'pending' && (job.nextAttemptAt || 0) <= Date.now()) || isClaimStale(job)) &&
+          (job.dependsOn || []).every(id => !jobsById.has(id) || jobsById.get(id).status === 'done'))
+        .sort((a, b) => a.createdAt - b.createdAt)[0];
+      
+      if (next) {
+        next.status = 'running';
+        next.claimedAt = Date.now();
+        store.put(next);
+        claimed = next;
+      }
+    };
+    transaction.oncomplete = () => resolve(claimed);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+function completeJob(db, id, result) {
+  return updateRecord(db, 'outbox', id, (job) => {
+    job.status = 'done';
+    job.result = result ?? null;
+    job.completedAt = Date.now();
+    job.lastError = null;
+    delete job.claimedAt;
+    delete job.nextAttemptAt;
+  });
+}
+
+/**
+ * Put a failed job back with exponential backoff, or give up on it
+ */
+function failJob(db, id, error) {
+  return updateRecord(db, 'outbox', id, (job) => {
+    job.attempts = (job.attempts || 0) + 1;
+    job.lastError = String(error?.message || error);
+    delete job.claimedAt;
+    if (error?.permanent || job.attempts >= SYNC_RETRY.maxAttempts) {
+      job.status = 'failed';
+    } else {
+      job.status = 'pending';
+      job.nextAttemptAt = Date.now() +
+        Math.min(SYNC_RETRY.maxDelay, SYNC_RETRY.baseDelay * Math.pow(2, job.attempts - 1));
+    }
+  });
+}
+
+/**
+ * Mark a saved route or guide uploaded - kept, like the page does, until
+ * the user clears uploaded items
+ */
+function markPendingUploaded(db, storeName, localId, cloudId) {
+  return updateRecord(db, storeName, localId, (record) => {
+    record.status = 'uploaded';
+    record.cloudId = cloudId;
+    record.uploadedAt = new Date().toISOString();
+  });
 }
 
 // ==================== Client Communication ====================
@@ -489,7 +911,12 @@ self.addEventListener('notificationclick', (event) => {
   
   if (event.action === 'view') {
     event.waitUntil(
-      self.clients.openWindow('/')
+      self.clients.openWindow(event.notification.data?.url || '/')
+    );
+  } else if (!event.action && event.notification.data?.url) {
+    // Tapped the notification itself
+    event.waitUntil(
+      self.clients.openWindow(event.notification.data.url)
     );
   }
 });